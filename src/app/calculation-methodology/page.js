@@ -4,6 +4,7 @@ import { useState, useEffect } from 'react';
 import Link from 'next/link';
 import { TIMBER_PROPERTIES, loadTimberProperties } from '@/utils/timberEngineering';
 import { getMasslamSL33Properties } from '@/utils/masslamProperties';
+import { OCCUPANCY_PRESETS } from '@/utils/loadCombinations';
 
 export default function CalculationMethodologyPage() {
   // Default values for calculation parameters
@@ -209,6 +210,55 @@ export default function CalculationMethodologyPage() {
               This section provides a detailed explanation of how each structural component (joist, beam, and column) is calculated in the application, using MASSLAM SL33 properties and standard sizes.
             </p>
             
+            <h3 className="text-lg font-medium mt-6 mb-2">Loads and Load Combinations</h3>
+            <p className="mb-4">
+              Floor loads are entered separately as the imposed load Q, the superimposed dead load (finishes, services and partitions) and any additional permanent load G. Timber self-weight is calculated for each member from its catalogue size and density and added to G. Selecting an occupancy sets Q, a typical superimposed dead load and the combination factors:
+            </p>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white border border-gray-200 mb-4">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="py-2 px-4 border-b text-left">Occupancy</th>
+                    <th className="py-2 px-4 border-b text-left">Q (kPa)</th>
+                    <th className="py-2 px-4 border-b text-left">SDL (kPa)</th>
+                    <th className="py-2 px-4 border-b text-left">ψs</th>
+                    <th className="py-2 px-4 border-b text-left">ψl</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(OCCUPANCY_PRESETS).map(([key, preset]) => (
+                    <tr key={key}>
+                      <td className="py-2 px-4 border-b">{preset.label}</td>
+                      <td className="py-2 px-4 border-b">{preset.imposedLoad}</td>
+                      <td className="py-2 px-4 border-b">{preset.superimposedDeadLoad}</td>
+                      <td className="py-2 px-4 border-b">{preset.psiShort}</td>
+                      <td className="py-2 px-4 border-b">{preset.psiLong}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="mb-4">
+              Every member is checked under the AS/NZS 1170.0 combinations below. Each strength check uses the k1 factor for the duration of its combination, so 1.35G can govern where permanent loads are heavy. The duration of the imposed load is an input: 5 months for floors by default, permanent for storage or plant, and 5 days or 5 hours for roof construction and maintenance loads. The results panel reports the governing combination for each member.
+            </p>
+            <div className="bg-gray-100 p-3 rounded mb-4">
+              <pre className="font-mono text-sm whitespace-pre-wrap">
+{`Strength:        1.35G          (k1 = 0.57, permanent)
+                 1.2G + 1.5Q    (k1 of the imposed load duration, 0.8 for floors)
+Short-term:      G + ψs·Q       (δ ≤ L / 300)
+Long-term:       j2·(G + ψl·Q)  (δ ≤ L / 250, j2 creep factor of the service class)`}
+              </pre>
+            </div>
+            <p className="mb-4">
+              A screed (22 kN/m³) or concrete topping (24 kN/m³) adds its weight to the permanent load on the joists, beams and columns, and its embodied carbon is deducted from the carbon saving. With a composite connection the concrete topping over the joist spacing acts as a flange. The effective stiffness from the γ-method (EN 1995-1-1 Annex B) is used in the deflection and vibration checks, while strength is checked on the timber section alone:
+            </p>
+            <div className="bg-gray-100 p-3 rounded mb-4">
+              <pre className="font-mono text-sm whitespace-pre-wrap">
+{`γ1 = 1 / (1 + π² × E1 × A1 × s / (K × L²))   (s = 250 mm, K = 10 kN/mm screws)
+EIef = E1·I1 + E2·I2 + γ1·E1·A1·a1² + E2·A2·a2²`}
+              </pre>
+            </div>
+            
             <h3 className="text-lg font-medium mt-6 mb-2">Joist Size Calculation</h3>
             <p className="mb-4">
               The joist size calculation follows these steps:
@@ -220,46 +270,34 @@ export default function CalculationMethodologyPage() {
                 <span className="text-sm text-gray-600">Example: For a 60-minute fire rating (60/60/60), minJoistWidth = 165 mm (loaded from FRL.csv)</span>
               </li>
               <li>
-                <strong>Convert span to millimeters:</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">spanMm = span * 1000</code><br />
-                <span className="text-sm text-gray-600">Example: For a 4.5m span, spanMm = 4500 mm</span>
-              </li>
-              <li>
-                <strong>Set theoretical width to minimum width from FRL:</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">theoreticalWidth = minJoistWidth</code><br />
-                <span className="text-sm text-gray-600">Example: For a 60-minute fire rating, theoreticalWidth = 165 mm</span>
+                <strong>Calculate fire resistance allowance (if applicable):</strong><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">fireAllowances = calculateFireAllowances(fireRating, charringRate, fireExposure)</code><br />
+                <span className="text-sm text-gray-600">Example: For a 60-minute fire rating with MASSLAM SL33 charring rate of 0.7 mm/min, an exposed face loses 0.7 * 60 + 7 = 49 mm (including the 7 mm zero-strength layer). By default only the bottom face of a joist is exposed; its sides are covered by the minimum width.</span>
               </li>
               <li>
-                <strong>Calculate theoretical depth:</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">
-                  // Depth ratio depends on span length
-                  if (span <= 4.0) {
-                    depthRatio = 15; // Smaller spans use span/15
-                  } else if (span <= 6.0) {
-                    depthRatio = 12; // Medium spans use span/12
-                  } else {
-                    depthRatio = 10; // Longer spans need span/10
-                  }
-                  theoreticalDepth = Math.max(140, Math.ceil(spanMm / depthRatio))
-                </code><br />
-                <span className="text-sm text-gray-600">Example: For a 4.5m span, depthRatio = 12, theoreticalDepth = Math.max(140, Math.ceil(4500 / 12)) = Math.max(140, 375) = 375 mm</span>
+                <strong>Calculate the line loads on each joist:</strong><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">G = width × depth × density × g + (G + SDL) × spacing</code><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">Q = load × spacing</code><br />
+                <span className="text-sm text-gray-600">Example: For a 2.0 kPa imposed load at 800 mm centres, Q = 2.0 × 0.8 = 1.6 kN/m</span>
               </li>
               <li>
-                <strong>Calculate fire resistance allowance (if applicable):</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">fireAllowance = calculateFireResistanceAllowance(fireRating)</code><br />
-                <span className="text-sm text-gray-600">Example: For a 60-minute fire rating with MASSLAM SL33 charring rate of 0.7 mm/min, fireAllowance = 0.7 * 60 = 42 mm</span>
+                <strong>Check each catalogue joist, lightest first, to AS 1720.1:</strong><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">M* = w* × L² ÷ 8 ≤ φ·k1·k4·k6·k9·k12·f&apos;b·Z</code><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">V* = w* × L ÷ 2 ≤ φ·k1·k4·k6·f&apos;s·As</code><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">δ(G + ψs·Q) ≤ L ÷ 300</code><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">j2·δ(G + ψl·Q) ≤ L ÷ 250</code><br />
+                <span className="text-sm text-gray-600">Where w* is 1.35G (k1 = 0.57) or 1.2G + 1.5Q (k1 = 0.8 for floors), whichever gives the higher utilisation. With φ = 0.85, k4 and j2 of the service class (1.0 and 2.0 in service class 1), k6 = k9 = 1.0, k12 = 1.0 (compression edge restrained by the floor), As = 2/3 × b × d and ψs = 0.7, ψl = 0.4 for residential floors. The checks use the depth net of the fire allowance.</span>
               </li>
               <li>
-                <strong>Add fire resistance allowance to depth only (width is already set based on FRL):</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">fireAdjustedWidth = theoreticalWidth</code><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">fireAdjustedDepth = theoreticalDepth + fireAllowance</code><br />
-                <span className="text-sm text-gray-600">Example: For a 165 mm width and 375 mm depth with 42 mm allowance, fireAdjustedWidth = 165 mm, fireAdjustedDepth = 375 + 42 = 417 mm</span>
+                <strong>Check footfall vibration of the floor:</strong><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">f1 = (π ÷ 2L²) × √(EI ÷ m) ≥ 8 Hz</code><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">δ1kN = 1000 × L³ ÷ (48 × E × I) ≤ 1.5 mm</code><br />
+                <span className="text-sm text-gray-600">EI is the floor stiffness per meter width (joist EI ÷ spacing) and m is the mass of the permanent loads in kg/m². Vibration uses the gross joist section, and the 1 kN point load is carried by a single joist. Both limits can be changed in the calculator.</span>
               </li>
               <li>
-                <strong>Find nearest available standard size:</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">width = findNearestWidth(fireAdjustedWidth)</code><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">depth = findNearestDepth(width, fireAdjustedDepth)</code><br />
-                <span className="text-sm text-gray-600">Example: For a 165 mm adjusted width and 417 mm adjusted depth, the nearest standard size from masslam_sizes.csv would be 165 mm width and 410 mm depth</span>
+                <strong>Select the first section where every check passes:</strong><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">utilisation = max(demand ÷ capacity)</code><br />
+                <span className="text-sm text-gray-600">The check with the highest utilisation is reported as the governing check.</span>
               </li>
             </ol>
             
@@ -268,7 +306,7 @@ export default function CalculationMethodologyPage() {
               <p className="mb-2">Input parameters:</p>
               <ul className="list-disc pl-5 mb-2">
                 <li>Span: 4.5m</li>
-                <li>Spacing: 450 mm</li>
+                <li>Spacing: 800 mm (400 to 1200 mm in the calculator)</li>
                 <li>Load: 2.0 kPa</li>
                 <li>Timber Grade: MASSLAM_SL33</li>
                 <li>Fire Rating: 60 minutes</li>
@@ -276,14 +314,15 @@ export default function CalculationMethodologyPage() {
               <p className="mb-2">Calculation steps:</p>
               <ol className="list-decimal pl-5 mb-2 text-sm">
                 <li>minJoistWidth = loadMinJoistWidthForFRL(fireRating) = 165 mm</li>
-                <li>spanMm = 4.5 * 1000 = 4500 mm</li>
-                <li>theoreticalWidth = minJoistWidth = 165 mm</li>
-                <li>depthRatio = 12</li>
-                <li>theoreticalDepth = Math.max(140, Math.ceil(4500 / 12)) = 375 mm</li>
-                <li>fireAllowance = 0.7 * 60 = 42 mm</li>
-                <li>fireAdjustedWidth = 165 mm</li>
-                <li>fireAdjustedDepth = 375 + 42 = 417 mm</li>
-                <li>Final size (from standard sizes): 165 mm × 410 mm</li>
+                <li>fireAllowance = 0.7 * 60 + 7 = 49 mm</li>
+                <li>First candidate: 165 mm × 270 mm, checked as 165 mm × 221 mm</li>
+                <li>G = 0.26 kN/m, Q = 1.6 kN/m</li>
+                <li>Bending: M* = 6.87 kNm, φMd = 30.1 kNm (23%)</li>
+                <li>Shear: V* = 6.11 kN, φVd = 69.4 kN (9%)</li>
+                <li>Short-term deflection: 3.7 mm ≤ 15.0 mm (25%)</li>
+                <li>Long-term deflection: 2.0 × 2.4 = 4.9 mm ≤ 18.0 mm (27%)</li>
+                <li>Vibration: f1 = 28.5 Hz ≥ 8 Hz (28%), δ1kN = 0.53 mm ≤ 1.5 mm (35%)</li>
+                <li>Final size (from standard sizes): 165 mm × 270 mm, governed by the 1 kN point load deflection</li>
               </ol>
             </div>
             
@@ -293,51 +332,33 @@ export default function CalculationMethodologyPage() {
             </p>
             <ol className="list-decimal pl-5 mb-4 space-y-2">
               <li>
-                <strong>Calculate tributary width:</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">tributaryWidth = joistSpacing</code><br />
-                <span className="text-sm text-gray-600">Example: For joists spaced at 800mm, tributaryWidth = 0.8m</span>
-              </li>
-              <li>
-                <strong>Calculate load per meter:</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">loadPerMeter = load * tributaryWidth</code><br />
-                <span className="text-sm text-gray-600">Example: For a load of 3.0 kPa and tributary width of 0.8m, loadPerMeter = 3.0 * 0.8 = 2.4 kN/m</span>
-              </li>
-              <li>
-                <strong>Calculate total distributed load:</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">totalDistributedLoad = loadPerMeter * span</code><br />
-                <span className="text-sm text-gray-600">Example: For a load per meter of 2.4 kN/m and span of 6.0m, totalDistributedLoad = 2.4 * 6.0 = 14.4 kN</span>
-              </li>
-              <li>
-                <strong>Convert span to millimeters:</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">spanMm = span * 1000</code><br />
-                <span className="text-sm text-gray-600">Example: For a 6.0m span, spanMm = 6000 mm</span>
+                <strong>Calculate tributary width from the adjacent joist spans:</strong><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">tributaryWidth = (joistSpanBefore + joistSpanAfter) / 2</code><br />
+                <span className="text-sm text-gray-600">Example: For an interior beam between two 6.0m joist bays, tributaryWidth = (6.0 + 6.0) / 2 = 6.0m. An edge beam carries half of one joist span.</span>
               </li>
               <li>
-                <strong>Calculate theoretical width:</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">theoreticalWidth = Math.max(65, Math.ceil(spanMm / 25))</code><br />
-                <span className="text-sm text-gray-600">Example: For a 6.0m span, theoreticalWidth = Math.max(65, Math.ceil(6000 / 25)) = Math.max(65, 240) = 240 mm</span>
+                <strong>Calculate the line loads on the beam:</strong><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">G = floorDeadLoad * tributaryWidth + beamSelfWeight</code><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">Q = load * tributaryWidth</code><br />
+                <span className="text-sm text-gray-600">Example: For a load of 3.0 kPa and tributary width of 6.0m, Q = 3.0 * 6.0 = 18.0 kN/m. The floor dead load is the joist self-weight divided by the joist spacing.</span>
               </li>
               <li>
-                <strong>Calculate theoretical depth:</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">theoreticalDepth = Math.max(240, Math.ceil(spanMm / 12))</code><br />
-                <span className="text-sm text-gray-600">Example: For a 6.0m span, theoreticalDepth = Math.max(240, Math.ceil(6000 / 12)) = Math.max(240, 500) = 500 mm</span>
-              </li>
-              <li>
-                <strong>Calculate fire resistance allowance (if applicable):</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">fireAllowance = calculateFireResistanceAllowance(fireRating)</code><br />
-                <span className="text-sm text-gray-600">Example: For a 60-minute fire rating with MASSLAM SL33 charring rate of 0.7 mm/min, fireAllowance = 0.7 * 60 = 42 mm</span>
+                <strong>Check each catalogue beam, lightest first, to AS 1720.1:</strong><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">M* ≤ φ·k1·k4·k6·k9·f&apos;b·Z</code> (moment)<br />
+                <code className="bg-gray-100 px-2 py-1 rounded">V* ≤ φ·k1·k4·k6·f&apos;s·As</code> (shear)<br />
+                <code className="bg-gray-100 px-2 py-1 rounded">δ(G + ψs·Q) ≤ L ÷ 300, j2·δ(G + ψl·Q) ≤ L ÷ 250</code> (deflection)<br />
+                <code className="bg-gray-100 px-2 py-1 rounded">R* ≤ φ·k1·f&apos;p·b·lb</code> (bearing at supports, lb = 100 mm, k7 at interior supports)<br />
+                <code className="bg-gray-100 px-2 py-1 rounded">M* ≤ k12·φ·k1·k4·k6·k9·f&apos;b·Z</code> (lateral-torsional buckling)<br />
+                <span className="text-sm text-gray-600">The joists restrain the compression edge at their spacing, so S1 = 1.25 × (d/b) × √(joistSpacing/d) and k12 follows from ρb·S1.</span>
               </li>
               <li>
-                <strong>Add fire resistance allowance to dimensions:</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">fireAdjustedWidth = theoreticalWidth + (2 * fireAllowance)</code><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">fireAdjustedDepth = theoreticalDepth + fireAllowance</code><br />
-                <span className="text-sm text-gray-600">Example: For a 240 mm width and 500 mm depth with 42 mm allowance, fireAdjustedWidth = 240 + (2 * 42) = 324 mm, fireAdjustedDepth = 500 + 42 = 542 mm</span>
+                <strong>Check the fire limit state (if applicable):</strong><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">residualWidth = width - leftAllowance - rightAllowance</code><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">residualDepth = depth - topAllowance - bottomAllowance</code><br />
+                <span className="text-sm text-gray-600">The checks above use the gross section. By default beams are exposed on the bottom and both sides with the floor shielding the top, and the section net of the allowance on those faces is checked in bending and shear under G + ψl·Q with the fire factors below.</span>
               </li>
               <li>
-                <strong>Find nearest available standard size:</strong><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">width = findNearestWidth(fireAdjustedWidth)</code><br />
-                <code className="bg-gray-100 px-2 py-1 rounded">depth = findNearestDepth(width, fireAdjustedDepth)</code><br />
-                <span className="text-sm text-gray-600">Example: For a 324 mm adjusted width and 542 mm adjusted depth, the nearest standard size from masslam_sizes.csv would be 335 mm width and 550 mm depth</span>
+                <strong>Select the lightest section where every check passes</strong>
               </li>
             </ol>
             
@@ -347,69 +368,270 @@ export default function CalculationMethodologyPage() {
               <ul className="list-disc pl-5 mb-2">
                 <li>Span: 6.0m</li>
                 <li>Load: 3.0 kPa</li>
-                <li>Joist Spacing: 0.8m</li>
+                <li>Adjacent joist spans: 6.0m and 6.0m (165 × 270 mm joists at 0.8m)</li>
                 <li>Timber Grade: MASSLAM_SL33</li>
-                <li>Fire Rating: 60 minutes</li>
+                <li>Fire Rating: None</li>
               </ul>
               <p className="mb-2">Calculation steps:</p>
               <ol className="list-decimal pl-5 mb-2 text-sm">
-                <li>tributaryWidth = joistSpacing = 0.8m</li>
-                <li>loadPerMeter = load * tributaryWidth = 3.0 * 0.8 = 2.4 kN/m</li>
-                <li>totalDistributedLoad = loadPerMeter * span = 2.4 * 6.0 = 14.4 kN</li>
-                <li>spanMm = 6.0 * 1000 = 6000 mm</li>
-                <li>theoreticalWidth = Math.max(65, Math.ceil(6000 / 25)) = 240 mm</li>
-                <li>theoreticalDepth = Math.max(240, Math.ceil(6000 / 12)) = 500 mm</li>
-                <li>fireAllowance = 0.7 * 60 = 42 mm</li>
-                <li>fireAdjustedWidth = 240 + (2 * 42) = 324 mm</li>
-                <li>fireAdjustedDepth = 500 + 42 = 542 mm</li>
-                <li>Final size (from standard sizes): 335 mm × 550 mm</li>
+                <li>tributaryWidth = (6.0 + 6.0) / 2 = 6.0m</li>
+                <li>G = 0.33 kPa * 6.0 + 0.60 = 2.57 kN/m (250 × 410 mm beam)</li>
+                <li>Q = 3.0 * 6.0 = 18.0 kN/m</li>
+                <li>Moment: M* = 135.4 kNm, φMd = 157.2 kNm (86%)</li>
+                <li>Shear: V* = 90.3 kN, φVd = 195.2 kN (46%)</li>
+                <li>Deflection: 13.4 mm ≤ 20.0 mm short-term (67%), 17.3 mm ≤ 24.0 mm long-term (72%)</li>
+                <li>Bearing: R* = 90.3 kN, φNp = 170.0 kN (53%)</li>
+                <li>Lateral-torsional buckling: k12 = 1.0 (86%)</li>
+                <li>Final size (from standard sizes): 250 mm × 410 mm, governed by moment</li>
               </ol>
             </div>
             
             <h3 className="text-lg font-medium mt-6 mb-2">Column Size Calculation</h3>
             <p className="mb-4">
-              The column size calculation follows these steps:
+              Columns are designed storey by storey to AS 1720.1, working down from the top level:
             </p>
             <ol className="list-decimal pl-5 mb-4 space-y-2">
               <li>
-                <strong>Width Matching:</strong> Column width matches the supporting beam width for proper connection.
+                <strong>Collect the beam reactions at each level:</strong><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">G = floorDeadLoad * tributaryArea + beamSelfWeight</code><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">Q = load * tributaryArea</code><br />
+                <span className="text-sm text-gray-600">The level load is shared between the beams framing into the column (two for an interior column).</span>
               </li>
               <li>
-                <strong>Tributary Area Calculation:</strong> The area supported by each column is calculated based on the bay dimensions.
+                <strong>Accumulate the axial load down the building:</strong><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">N* = Σ (1.2G + 1.5Q) + 1.2 * columnSelfWeight</code><br />
+                <span className="text-sm text-gray-600">1.35G is also checked with k1 = 0.57; its beam reactions are balanced so it only adds axial load.</span>
               </li>
               <li>
-                <strong>Load Accumulation:</strong> Total load is calculated as the floor load (kPa) multiplied by the tributary area (m²) and the number of floors.
+                <strong>Calculate the unbalanced moment from eccentric beam reactions:</strong><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">M* = e * (R*max - 1.2G of the opposite beam), e = d / 2</code><br />
+                <span className="text-sm text-gray-600">This is the pattern case with imposed load on one side only. A single beam applies its full reaction at the face.</span>
               </li>
               <li>
-                <strong>Progressive Sizing:</strong> Column depth increases with additional floors (50mm per additional floor).
+                <strong>Check slenderness about both axes:</strong><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">S3 = Lax / d, S4 = Lay / b</code><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">ρc = 11.39 * (E05 / f&apos;c)^-0.408 * r^-0.074</code><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">k12 = 1.0 (ρc·S ≤ 10), 1.5 - 0.05·ρc·S (≤ 20), 200 / (ρc·S)² (&gt; 20)</code>
               </li>
               <li>
-                <strong>Minimum Proportions:</strong> Column depth is always at least equal to its width (square minimum).
+                <strong>Check compression and combined actions (Clause 3.5.1):</strong><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">N* ≤ φ·k1·k4·k6·k12·f&apos;c·A</code><br />
+                <code className="bg-gray-100 px-2 py-1 rounded">(M* / φMdx)² + N* / φNdcx ≤ 1 and M* / φMdx + N* / φNdcy ≤ 1</code>
               </li>
               <li>
-                <strong>Standard Size Adjustment:</strong> Final dimensions are adjusted to the nearest available MASSLAM sizes.
+                <strong>Apply the fire resistance allowance:</strong> by default columns are exposed on all four faces, so both dimensions are reduced by the allowance on each face before checking. A column face against a wall of the same rating can be set as shielded.
+              </li>
+              <li>
+                <strong>Select the lightest catalogue column, at least as wide as the beam, that passes at every storey</strong>
               </li>
             </ol>
-            
+
+            <h3 className="text-lg font-medium mt-6 mb-2">Span Conditions and Cantilevers</h3>
+            <p className="mb-4">
+              Joists and beams can run as simple spans or continuously over their supports. A continuous run of two spans uses the two-span coefficients, and a run of three or more uses the end-span coefficients of a three-span beam. End spans next to a perimeter cantilever are designed as a cantilever with backspan. Coefficients assume uniform load on every span:
+            </p>
+            <div className="overflow-x-auto mb-4">
+              <table className="min-w-full bg-white border border-gray-200 text-sm">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="py-2 px-3 border-b text-left">Condition</th>
+                    <th className="py-2 px-3 border-b text-left">M* / wL²</th>
+                    <th className="py-2 px-3 border-b text-left">V* / wL</th>
+                    <th className="py-2 px-3 border-b text-left">δ / (wL⁴/EI)</th>
+                    <th className="py-2 px-3 border-b text-left">Reactions / wL</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr><td className="py-2 px-3 border-b">Simply supported</td><td className="py-2 px-3 border-b">1/8</td><td className="py-2 px-3 border-b">1/2</td><td className="py-2 px-3 border-b">5/384</td><td className="py-2 px-3 border-b">1/2, 1/2</td></tr>
+                  <tr><td className="py-2 px-3 border-b">Two-span continuous</td><td className="py-2 px-3 border-b">1/8 (hogging)</td><td className="py-2 px-3 border-b">5/8</td><td className="py-2 px-3 border-b">1/185</td><td className="py-2 px-3 border-b">3/8 end, 5/8 each side of the centre support</td></tr>
+                  <tr><td className="py-2 px-3 border-b">Multi-span continuous</td><td className="py-2 px-3 border-b">1/10 (hogging)</td><td className="py-2 px-3 border-b">0.6</td><td className="py-2 px-3 border-b">0.0069</td><td className="py-2 px-3 border-b">0.4 end, 0.6 each side of interior supports</td></tr>
+                  <tr><td className="py-2 px-3 border-b">Cantilever with backspan (λ = a/L)</td><td className="py-2 px-3 border-b">max(1/8, λ²/2)</td><td className="py-2 px-3 border-b">max(1/2 + λ²/2, λ)</td><td className="py-2 px-3 border-b">5/384 over L; λ³(4 + 3λ)/24 at the tip over 2a</td><td className="py-2 px-3 border-b">1/2 − λ²/2 back, 1/2 + λ²/2 + λ at the root</td></tr>
+                </tbody>
+              </table>
+            </div>
+            <p className="mb-4">
+              The reactions of the joists set the load on the beams, and the reactions of the beams set the load on the columns, so continuity and cantilevers increase the load on the first interior and root supports. The cantilever tip deflection is limited over twice the cantilever length. Floor vibration is still checked as a single span, which is conservative for continuous joists. Joists cantilever beyond the edge beams at the joist ends; on the other sides the end beam segments cantilever beyond the edge columns and carry a widened edge strip of joists.
+            </p>
+
+            <h3 className="text-lg font-medium mt-6 mb-2">Member Schedule</h3>
+            <p className="mb-4">
+              Every member on the grid is designed for its own span and loads rather than for the largest bay:
+            </p>
+            <ul className="list-disc pl-6 mb-4">
+              <li>The joists of each bay (A1, B1, ...) are sized for that bay's joist span.</li>
+              <li>Each beam segment on a grid line (e.g. B/1-2) carries half of the joist span of the bay on either side, including the self-weight of those joists.</li>
+              <li>Each column at a grid intersection carries the end reactions of the beam segments framing into it on every floor, and is at least as wide as the widest of those beams. Its tributary area is half of the adjacent bay widths in each direction, so corner columns carry about a quarter and edge columns about half of an interior column's floor area on a regular grid.</li>
+            </ul>
+            <p className="mb-4">
+              Members of the same kind and size are grouped into types (J1, B1, C1, ...) in the member schedule, with their count, total length, largest span and highest utilisation. Timber volume, weight, carbon and cost are summed from the actual size of every member, with joists costed per m³ at the rate of each size. The column schedule lists every column by grid reference (A1 is the column at the top-left corner of bay A1) with its position (corner, edge or interior), tributary area and base load.
+            </p>
+
+            <h3 className="text-lg font-medium mt-6 mb-2">Applied Loads</h3>
+            <p className="mb-4">
+              Point loads (kN), line loads (kN/m) and area load zones (kPa) can be placed on any bay, on every floor or on chosen levels. Each is permanent (G) or imposed (Q) and is combined with the floor loads of the same kind:
+            </p>
+            <ul className="list-disc pl-6 mb-4">
+              <li>An area load zone (plant room, storage, compactus) adds its pressure to the floor loads of every joist in the bay.</li>
+              <li>A line load across the joists loads every joist at one point with the line load times the joist spacing.</li>
+              <li>A point load, or a line load along the joists, is carried by the joist under it, which is designed individually and listed in the member schedule by bay and load (e.g. B1 (L1)).</li>
+              <li>The joist reactions of point and line loads are carried by the beams as point loads at their position, and the beam reactions by the columns level by level.</li>
+            </ul>
             <div className="bg-gray-100 p-3 rounded mb-4">
               <pre className="font-mono text-sm whitespace-pre-wrap">
-{`// Calculate tributary area for the column
-tributaryArea = bayLength * bayWidth
+{`Bending and deflection take point loads as the uniform load giving the same simply supported moment:
+w_eq = Σ 8 · P · a · (L - a) / L³
+Reactions:  R_start = Σ P · (L - a) / L    R_end = Σ P · a / L
+Shear and bearing take the uniform load without w_eq plus the point load end shear:
+V* = c_v · w · L + k_c · max(R_start, R_end)
+where a is the distance of each point load P from the start support, c_v the shear
+coefficient of the span condition and k_c = c_v / 0.5 for continuous spans, 1 otherwise`}
+              </pre>
+            </div>
 
-// Calculate load based on tributary area and number of floors
-loadPerFloor = floorLoad * tributaryArea  // kN per floor
-totalLoad = loadPerFloor * numberOfFloors  // Total kN
+            <h3 className="text-lg font-medium mt-6 mb-2">Floor Stack</h3>
+            <p className="mb-4">
+              Each level can have its own occupancy and imposed load, superimposed dead load, floor-to-floor height, fire rating and floor build-up; levels that are not changed follow the structure configuration. Joists and beams are designed level by level, and the combination factors ψs and ψl of each level are used for its serviceability checks. An optional roof level above the top floor takes its loads from the roof type:
+            </p>
+            <ul className="list-disc pl-6 mb-4">
+              <li>Non-trafficable roof: Q = 0.25 kPa (AS/NZS 1170.1 Table 3.2), SDL 0.5 kPa, ψl = 0, no footfall vibration check.</li>
+              <li>Trafficable roof terrace: Q = 1.5 kPa, SDL 1.5 kPa for pavers.</li>
+              <li>Green roof: Q = 1.5 kPa, SDL 3.0 kPa for saturated soil.</li>
+            </ul>
 
-// Size the column based on load
-initialDepth = columnWidth
-let depth = initialDepth
-if (floors > 1) {
-  depth += (floors - 1) * 50
-}
-depth = max(depth, width) // Ensure minimum square proportion`}
+            <h3 className="text-lg font-medium mt-6 mb-2">Connections</h3>
+            <p className="mb-4">
+              Every joist-to-beam and beam-to-column interface gets a connection from the library, sized for the largest end reaction over the levels under the strength combination that needs the most capacity for its k1. Connections use φ = 0.7, the joint group (JD4 for MASSLAM SL33) and the bearing strengths f'j and f'j90 of the grade:
+            </p>
+            <ul className="list-disc pl-6 mb-4">
+              <li>Self-tapping screws: crossed fully threaded screws at 45° carry the reaction in withdrawal, with the withdrawal strength of the joint group over half of the screw length and n^0.9 effective screws. The longest screw that fits the member depth is used, and the screws are spaced at 5d with 4d edge distances, which sets the minimum member width.</li>
+              <li>Concealed steel hanger: the smallest hanger whose rated capacity and dowels carry the reaction. The dowels bear on the timber perpendicular to grain (f'j90) in two shear planes over up to 5 dowel diameters either side of the plate slot. Each hanger needs a minimum member width and depth.</li>
+              <li>Bolted steel side plates: bolts bear perpendicular to grain (f'j90) over the member width, limited to 10 bolt diameters, with k16 = 1.2 for steel side plates. Up to four bolt columns with rows at 4d, a 4d loaded edge and a 2d unloaded edge set the minimum member depth.</li>
+              <li>Steel bearing seat: the shortest seat (75 to 200mm) that carries the reaction in bearing perpendicular to grain, fixed to the supporting member with M12 coach screws at the lateral capacity of the joint group with k16 = 1.2.</li>
+            </ul>
+            <p className="mb-4">
+              Where a connection needs a wider or deeper member than the one designed, the smallest catalogue section that fits is reported as the size change the connection forces.
+            </p>
+            <p className="mb-4">
+              With an FRL, each connection is also checked in fire at the FRL and ψl of its level, with the exposure, linings and grade of its supported member. The timber cover to the steel on each charring side and bottom face must be at least the char depth plus the 7mm zero-strength layer of that face: screws have a 4d edge cover, a concealed hanger the member width less its 12mm slot either side and the depth below its plate, while side plates and seats are steel on the outside of the member. Screw heads and dowel ends are covered by glued timber plugs (EN 1995-1-2 clause 6.2.1):
+            </p>
+            <div className="bg-gray-100 p-3 rounded mb-4">
+              <pre className="font-mono text-sm whitespace-pre-wrap">
+{`cover ≥ dchar + 7 mm on each charring face
+a_fi = kflux · β · (t_req − t_fi) ≤ side cover   (plug depth, kflux = 1.5)
+R_fi = min(kfi · η · R_k, φR_steel),  η = 1 when the cover and plugs are enough,
+       otherwise η = e^(−k·t_req), 0 beyond the valid period
+t_fi, k: screws 15 min, 0.08; hanger dowels 20 min, 0.085;
+         bolts 15 min, 0.085; seat coach screws 15 min, 0.08`}
               </pre>
             </div>
-            
+            <p className="mb-4">
+              R_k is the timber part of the strength design capacity without φ and k1, and φR_steel the capacity of a concealed hanger's steel, which is not reduced as the steel stays cold behind its cover. The check is made for the reaction under G + ψl·Q. A connection whose steel lacks the cover, whose plugs do not fit in the side cover over its fasteners, or whose fire capacity is less than this reaction, cannot achieve the FRL without extra protection, such as a lining over the connection or more cover, and is flagged in the connection schedule.
+            </p>
+
+            <h3 className="text-lg font-medium mt-6 mb-2">Bearing at Supports</h3>
+            <p className="mb-4">
+              Bearing perpendicular to grain is checked where every joist sits on its beam and every beam sits on its column head, for each level and strength combination:
+            </p>
+            <div className="bg-gray-100 p-3 rounded mb-4">
+              <pre className="font-mono text-sm whitespace-pre-wrap">
+{`Np = φ · k1 · k7 · f'p · b · lb
+k7 = 1.85 (12mm), 1.6 (25mm), 1.3 (50mm), 1.15 (75mm), 1.1 (125mm), 1.0 (150mm and over)`}
+              </pre>
+            </div>
+            <ul className="list-disc pl-6 mb-4">
+              <li>Beams bear over the column depth, shared equally between two beams that butt over an internal column. The bearing width is the narrower of the beam and the column.</li>
+              <li>Joists bear over the beam width, shared equally between the joists of the bays either side. Loaded joists add their point load reactions.</li>
+              <li>Members continuous over a support, or cantilevering beyond it, bear over the full support with the reactions of both sides. They take k7 because the bearing is away from the member end; end bearings use k7 = 1.</li>
+            </ul>
+            <p className="mb-4">
+              Where a bearing fails, the smallest wider catalogue section of the same depth or deeper that passes is recommended, limited to the column width for beams. Otherwise a steel bearing plate is recommended, in 10mm steps of length, and the reason is shown with the member results.
+            </p>
+
+            <h3 className="text-lg font-medium mt-6 mb-2">CLT Floor Panels</h3>
+            <p className="mb-4">
+              As an alternative to joists, CLT panels in the MASSLAM CLT90 grade span between the beams in the joist direction. Each bay is designed as a one meter strip with the same loads, span condition and applied loads as a joist, and the thinnest layup from 90mm (3-layer) to 280mm (7-layer) that passes every check is selected. Only the layers along the span carry bending; the cross layers carry rolling shear:
+            </p>
+            <div className="bg-gray-100 p-3 rounded mb-4">
+              <pre className="font-mono text-sm whitespace-pre-wrap">
+{`EI_eff = E · Σ (b·tᵢ³/12 + b·tᵢ·zᵢ²)           (longitudinal layers)
+GA_eff = a² / [t₁/(2G·b) + Σ tᵢ/(Gᵢ·b) + tₙ/(2G·b)]   (Gᵢ = G_r in cross layers)
+Md = φ·k1·f'b·EI_eff/(E·z_max)
+Vr = φ·k1·f'r·I_eff·b/Q                        (Q at each cross layer)
+δ = δ_bending · (1 + 9.6·EI_eff/(GA_eff·L²))`}
+              </pre>
+            </div>
+            <ul className="list-disc pl-6 mb-4">
+              <li>With a fire rating the panel chars from the underside only, and the residual layers are checked in bending, rolling shear and shear under G + ψl·Q with the fire factors; the ambient checks use the full layup.</li>
+              <li>Footfall vibration is checked on the gross layup with the same criteria as joist floors. A topping is carried as dead load, without composite action.</li>
+              <li>Beams under CLT panels are taken as continuously restrained, and the panels bear directly on the beams with no joist-to-beam connection.</li>
+              <li>Each bay is laid out with the widest catalogue panels (3000mm), and the remainder is cut from the narrowest panel that covers it.</li>
+              <li>Panels are costed at the CLT rate per m³, so their volume, cost and carbon compare directly with a joisted floor.</li>
+            </ul>
+
+            <h3 className="text-lg font-medium mt-6 mb-2">Member Grades</h3>
+            <p className="mb-4">
+              Joists, beams and columns each take their own grade: MASSLAM SL33, GL17, GL21 or LVL14. Every grade has its own properties CSV in the same format as MASSLAM_SL33_Mechanical_Properties.csv, with its embodied carbon and its cost relative to SL33. These two values are assumptions, marked as such in the Source column of each CSV, until they are replaced with the manufacturer's EPD and supplier prices. Each member is designed, charred and weighed in its own grade, and costed at the timber rate times the relative cost of its grade. The carbon saving is the biogenic carbon stored in the timber to EN 16449 (half the oven-dry weight of every member as carbon, with the mean densities taken at 12% moisture) less the embodied carbon of every member in its grade and of the floor topping.
+            </p>
+            <ul className="list-disc pl-6 mb-4">
+              <li>Connections use the joint group and bearing strengths of the supported member.</li>
+              <li>Joists bearing on beams use the grade weaker in bearing perpendicular to grain; beams bearing on column heads use the beam grade.</li>
+              <li>Braced bays and shear walls use the column grade.</li>
+            </ul>
+
+            <h3 className="text-lg font-medium mt-6 mb-2">Scheme Optimisation</h3>
+            <p className="mb-4">
+              The scheme optimiser designs the whole structure for every combination of joist direction and joist spacing (400, 600, 800, 1000 and 1200 mm), keeping all other inputs. Optionally it also varies the number of bays in each direction with equal bays, from the fewest that keep within the 9m maximum bay span to two more.
+            </p>
+            <ul className="list-disc pl-6 mb-4">
+              <li>Cost uses the timber rates per m³ of each member, so closer or larger joists cost more.</li>
+              <li>Timber volume is the sum of every designed member.</li>
+              <li>Embodied carbon is the volume of each grade times its cradle-to-gate carbon (0.15 tCO2e per m³ for SL33), excluding the carbon stored in the timber, plus the floor topping.</li>
+            </ul>
+            <p className="mb-4">
+              Schemes where every member passes rank ahead of failing ones, then by the chosen measure, lowest first. Applying a scheme sets the joist direction, the spacing and, for another grid, equal bays; applied loads and lateral elements stay on their bay and grid references.
+            </p>
+
+            <h3 className="text-lg font-medium mt-6 mb-2">Wind Loads and Lateral System</h3>
+            <p className="mb-4">
+              Wind actions follow AS/NZS 1170.2 for the wind region and terrain category of the site, with the regional speed VR for importance level 2 (R = 500 years at the ultimate limit state, R = 25 years for serviceability) and Md = Ms = Mt = Cdyn = 1:
+            </p>
+            <div className="bg-gray-100 p-3 rounded mb-4">
+              <pre className="font-mono text-sm whitespace-pre-wrap">
+{`Vsit,z = VR · Mz,cat          (Mz,cat interpolated from Table 4.1(B))
+p = 0.5 · ρair · Vsit² · Cp,e     (ρair = 1.2 kg/m³)
+Windward wall  Cp,e = 0.8 at the height of each level
+Leeward wall   Cp,e = -0.5 to -0.2 from d/b, at roof height
+F_level = (p_windward + |p_leeward|) · b · (h_below + h_above) / 2
+V_storey = Σ F of the levels above the storey`}
+              </pre>
+            </div>
+            <p className="mb-4">
+              Wind along the building length loads the end faces (b = building width) and is resisted by elements on the numbered grid lines; wind across the building loads the long faces and is resisted by elements on the lettered grid lines. The floors act as rigid diaphragms that share each storey shear between the elements in proportion to their stiffness; torsion from an eccentric layout is not included.
+            </p>
+            <ul className="list-disc pl-6 mb-4">
+              <li>Braced bay: a single MASSLAM diagonal across the grid segment, sized from the column sections for the compression (with k12 over the diagonal length) and tension in the brace, with k1 = 1.0 for wind. Its stiffness is EA/L in series with two end connections of 40 kN/mm, times cos²θ. The overturning force in the columns at each end of the bay is reported.</li>
+              <li>CLT shear wall: the shear per metre is checked against the capacity of the panel-to-floor connections, and the hold-down at the wall end against the overturning moment less 0.9 times the restoring moment of the wall self-weight. Its stiffness combines panel bending and shear, connection slip and rocking on the hold-downs.</li>
+            </ul>
+            <p className="mb-4">
+              Inter-storey drift under the serviceability wind is limited to h/500.
+            </p>
+
+            <h3 className="text-lg font-medium mt-6 mb-2">Earthquake (Equivalent Static Analysis)</h3>
+            <p className="mb-4">
+              Earthquake actions follow the equivalent static method of AS 1170.4 Section 6 for importance level 2 (kp = 1.0), the hazard factor Z of the site, its sub-soil class and the ductility of the lateral system. The seismic weight of each level is the timber weight of its joists and beams and half of the columns above and below it, from the designed member sizes, plus the permanent, superimposed dead and build-up loads on the floor area and ψE times the imposed load (ψE = 0.3 for floors, 0.6 for storage and 0 for roofs).
+            </p>
+            <div className="bg-gray-100 p-3 rounded mb-4">
+              <pre className="font-mono text-sm whitespace-pre-wrap">
+{`T1 = 1.25 · 0.05 · hn^0.75
+V = kp·Z · Ch(T1) · Sp/μ · Wt      (kp·Z not less than 0.08)
+Fi = Wi · hi^k / Σ Wj · hj^k · V    (k = 1 for T1 ≤ 0.5s, 2 for T1 ≥ 2.5s)
+Design drift = elastic drift · μ/Sp ≤ 1.5% of the storey height`}
+              </pre>
+            </div>
+            <p className="mb-4">
+              The spectral shape factor Ch(T1) is taken from Table 6.4 for sub-soil classes Ae to Ee, and μ and Sp from Table 6.5(B): μ = 3, Sp = 0.67 for timber shear walls, μ = 2, Sp = 0.77 for braced frames with ductile connections and μ = 1, Sp = 0.77 for other timber systems. The same storey shears act along and across the building, and are resisted by the braced bays and shear walls placed for wind, checked in the same way with k1 = 1.0. The lateral case, wind or earthquake, with the higher utilisation governs each direction; a direction without elements is governed by the larger base shear.
+            </p>
+
             <h3 className="text-lg font-medium mt-6 mb-2">Fire Resistance Calculation</h3>
             <p className="mb-4">
               Fire resistance is calculated based on the charring rate of MASSLAM SL33 timber:
@@ -425,7 +647,66 @@ requiredMinutes = fire rating in minutes (e.g., 30, 60, 90, 120)`}
             <p className="mb-4">
               This fire allowance is added to the dimensions of the structural members to ensure they maintain their structural integrity for the required fire rating period.
             </p>
-            
+            <p className="mb-4">
+              Charring is applied face by face from the exposure of each face of the joists (or CLT panels), beams and columns:
+            </p>
+            <ul className="list-disc pl-5 mb-4">
+              <li><strong>Exposed:</strong> chars from the start of the fire, allowance = charringRate × t + 7 mm</li>
+              <li><strong>Plasterboard:</strong> behind the plasterboard lining chosen for the project, by default 1 × 16 mm fire-grade plasterboard</li>
+              <li><strong>Encapsulated:</strong> behind the encapsulation chosen for the project, by default 2 × 16 mm fire-grade plasterboard</li>
+              <li><strong>Shielded:</strong> against a floor or wall of at least the same rating, no charring</li>
+            </ul>
+            <p className="mb-4">
+              Behind a lining the char depth is stepped through time in 0.1 minute steps (EN 1995-1-2 clause 3.4.3):
+            </p>
+            <div className="bg-gray-100 p-3 rounded mb-4">
+              <pre className="font-mono text-sm whitespace-pre-wrap">
+{`t < tch             no charring
+tch ≤ t < tf        rate = k2 · charringRate     (k2 = 1 − 0.018·hp)
+t ≥ tf, dchar < 25  rate = k3 · charringRate     (k3 = 2, the lining has fallen off)
+t ≥ tf, dchar ≥ 25  rate = charringRate
+allowance = dchar + 7 mm (when the face has charred)
+where tch = 2.8·hp − 14, hp = outer layer + half the inner layers,
+tf = failure time of the lining from the lining library`}
+              </pre>
+            </div>
+            <p className="mb-4">
+              For example, at 120 minutes an exposed face loses 0.7 × 120 + 7 = 91 mm, and a face behind 2 × 16 mm fire-grade plasterboard (tch = 53 min, tf = 80 min, k2 = 0.57) loses 45.9 + 7 = 52.9 mm. The calculator reports the section each member would need without its linings for the same residual section, the timber volume this saves and the board area to line the faces, the lined face area times the number of layers.
+            </p>
+            <p className="mb-4">
+              The defaults are joists exposed on the bottom only, beams on the bottom and both sides, and columns on all four faces. The residual width is the width less the left and right allowances, and the residual depth the depth less the top and bottom allowances; the cross-sections view shades the char layer on each face.
+            </p>
+            <p className="mb-4">
+              Every joist, beam, CLT panel and column the calculator designs, and the section on the fire resistance page, is checked at the fire limit state, while the ambient checks use the gross section. The residual section, less the char depth and a 7mm zero-strength layer on each face, carries the fire combination G + ψl·Q (AS/NZS 1170.0 clause 4.2.4). The fire is a short, rare event, so the capacity and duration factors are 1.0, and kfi = 1.15 raises the 5th percentile strengths to the 20% fractile of glulam (EN 1995-1-2):
+            </p>
+            <div className="bg-gray-100 p-3 rounded mb-4">
+              <pre className="font-mono text-sm whitespace-pre-wrap">
+{`w_fi = G + ψl·Q
+M_fi = c_m·w_fi·L² ≤ kfi·f'b·Z_r         (joists and beams)
+V_fi = c_v·w_fi·L  ≤ kfi·f's·(2/3)·b_r·d_r
+N_fi = G + ψl·Q  ≤ kfi·k12·f'c·b_r·d_r   (columns, k12 from the residual section)
+where b_r, d_r = residual width and depth, Z_r = b_r·d_r²/6, c_m and c_v the
+coefficients of the span condition (1/8 and 1/2 on a simple span), with the point
+load end shear added to V_fi as in the ambient shear check`}
+              </pre>
+            </div>
+            <p className="mb-4">
+              The utilisation of each check is reported; a section charred through fails.
+            </p>
+            <p className="mb-4">
+              The notional charring rate βn = 0.7 mm/min allows for corner rounding and keeps the residual section rectangular. With the one-dimensional rate β0 = βn × 0.65/0.7 the faces char more slowly, but each corner between two charring faces is rounded with a radius equal to the char depth (EN 1995-1-2 clause 3.4.2). The residual section is the rounded char line moved in by the 7mm zero-strength layer, and its properties are taken from the polygon of the outline:
+            </p>
+            <div className="bg-gray-100 p-3 rounded mb-4">
+              <pre className="font-mono text-sm whitespace-pre-wrap">
+{`r = min(dchar,1, dchar,2)       (corner between faces 1 and 2)
+A   = Σ (xi·yi+1 − xi+1·yi) / 2
+Ix  = Σ (xi·yi+1 − xi+1·yi)(yi² + yi·yi+1 + yi+1²) / 12 − A·ȳ²
+Iy  = Σ (xi·yi+1 − xi+1·yi)(xi² + xi·xi+1 + xi+1²) / 12 − A·x̄²
+Zx  = Ix / max|y − ȳ|,  Zy = Iy / max|x − x̄|
+Z_r = Zx, shear area = 2/3·A, column capacity on A`}
+              </pre>
+            </div>
+
             <div className="mt-4 p-3 bg-blue-50 rounded border border-blue-200">
               <h3 className="text-md font-medium text-blue-800 mb-2">Verification of Calculations</h3>
               <p className="text-sm text-blue-700">
@@ -460,12 +741,24 @@ requiredMinutes = fire rating in minutes (e.g., 30, 60, 90, 120)`}
             
             <h3 className="text-lg font-medium mt-6 mb-2">Load Duration Factors</h3>
             <p className="mb-4">
-              Adjust strength based on load duration:
+              Strength is reduced by k1 (AS 1720.1 Table 2.3) for the duration of the load in each combination:
             </p>
             <ul className="list-disc pl-5 mb-4">
-              <li>1.0 - Short-term loads (e.g., wind, snow)</li>
-              <li>0.8 - Medium-term loads (e.g., live loads)</li>
-              <li>0.6 - Long-term loads (e.g., permanent loads)</li>
+              <li>1.0 - 5 seconds (wind and earthquake)</li>
+              <li>0.97 - 5 hours (roof maintenance)</li>
+              <li>0.94 - 5 days (roof construction load)</li>
+              <li>0.8 - 5 months (floor imposed loads)</li>
+              <li>0.57 - Permanent (dead load alone, storage and plant)</li>
+            </ul>
+            
+            <h3 className="text-lg font-medium mt-6 mb-2">Service Classes</h3>
+            <p className="mb-4">
+              The moisture service class of the building sets the partial seasoning factor k4 on every strength capacity (members, bearing and braces) and the creep factor j2 on the long-term deflection and column shortening. Timber that stays damp in service is weaker and creeps more:
+            </p>
+            <ul className="list-disc pl-5 mb-4">
+              <li>Service class 1 - enclosed and conditioned, moisture content at or below 15%: k4 = 1.0, j2 = 2.0</li>
+              <li>Service class 2 - enclosed but unconditioned, up to 20%: k4 = 0.85, j2 = 2.5</li>
+              <li>Service class 3 - exposed to the weather, above 20%: k4 = 0.7, j2 = 3.0</li>
             </ul>
           </div>
           
@@ -474,46 +767,45 @@ requiredMinutes = fire rating in minutes (e.g., 30, 60, 90, 120)`}
             
             <h3 className="text-lg font-medium mb-2">Multi-Floor Column Sizing</h3>
             <p className="mb-4">
-              For multi-story structures, columns must be sized to support the cumulative load from all floors above. Our approach:
+              For multi-story structures, columns must support the cumulative load from all floors above as well as the moment from beams bearing on their faces. Each storey is checked separately and the base storey usually governs:
             </p>
             
             <ol className="list-decimal pl-5 mb-4 space-y-2">
               <li>
-                <strong>Width Matching:</strong> Column width matches the supporting beam width for proper connection.
+                <strong>Width Matching:</strong> Column width is at least the supporting beam width for proper connection.
               </li>
               <li>
                 <strong>Tributary Area Calculation:</strong> The area supported by each column is calculated based on the bay dimensions.
               </li>
               <li>
-                <strong>Load Accumulation:</strong> Total load is calculated as the floor load (kPa) multiplied by the tributary area (m²) and the number of floors.
+                <strong>Load Accumulation:</strong> Factored beam reactions (1.2G + 1.5Q) and the column self-weight are summed from the roof down to each storey.
               </li>
               <li>
-                <strong>Progressive Sizing:</strong> Column depth increases with additional floors (50mm per additional floor).
+                <strong>Eccentric Reactions:</strong> Beam reactions act at half the column depth from its centreline, giving an unbalanced moment when only one side carries imposed load.
               </li>
               <li>
-                <strong>Minimum Proportions:</strong> Column depth is always at least equal to its width (square minimum).
+                <strong>Utilisation per Floor:</strong> Compression and combined bending and compression are reported for every storey.
               </li>
               <li>
-                <strong>Standard Size Adjustment:</strong> Final dimensions are adjusted to the nearest available MASSLAM sizes.
+                <strong>Storey Heights and Fire Ratings:</strong> Each storey is checked over its own floor-to-floor height, with the fire allowance of the fire rating of the level it supports.
+              </li>
+              <li>
+                <strong>Standard Size Selection:</strong> The lightest MASSLAM column passing at every storey is selected. With step-down sizing, each storey is sized from the top down for its own accumulated load and is never smaller than the storey above it, so columns step down in size up the building.
               </li>
             </ol>
             
             <div className="bg-gray-100 p-3 rounded mb-4">
               <pre className="font-mono text-sm whitespace-pre-wrap">
-{`// Calculate tributary area for the column
-tributaryArea = bayLength * bayWidth
+{`for each storey, from the top down:
+  N* += sum(1.2 * G + 1.5 * Q) + 1.2 * columnSelfWeight
+  M* = (d / 2) * (max(1.2 * G + 1.5 * Q) - 1.2 * G of the other beams)
 
-// Calculate load based on tributary area and number of floors
-loadPerFloor = floorLoad * tributaryArea  // kN per floor
-totalLoad = loadPerFloor * numberOfFloors  // Total kN
+  Ndcx = φ * k1 * k12x * f'c * A
+  Ndcy = φ * k1 * k12y * f'c * A
+  Mdx  = φ * k1 * k12 * f'b * Zx
 
-// Size the column based on load
-initialDepth = columnWidth
-let depth = initialDepth
-if (floors > 1) {
-  depth += (floors - 1) * 50
-}
-depth = max(depth, width) // Ensure minimum square proportion`}
+  compression = N* / min(Ndcx, Ndcy)
+  combined    = max((M* / Mdx)² + N* / Ndcx, M* / Mdx + N* / Ndcy)`}
               </pre>
             </div>
             
@@ -529,14 +821,14 @@ depth = max(depth, width) // Ensure minimum square proportion`}
                 </thead>
                 <tbody>
                   <tr>
-                    <td className="py-2 px-4 border-b">Slenderness Ratio Limit</td>
-                    <td className="py-2 px-4 border-b">50</td>
-                    <td className="py-2 px-4 border-b">Maximum ratio of effective length to radius of gyration</td>
+                    <td className="py-2 px-4 border-b">Capacity Factor (φ)</td>
+                    <td className="py-2 px-4 border-b">0.85</td>
+                    <td className="py-2 px-4 border-b">Capacity factor for glulam in primary structural members</td>
                   </tr>
                   <tr>
-                    <td className="py-2 px-4 border-b">Effective Length Factor (K)</td>
+                    <td className="py-2 px-4 border-b">Effective Length Factor (g13)</td>
                     <td className="py-2 px-4 border-b">1.0</td>
-                    <td className="py-2 px-4 border-b">For columns with pinned ends (typical in timber construction)</td>
+                    <td className="py-2 px-4 border-b">For columns with pinned ends (typical in timber construction), about both axes</td>
                   </tr>
                   <tr>
                     <td className="py-2 px-4 border-b">Compression Strength Parallel to Grain</td>
@@ -544,19 +836,19 @@ depth = max(depth, width) // Ensure minimum square proportion`}
                     <td className="py-2 px-4 border-b">Characteristic strength value for the timber grade</td>
                   </tr>
                   <tr>
-                    <td className="py-2 px-4 border-b">Minimum Width/Depth Ratio</td>
-                    <td className="py-2 px-4 border-b">1:1</td>
-                    <td className="py-2 px-4 border-b">Minimum ratio to ensure column stability</td>
+                    <td className="py-2 px-4 border-b">5th Percentile Modulus (E05)</td>
+                    <td className="py-2 px-4 border-b">{TIMBER_PROPERTIES.MASSLAM_SL33.modulusOfElasticity5thPercentile} MPa (MASSLAM SL33)</td>
+                    <td className="py-2 px-4 border-b">Used with f&apos;c to derive the material constant ρc</td>
                   </tr>
                   <tr>
-                    <td className="py-2 px-4 border-b">Size Increment per Floor</td>
-                    <td className="py-2 px-4 border-b">50mm</td>
-                    <td className="py-2 px-4 border-b">Depth increase for each additional floor</td>
+                    <td className="py-2 px-4 border-b">Load Eccentricity</td>
+                    <td className="py-2 px-4 border-b">d / 2</td>
+                    <td className="py-2 px-4 border-b">Beam reactions act at the column face</td>
                   </tr>
                   <tr>
                     <td className="py-2 px-4 border-b">Axial Shortening Limit</td>
                     <td className="py-2 px-4 border-b">1mm per meter</td>
-                    <td className="py-2 px-4 border-b">Maximum acceptable shortening under load</td>
+                    <td className="py-2 px-4 border-b">Total elastic and creep shortening at the roof under G + ψl·Q, over the building height</td>
                   </tr>
                 </tbody>
               </table>
@@ -564,49 +856,56 @@ depth = max(depth, width) // Ensure minimum square proportion`}
             
             <h3 className="text-lg font-medium mt-6 mb-2">Column Buckling Considerations</h3>
             <p className="mb-4">
-              For taller columns, buckling becomes a critical factor. The effective length and slenderness ratio are considered:
+              Buckling is checked about both axes. The slenderness coefficients follow AS 1720.1 Clause 3.3.2.2 and reduce the compression capacity through k12:
             </p>
             
             <div className="bg-gray-100 p-3 rounded mb-4">
               <pre className="font-mono text-sm whitespace-pre-wrap">
-{`slendernessRatio = effectiveLength / radiusOfGyration
-radiusOfGyration = √(I / A)
+{`S3 = g13 * L / d  (buckling about the major axis)
+S4 = g13 * L / b  (buckling about the minor axis)
+ρc = 11.39 * (E05 / f'c)^-0.408 * r^-0.074
 where:
-I = moment of inertia
-A = cross-sectional area`}
+L = storey height
+r = 0.25 (ratio of permanent to total load stress)`}
               </pre>
             </div>
             
             <h3 className="text-lg font-medium mt-6 mb-2">Axial Shortening</h3>
             <p className="mb-4">
-              In multi-story timber structures, axial shortening of columns is an important consideration that affects the overall building performance:
+              In multi-story timber structures, axial shortening of columns is an important consideration that affects the overall building performance. Every column is followed storey by storey from the base up, each storey shortening under the quasi-permanent load at its foot on its gross section:
             </p>
             
             <div className="bg-gray-100 p-3 rounded mb-4">
               <pre className="font-mono text-sm whitespace-pre-wrap">
-{`Δ = (P × L) / (E × A)
+{`Δe = (N × h) / (E × A)          (elastic, per storey)
+Δc = (j2 - 1) × Δe              (creep, per storey)
+Δ(level) = Σ (Δe + Δc) from the base up to the level
 where:
-Δ = axial shortening (mm)
-P = axial load (N)
-L = column length (mm)
-E = modulus of elasticity (MPa)
-A = cross-sectional area (mm²)`}
+N = G + ψl·Q axial load at the foot of the storey (N)
+h = storey height (mm)
+E = mean modulus of elasticity of the grade (MPa)
+A = gross cross-sectional area (mm²)
+j2 = creep factor of the service class`}
               </pre>
             </div>
             
+            <p className="mb-4">
+              The total at the roof is checked against 1mm per meter of building height. Neighbouring columns along each grid line carry different tributary areas and so shorten by different amounts; the difference at every level is checked against the span between them / 500 so the floors and beams between them stay level enough for finishes and partitions. The results report the governing column storey by storey, its elastic and creep parts, and the largest differential at any level and at the roof.
+            </p>
+            
             <p className="mb-4">
               Factors affecting axial shortening in timber columns:
             </p>
             
             <ul className="list-disc pl-5 mb-4">
               <li><strong>Elastic Deformation:</strong> Immediate shortening under load (calculated above)</li>
-              <li><strong>Creep:</strong> Long-term deformation under sustained load (typically 1.5-2× elastic deformation)</li>
-              <li><strong>Moisture Content:</strong> Dimensional changes due to moisture variations (shrinkage/swelling)</li>
-              <li><strong>Connection Compression:</strong> Deformation at connection points between structural elements</li>
+              <li><strong>Creep:</strong> Long-term deformation under sustained load, (j2 - 1) times the elastic shortening: equal to it in service class 1 and twice it in service class 3</li>
+              <li><strong>Moisture Content:</strong> Damper service classes raise j2 and lower strength through k4; shrinkage and swelling from moisture changes after installation are not included</li>
+              <li><strong>Connection Compression:</strong> Deformation at connection points between structural elements, not included</li>
             </ul>
             
             <p className="text-sm text-gray-600 mt-4">
-              Note: The current implementation focuses on strength and stability. For tall timber buildings where differential axial shortening between columns and walls becomes significant, additional compensation measures should be incorporated in the design by a structural engineer.
+              Note: Shortening is calculated for the timber frame alone. Where columns sit next to concrete cores or walls that shorten differently, or where moisture shrinkage after installation is expected, additional compensation measures should be incorporated in the design by a structural engineer.
             </p>
             
             <div className="bg-blue-50 p-4 rounded-lg mb-4">
@@ -614,7 +913,7 @@ A = cross-sectional area (mm²)`}
               <p className="mb-2">Input parameters:</p>
               <ul className="list-disc pl-5 mb-2">
                 <li>Beam Width: 335 mm</li>
-                <li>Floor Load: 3.0 kPa</li>
+                <li>Floor Load: 3.0 kPa (floor dead load 0.5 kPa, beam self-weight 6.0 kN per level)</li>
                 <li>Bay Length: 6.0 m</li>
                 <li>Bay Width: 7.0 m</li>
                 <li>Height: 3.2 m</li>
@@ -624,16 +923,13 @@ A = cross-sectional area (mm²)`}
               <p className="mb-2">Calculation steps:</p>
               <ol className="list-decimal pl-5 mb-2 text-sm">
                 <li>tributaryArea = bayLength * bayWidth = 6.0 * 7.0 = 42.0 m²</li>
-                <li>loadPerFloor = floorLoad * tributaryArea = 3.0 * 42.0 = 126.0 kN</li>
-                <li>totalLoad = loadPerFloor * numberOfFloors = 126.0 * 3 = 378.0 kN</li>
-                <li>width = beamWidth = 335 mm</li>
-                <li>depth = width = 335 mm</li>
-                <li>depth += (floors - 1) * 50 = 335 + (3 - 1) * 50 = 335 + 100 = 435 mm</li>
-                <li>depth = Math.max(435, 335) = 435 mm</li>
-                <li>fireAllowance = 0.7 * 60 = 42 mm</li>
-                <li>fireAdjustedWidth = 335 + (2 * 42) = 419 mm</li>
-                <li>fireAdjustedDepth = 435 + (2 * 42) = 519 mm</li>
-                <li>Final size (from standard sizes): 420 mm × 520 mm</li>
+                <li>G = 0.5 * 42.0 + 6.0 = 27.0 kN, Q = 3.0 * 42.0 = 126.0 kN per level</li>
+                <li>fireAllowance = 0.7 * 60 + 7 = 49 mm, so a 335 × 550 mm column is checked as 237 × 452 mm</li>
+                <li>S3 = 3200 / 452 = 7.1 (k12x = 1.0), S4 = 3200 / 237 = 13.5 (ρc = 1.11, k12y = 0.75)</li>
+                <li>Base storey: N* = 3 × (1.2 * 27.0 + 1.5 * 126.0) + 3 × 1.2 * 3.5 = 676.7 kN, φNdcy = 1416.7 kN (48%)</li>
+                <li>M* = 0.226 * (110.7 - 16.2) = 21.4 kNm</li>
+                <li>Combined bending and compression: 60% at the base, 44% and 28% on the floors above</li>
+                <li>Final size (from standard sizes): 335 mm × 550 mm, governed by combined actions</li>
               </ol>
             </div>
           </div>
@@ -8,7 +8,23 @@ import {
   initializeMasslamSizes
 } from '@/utils/timberSizes';
 import FireResistanceCalculator from '@/components/FireResistanceCalculator';
-import { calculateFireResistanceAllowance, CHARRING_RATES } from '@/utils/masslamProperties';
+import { calculateFireResistanceAllowance, CHARRING_RATES, CHARRING_MODELS, DEFAULT_CHARRING_MODEL, DEFAULT_MEMBER_EXPOSURES, FACE_EXPOSURES, FIRE_FACES, FIRE_LININGS, DEFAULT_FIRE_LININGS, getFireLiningOptions } from '@/utils/masslamProperties';
+import { FIRE_MEMBER_TYPES } from '@/utils/fireDesign';
+
+// Typical actions on each member type for the fire check: span (height for columns) in m,
+// G and Q in kN/m on joists and beams and in kN on columns
+const DEFAULT_FIRE_ACTIONS = {
+  joist: { span: 6, deadLoad: 1.5, liveLoad: 2.4, psiLong: 0.4 },
+  beam: { span: 6, deadLoad: 15, liveLoad: 20, psiLong: 0.4 },
+  column: { span: 3.2, deadLoad: 400, liveLoad: 300, psiLong: 0.4 }
+};
+
+// Exposure of the faces of each member type, starting from the defaults of the member calculator
+const DEFAULT_FIRE_EXPOSURES = {
+  joist: DEFAULT_MEMBER_EXPOSURES.joists,
+  beam: DEFAULT_MEMBER_EXPOSURES.beams,
+  column: DEFAULT_MEMBER_EXPOSURES.columns
+};
 
 export default function FireResistancePage() {
   const [sizes, setSizes] = useState([]);
@@ -17,6 +33,10 @@ export default function FireResistancePage() {
   const [selectedSize, setSelectedSize] = useState(null);
   const [selectedFRL, setSelectedFRL] = useState("60/60/60");
   const [charringRate, setCharringRate] = useState(CHARRING_RATES.masslam_sl33);
+  const [fireActions, setFireActions] = useState(DEFAULT_FIRE_ACTIONS);
+  const [fireExposures, setFireExposures] = useState(DEFAULT_FIRE_EXPOSURES);
+  const [fireLinings, setFireLinings] = useState(DEFAULT_FIRE_LININGS);
+  const [charringModel, setCharringModel] = useState(DEFAULT_CHARRING_MODEL);
 
   useEffect(() => {
     // Initialize the MASSLAM sizes module
@@ -63,6 +83,17 @@ export default function FireResistancePage() {
     setSelectedFRL(e.target.value);
   };
 
+  const memberType = FIRE_MEMBER_TYPES[selectedSize?.type] ? selectedSize.type : 'beam';
+  const actions = fireActions[memberType];
+  const actionUnit = FIRE_MEMBER_TYPES[memberType].flexural ? 'kN/m' : 'kN';
+  const handleActionChange = (field, value) => {
+    setFireActions({ ...fireActions, [memberType]: { ...actions, [field]: parseFloat(value) || 0 } });
+  };
+  const exposure = fireExposures[memberType];
+  const handleExposureChange = (face, value) => {
+    setFireExposures({ ...fireExposures, [memberType]: { ...exposure, [face]: value } });
+  };
+
   return (
     <div className="container mx-auto py-4 md:py-8 px-4">
       <div className="flex flex-col md:flex-row md:justify-between md:items-center mb-6">
@@ -89,6 +120,20 @@ export default function FireResistancePage() {
         <p className="mb-4 text-sm md:text-base">
           Plus an additional 7mm zero-strength layer beyond the char layer.
         </p>
+        <p className="mb-4 text-sm md:text-base">
+          Charring is applied face by face. Exposed faces char from the start of the fire and faces shielded by an adjacent floor or wall do not char.
+          Faces behind plasterboard or encapsulation start to char at tch, char slowly until the lining fails at tf, then at twice the rate until 25mm has charred:
+          with {FIRE_LININGS[fireLinings.encapsulated].label}, tch = {FIRE_LININGS[fireLinings.encapsulated].tch} min and tf = {FIRE_LININGS[fireLinings.encapsulated].tf} min.
+        </p>
+        <p className="mb-4 text-sm md:text-base">
+          The residual section is then checked at the fire limit state under G + ψl·Q: joists and beams in bending and shear over a simple span, and columns in compression with the slenderness of the residual section, using the characteristic strengths with φ = 1.0, k1 = 1.0 and kfi = 1.15.
+        </p>
+        <p className="mb-4 text-sm md:text-base">
+          The notional charring rate βn includes the effect of corner rounding, so the residual section stays rectangular.
+          With the one-dimensional rate β0 = {(charringRate * CHARRING_MODELS.oneDimensional.rateFactor).toFixed(2)} mm/min the faces char more slowly but
+          the corners between two charring faces are rounded with a radius equal to the char depth, and the area, second moments and section moduli
+          are taken from the rounded residual section.
+        </p>
       </div>
       
       {loading ? (
@@ -166,6 +211,82 @@ export default function FireResistancePage() {
                 </select>
               </div>
               
+              {selectedSize && (
+                <div className="mb-4">
+                  <h3 className="text-md font-medium mb-2">Actions on the {FIRE_MEMBER_TYPES[memberType].label.toLowerCase()} in fire:</h3>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                    {[
+                      ['span', FIRE_MEMBER_TYPES[memberType].flexural ? 'Span (m)' : 'Height (m)', '0.1'],
+                      ['deadLoad', `G (${actionUnit})`, '0.1'],
+                      ['liveLoad', `Q (${actionUnit})`, '0.1'],
+                      ['psiLong', 'ψl', '0.1']
+                    ].map(([field, label, step]) => (
+                      <label key={field} className="block">
+                        <span className="block text-gray-700 mb-1">{label}</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step={step}
+                          className="w-full p-2 border border-gray-300 rounded-md"
+                          value={actions[field]}
+                          onChange={(e) => handleActionChange(field, e.target.value)}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+              
+              {selectedSize && (
+                <div className="mb-4">
+                  <h3 className="text-md font-medium mb-2">Exposure of the faces{memberType === 'column' ? ' (in plan)' : ''}:</h3>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                    {FIRE_FACES.map(face => (
+                      <label key={face} className="block">
+                        <span className="block text-gray-700 mb-1 capitalize">{face}</span>
+                        <select
+                          className="w-full p-2 border border-gray-300 rounded-md"
+                          value={exposure[face]}
+                          onChange={(e) => handleExposureChange(face, e.target.value)}
+                        >
+                          {Object.entries(FACE_EXPOSURES).map(([key, option]) => (
+                            <option key={key} value={key}>{option.label}</option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm mt-2">
+                    {[['plasterboard', 'plasterboard', 'Plasterboard lining'], ['encapsulated', 'encapsulation', 'Encapsulation']].map(([key, type, label]) => (
+                      <label key={key} className="block">
+                        <span className="block text-gray-700 mb-1">{label}</span>
+                        <select
+                          className="w-full p-2 border border-gray-300 rounded-md"
+                          value={fireLinings[key]}
+                          onChange={(e) => setFireLinings({ ...fireLinings, [key]: e.target.value })}
+                        >
+                          {getFireLiningOptions(type).map(([option, lining]) => (
+                            <option key={option} value={option}>{lining.label} (tch {lining.tch} min, tf {lining.tf} min)</option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                  <label className="block text-sm mt-2">
+                    <span className="block text-gray-700 mb-1">Charring model</span>
+                    <select
+                      className="w-full p-2 border border-gray-300 rounded-md"
+                      value={charringModel}
+                      onChange={(e) => setCharringModel(e.target.value)}
+                    >
+                      {Object.entries(CHARRING_MODELS).map(([key, model]) => (
+                        <option key={key} value={key}>{model.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              )}
+              
               {selectedSize && (
                 <div className="mb-4">
                   <h3 className="text-md font-medium mb-2">Selected Timber Size:</h3>
@@ -190,6 +311,11 @@ export default function FireResistancePage() {
                 <FireResistanceCalculator 
                   dimensions={{ width: selectedSize.width, depth: selectedSize.depth }}
                   selectedFRL={selectedFRL}
+                  memberType={memberType}
+                  actions={actions}
+                  exposure={exposure}
+                  linings={fireLinings}
+                  charringModel={charringModel}
                 />
               </div>
             )}
@@ -8,6 +8,7 @@ export default function TimberRatesPage() {
   const [beamRate, setBeamRate] = useState(0);
   const [columnRate, setColumnRate] = useState(0);
   const [joistRates, setJoistRates] = useState({});
+  const [cltRate, setCltRate] = useState(0);
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState('');
 
@@ -17,6 +18,7 @@ export default function TimberRatesPage() {
     setBeamRate(rates.beamRate);
     setColumnRate(rates.columnRate);
     setJoistRates(rates.joistRates);
+    setCltRate(rates.cltRate);
   }, []);
 
   // Handle form submission
@@ -24,7 +26,7 @@ export default function TimberRatesPage() {
     e.preventDefault();
     
     // Validate inputs
-    if (beamRate <= 0 || columnRate <= 0) {
+    if (beamRate <= 0 || columnRate <= 0 || cltRate <= 0) {
       setMessage('Rates must be greater than zero');
       setMessageType('error');
       return;
@@ -39,7 +41,7 @@ export default function TimberRatesPage() {
     }
     
     // Save rates
-    const success = saveRates(beamRate, columnRate, joistRates);
+    const success = saveRates(beamRate, columnRate, joistRates, cltRate);
     
     if (success) {
       setMessage('Rates saved successfully');
@@ -84,7 +86,7 @@ export default function TimberRatesPage() {
         <div className="bg-white p-6 rounded-lg shadow mb-6">
           <h2 className="text-xl font-semibold mb-4">Volume-Based Rates</h2>
           <p className="text-sm text-gray-600 mb-4">
-            Set the cost per cubic meter (m³) for beams and columns.
+            Set the cost per cubic meter (m³) for beams, columns and CLT floor panels.
           </p>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-4">
@@ -123,13 +125,31 @@ export default function TimberRatesPage() {
                 />
               </div>
             </div>
+            
+            <div>
+              <label htmlFor="cltRate" className="block text-sm font-medium text-gray-700 mb-1">
+                CLT Floor Panel Rate ($/m³)
+              </label>
+              <div className="relative">
+                <span className="absolute inset-y-0 left-0 pl-3 flex items-center text-gray-500">$</span>
+                <input
+                  type="number"
+                  id="cltRate"
+                  className="pl-8 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                  value={cltRate}
+                  onChange={(e) => setCltRate(parseFloat(e.target.value) || 0)}
+                  min="0"
+                  step="1"
+                />
+              </div>
+            </div>
           </div>
         </div>
         
         <div className="bg-white p-6 rounded-lg shadow mb-6">
-          <h2 className="text-xl font-semibold mb-4">Area-Based Rates for Joists</h2>
+          <h2 className="text-xl font-semibold mb-4">Volume-Based Rates for Joists</h2>
           <p className="text-sm text-gray-600 mb-4">
-            Set the cost per square meter ($/m²) for different joist sizes.
+            Set the cost per cubic meter ($/m³) for different joist sizes.
           </p>
           
           <div className="overflow-x-auto">
@@ -140,7 +160,7 @@ export default function TimberRatesPage() {
                     Joist Size
                   </th>
                   <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Rate ($/m²)
+                    Rate ($/m³)
                   </th>
                 </tr>
               </thead>
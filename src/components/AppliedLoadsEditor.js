@@ -0,0 +1,195 @@
+import React from "react";
+import {
+  APPLIED_LOAD_TYPES,
+  LOAD_ACTIONS,
+  AREA_LOAD_PRESETS,
+  createAppliedLoad,
+  describeAppliedLoad
+} from '@/utils/appliedLoads';
+
+/**
+ * Format the levels of an applied load for editing ("all" or "1, 3")
+ */
+const formatLevels = (levels) => (!levels || levels.length === 0 ? 'all' : levels.join(', '));
+
+/**
+ * Parse the levels typed for an applied load, keeping only floors that exist
+ */
+const parseLevels = (value, numFloors) => {
+  if (value.trim().toLowerCase() === 'all') {
+    return [];
+  }
+  return value.split(/[\s,]+/)
+    .map(level => parseInt(level, 10))
+    .filter(level => !isNaN(level) && level >= 1 && level <= numFloors);
+};
+
+/**
+ * Component to place point loads, line loads and area load zones on the bays of the grid
+ */
+export default function AppliedLoadsEditor({ appliedLoads, bayRefs, numFloors, onChange }) {
+  const updateLoad = (id, changes) => {
+    onChange(appliedLoads.map(load => (load.id === id ? { ...load, ...changes } : load)));
+  };
+
+  const updateNumber = (id, field, value, scale = 1) => {
+    const number = parseFloat(value);
+    if (!isNaN(number) && number >= 0) {
+      updateLoad(id, { [field]: number / scale });
+    }
+  };
+
+  const addLoad = (type) => {
+    const nextNumber = appliedLoads.reduce((max, load) => Math.max(max, parseInt(load.id.slice(1), 10) || 0), 0) + 1;
+    onChange([...appliedLoads, createAppliedLoad({ id: `L${nextNumber}`, type, bay: bayRefs[0] })]);
+  };
+
+  const removeLoad = (id) => {
+    onChange(appliedLoads.filter(load => load.id !== id));
+  };
+
+  return (
+    <div className="text-left">
+      {appliedLoads.length > 0 && (
+        <div className="space-y-3 mb-3">
+          {appliedLoads.map(load => (
+            <div key={load.id} className="p-2 rounded" style={{ border: '1px solid var(--apple-border)' }}>
+              <div className="flex justify-between items-center mb-2">
+                <span className="text-xs font-medium">{describeAppliedLoad(load)}</span>
+                <button
+                  className="text-xs text-red-600 hover:underline"
+                  onClick={() => removeLoad(load.id)}
+                >
+                  Remove
+                </button>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                <div>
+                  <span className="block text-xs" style={{ color: 'var(--apple-text-secondary)' }}>Bay</span>
+                  <select
+                    className="apple-input text-sm w-full"
+                    value={load.bay}
+                    onChange={(e) => updateLoad(load.id, { bay: e.target.value })}
+                  >
+                    {!bayRefs.includes(load.bay) && <option value={load.bay}>{load.bay} (not on grid)</option>}
+                    {bayRefs.map(ref => (
+                      <option key={ref} value={ref}>{ref}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <span className="block text-xs" style={{ color: 'var(--apple-text-secondary)' }}>Levels</span>
+                  <input
+                    type="text"
+                    className="apple-input text-sm w-full"
+                    defaultValue={formatLevels(load.levels)}
+                    placeholder="all"
+                    onBlur={(e) => updateLoad(load.id, { levels: parseLevels(e.target.value, numFloors) })}
+                  />
+                </div>
+                {load.type === 'area' && (
+                  <div>
+                    <span className="block text-xs" style={{ color: 'var(--apple-text-secondary)' }}>Use</span>
+                    <select
+                      className="apple-input text-sm w-full"
+                      value={load.preset}
+                      onChange={(e) => {
+                        const preset = AREA_LOAD_PRESETS[e.target.value];
+                        updateLoad(load.id, { preset: e.target.value, magnitude: preset.magnitude, action: preset.action });
+                      }}
+                    >
+                      {Object.entries(AREA_LOAD_PRESETS).map(([key, preset]) => (
+                        <option key={key} value={key}>{preset.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <div>
+                  <span className="block text-xs" style={{ color: 'var(--apple-text-secondary)' }}>
+                    Magnitude ({APPLIED_LOAD_TYPES[load.type].unit})
+                  </span>
+                  <input
+                    type="number"
+                    className="apple-input text-sm w-full"
+                    value={load.magnitude}
+                    min="0"
+                    step="0.5"
+                    onChange={(e) => updateNumber(load.id, 'magnitude', e.target.value)}
+                  />
+                </div>
+                <div>
+                  <span className="block text-xs" style={{ color: 'var(--apple-text-secondary)' }}>Action</span>
+                  <select
+                    className="apple-input text-sm w-full"
+                    value={load.action}
+                    onChange={(e) => updateLoad(load.id, { action: e.target.value })}
+                  >
+                    {Object.entries(LOAD_ACTIONS).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                {load.type === 'point' && ['x', 'y'].map(axis => (
+                  <div key={axis}>
+                    <span className="block text-xs" style={{ color: 'var(--apple-text-secondary)' }}>
+                      {axis === 'x' ? 'From left (%)' : 'From top (%)'}
+                    </span>
+                    <input
+                      type="number"
+                      className="apple-input text-sm w-full"
+                      value={Math.round(load[axis] * 100)}
+                      min="0"
+                      max="100"
+                      step="5"
+                      onChange={(e) => updateNumber(load.id, axis, Math.min(parseFloat(e.target.value), 100), 100)}
+                    />
+                  </div>
+                ))}
+                {load.type === 'line' && (
+                  <>
+                    <div>
+                      <span className="block text-xs" style={{ color: 'var(--apple-text-secondary)' }}>Direction</span>
+                      <select
+                        className="apple-input text-sm w-full"
+                        value={load.orientation}
+                        onChange={(e) => updateLoad(load.id, { orientation: e.target.value })}
+                      >
+                        <option value="lengthwise">Lengthwise ↔</option>
+                        <option value="widthwise">Widthwise ↕</option>
+                      </select>
+                    </div>
+                    <div>
+                      <span className="block text-xs" style={{ color: 'var(--apple-text-secondary)' }}>
+                        {load.orientation === 'lengthwise' ? 'From top (%)' : 'From left (%)'}
+                      </span>
+                      <input
+                        type="number"
+                        className="apple-input text-sm w-full"
+                        value={Math.round(load.offset * 100)}
+                        min="0"
+                        max="100"
+                        step="5"
+                        onChange={(e) => updateNumber(load.id, 'offset', Math.min(parseFloat(e.target.value), 100), 100)}
+                      />
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(APPLIED_LOAD_TYPES).map(([type, { label }]) => (
+          <button
+            key={type}
+            className="apple-button apple-button-secondary text-xs md:text-sm"
+            onClick={() => addLoad(type)}
+          >
+            Add {label.toLowerCase()}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
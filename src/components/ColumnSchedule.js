@@ -0,0 +1,42 @@
+import React from "react";
+import { COLUMN_POSITIONS } from '@/utils/structureDesign';
+
+/**
+ * Component to list every column by grid reference, matching the bay letters of the Bay Layout
+ */
+export default function ColumnSchedule({ columnSchedule }) {
+  if (!columnSchedule || columnSchedule.length === 0) {
+    return null;
+  }
+
+  return (
+    <table className="w-full text-xs md:text-sm">
+      <thead>
+        <tr className="text-left border-b border-gray-200">
+          <th className="py-2 pr-2">Grid</th>
+          <th className="py-2 pr-2">Position</th>
+          <th className="py-2 pr-2 text-right">Tributary area</th>
+          <th className="py-2 pr-2 text-right">Base load</th>
+          <th className="py-2 pr-2">Size</th>
+          <th className="py-2 pr-2">Mark</th>
+          <th className="py-2 text-right">Util.</th>
+        </tr>
+      </thead>
+      <tbody>
+        {columnSchedule.map(column => (
+          <tr key={column.ref} className="border-b border-gray-100">
+            <td className="py-1 pr-2 font-medium">{column.ref}</td>
+            <td className="py-1 pr-2">{COLUMN_POSITIONS[column.position]}</td>
+            <td className="py-1 pr-2 text-right">{column.tributaryArea.toFixed(2)}m²</td>
+            <td className="py-1 pr-2 text-right">{column.load?.toFixed(0) || '0'} kN</td>
+            <td className="py-1 pr-2 whitespace-nowrap">{column.width} × {column.depth}mm</td>
+            <td className="py-1 pr-2">{column.mark}</td>
+            <td className={`py-1 text-right ${column.passes ? '' : 'text-red-600'}`}>
+              {((column.utilisation || 0) * 100).toFixed(0)}%
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
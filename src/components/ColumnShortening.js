@@ -0,0 +1,50 @@
+import React from "react";
+
+/**
+ * Component to show the elastic and creep shortening of the governing column storey by storey,
+ * the total at the roof and the differential shortening between neighbouring columns
+ */
+export default function ColumnShortening({ shortening, floorStack = [] }) {
+  if (!shortening?.governing) {
+    return null;
+  }
+
+  const levelName = (level) => floorStack[level - 1]?.name || `Level ${level}`;
+  const { governing, governingDifferential } = shortening;
+  const failing = shortening.differentials.filter(item => !item.check.passes);
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-200">
+      <p className={`text-xs md:text-sm font-medium mb-1 ${shortening.passes ? 'text-green-600' : 'text-red-600'}`}>
+        {shortening.passes ? '✓' : '✗'} Axial shortening at roof {governing.total.toFixed(1)}mm
+        <span className="font-normal">
+          {' '}({governing.ref}, {governing.elastic.toFixed(1)}mm elastic + {governing.creep.toFixed(1)}mm creep, limit {governing.check.capacity.toFixed(0)}mm)
+        </span>
+      </p>
+      {governingDifferential && (
+        <p className="text-xs mb-1">
+          Largest differential {governingDifferential.check.demand.toFixed(1)}mm between {governingDifferential.refs.join(' and ')} at {levelName(governingDifferential.level)} ({governingDifferential.roof.toFixed(1)}mm at roof, limit {governingDifferential.check.capacity.toFixed(1)}mm over {governingDifferential.span.toFixed(2)}m)
+        </p>
+      )}
+      <div className="text-xs space-y-1 overflow-auto max-h-32 md:max-h-none">
+        {[...governing.storeys].reverse().map(storey => (
+          <div key={`shortening-${storey.level}`} className="flex justify-between">
+            <span>{levelName(storey.level)}</span>
+            <span>
+              {storey.shortening.toFixed(1)}mm under {storey.sustainedLoad.toFixed(0)} kN, {storey.cumulative.toFixed(1)}mm from the base
+            </span>
+          </div>
+        ))}
+      </div>
+      {failing.length > 0 && (
+        <div className="text-xs space-y-1 mt-1">
+          {failing.map(item => (
+            <div key={`differential-${item.refs.join('-')}`} className="text-red-600">
+              <strong>{item.refs.join(' – ')}</strong>: {item.check.demand.toFixed(1)}mm differential at {levelName(item.level)} exceeds {item.check.capacity.toFixed(1)}mm, allow for it in the beam seats or pre-camber the connections
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React from "react";
+import { CONNECTION_INTERFACES } from '@/utils/connectionDesign';
+
+/**
+ * Component to list the connection of every joist-to-beam and beam-to-column interface,
+ * with the member size a connection forces where it does not fit the designed member
+ * Interfaces without connections, such as CLT panels on the beams, are left out. Connections
+ * checked at the FRL of their level show their fire capacity, timber cover and plug depth, and
+ * are flagged where they need extra protection.
+ */
+export default function ConnectionSchedule({ connections, floorStack = [] }) {
+  if (!connections) {
+    return null;
+  }
+
+  const levelName = (level) => floorStack[level - 1]?.name || `Level ${level}`;
+  const minCover = (fire) => Math.min(...fire.faces.filter(item => item.required > 0).map(item => item.provided));
+
+  return (
+    <div className="space-y-6">
+      {connections.fire && (
+        <p className={`text-sm ${connections.fire.passes ? '' : 'text-red-600'}`}>
+          {connections.fire.passes
+            ? `Every connection achieves the FRL of its level (${connections.fire.fireRating}) without extra protection`
+            : `${connections.fire.flagged} connection(s) cannot achieve the FRL of their level (${connections.fire.fireRating}) without extra protection`}
+        </p>
+      )}
+      {Object.entries(CONNECTION_INTERFACES).filter(([key]) => connections[key].length > 0).map(([key, item]) => (
+        <div key={key}>
+          <p className="text-sm font-medium mb-2">
+            {item.label}: {connections[key][0]?.connection.label}
+          </p>
+          <table className="w-full text-xs md:text-sm">
+            <thead>
+              <tr className="text-left border-b border-gray-200">
+                <th className="py-2 pr-2">{item.supported === 'joist' ? 'Bay' : 'Beam'}</th>
+                <th className="py-2 pr-2">Member</th>
+                <th className="py-2 pr-2 text-right">Reaction R*</th>
+                <th className="py-2 pr-2">Connection</th>
+                <th className="py-2 pr-2 text-right">Capacity</th>
+                <th className="py-2 pr-2">Size change</th>
+                {connections.fire && <th className="py-2 pr-2">Fire</th>}
+                <th className="py-2 text-right">Util.</th>
+              </tr>
+            </thead>
+            <tbody>
+              {connections[key].map(({ ref, level, member, connection, fire }) => (
+                <tr key={`${key}-${ref}`} className="border-b border-gray-100">
+                  <td className="py-1 pr-2">
+                    <span className="font-medium">{ref}</span>
+                    <span className="block text-xs" style={{ color: 'var(--apple-text-secondary)' }}>{levelName(level)}</span>
+                  </td>
+                  <td className="py-1 pr-2 whitespace-nowrap">{member.width} × {member.depth}mm</td>
+                  <td className="py-1 pr-2 text-right">{connection.check.demand.toFixed(1)} kN</td>
+                  <td className="py-1 pr-2">{connection.description}</td>
+                  <td className="py-1 pr-2 text-right">{connection.check.capacity.toFixed(1)} kN</td>
+                  <td className={`py-1 pr-2 ${connection.forcedSize ? 'text-red-600' : ''}`}>
+                    {connection.forcedSize
+                      ? `${connection.forcedSize.width} × ${connection.forcedSize.depth}mm (needs ${[
+                        connection.minWidth > member.width && `${connection.minWidth}mm wide`,
+                        connection.minDepth > member.depth && `${connection.minDepth}mm deep`
+                      ].filter(Boolean).join(', ')})`
+                      : '-'}
+                  </td>
+                  {connections.fire && !fire && <td className="py-1 pr-2">-</td>}
+                  {fire && (
+                    <td className={`py-1 pr-2 ${fire.needsProtection ? 'text-red-600' : ''}`}>
+                      {fire.check.capacity.toFixed(1)} / {fire.check.demand.toFixed(1)} kN at {fire.minutes} min
+                      <span className="block text-xs">
+                        {fire.requiredCover > 0
+                          ? `cover ${minCover(fire).toFixed(0)}mm, needs ${fire.requiredCover.toFixed(0)}mm`
+                          : 'no charring faces'}
+                        {fire.plugged && fire.plugDepth > 0 && `, ${fire.plugDepth.toFixed(0)}mm plugs${fire.plugPasses ? '' : ' do not fit'}`}
+                        {!fire.protected && `, η = ${fire.eta.toFixed(2)}`}
+                        {fire.needsProtection && ' - needs protection'}
+                      </span>
+                    </td>
+                  )}
+                  <td className={`py-1 text-right ${connection.passes ? '' : 'text-red-600'}`}>
+                    {Number.isFinite(connection.check.utilisation) ? `${(connection.check.utilisation * 100).toFixed(0)}%` : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
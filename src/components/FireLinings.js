@@ -0,0 +1,51 @@
+import React from "react";
+import { FIRE_FACES } from "@/utils/masslamProperties";
+
+const KIND_LABELS = {
+  joists: "Joists",
+  beams: "Beams",
+  columns: "Columns"
+};
+
+/**
+ * Component to show the timber saved by the plasterboard and encapsulation linings, the
+ * section each governing member would need without them and the board area to supply
+ */
+export default function FireLinings({ linings, floorSystem = "joists", fireRating }) {
+  if (!linings) {
+    return null;
+  }
+
+  const kindLabel = (kind) => (kind === "joists" && floorSystem === "clt" ? "CLT panels" : KIND_LABELS[kind]);
+  const savedFaces = (faceSavings) => FIRE_FACES.filter(face => faceSavings[face] > 0);
+
+  return (
+    <div className="mt-4 bg-white p-4 rounded-lg shadow">
+      <h4 className="font-semibold mb-2">Fire Linings</h4>
+      <p className="text-xs md:text-sm mb-2">
+        Linings save {linings.volumeSaved.toFixed(2)} m³ of timber at {fireRating} and need {linings.boardArea.toFixed(0)} m² of board
+      </p>
+      <div className="text-xs space-y-1 mb-2">
+        {Object.entries(linings.kinds).map(([kind, item]) => (
+          <div key={kind} className="flex justify-between gap-2">
+            <span>{kindLabel(kind)}</span>
+            <span>
+              {item.width} × {item.depth}mm lined, {Math.ceil(item.unlined.width)} × {Math.ceil(item.unlined.depth)}mm unlined
+              {' '}({item.percentSaved.toFixed(0)}% less timber, {Math.max(...savedFaces(item.faceSavings).map(face => item.faceSavings[face])).toFixed(1)}mm on the {savedFaces(item.faceSavings).join(', ')})
+            </span>
+          </div>
+        ))}
+      </div>
+      <div className="text-xs space-y-1">
+        {linings.quantities.map(quantity => (
+          <div key={quantity.key} className="flex justify-between gap-2">
+            <span>{quantity.lining.label}</span>
+            <span>
+              {quantity.faceArea.toFixed(0)} m² lined, {quantity.boardArea.toFixed(0)} m² of {quantity.lining.board}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,23 @@
 import React, { useState, useEffect } from 'react';
-import { calculateFireResistance, CHARRING_RATES, loadMasslamSL33CharringRate } from '@/utils/masslamProperties';
+import { CHARRING_RATES, CHARRING_MODELS, DEFAULT_CHARRING_MODEL, FACE_EXPOSURES, FIRE_FACES, FIRE_LININGS, calculateLiningSavings, normaliseFireLinings, loadMasslamSL33CharringRate } from '@/utils/masslamProperties';
+import { checkFireLimitState, FIRE_DESIGN_FACTORS } from '@/utils/fireDesign';
+import ResidualSectionDrawing from './ResidualSectionDrawing';
 
 /**
  * Component to calculate and display fire resistance properties
+ * The residual section is checked under the fire load combination; actions holds the
+ * span (or column height) in m, G and Q in kN/m (kN for columns) and ψl, and exposure the
+ * exposure of each face, all exposed by default, with linings the lining of the plasterboard
+ * and encapsulated faces. The one-dimensional charringModel rounds the corners of the residual
+ * section, which is drawn over the original section.
  */
-export default function FireResistanceCalculator({ charringRate = CHARRING_RATES.masslam_sl33, dimensions = { width: 90, depth: 240 }, selectedFRL = "0" }) {
+export default function FireResistanceCalculator({ charringRate = CHARRING_RATES.masslam_sl33, dimensions = { width: 90, depth: 240 }, selectedFRL = "0", memberType = "beam", timberGrade = "MASSLAM_SL33", actions = {}, exposure = null, linings = null, charringModel = DEFAULT_CHARRING_MODEL }) {
   // State for calculation results
   const [results, setResults] = useState(null);
   const [actualCharringRate, setActualCharringRate] = useState(charringRate);
+  const { span, deadLoad, liveLoad, psiLong } = actions;
+  const [top, bottom, left, right] = FIRE_FACES.map(face => exposure?.[face]);
+  const { plasterboard, encapsulated } = normaliseFireLinings(linings || {});
   
   // Parse FRL value (e.g., "60/60/60" -> 60)
   const getFRLMinutes = (frl) => {
@@ -35,12 +45,36 @@ export default function FireResistanceCalculator({ charringRate = CHARRING_RATES
   useEffect(() => {
     const minutes = getFRLMinutes(selectedFRL);
     if (minutes > 0 && dimensions.width > 0 && dimensions.depth > 0) {
-      const fireResults = calculateFireResistance(actualCharringRate, dimensions, minutes);
-      setResults(fireResults);
+      const fireResults = checkFireLimitState({
+        dimensions,
+        minutes,
+        memberType,
+        timberGrade,
+        charringRate: actualCharringRate,
+        span,
+        deadLoad,
+        liveLoad,
+        psiLong,
+        exposure: { top, bottom, left, right },
+        linings: { plasterboard, encapsulated },
+        charringModel
+      });
+      // Section that would be needed without the linings, and the board on the lined faces per meter of member
+      const savings = calculateLiningSavings(fireResults.charringRate, dimensions, minutes, fireResults.faceExposure, { plasterboard, encapsulated });
+      const boardPerMeter = FIRE_FACES
+        .filter(face => FACE_EXPOSURES[fireResults.faceExposure[face]].lining)
+        .reduce((sum, face) => {
+          const faceWidth = face === 'top' || face === 'bottom' ? dimensions.width : dimensions.depth;
+          const lining = FIRE_LININGS[{ plasterboard, encapsulated }[fireResults.faceExposure[face]]];
+          return sum + (faceWidth / 1000) * lining.layers;
+        }, 0);
+      setResults({ ...fireResults, savings, boardPerMeter });
     } else {
       setResults(null);
     }
-  }, [dimensions, selectedFRL, actualCharringRate]);
+  }, [dimensions, selectedFRL, actualCharringRate, memberType, timberGrade, span, deadLoad, liveLoad, psiLong, top, bottom, left, right, plasterboard, encapsulated, charringModel]);
+  
+  const formatUtilisation = (utilisation) => (Number.isFinite(utilisation) ? `${(utilisation * 100).toFixed(0)}%` : 'charred through');
 
   // If no FRL is selected or dimensions are invalid, show a message
   if (!results) {
@@ -65,7 +99,7 @@ export default function FireResistanceCalculator({ charringRate = CHARRING_RATES
         <div className="apple-fire-results-col space-y-3">
           <div className="apple-fire-results-item flex justify-between items-center border-b pb-2">
             <div className="apple-fire-results-label font-medium">Charring Rate:</div>
-            <div className="apple-fire-results-value">{actualCharringRate} mm/min</div>
+            <div className="apple-fire-results-value">{results.charringRate.toFixed(2)} mm/min ({CHARRING_MODELS[results.charringModel].label})</div>
           </div>
           <div className="apple-fire-results-item flex justify-between items-center border-b pb-2">
             <div className="apple-fire-results-label font-medium">Required FRL:</div>
@@ -75,6 +109,12 @@ export default function FireResistanceCalculator({ charringRate = CHARRING_RATES
             <div className="apple-fire-results-label font-medium">Char Depth:</div>
             <div className="apple-fire-results-value">{results.charDepth.toFixed(1)} mm</div>
           </div>
+          {FIRE_FACES.map(face => (
+            <div key={face} className="apple-fire-results-item flex justify-between items-center border-b pb-2 text-sm">
+              <div className="apple-fire-results-label capitalize">{face} face ({FACE_EXPOSURES[results.faceExposure[face]].label.toLowerCase()}):</div>
+              <div className="apple-fire-results-value">{results.faceAllowances[face] > 0 ? `${results.faceAllowances[face].toFixed(1)} mm lost` : 'no charring'}</div>
+            </div>
+          ))}
         </div>
         
         <div className="apple-fire-results-col space-y-3">
@@ -90,13 +130,67 @@ export default function FireResistanceCalculator({ charringRate = CHARRING_RATES
             <div className="apple-fire-results-label font-medium">Residual Area:</div>
             <div className="apple-fire-results-value">{results.residualPercentage.toFixed(1)}%</div>
           </div>
+          {[
+            ['A', results.section.area / 1e3, '10³ mm²'],
+            ['Ix', results.section.Ix / 1e6, '10⁶ mm⁴'],
+            ['Iy', results.section.Iy / 1e6, '10⁶ mm⁴'],
+            ['Zx', results.section.Zx / 1e6, '10⁶ mm³'],
+            ['Zy', results.section.Zy / 1e6, '10⁶ mm³']
+          ].map(([label, value, unit]) => (
+            <div key={label} className="apple-fire-results-item flex justify-between items-center border-b pb-2 text-sm">
+              <div className="apple-fire-results-label">Residual {label}:</div>
+              <div className="apple-fire-results-value">{value.toFixed(label === 'A' ? 1 : 2)} × {unit}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+      
+      <div className="apple-fire-results-drawing mt-4">
+        <ResidualSectionDrawing
+          dimensions={dimensions}
+          charLineOutline={results.charLineOutline}
+          residualOutline={results.residualOutline}
+        />
+        {Object.values(results.radii).some(radius => radius > 0) && (
+          <p className="text-xs text-gray-500 text-center mt-1">
+            Corners between charring faces rounded to the char depth, up to {Math.max(...Object.values(results.radii)).toFixed(1)} mm radius
+          </p>
+        )}
+      </div>
+      
+      {results.savings.areaSaved > 0 && (
+        <div className="apple-fire-results-linings mt-4 p-3 bg-blue-50 rounded border border-blue-200 text-sm">
+          <p>
+            Without its linings the section would need to be {Math.ceil(results.savings.unlined.width)} × {Math.ceil(results.savings.unlined.depth)} mm
+            for the same residual section: the linings save {results.savings.percentSaved.toFixed(0)}% of the timber.
+          </p>
+          <p className="text-xs text-gray-600 mt-1">
+            Board required: {results.boardPerMeter.toFixed(2)} m² per meter of member over the lined faces
+          </p>
         </div>
+      )}
+      
+      <div className="apple-fire-results-checks mt-4">
+        <p className="text-sm font-medium mb-2">
+          Fire limit state, {results.combination} = {results.action.toFixed(2)} {results.memberType === 'column' ? 'kN' : 'kN/m'}
+        </p>
+        {Object.entries(results.checks).map(([key, check]) => (
+          <div key={key} className={`flex justify-between items-center border-b pb-2 mb-2 text-sm ${check.passes ? '' : 'text-red-600'}`}>
+            <div className="font-medium">{check.label}:</div>
+            <div>
+              {check.demand.toFixed(1)} / {check.capacity.toFixed(1)} {check.unit} ({formatUtilisation(check.utilisation)})
+            </div>
+          </div>
+        ))}
+        <p className="text-xs text-gray-500">
+          Residual section strengths with φ = {FIRE_DESIGN_FACTORS.phi}, k1 = {FIRE_DESIGN_FACTORS.k1} and kfi = {FIRE_DESIGN_FACTORS.kfi}
+        </p>
       </div>
       
       <div className={`apple-fire-results-status mt-4 p-3 text-center rounded ${results.passes ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
         {results.passes 
-          ? `✓ Passes ${selectedFRL} fire resistance requirement` 
-          : `✗ Does not meet ${selectedFRL} fire resistance requirement`}
+          ? `✓ Passes ${selectedFRL}: ${formatUtilisation(results.utilisation)} utilised in fire (${results.checks[results.governingCheck].label.toLowerCase()})` 
+          : `✗ Does not meet ${selectedFRL}: ${formatUtilisation(results.utilisation)} utilised in fire (${results.checks[results.governingCheck].label.toLowerCase()})`}
       </div>
     </div>
   );
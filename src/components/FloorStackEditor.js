@@ -0,0 +1,133 @@
+import React from "react";
+import { OCCUPANCY_PRESETS } from '@/utils/loadCombinations';
+import { FLOOR_BUILD_UPS } from '@/utils/floorBuildUp';
+import { ROOF_PRESETS, getOccupancyOverrides } from '@/utils/floorStack';
+
+const FIRE_RATINGS = ['none', '30/30/30', '60/60/60', '90/90/90', '120/120/120'];
+
+/**
+ * Component to edit the occupancy, loads, height, fire rating and build-up of each level,
+ * listed from the roof down. Levels follow the building-wide inputs until they are changed.
+ */
+export default function FloorStackEditor({ stack, roof, onLevelChange, onLevelReset, onRoofChange }) {
+  const numberChange = (level, field) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (!isNaN(value) && value >= 0) {
+      onLevelChange(level, { [field]: value });
+    }
+  };
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs md:text-sm">
+          <thead>
+            <tr className="text-left border-b border-gray-200">
+              <th className="py-2 pr-2">Level</th>
+              <th className="py-2 pr-2">Use</th>
+              <th className="py-2 pr-2">Q (kPa)</th>
+              <th className="py-2 pr-2">SDL (kPa)</th>
+              <th className="py-2 pr-2">Height (m)</th>
+              <th className="py-2 pr-2">FRL</th>
+              <th className="py-2 pr-2">Build-up</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...stack].reverse().map(level => (
+              <tr key={level.name} className="border-b border-gray-100">
+                <td className="py-1 pr-2 font-medium whitespace-nowrap">{level.name}</td>
+                <td className="py-1 pr-2">
+                  {level.isRoof ? (
+                    <select
+                      className="apple-input text-xs mb-0"
+                      value={level.roofType}
+                      onChange={(e) => onRoofChange({ type: e.target.value, imposedLoad: undefined, superimposedDeadLoad: undefined })}
+                    >
+                      {Object.entries(ROOF_PRESETS).map(([key, preset]) => (
+                        <option key={key} value={key}>{preset.label}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <select
+                      className="apple-input text-xs mb-0"
+                      value={level.occupancy}
+                      onChange={(e) => onLevelChange(level.level, getOccupancyOverrides(e.target.value))}
+                    >
+                      {Object.entries(OCCUPANCY_PRESETS).map(([key, preset]) => (
+                        <option key={key} value={key}>{preset.label}</option>
+                      ))}
+                    </select>
+                  )}
+                </td>
+                {['imposedLoad', 'superimposedDeadLoad', 'height'].map(field => (
+                  <td key={field} className="py-1 pr-2">
+                    <input
+                      type="number"
+                      className="apple-input text-xs mb-0 w-16"
+                      min="0"
+                      step="0.1"
+                      value={level[field]}
+                      onChange={level.isRoof
+                        ? (e) => {
+                          const value = parseFloat(e.target.value);
+                          if (!isNaN(value) && value >= 0) onRoofChange({ [field]: value });
+                        }
+                        : numberChange(level.level, field)}
+                    />
+                  </td>
+                ))}
+                <td className="py-1 pr-2">
+                  <select
+                    className="apple-input text-xs mb-0"
+                    value={level.fireRating}
+                    onChange={(e) => (level.isRoof
+                      ? onRoofChange({ fireRating: e.target.value })
+                      : onLevelChange(level.level, { fireRating: e.target.value }))}
+                  >
+                    {FIRE_RATINGS.map(rating => (
+                      <option key={rating} value={rating}>{rating === 'none' ? 'None' : rating}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="py-1 pr-2">
+                  <select
+                    className="apple-input text-xs mb-0"
+                    value={level.floorBuildUp.type}
+                    onChange={(e) => {
+                      const floorBuildUp = { ...level.floorBuildUp, type: e.target.value };
+                      return level.isRoof ? onRoofChange({ floorBuildUp }) : onLevelChange(level.level, { floorBuildUp });
+                    }}
+                  >
+                    {Object.entries(FLOOR_BUILD_UPS).map(([key, buildUp]) => (
+                      <option key={key} value={key}>{buildUp.label}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="py-1 text-right">
+                  {level.isRoof ? (
+                    <button className="text-xs text-red-600 hover:underline" onClick={() => onRoofChange({ enabled: false })}>
+                      Remove
+                    </button>
+                  ) : level.customised && (
+                    <button className="text-xs hover:underline" style={{ color: 'var(--apple-blue)' }} onClick={() => onLevelReset(level.level)}>
+                      Reset
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {!roof.enabled && (
+        <button
+          className="apple-button apple-button-secondary text-xs md:text-sm mt-3"
+          onClick={() => onRoofChange({ enabled: true })}
+        >
+          Add roof level
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React from "react";
+import { WIND_DIRECTIONS } from '@/utils/windLoads';
+
+/**
+ * Component to show the storey shears, drift and element utilisation of the lateral system
+ * in each direction, with the levels named from the floor stack
+ * Directions where this case governs, from findGoverningLateralCase, are flagged.
+ */
+export default function LateralDesignResults({ lateral, floorStack = [], caseName, governing }) {
+  if (!lateral) {
+    return null;
+  }
+
+  const levelName = (level) => floorStack[level - 1]?.name || `Level ${level}`;
+  const percent = (value) => (Number.isFinite(value) ? `${(value * 100).toFixed(0)}%` : '-');
+
+  return (
+    <div className="space-y-6">
+      {Object.entries(lateral.directions).map(([direction, result]) => (
+        <div key={direction}>
+          <p className={`text-sm font-medium mb-2 ${result.passes ? 'text-green-600' : 'text-red-600'}`}>
+            {result.passes ? '✓' : '✗'} {WIND_DIRECTIONS[direction].label}
+            {result.hasElements && <span> - utilisation {percent(result.utilisation)}</span>}
+            {governing?.directions[direction]?.case === caseName && (
+              <span className="ml-2 text-xs px-2 py-0.5 rounded bg-gray-100" style={{ color: 'var(--apple-text-secondary)' }}>Governs</span>
+            )}
+          </p>
+
+          {!result.hasElements ? (
+            <p className="text-xs text-red-600">
+              No braced bays or shear walls resist this direction. Add elements on {direction === 'lengthwise' ? 'the numbered' : 'the lettered'} grid lines.
+            </p>
+          ) : (
+            <>
+              <table className="w-full text-xs md:text-sm mb-3">
+                <thead>
+                  <tr className="text-left border-b border-gray-200">
+                    <th className="py-2 pr-2">Storey below</th>
+                    <th className="py-2 pr-2 text-right">Shear V*</th>
+                    <th className="py-2 pr-2 text-right">Stiffness</th>
+                    <th className="py-2 text-right">Drift (limit h/{lateral.driftLimit.toFixed(0)})</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...result.storeys].reverse().map(storey => (
+                    <tr key={`${direction}-storey-${storey.level}`} className="border-b border-gray-100">
+                      <td className="py-1 pr-2">{levelName(storey.level)}</td>
+                      <td className="py-1 pr-2 text-right">{storey.shear.toFixed(0)} kN</td>
+                      <td className="py-1 pr-2 text-right">{storey.stiffness.toFixed(1)} kN/mm</td>
+                      <td className={`py-1 text-right ${storey.driftCheck.passes ? '' : 'text-red-600'}`}>
+                        {Number.isFinite(storey.drift) ? storey.drift.toFixed(1) : '-'} / {storey.driftCheck.capacity.toFixed(1)} mm
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <table className="w-full text-xs md:text-sm">
+                <thead>
+                  <tr className="text-left border-b border-gray-200">
+                    <th className="py-2 pr-2">Element</th>
+                    <th className="py-2 pr-2">Grid</th>
+                    <th className="py-2 pr-2">Base storey</th>
+                    <th className="py-2 pr-2">Governs</th>
+                    <th className="py-2 text-right">Util.</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.elements.map(element => {
+                    const base = element.storeys[0];
+                    const governing = base.governingCheck ? base.checks[base.governingCheck] : null;
+                    return (
+                      <tr key={element.id} className="border-b border-gray-100">
+                        <td className="py-1 pr-2">
+                          <span className="font-medium">{element.id}</span> {element.label}
+                        </td>
+                        <td className="py-1 pr-2">{element.segment}</td>
+                        <td className="py-1 pr-2 whitespace-nowrap">
+                          {element.type === 'bracedBay'
+                            ? `${base.width} × ${base.depth}mm, N* ${base.axialForce.toFixed(0)} kN`
+                            : `V* ${base.shear.toFixed(0)} kN, T* ${base.holdDownTension.toFixed(0)} kN`}
+                        </td>
+                        <td className="py-1 pr-2">{governing?.label}</td>
+                        <td className={`py-1 text-right ${element.passes ? '' : 'text-red-600'}`}>{percent(element.utilisation)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import React from "react";
+import { LATERAL_SYSTEMS, CLT_WALL_TYPES, createLateralElement } from '@/utils/lateralDesign';
+
+/**
+ * Component to place braced bays and CLT shear walls on the grid segments
+ */
+export default function LateralElementsEditor({ lateralElements, segments, onChange }) {
+  const updateElement = (id, changes) => {
+    onChange(lateralElements.map(element => (element.id === id ? { ...element, ...changes } : element)));
+  };
+
+  const addElement = (type) => {
+    const prefix = type === 'cltWall' ? 'W' : 'X';
+    const nextNumber = lateralElements
+      .filter(element => element.id.startsWith(prefix))
+      .reduce((max, element) => Math.max(max, parseInt(element.id.slice(1), 10) || 0), 0) + 1;
+    // Alternate the direction of new elements so both directions get a lateral system
+    const lengthwiseCount = lateralElements.filter(element => segments.find(segment => segment.ref === element.segment)?.direction === 'lengthwise').length;
+    const direction = lengthwiseCount > lateralElements.length - lengthwiseCount ? 'widthwise' : 'lengthwise';
+    const segment = segments.find(item => item.direction === direction) || segments[0];
+    onChange([...lateralElements, createLateralElement({ id: `${prefix}${nextNumber}`, type, segment: segment?.ref })]);
+  };
+
+  const removeElement = (id) => {
+    onChange(lateralElements.filter(element => element.id !== id));
+  };
+
+  return (
+    <div className="text-left">
+      {lateralElements.length > 0 && (
+        <div className="space-y-2 mb-3">
+          {lateralElements.map(element => (
+            <div key={element.id} className="grid grid-cols-2 md:grid-cols-4 gap-2 items-end">
+              <div>
+                <span className="block text-xs font-medium">{element.id}</span>
+                <select
+                  className="apple-input text-sm w-full"
+                  value={element.type}
+                  onChange={(e) => updateElement(element.id, { type: e.target.value })}
+                >
+                  {Object.entries(LATERAL_SYSTEMS).map(([key, system]) => (
+                    <option key={key} value={key}>{system.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <span className="block text-xs" style={{ color: 'var(--apple-text-secondary)' }}>Grid segment</span>
+                <select
+                  className="apple-input text-sm w-full"
+                  value={element.segment}
+                  onChange={(e) => updateElement(element.id, { segment: e.target.value })}
+                >
+                  {!segments.some(segment => segment.ref === element.segment) && (
+                    <option value={element.segment}>{element.segment} (not on grid)</option>
+                  )}
+                  {['lengthwise', 'widthwise'].map(direction => (
+                    <optgroup key={direction} label={direction === 'lengthwise' ? 'Lengthwise ↔' : 'Widthwise ↕'}>
+                      {segments.filter(segment => segment.direction === direction).map(segment => (
+                        <option key={segment.ref} value={segment.ref}>{segment.ref} ({segment.length.toFixed(1)}m)</option>
+                      ))}
+                    </optgroup>
+                  ))}
+                </select>
+              </div>
+              <div>
+                {element.type === 'cltWall' && (
+                  <>
+                    <span className="block text-xs" style={{ color: 'var(--apple-text-secondary)' }}>Panel</span>
+                    <select
+                      className="apple-input text-sm w-full"
+                      value={element.wallType}
+                      onChange={(e) => updateElement(element.id, { wallType: e.target.value })}
+                    >
+                      {Object.entries(CLT_WALL_TYPES).map(([key, wallType]) => (
+                        <option key={key} value={key}>{wallType.label}</option>
+                      ))}
+                    </select>
+                  </>
+                )}
+              </div>
+              <div className="text-right">
+                <button
+                  className="text-xs text-red-600 hover:underline"
+                  onClick={() => removeElement(element.id)}
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(LATERAL_SYSTEMS).map(([type, system]) => (
+          <button
+            key={type}
+            className="apple-button apple-button-secondary text-xs md:text-sm"
+            onClick={() => addElement(type)}
+          >
+            Add {system.label.split(' (')[0].toLowerCase()}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
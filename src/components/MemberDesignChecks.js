@@ -0,0 +1,49 @@
+import React from "react";
+
+/**
+ * Component to display the design checks of a member with utilisation ratios
+ * and the load combination each check was made under, with the fire limit state
+ * utilisation of the residual section when the member has a fire rating
+ */
+export default function MemberDesignChecks({ member }) {
+  if (!member || !member.checks || Object.keys(member.checks).length === 0) {
+    return null;
+  }
+
+  const formatValue = (value) => (Number.isFinite(value) ? value.toFixed(value < 10 ? 2 : 1) : '-');
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-200">
+      <p className={`text-xs md:text-sm font-medium mb-1 ${member.passes ? 'text-green-600' : 'text-red-600'}`}>
+        {member.passes ? '✓' : '✗'} Utilisation {(member.utilisation * 100).toFixed(0)}%
+        {member.governingCheck && member.checks[member.governingCheck] && (
+          <span>
+            {' '}({member.checks[member.governingCheck].label} governs
+            {member.governingCombination && <span> under {member.governingCombination}</span>})
+          </span>
+        )}
+      </p>
+      {member.fire && (
+        <p className={`text-xs mb-1 ${member.fire.passes ? 'text-gray-600' : 'text-red-600'}`}>
+          Fire limit state at {member.fire.minutes} min: {(member.fire.utilisation * 100).toFixed(0)}% on the {member.fire.effectiveWidth.toFixed(0)} × {member.fire.effectiveDepth.toFixed(0)}mm residual section under {member.fire.combination}
+        </p>
+      )}
+      <div className="text-xs space-y-1">
+        {Object.entries(member.checks).map(([name, check]) => (
+          <div
+            key={name}
+            className={`flex justify-between ${name === member.governingCheck ? 'font-semibold' : ''}`}
+          >
+            <span>
+              {check.label}
+              {check.combination && <span className="text-gray-500"> [{check.combination}]</span>}
+            </span>
+            <span className={check.passes ? '' : 'text-red-600'}>
+              {formatValue(check.demand)} / {formatValue(check.capacity)} {check.unit} ({(check.utilisation * 100).toFixed(0)}%)
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React from "react";
+
+const KIND_LABELS = {
+  joists: 'Joists',
+  beams: 'Beams',
+  columns: 'Columns'
+};
+
+/**
+ * Component to list the member schedule: every member kind grouped into typical types
+ * with their count, total length, largest span and highest utilisation
+ */
+export default function MemberSchedule({ schedule }) {
+  if (!schedule) {
+    return null;
+  }
+
+  return (
+    <table className="w-full text-xs md:text-sm">
+      <thead>
+        <tr className="text-left border-b border-gray-200">
+          <th className="py-2 pr-2">Mark</th>
+          <th className="py-2 pr-2">Size</th>
+          <th className="py-2 pr-2 text-right">Count</th>
+          <th className="py-2 pr-2 text-right">Total length</th>
+          <th className="py-2 pr-2 text-right">Max span</th>
+          <th className="py-2 pr-2 text-right">Max util.</th>
+          <th className="py-2">Locations</th>
+        </tr>
+      </thead>
+      <tbody>
+        {Object.entries(KIND_LABELS).map(([kind, label]) => (
+          <React.Fragment key={kind}>
+            <tr>
+              <td colSpan={7} className="pt-3 pb-1 font-medium text-gray-600">{label}</td>
+            </tr>
+            {schedule[kind].map(type => (
+              <tr key={type.mark} className="border-b border-gray-100 align-top">
+                <td className="py-1 pr-2 font-medium">{type.mark}</td>
+                <td className="py-1 pr-2 whitespace-nowrap">{type.width} × {type.depth}mm</td>
+                <td className="py-1 pr-2 text-right">{type.count}</td>
+                <td className="py-1 pr-2 text-right">{type.totalLength.toFixed(1)}m</td>
+                <td className="py-1 pr-2 text-right">{type.maxSpan.toFixed(2)}m</td>
+                <td className={`py-1 pr-2 text-right ${type.passes ? '' : 'text-red-600'}`}>
+                  {(type.maxUtilisation * 100).toFixed(0)}%
+                </td>
+                <td className="py-1 text-gray-500">{type.locations.join(', ')}</td>
+              </tr>
+            ))}
+          </React.Fragment>
+        ))}
+      </tbody>
+    </table>
+  );
+}
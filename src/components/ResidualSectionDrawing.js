@@ -0,0 +1,41 @@
+import React from "react";
+
+/**
+ * Component to draw the char line and residual section over the original section
+ * Outlines come from calculateRoundedResidualSection, in mm from the top-left corner of the section.
+ */
+export default function ResidualSectionDrawing({ dimensions, charLineOutline = [], residualOutline = [], maxSize = 240 }) {
+  const { width, depth } = dimensions;
+  if (!(width > 0 && depth > 0)) {
+    return null;
+  }
+
+  const scale = maxSize / Math.max(width, depth);
+  const margin = 8;
+  const toPath = (points) => (points.length > 0
+    ? `${points.map((point, index) => `${index === 0 ? 'M' : 'L'}${(margin + point.x * scale).toFixed(1)},${(margin + point.y * scale).toFixed(1)}`).join(' ')} Z`
+    : null);
+  const charLine = toPath(charLineOutline);
+  const residual = toPath(residualOutline);
+
+  return (
+    <div className="flex flex-col items-center">
+      <svg
+        width={width * scale + 2 * margin}
+        height={depth * scale + 2 * margin}
+        role="img"
+        aria-label={`Residual section of a ${width} × ${depth} mm section`}
+      >
+        {/* Original section, charred outside the char line */}
+        <rect x={margin} y={margin} width={width * scale} height={depth * scale} fill="#374151" stroke="#111827" strokeWidth="1" />
+        {charLine && <path d={charLine} fill="#fde68a" stroke="#dc2626" strokeWidth="1.5" />}
+        {residual && <path d={residual} fill="#d6b98c" stroke="#92400e" strokeWidth="1" strokeDasharray="4 2" />}
+      </svg>
+      <div className="flex flex-wrap justify-center gap-3 mt-2 text-xs text-gray-600">
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3" style={{ backgroundColor: "#374151" }} />Char</span>
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3" style={{ backgroundColor: "#fde68a" }} />Zero-strength layer</span>
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3" style={{ backgroundColor: "#d6b98c" }} />Residual section</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useState } from "react";
+import { OPTIMISATION_OBJECTIVES, DEFAULT_OPTIMISATION } from '@/utils/schemeOptimiser';
+import { formatCurrency } from '@/utils/costEstimator';
+
+/**
+ * Component to search joist direction, spacing and bay counts for the best schemes and
+ * compare them, with one click to apply a scheme to the calculator
+ * onOptimise receives the objective, topN and varyBays options and resolves to the result
+ * of optimiseScheme; current holds the direction, spacing and bay counts in use.
+ */
+export default function SchemeOptimiser({ onOptimise, onApply, current }) {
+  const [options, setOptions] = useState(DEFAULT_OPTIMISATION);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const runOptimiser = async () => {
+    setRunning(true);
+    try {
+      setResult(await onOptimise(options));
+    } catch (error) {
+      console.error('Error optimising the scheme:', error);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const isCurrent = (scheme) => scheme.joistsRunLengthwise === current.joistsRunLengthwise &&
+    scheme.joistSpacing === current.joistSpacing &&
+    scheme.lengthwiseBays === current.lengthwiseBays &&
+    scheme.widthwiseBays === current.widthwiseBays;
+  const member = (summary) => (
+    <span className="whitespace-nowrap">
+      {summary.layup || `${summary.width} × ${summary.depth}`}
+      <span className={`ml-1 ${summary.passes ? 'text-gray-500' : 'text-red-600'}`}>({(summary.utilisation * 100).toFixed(0)}%)</span>
+    </span>
+  );
+
+  return (
+    <div className="text-left">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 items-end mb-3">
+        <div>
+          <span className="block text-xs" style={{ color: 'var(--apple-text-secondary)' }}>Rank by</span>
+          <select
+            className="apple-input text-sm w-full"
+            value={options.objective}
+            onChange={(e) => setOptions({ ...options, objective: e.target.value })}
+          >
+            {Object.entries(OPTIMISATION_OBJECTIVES).map(([key, objective]) => (
+              <option key={key} value={key}>{objective.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <span className="block text-xs" style={{ color: 'var(--apple-text-secondary)' }}>Schemes to show</span>
+          <input
+            type="number"
+            className="apple-input text-sm w-full"
+            min="1"
+            max="20"
+            value={options.topN}
+            onChange={(e) => setOptions({ ...options, topN: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={options.varyBays}
+            onChange={(e) => setOptions({ ...options, varyBays: e.target.checked })}
+          />
+          Vary bay counts
+        </label>
+        <div className="text-right">
+          <button
+            className="apple-button apple-button-secondary text-xs md:text-sm"
+            onClick={runOptimiser}
+            disabled={running}
+          >
+            {running ? 'Optimising…' : 'Find best schemes'}
+          </button>
+        </div>
+      </div>
+
+      {result && (
+        <>
+          <p className="text-xs mb-2" style={{ color: 'var(--apple-text-secondary)' }}>
+            Best {result.schemes.length} of {result.evaluated} schemes by {OPTIMISATION_OBJECTIVES[result.objective].label.toLowerCase()}. Sizes in mm with the highest utilisation of each member kind.
+          </p>
+          <table className="w-full text-xs md:text-sm">
+            <thead>
+              <tr className="text-left border-b border-gray-200">
+                <th className="py-2 pr-2">#</th>
+                <th className="py-2 pr-2">Joists</th>
+                <th className="py-2 pr-2">Bays</th>
+                <th className="py-2 pr-2">Joist</th>
+                <th className="py-2 pr-2">Beam</th>
+                <th className="py-2 pr-2">Column</th>
+                <th className="py-2 pr-2 text-right">Volume</th>
+                <th className="py-2 pr-2 text-right">Carbon</th>
+                <th className="py-2 pr-2 text-right">Cost</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.schemes.map((scheme, index) => (
+                <tr key={scheme.id} className={`border-b border-gray-100 ${scheme.passes ? '' : 'text-red-600'}`}>
+                  <td className="py-1 pr-2">{index + 1}</td>
+                  <td className="py-1 pr-2 whitespace-nowrap">{scheme.joistsRunLengthwise ? '↔' : '↕'} {scheme.floorSystem === 'clt' ? 'CLT' : `@ ${scheme.joistSpacing}`}</td>
+                  <td className="py-1 pr-2">{scheme.lengthwiseBays} × {scheme.widthwiseBays}</td>
+                  <td className="py-1 pr-2">{member(scheme.joists)}</td>
+                  <td className="py-1 pr-2">{member(scheme.beams)}</td>
+                  <td className="py-1 pr-2">{member(scheme.columns)}</td>
+                  <td className="py-1 pr-2 text-right">{scheme.volume.toFixed(1)} m³</td>
+                  <td className="py-1 pr-2 text-right">{scheme.embodiedCarbon.toFixed(1)} t</td>
+                  <td className="py-1 pr-2 text-right">{formatCurrency(scheme.cost)}</td>
+                  <td className="py-1 text-right">
+                    {isCurrent(scheme) ? (
+                      <span className="text-xs" style={{ color: 'var(--apple-text-secondary)' }}>Current</span>
+                    ) : (
+                      <button className="text-xs text-blue-600 hover:underline" onClick={() => onApply(scheme)}>
+                        Apply
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React from "react";
+
+/**
+ * Component to show the governing bearing perpendicular to grain of a member kind, and the
+ * wider section or steel bearing plate each failing support needs
+ */
+export default function SupportBearings({ bearings, floorStack = [] }) {
+  if (!bearings || bearings.length === 0) {
+    return null;
+  }
+
+  const levelName = (level) => floorStack[level - 1]?.name || `Level ${level}`;
+  const governing = bearings.reduce((worst, item) => (item.check.utilisation > worst.check.utilisation ? item : worst));
+  const failing = bearings.filter(item => item.remedy);
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-200">
+      <p className={`text-xs md:text-sm font-medium mb-1 ${failing.length === 0 ? 'text-green-600' : 'text-red-600'}`}>
+        {failing.length === 0 ? '✓' : '✗'} Bearing {(governing.check.utilisation * 100).toFixed(0)}%
+        <span className="font-normal">
+          {' '}({governing.ref} on {governing.support}, {governing.bearingWidth.toFixed(0)} × {governing.bearingLength.toFixed(0)}mm, k7 = {governing.check.k7.toFixed(2)})
+        </span>
+      </p>
+      {failing.length > 0 && (
+        <div className="text-xs space-y-1">
+          {failing.map(item => (
+            <div key={`bearing-${item.ref}`} className="text-red-600">
+              <strong>{item.ref}</strong> ({levelName(item.level)}): {item.remedy.reason}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
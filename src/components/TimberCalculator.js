@@ -1,17 +1,21 @@
 "use client";
 
-import { useState, useEffect, useRef } from 'react';
+import { Fragment, useState, useEffect, useRef } from 'react';
 import Link from 'next/link';
 import { 
-  calculateJoistSize, 
-  calculateJoistSizeAsync,
-  calculateBeamSize, 
-  calculateColumnSize,
   calculateTimberWeight,
+  calculateCarbonStorage,
   calculateCarbonSavings,
+  calculateEmbodiedCarbon,
+  SPAN_CONDITIONS,
   validateStructure,
   TIMBER_PROPERTIES,
-  loadTimberProperties
+  loadTimberProperties,
+  SERVICE_CLASSES,
+  DEFAULT_SERVICE_CLASS,
+  IMPOSED_LOAD_DURATIONS,
+  DEFAULT_LOAD_DURATION,
+  LOAD_DURATION_FACTORS
 } from '@/utils/timberEngineering';
 import { 
   loadMasslamSizes,
@@ -25,139 +29,50 @@ import {
   filterToStandardSizes,
   resetMasslamSizes
 } from '@/utils/timberSizes';
-import { calculateFireResistanceAllowance, getMasslamSL33Properties } from '@/utils/masslamProperties';
+import { calculateFireResistanceAllowance, getMasslamSL33Properties, DEFAULT_MEMBER_GRADES, MASSLAM_GRADES, getMemberGradeOptions, DEFAULT_MEMBER_EXPOSURES, FACE_EXPOSURES, FIRE_FACES, describeFireAllowances, DEFAULT_FIRE_LININGS, getFireLiningOptions, normaliseFireLinings } from '@/utils/masslamProperties';
+import { summariseFireLinings, checkStructureConnectionsFire } from '@/utils/fireDesign';
+import {
+  OCCUPANCY_PRESETS,
+  DEFAULT_OCCUPANCY,
+  getOccupancyPreset,
+  createFloorLoads
+} from '@/utils/loadCombinations';
+import { designStructure, DEFAULT_CANTILEVERS, DEFAULT_JOIST_SPACING, JOIST_SPACING_OPTIONS, FLOOR_SYSTEMS, DEFAULT_FLOOR_SYSTEM } from '@/utils/structureDesign';
+import { optimiseScheme } from '@/utils/schemeOptimiser';
+import { createAppliedLoad, describeAppliedLoad } from '@/utils/appliedLoads';
+import { DEFAULT_ROOF, resolveFloorStack, getLevelDesignInputs } from '@/utils/floorStack';
+import { WIND_REGIONS, TERRAIN_CATEGORIES, DEFAULT_WIND, calculateWindStoreyForces } from '@/utils/windLoads';
+import { getGridSegments, createLateralElement, designLateralSystem, findGoverningLateralCase } from '@/utils/lateralDesign';
+import { CONNECTION_TYPES, DEFAULT_CONNECTIONS, designStructureConnections } from '@/utils/connectionDesign';
+import { checkSupportBearings } from '@/utils/bearingDesign';
+import { calculateColumnShortening } from '@/utils/columnShortening';
+import { SITE_SUBSOIL_CLASSES, DUCTILITY_PRESETS, DEFAULT_SEISMIC, SEISMIC_DRIFT_LIMIT, calculateSeismicWeights, calculateSeismicStoreyForces } from '@/utils/seismicLoads';
 import TimberSizesTable from './TimberSizesTable';
+import MemberSchedule from './MemberSchedule';
+import ColumnSchedule from './ColumnSchedule';
+import ConnectionSchedule from './ConnectionSchedule';
+import AppliedLoadsEditor from './AppliedLoadsEditor';
+import FloorStackEditor from './FloorStackEditor';
+import LateralElementsEditor from './LateralElementsEditor';
+import LateralDesignResults from './LateralDesignResults';
+import MemberDesignChecks from './MemberDesignChecks';
+import SupportBearings from './SupportBearings';
+import ColumnShortening from './ColumnShortening';
+import TimberProfileOverlay from './TimberProfileOverlay';
+import FireLinings from './FireLinings';
+import SchemeOptimiser from './SchemeOptimiser';
+import ValidationFindings from './ValidationFindings';
+import { DEFAULT_VIBRATION_CRITERIA } from '@/utils/floorVibration';
+import {
+  FLOOR_BUILD_UPS,
+  DEFAULT_FLOOR_BUILD_UP,
+  getFloorBuildUp,
+  calculateBuildUpLoad,
+  calculateBuildUpQuantities
+} from '@/utils/floorBuildUp';
 import { calculateCost, formatCurrency } from '../utils/costEstimator';
 // ... other imports as before
 
-// Custom function for beam size calculation with tributary area
-const calculateMultiFloorBeamSize = (span, load, joistSpacing, numFloors, fireRating = 'none') => {
-  // Calculate tributary width for the beam (in meters)
-  // Tributary width is typically half the joist spacing on each side
-  const tributaryWidth = joistSpacing;
-  console.log(`Beam tributary width: ${tributaryWidth.toFixed(2)} m`);
-  
-  // Calculate load per meter of beam (kN/m)
-  // load is in kPa (kN/m²), so multiply by tributary width to get kN/m
-  const loadPerMeter = load * tributaryWidth;
-  console.log(`Beam load per meter: ${loadPerMeter.toFixed(2)} kN/m`);
-  
-  // Calculate total distributed load on the beam
-  const totalDistributedLoad = loadPerMeter * span;
-  console.log(`Total distributed load on beam: ${totalDistributedLoad.toFixed(2)} kN`);
-  
-  // Calculate theoretical width and depth
-  const spanMm = span * 1000; // Convert to mm
-  const theoreticalWidth = Math.max(65, Math.ceil(spanMm / 25)); // Simplified calculation
-  const theoreticalDepth = Math.max(240, Math.ceil(spanMm / 12)); // Simplified calculation
-  
-  // Calculate fire resistance allowance if needed
-  let fireAllowance = 0;
-  if (fireRating && fireRating !== 'none') {
-    fireAllowance = calculateFireResistanceAllowance(fireRating);
-  }
-  
-  // Add fire resistance allowance to width and depth
-  // For beams, typically 3 sides are exposed (bottom and two sides)
-  const fireAdjustedWidth = theoreticalWidth + (2 * fireAllowance); // Both sides exposed
-  const fireAdjustedDepth = theoreticalDepth + fireAllowance; // Only bottom exposed
-  
-  console.log(`Beam size before fire adjustment: ${theoreticalWidth}x${theoreticalDepth}mm`);
-  console.log(`Beam size after fire adjustment: ${fireAdjustedWidth}x${fireAdjustedDepth}mm`);
-  
-  // Find the nearest available width and depth
-  const width = findNearestWidth(fireAdjustedWidth);
-  const depth = findNearestDepth(width, fireAdjustedDepth);
-  
-  return {
-    width: width,
-    depth: depth,
-    span: span,
-    tributaryWidth: tributaryWidth,
-    loadPerMeter: loadPerMeter,
-    totalDistributedLoad: totalDistributedLoad,
-    fireRating: fireRating,
-    fireAllowance: fireAllowance
-  };
-};
-
-// Rename the custom function to avoid naming conflict
-const calculateMultiFloorColumnSize = (beamWidth, load, height, floors, fireRating = 'none', bayLength, bayWidth) => {
-  // Column width MUST exactly match beam width
-  const width = beamWidth;
-  console.log(`Setting column width to exactly match beam width: ${width}mm`);
-  
-  // Calculate tributary area for the column (in square meters)
-  // Each column typically supports a quarter of each of the four adjacent bays
-  const tributaryArea = bayLength * bayWidth;
-  console.log(`Column tributary area: ${tributaryArea.toFixed(2)} m²`);
-  
-  // Calculate load based on number of floors and tributary area
-  // load is in kPa (kN/m²), so multiply by tributary area to get kN
-  const loadPerFloor = load * tributaryArea;
-  const totalLoad = loadPerFloor * floors;
-  console.log(`Column load per floor: ${loadPerFloor.toFixed(2)} kN, Total load: ${totalLoad.toFixed(2)} kN`);
-  
-  // Calculate required cross-sectional area based on compression strength
-  // Using a simplified approach with safety factor
-  const compressionStrength = 26; // MPa (from MASSLAM_SL33_Mechanical_Properties.csv)
-  const safetyFactor = 2.0; // Conservative safety factor
-  const requiredArea = (totalLoad * 1000) / (compressionStrength / safetyFactor); // mm²
-  
-  // Calculate minimum depth based on required area and fixed width
-  let requiredDepth = Math.ceil(requiredArea / width);
-  console.log(`Minimum required depth based on axial load: ${requiredDepth}mm`);
-  
-  // Check for buckling - simplified approach
-  // For timber columns, depth should generally be at least 1/20 of height for buckling resistance
-  const minDepthForBuckling = Math.ceil(height * 1000 / 20);
-  if (minDepthForBuckling > requiredDepth) {
-    console.log(`Increasing depth to ${minDepthForBuckling}mm to prevent buckling`);
-    requiredDepth = minDepthForBuckling;
-  }
-  
-  // Ensure depth is at least equal to width (square column)
-  if (width > requiredDepth) {
-    console.log(`Increasing depth to match width: ${width}mm`);
-    requiredDepth = width;
-  }
-  
-  // Calculate fire resistance allowance if needed
-  let fireAllowance = 0;
-  if (fireRating && fireRating !== 'none') {
-    fireAllowance = calculateFireResistanceAllowance(fireRating);
-    console.log(`Adding fire allowance of ${fireAllowance}mm to column dimensions`);
-  }
-  
-  // Add fire resistance allowance to depth only (width is fixed to match beam)
-  // For columns, all 4 sides are exposed, but we only adjust depth
-  const fireAdjustedWidth = width + (2 * fireAllowance); // Both sides exposed
-  const fireAdjustedDepth = requiredDepth + (2 * fireAllowance); // Both sides exposed
-  
-  console.log(`Column size before fire adjustment: ${width}x${requiredDepth}mm`);
-  console.log(`Column size after fire adjustment: ${fireAdjustedWidth}x${fireAdjustedDepth}mm`);
-  
-  // For column width, we must use exactly the beam width after fire adjustment
-  // This ensures proper connection between beam and column
-  const adjustedWidth = findNearestWidth(fireAdjustedWidth);
-  
-  // Find the nearest available depth for the given width
-  const adjustedDepth = findNearestDepth(adjustedWidth, fireAdjustedDepth);
-  console.log(`Final column size after rounding to available sizes: ${adjustedWidth}x${adjustedDepth}mm`);
-  
-  return {
-    width: adjustedWidth,
-    depth: adjustedDepth,
-    height: height,
-    load: totalLoad,
-    tributaryArea: tributaryArea,
-    loadPerFloor: loadPerFloor,
-    floors: floors,
-    fireRating: fireRating,
-    fireAllowance: fireAllowance
-  };
-};
-
 export default function TimberCalculator() {
   // State variables for project details and save modal
   const [projectDetails, setProjectDetails] = useState({
@@ -167,6 +82,7 @@ export default function TimberCalculator() {
     date: new Date().toISOString().split('T')[0],
   });
   const [showSaveModal, setShowSaveModal] = useState(false);
+  const [showProfiles, setShowProfiles] = useState(false);
   const [showImportDialog, setShowImportDialog] = useState(false);
   const [saveMessage, setSaveMessage] = useState('');
   const [error, setError] = useState(null);
@@ -195,6 +111,30 @@ export default function TimberCalculator() {
   
   // Add state variable for global joist direction
   const [joistsRunLengthwise, setJoistsRunLengthwise] = useState(false);
+  const [joistSpacing, setJoistSpacing] = useState(DEFAULT_JOIST_SPACING);
+  const [floorSystem, setFloorSystem] = useState(DEFAULT_FLOOR_SYSTEM);
+  
+  // Span conditions of the joist and beam runs, and perimeter cantilevers (m)
+  const [joistsContinuous, setJoistsContinuous] = useState(false);
+  const [beamsContinuous, setBeamsContinuous] = useState(false);
+  const [cantilevers, setCantilevers] = useState(DEFAULT_CANTILEVERS);
+  
+  // Point loads, line loads and area load zones placed on bays
+  const [appliedLoads, setAppliedLoads] = useState([]);
+  
+  // Overrides of the building-wide inputs keyed by level, the roof level, and whether
+  // columns step down in size up the building
+  const [levelOverrides, setLevelOverrides] = useState({});
+  const [roof, setRoof] = useState(DEFAULT_ROOF);
+  const [columnsStepDown, setColumnsStepDown] = useState(true);
+  
+  // Wind site inputs and the braced bays and shear walls placed on the grid
+  const [wind, setWind] = useState(DEFAULT_WIND);
+  const [seismic, setSeismic] = useState(DEFAULT_SEISMIC);
+  const [lateralElements, setLateralElements] = useState([]);
+  
+  // Connection type of the joist-to-beam and beam-to-column interfaces
+  const [connectionTypes, setConnectionTypes] = useState(DEFAULT_CONNECTIONS);
   
   // Set initial joist direction based on building dimensions
   useEffect(() => {
@@ -230,11 +170,97 @@ export default function TimberCalculator() {
           setFireRating(project.fireRating);
           setLoad(project.load);
           
+          // Load the separate permanent loads and occupancy if available
+          if (project.occupancy !== undefined) {
+            setOccupancy(project.occupancy);
+          }
+          if (project.permanentLoad !== undefined) {
+            setPermanentLoad(project.permanentLoad);
+          }
+          if (project.superimposedDeadLoad !== undefined) {
+            setSuperimposedDeadLoad(project.superimposedDeadLoad);
+          }
+          if (project.serviceClass && SERVICE_CLASSES[project.serviceClass]) {
+            setServiceClass(Number(project.serviceClass));
+          }
+          if (project.loadDuration && IMPOSED_LOAD_DURATIONS[project.loadDuration]) {
+            setLoadDuration(project.loadDuration);
+          }
+          
+          // Load floor build-up if available
+          if (project.floorBuildUp) {
+            setFloorBuildUp(project.floorBuildUp);
+          }
+          
+          // Load vibration criteria if available
+          if (project.vibrationCriteria) {
+            setVibrationCriteria({ ...DEFAULT_VIBRATION_CRITERIA, ...project.vibrationCriteria });
+          }
+          
           // Load joist direction if available
           if (project.joistsRunLengthwise !== undefined) {
             setJoistsRunLengthwise(project.joistsRunLengthwise);
           }
           
+          if (project.joistSpacing !== undefined) {
+            setJoistSpacing(project.joistSpacing);
+          }
+          if (project.floorSystem && FLOOR_SYSTEMS[project.floorSystem]) {
+            setFloorSystem(project.floorSystem);
+          }
+          
+          // Load span conditions and cantilevers if available
+          if (project.joistsContinuous !== undefined) {
+            setJoistsContinuous(project.joistsContinuous);
+          }
+          if (project.beamsContinuous !== undefined) {
+            setBeamsContinuous(project.beamsContinuous);
+          }
+          if (project.cantilevers) {
+            setCantilevers({ ...DEFAULT_CANTILEVERS, ...project.cantilevers });
+          }
+          
+          // Load applied loads if available
+          if (Array.isArray(project.appliedLoads)) {
+            setAppliedLoads(project.appliedLoads.map(createAppliedLoad));
+          }
+          
+          // Load the floor stack if available
+          if (project.levelOverrides) {
+            setLevelOverrides(project.levelOverrides);
+          }
+          if (project.roof) {
+            setRoof({ ...DEFAULT_ROOF, ...project.roof });
+          }
+          if (project.columnsStepDown !== undefined) {
+            setColumnsStepDown(project.columnsStepDown);
+          }
+          
+          // Load the wind inputs and lateral elements if available
+          if (project.wind) {
+            setWind({ ...DEFAULT_WIND, ...project.wind });
+          }
+          if (project.seismic) {
+            setSeismic({ ...DEFAULT_SEISMIC, ...project.seismic });
+          }
+          if (project.memberGrades) {
+            setMemberGrades({ ...DEFAULT_MEMBER_GRADES, ...project.memberGrades });
+          }
+          if (project.fireExposures) {
+            setFireExposures(Object.fromEntries(Object.entries(DEFAULT_MEMBER_EXPOSURES).map(([kind, exposure]) => (
+              [kind, { ...exposure, ...project.fireExposures[kind] }]
+            ))));
+          }
+          if (project.fireLinings) {
+            setFireLinings(normaliseFireLinings(project.fireLinings));
+          }
+          if (project.connectionTypes) {
+            setConnectionTypes({ ...DEFAULT_CONNECTIONS, ...project.connectionTypes });
+          }
+          if (Array.isArray(project.lateralElements)) {
+            setLateralElements(project.lateralElements.map(createLateralElement));
+          }
+          
           // Clear the current project from localStorage
           localStorage.removeItem('currentProject');
         }
@@ -277,15 +303,55 @@ export default function TimberCalculator() {
   }, [buildingLength, buildingWidth]);
   
   const [fireRating, setFireRating] = useState('none');
-  const [load, setLoad] = useState(1.5); // kPa
+  const [occupancy, setOccupancy] = useState(DEFAULT_OCCUPANCY);
+  const [load, setLoad] = useState(OCCUPANCY_PRESETS[DEFAULT_OCCUPANCY].imposedLoad); // Imposed load Q in kPa
+  const [permanentLoad, setPermanentLoad] = useState(0); // Additional permanent load G in kPa, excluding timber self-weight
+  const [superimposedDeadLoad, setSuperimposedDeadLoad] = useState(OCCUPANCY_PRESETS[DEFAULT_OCCUPANCY].superimposedDeadLoad); // kPa
+  
+  // Moisture service class and the load duration of the imposed load, for k1, k4 and j2
+  const [serviceClass, setServiceClass] = useState(DEFAULT_SERVICE_CLASS);
+  const [loadDuration, setLoadDuration] = useState(DEFAULT_LOAD_DURATION);
+  
+  // Footfall vibration acceptance criteria for the joist floor
+  const [vibrationCriteria, setVibrationCriteria] = useState(DEFAULT_VIBRATION_CRITERIA);
+  
+  // Screed or concrete topping on the joists, optionally composite
+  const [floorBuildUp, setFloorBuildUp] = useState(DEFAULT_FLOOR_BUILD_UP);
+  
+  // Floor loads and combination factors used by every member
+  const floorLoads = createFloorLoads({ occupancy, permanentLoad, superimposedDeadLoad, imposedLoad: load });
+  
+  // Every level from the bottom up, with its own loads, height, fire rating and build-up
+  const floorStack = resolveFloorStack({
+    numFloors,
+    defaults: {
+      occupancy,
+      imposedLoad: load,
+      permanentLoad,
+      superimposedDeadLoad,
+      height: floorHeight,
+      fireRating,
+      floorBuildUp
+    },
+    levels: levelOverrides,
+    roof
+  });
   
   // Constants
   const structureType = 'floor'; // Fixed to floor
   
-  // Add state for timber properties
-  const [timberGrade, setTimberGrade] = useState('MASSLAM_SL33');
+  // Add state for timber properties; each member kind has its own grade
+  const [memberGrades, setMemberGrades] = useState(DEFAULT_MEMBER_GRADES);
+  
+  // Fire exposure of each face of the joists (or CLT panels), beams and columns
+  const [fireExposures, setFireExposures] = useState(DEFAULT_MEMBER_EXPOSURES);
+  // Lining of the plasterboard and encapsulated faces
+  const [fireLinings, setFireLinings] = useState(DEFAULT_FIRE_LININGS);
   const [propertiesLoaded, setPropertiesLoaded] = useState(false);
   
+  // Member design iterates the catalogue, so results are recalculated once the sizes are loaded
+  const [sizesLoaded, setSizesLoaded] = useState(false);
+  
   // Load timber properties from CSV when component mounts
   useEffect(() => {
     const loadProperties = async () => {
@@ -314,8 +380,31 @@ export default function TimberCalculator() {
         numFloors,
         floorHeight,
         load,
+        occupancy,
+        permanentLoad,
+        superimposedDeadLoad,
+        serviceClass,
+        loadDuration,
+        vibrationCriteria,
+        floorBuildUp,
         fireRating,
         joistsRunLengthwise,
+        joistSpacing,
+        floorSystem,
+        joistsContinuous,
+        beamsContinuous,
+        cantilevers,
+        appliedLoads,
+        levelOverrides,
+        roof,
+        columnsStepDown,
+        wind,
+        seismic,
+        lateralElements,
+        connectionTypes,
+        memberGrades,
+        fireExposures,
+        fireLinings,
         customBayDimensions: useCustomBayDimensions ? {
           lengthwiseBayWidths: customLengthwiseBayWidths,
           widthwiseBayWidths: customWidthwiseBayWidths
@@ -376,6 +465,8 @@ export default function TimberCalculator() {
       
       // Debug the loaded sizes
       debugMasslamSizes();
+      
+      setSizesLoaded(standardSizes.length > 0);
     };
     
     loadSizes();
@@ -427,6 +518,41 @@ export default function TimberCalculator() {
     };
   };
   
+  // Configuration of designStructure for the current inputs on the given bay widths
+  const getStructureConfig = (lengthwiseBayWidths, widthwiseBayWidths) => ({
+    lengthwiseBayWidths,
+    widthwiseBayWidths,
+    joistsRunLengthwise,
+    floorSystem,
+    joistsContinuous,
+    beamsContinuous,
+    cantilevers,
+    appliedLoads,
+    numFloors: floorStack.length,
+    levels: getLevelDesignInputs(floorStack, vibrationCriteria),
+    columnsStepDown,
+    floorHeight,
+    joistSpacing,
+    load,
+    floorDeadLoad: floorLoads.deadLoad + calculateBuildUpLoad(floorBuildUp),
+    memberGrades,
+    fireRating,
+    fireExposures,
+    fireLinings,
+    serviceClass,
+    loadDuration,
+    joistOptions: {
+      psiShort: floorLoads.psiShort,
+      psiLong: floorLoads.psiLong,
+      vibrationCriteria,
+      floorBuildUp
+    },
+    beamOptions: {
+      psiShort: floorLoads.psiShort,
+      psiLong: floorLoads.psiLong
+    }
+  });
+  
   // Calculate results based on inputs
   const calculateResults = async () => {
     try {
@@ -441,42 +567,33 @@ export default function TimberCalculator() {
       // instead of automatically using the shorter distance
       const joistSpan = joistsRunLengthwise ? maxLengthwiseSpan : maxWidthwiseSpan;
       
-      // Calculate joist size based on span and load
-      // Use the async version to get minimum width from FRL.csv
-      const joistSize = await calculateJoistSizeAsync(joistSpan, 800, load, timberGrade, fireRating);
-      
       // Calculate beam span (beams span perpendicular to joists)
       const beamSpan = joistsRunLengthwise ? maxWidthwiseSpan : maxLengthwiseSpan;
       
-      // Define joist spacing (in meters)
-      const joistSpacing = 0.8; // 800mm spacing
+      // Design every bay's joists, every grid-line beam and every column for its own span and loads
+      // at every level; the topping of each level is carried as dead load by its members
+      const toppingLoad = calculateBuildUpLoad(floorBuildUp);
+      const structure = await designStructure(getStructureConfig(lengthwiseBayWidths, widthwiseBayWidths));
       
-      // Calculate beam size based on span, load, joist spacing, and number of floors
-      const beamSize = calculateMultiFloorBeamSize(beamSpan, load, joistSpacing, numFloors, fireRating);
+      // The governing (largest) member of each kind is reported as the typical size
+      const joistSize = structure.governing.joists;
+      const beamSize = structure.governing.beams;
+      const columnSize = structure.governing.columns;
       
-      // Calculate average bay dimensions for tributary area calculation
-      const avgBayLength = buildingLength / lengthwiseBays;
-      const avgBayWidth = buildingWidth / widthwiseBays;
-      
-      // Calculate column size based on beam width, load, floor height, and number of floors
-      const columnSize = calculateMultiFloorColumnSize(beamSize.width, load, floorHeight, numFloors, fireRating, avgBayLength, avgBayWidth);
-      
-      // Calculate timber weight and volumes
-      const timberResult = calculateTimberWeight(
-        joistSize, 
-        beamSize, 
-        columnSize, 
-        buildingLength, 
-        buildingWidth, 
-        numFloors,
-        lengthwiseBays,
-        widthwiseBays,
-        joistsRunLengthwise,
-        timberGrade
-      );
+      // Calculate timber weight, volumes and carbon from the actual size and grade of every member
+      const timberResult = calculateTimberWeight(structure);
       
-      // Calculate carbon savings
-      const carbonSavings = calculateCarbonSavings(timberResult);
+      // Calculate carbon savings, offset by the embodied carbon of the topping on every level
+      const topping = floorStack.reduce((sum, level) => {
+        const quantities = calculateBuildUpQuantities(level.floorBuildUp, structure.floorArea);
+        return {
+          volume: sum.volume + quantities.volume,
+          weight: sum.weight + quantities.weight,
+          embodiedCarbon: sum.embodiedCarbon + quantities.embodiedCarbon
+        };
+      }, { volume: 0, weight: 0, embodiedCarbon: 0 });
+      const carbonStorage = calculateCarbonStorage(timberResult);
+      const carbonSavings = calculateCarbonSavings(timberResult, topping.embodiedCarbon);
       
       // Calculate cost
       const costResult = calculateCost(
@@ -487,8 +604,91 @@ export default function TimberCalculator() {
         numFloors
       );
       
+      // Connections of every joist-to-beam and beam-to-column interface, checked at the FRL of each level
+      const designedConnections = designStructureConnections({ structure, connectionTypes, joistSpacing, designFactors: structure.designFactors });
+      const connections = checkStructureConnectionsFire(designedConnections, {
+        fireRating,
+        levels: getLevelDesignInputs(floorStack, vibrationCriteria),
+        fireExposures,
+        fireLinings,
+        psiLong: floorLoads.psiLong
+      }) || designedConnections;
+      
+      // Bearing perpendicular to grain of the joists on the beams and the beams on the column heads
+      const bearings = checkSupportBearings({
+        structure,
+        config: { lengthwiseBayWidths, widthwiseBayWidths, joistsRunLengthwise, joistsContinuous, beamsContinuous, cantilevers },
+        joistSpacing,
+        designFactors: structure.designFactors
+      });
+      
+      // Elastic and creep shortening of every column up the building, and between neighbouring columns
+      const shortening = calculateColumnShortening({
+        columns: structure.columns,
+        lengthwiseBayWidths,
+        widthwiseBayWidths,
+        psiLong: floorLoads.psiLong,
+        designFactors: structure.designFactors
+      });
+      
+      // Timber saved by the plasterboard and encapsulation linings and the board they need
+      const linings = fireRating !== 'none' ? summariseFireLinings(structure, { fireRating, fireExposures, fireLinings }) : null;
+      
+      // Wind storey shears on the floor stack, resisted by the braced bays and shear walls
+      const storeyHeights = floorStack.map(level => level.height);
+      const windForces = (limitState) => calculateWindStoreyForces({
+        ...wind,
+        buildingLength,
+        buildingWidth,
+        storeyHeights,
+        limitState
+      });
+      const windUltimate = windForces('ultimate');
+      const windServiceability = windForces('serviceability');
+      const storeyShears = (forces) => Object.fromEntries(
+        Object.entries(forces.directions).map(([direction, result]) => [direction, result.storeyShears])
+      );
+      const segments = getGridSegments(lengthwiseBayWidths, widthwiseBayWidths);
+      const lateral = designLateralSystem({
+        elements: lateralElements,
+        segments,
+        storeyHeights,
+        ultimate: storeyShears(windUltimate),
+        serviceability: storeyShears(windServiceability),
+        timberGrade: memberGrades.columns,
+        designFactors: structure.designFactors
+      });
+      
+      // Earthquake storey shears from the seismic weight of the designed members and floor loads,
+      // with the design drift taken as μ/Sp times the elastic drift
+      const seismicForces = calculateSeismicStoreyForces({
+        ...seismic,
+        weights: calculateSeismicWeights({ members: structure.members, floorStack, floorArea: structure.floorArea }),
+        storeyHeights
+      });
+      const seismicLateral = designLateralSystem({
+        elements: lateralElements,
+        segments,
+        storeyHeights,
+        ultimate: storeyShears(seismicForces),
+        serviceability: storeyShears(seismicForces),
+        timberGrade: memberGrades.columns,
+        action: 'Eu',
+        serviceabilityAction: 'Eu',
+        driftLimit: SEISMIC_DRIFT_LIMIT,
+        driftAmplification: seismicForces.ductility / seismicForces.performance,
+        designFactors: structure.designFactors
+      });
+      const baseShears = (forces) => Object.fromEntries(
+        Object.entries(forces.directions).map(([direction, result]) => [direction, result.baseShear])
+      );
+      const governingLateral = findGoverningLateralCase(
+        { wind: lateral, seismic: seismicLateral },
+        { wind: baseShears(windUltimate), seismic: baseShears(seismicForces) }
+      );
+      
       // Validate the structure
-      const validationResult = validateStructure(joistSize, beamSize, columnSize, joistSpan, beamSpan);
+      const validationResult = validateStructure(structure, bearings);
       
       // Set results
       setResults({
@@ -498,16 +698,25 @@ export default function TimberCalculator() {
         widthwiseBays,
         numFloors,
         floorHeight,
+        floorStack,
         load,
+        floorLoads,
+        floorBuildUp,
+        toppingLoad,
+        topping,
         fireRating,
         joistSpan,
         beamSpan,
         joistsRunLengthwise,
+        joistSpacing,
+        floorSystem: structure.floorSystem,
         joists: joistSize,
         beams: beamSize,
         columns: columnSize,
         timberWeight: timberResult.weight,
         timberVolume: timberResult.totalVolume,
+        carbonStorage,
+        embodiedCarbon: calculateEmbodiedCarbon(timberResult),
         carbonSavings,
         elementCounts: {
           joists: timberResult.elements.joists.count,
@@ -532,6 +741,17 @@ export default function TimberCalculator() {
         },
         floorArea: costResult.elements.joists.area,
         validationResult,
+        structure,
+        wind: windUltimate,
+        lateral,
+        connections,
+        bearings,
+        shortening,
+        fireLinings: linings,
+        designFactors: structure.designFactors,
+        seismic: seismicForces,
+        seismicLateral,
+        governingLateral,
         customBayDimensions: useCustomBayDimensions ? {
           lengthwiseBayWidths,
           widthwiseBayWidths
@@ -550,7 +770,7 @@ export default function TimberCalculator() {
     calculateResults();
     
     // Dependencies
-  }, [buildingLength, buildingWidth, lengthwiseBays, widthwiseBays, numFloors, floorHeight, load, fireRating, joistsRunLengthwise, useCustomBayDimensions, customLengthwiseBayWidths, customWidthwiseBayWidths, timberGrade]);
+  }, [buildingLength, buildingWidth, lengthwiseBays, widthwiseBays, numFloors, floorHeight, load, occupancy, permanentLoad, superimposedDeadLoad, serviceClass, loadDuration, vibrationCriteria, floorBuildUp, fireRating, joistsRunLengthwise, joistSpacing, floorSystem, joistsContinuous, beamsContinuous, cantilevers, appliedLoads, levelOverrides, roof, columnsStepDown, wind, seismic, lateralElements, connectionTypes, useCustomBayDimensions, customLengthwiseBayWidths, customWidthwiseBayWidths, memberGrades, fireExposures, fireLinings, sizesLoaded, propertiesLoaded]);
 
   // Handle input changes
   const handleBuildingLengthChange = (value) => {
@@ -603,6 +823,34 @@ export default function TimberCalculator() {
     }
   };
 
+  // Search joist direction, spacing and optionally the bay counts from the current inputs
+  const handleOptimise = ({ objective, topN, varyBays }) => {
+    const { lengthwiseBayWidths, widthwiseBayWidths } = calculateBayDimensions();
+    return optimiseScheme({
+      config: getStructureConfig(lengthwiseBayWidths, widthwiseBayWidths),
+      buildingLength,
+      buildingWidth,
+      maxBaySpan: MAX_BAY_SPAN,
+      toppingCarbon: results?.topping.embodiedCarbon || 0,
+      objective,
+      topN,
+      varyBays
+    });
+  };
+
+  // Apply an optimised scheme; a scheme on another grid uses equal bays
+  const handleApplyScheme = (scheme) => {
+    setJoistsRunLengthwise(scheme.joistsRunLengthwise);
+    setJoistSpacing(scheme.joistSpacing);
+    const { lengthwiseBayWidths, widthwiseBayWidths } = calculateBayDimensions();
+    const sameWidths = (a, b) => a.length === b.length && a.every((width, index) => Math.abs(width - b[index]) < 0.001);
+    if (!sameWidths(scheme.lengthwiseBayWidths, lengthwiseBayWidths) || !sameWidths(scheme.widthwiseBayWidths, widthwiseBayWidths)) {
+      setUseCustomBayDimensions(false);
+      setLengthwiseBays(scheme.lengthwiseBays);
+      setWidthwiseBays(scheme.widthwiseBays);
+    }
+  };
+
   const handleNumFloorsChange = (value) => {
     const floors = parseInt(value);
     if (!isNaN(floors) && floors >= 1 && floors <= 10) {
@@ -618,7 +866,54 @@ export default function TimberCalculator() {
   };
 
   const handleLoadChange = (value) => {
-    setLoad(value);
+    const imposed = parseFloat(value);
+    if (!isNaN(imposed) && imposed >= 0) {
+      setLoad(imposed);
+    }
+  };
+
+  // Selecting an occupancy resets the imposed and superimposed dead loads to its preset
+  const handleOccupancyChange = (value) => {
+    const preset = getOccupancyPreset(value);
+    setOccupancy(value);
+    setLoad(preset.imposedLoad);
+    setSuperimposedDeadLoad(preset.superimposedDeadLoad);
+  };
+
+  const handleVibrationCriterionChange = (criterion, value) => {
+    const limit = parseFloat(value);
+    if (!isNaN(limit) && limit > 0) {
+      setVibrationCriteria(prev => ({ ...prev, [criterion]: limit }));
+    }
+  };
+
+  const handleLevelChange = (level, changes) => {
+    setLevelOverrides(prev => ({ ...prev, [level]: { ...(prev[level] || {}), ...changes } }));
+  };
+
+  const handleLevelReset = (level) => {
+    setLevelOverrides(prev => {
+      const { [level]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const handleRoofChange = (changes) => {
+    setRoof(prev => ({ ...prev, ...changes }));
+  };
+
+  const handleCantileverChange = (side, value) => {
+    const length = parseFloat(value);
+    if (!isNaN(length) && length >= 0 && length <= MAX_BAY_SPAN / 2) {
+      setCantilevers(prev => ({ ...prev, [side]: length }));
+    }
+  };
+
+  const handlePermanentLoadChange = (setter) => (value) => {
+    const permanent = parseFloat(value);
+    if (!isNaN(permanent) && permanent >= 0) {
+      setter(permanent);
+    }
   };
 
   // Update handleFireRatingChange to use the extracted calculateResults function
@@ -732,67 +1027,15 @@ export default function TimberCalculator() {
     setJoistsRunLengthwise(!joistsRunLengthwise);
   };
   
-  // Add a function to handle timber grade change if needed
-  const handleTimberGradeChange = (value) => {
-    setTimberGrade(value);
-    // Recalculate results when timber grade changes
-    calculateResults();
+  // Change the grade of one member kind; results recalculate through the effect
+  const handleMemberGradeChange = (kind, value) => {
+    setMemberGrades({ ...memberGrades, [kind]: value });
   };
   
-  // State for bay-specific joist sizes
-  const [bayJoistSizes, setBayJoistSizes] = useState([]);
-
-  // Calculate bay-specific joist sizes when relevant parameters change
-  useEffect(() => {
-    const calculateBayJoistSizes = async () => {
-      if (!useCustomBayDimensions || !results) return;
-      
-      const { lengthwiseBayWidths, widthwiseBayWidths } = calculateBayDimensions();
-      const uniqueBaySizes = [];
-      
-      // Calculate unique bay combinations
-      for (let row = 0; row < results.widthwiseBays; row++) {
-        for (let col = 0; col < results.lengthwiseBays; col++) {
-          const bayWidth = lengthwiseBayWidths[col];
-          const bayHeight = widthwiseBayWidths[row];
-          
-          // Use global joist direction instead of calculating per bay
-          const joistsSpanLengthwise = joistsRunLengthwise;
-          const joistSpan = joistsSpanLengthwise ? bayWidth : bayHeight;
-          
-          // Calculate joist size for this specific span
-          // Use the async version to get minimum width from FRL.csv
-          const bayJoistSize = await calculateJoistSizeAsync(joistSpan, 800, load, timberGrade, fireRating);
-          
-          // Find if this size already exists in our unique list
-          const existingSize = uniqueBaySizes.find(item => 
-            item.width === bayJoistSize.width && 
-            item.depth === bayJoistSize.depth &&
-            Math.abs(item.span - joistSpan) < 0.01
-          );
-          
-          if (!existingSize) {
-            uniqueBaySizes.push({
-              span: joistSpan,
-              width: bayJoistSize.width,
-              depth: bayJoistSize.depth,
-              count: 1,
-              locations: [`R${row+1}C${col+1}`]
-            });
-          } else {
-            existingSize.count++;
-            existingSize.locations.push(`R${row+1}C${col+1}`);
-          }
-        }
-      }
-      
-      // Sort by span
-      uniqueBaySizes.sort((a, b) => b.span - a.span);
-      setBayJoistSizes(uniqueBaySizes);
-    };
-    
-    calculateBayJoistSizes();
-  }, [useCustomBayDimensions, results, fireRating, load, timberGrade, joistsRunLengthwise]);
+  // Change the fire exposure of one face of a member kind
+  const handleFireExposureChange = (kind, face, value) => {
+    setFireExposures({ ...fireExposures, [kind]: { ...fireExposures[kind], [face]: value } });
+  };
   
   // Example of a component section converted to use Tailwind classes
   return (
@@ -808,6 +1051,31 @@ export default function TimberCalculator() {
         </div>
       )}
       
+      {/* Cross-sections of the members with their charring faces */}
+      {showProfiles && results && (
+        <TimberProfileOverlay
+          dimensions={{
+            joistsWidth: results.joists.width,
+            joistsHeight: results.joists.depth,
+            beamsWidth: results.beams.width,
+            beamsHeight: results.beams.depth,
+            postWidth: results.columns.width,
+            postDepth: results.columns.depth
+          }}
+          fireAllowances={results.fireRating !== 'none' ? {
+            joists: results.joists.fireAllowances,
+            beams: results.beams.fireAllowances,
+            columns: results.columns.fireAllowances
+          } : null}
+          fireExposures={results.fireRating !== 'none' ? {
+            joists: results.joists.fireExposure,
+            beams: results.beams.fireExposure,
+            columns: results.columns.fireExposure
+          } : null}
+          onClose={() => setShowProfiles(false)}
+        />
+      )}
+      
       {/* Save Project Modal */}
       {showSaveModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -879,30 +1147,160 @@ export default function TimberCalculator() {
                 <h3 className="text-md md:text-lg font-semibold mb-4 md:mb-6">Structure Configuration</h3>
                 
                 <div className="apple-specs-row">
-                  <div className="apple-specs-label">Load Type</div>
+                  <div className="apple-specs-label">Occupancy</div>
+                  <div className="apple-specs-value">
+                    <select
+                      className="apple-input apple-select mb-0"
+                      value={occupancy}
+                      onChange={(e) => handleOccupancyChange(e.target.value)}
+                    >
+                      {Object.entries(OCCUPANCY_PRESETS).map(([key, preset]) => (
+                        <option key={key} value={key}>{preset.label} ({preset.imposedLoad} kPa)</option>
+                      ))}
+                    </select>
+                    <p className="text-xs mt-1" style={{ color: 'var(--apple-text-secondary)' }}>
+                      ψs = {floorLoads.psiShort}, ψl = {floorLoads.psiLong}
+                    </p>
+                  </div>
+                </div>
+
+                <div className="apple-specs-row">
+                  <div className="apple-specs-label">Imposed Load Q (kPa)</div>
+                  <div className="apple-specs-value">
+                    <input
+                      type="number"
+                      className="apple-input mb-0"
+                      min="0"
+                      step="0.1"
+                      value={load}
+                      onChange={(e) => handleLoadChange(e.target.value)}
+                    />
+                  </div>
+                </div>
+
+                <div className="apple-specs-row">
+                  <div className="apple-specs-label">Superimposed Dead Load (kPa)</div>
+                  <div className="apple-specs-value">
+                    <input
+                      type="number"
+                      className="apple-input mb-0"
+                      min="0"
+                      step="0.1"
+                      value={superimposedDeadLoad}
+                      onChange={(e) => handlePermanentLoadChange(setSuperimposedDeadLoad)(e.target.value)}
+                    />
+                  </div>
+                </div>
+
+                <div className="apple-specs-row">
+                  <div className="apple-specs-label">Additional Permanent Load G (kPa)</div>
+                  <div className="apple-specs-value">
+                    <input
+                      type="number"
+                      className="apple-input mb-0"
+                      min="0"
+                      step="0.1"
+                      value={permanentLoad}
+                      onChange={(e) => handlePermanentLoadChange(setPermanentLoad)(e.target.value)}
+                    />
+                    <p className="text-xs mt-1" style={{ color: 'var(--apple-text-secondary)' }}>
+                      Timber self-weight is added from the catalogue density
+                    </p>
+                  </div>
+                </div>
+
+                <div className="apple-specs-row">
+                  <div className="apple-specs-label">Imposed Load Duration</div>
                   <div className="apple-specs-value">
-                    <div className="flex flex-col space-y-3">
-                      <label className="inline-flex items-center">
+                    <select
+                      className="apple-input apple-select mb-0"
+                      value={loadDuration}
+                      onChange={(e) => setLoadDuration(e.target.value)}
+                    >
+                      {Object.entries(IMPOSED_LOAD_DURATIONS).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                    <p className="text-xs mt-1" style={{ color: 'var(--apple-text-secondary)' }}>
+                      k1 = {LOAD_DURATION_FACTORS[loadDuration]} for G + Q, 0.57 for G alone
+                    </p>
+                  </div>
+                </div>
+
+                <div className="apple-specs-row">
+                  <div className="apple-specs-label">Service Class</div>
+                  <div className="apple-specs-value">
+                    <select
+                      className="apple-input apple-select mb-0"
+                      value={serviceClass}
+                      onChange={(e) => setServiceClass(Number(e.target.value))}
+                    >
+                      {Object.entries(SERVICE_CLASSES).map(([key, item]) => (
+                        <option key={key} value={key}>{item.label}</option>
+                      ))}
+                    </select>
+                    <p className="text-xs mt-1" style={{ color: 'var(--apple-text-secondary)' }}>
+                      {SERVICE_CLASSES[serviceClass].description}: k4 = {SERVICE_CLASSES[serviceClass].k4}, j2 = {SERVICE_CLASSES[serviceClass].j2}
+                    </p>
+                  </div>
+                </div>
+
+                <div className="apple-specs-row">
+                  <div className="apple-specs-label">Floor Build-up</div>
+                  <div className="apple-specs-value">
+                    <select
+                      className="apple-input apple-select mb-0"
+                      value={floorBuildUp.type}
+                      onChange={(e) => setFloorBuildUp(prev => ({ ...prev, type: e.target.value }))}
+                    >
+                      {Object.entries(FLOOR_BUILD_UPS).map(([key, buildUp]) => (
+                        <option key={key} value={key}>{buildUp.label}</option>
+                      ))}
+                    </select>
+                    <label className="inline-flex items-center mt-2">
+                      <input
+                        type="checkbox"
+                        className="form-checkbox h-4 w-4"
+                        style={{ accentColor: 'var(--apple-blue)' }}
+                        checked={floorBuildUp.composite}
+                        disabled={getFloorBuildUp(floorBuildUp.type).material !== 'concrete'}
+                        onChange={(e) => setFloorBuildUp(prev => ({ ...prev, composite: e.target.checked }))}
+                      />
+                      <span className="ml-2 text-sm">Composite connection to joists</span>
+                    </label>
+                    {calculateBuildUpLoad(floorBuildUp) > 0 && (
+                      <p className="text-xs mt-1" style={{ color: 'var(--apple-text-secondary)' }}>
+                        Adds {calculateBuildUpLoad(floorBuildUp).toFixed(2)} kPa dead load
+                      </p>
+                    )}
+                  </div>
+                </div>
+
+                <div className="apple-specs-row">
+                  <div className="apple-specs-label">Floor Vibration Criteria</div>
+                  <div className="apple-specs-value">
+                    <div className="grid grid-cols-2 gap-2">
+                      <label className="text-xs" style={{ color: 'var(--apple-text-secondary)' }}>
+                        Min. frequency (Hz)
                         <input
-                          type="radio"
-                          className="form-radio h-5 w-5"
-                          style={{ accentColor: 'var(--apple-blue)' }}
-                          name="loadType"
-                          checked={load === 1.5}
-                          onChange={() => handleLoadChange(1.5)}
+                          type="number"
+                          className="apple-input mb-0"
+                          min="1"
+                          step="0.5"
+                          value={vibrationCriteria.minFrequency}
+                          onChange={(e) => handleVibrationCriterionChange('minFrequency', e.target.value)}
                         />
-                        <span className="ml-3">Residential (1.5 kPa)</span>
                       </label>
-                      <label className="inline-flex items-center">
+                      <label className="text-xs" style={{ color: 'var(--apple-text-secondary)' }}>
+                        Max. 1 kN deflection (mm)
                         <input
-                          type="radio"
-                          className="form-radio h-5 w-5"
-                          style={{ accentColor: 'var(--apple-blue)' }}
-                          name="loadType"
-                          checked={load === 3}
-                          onChange={() => handleLoadChange(3)}
+                          type="number"
+                          className="apple-input mb-0"
+                          min="0.1"
+                          step="0.1"
+                          value={vibrationCriteria.maxPointDeflection}
+                          onChange={(e) => handleVibrationCriterionChange('maxPointDeflection', e.target.value)}
                         />
-                        <span className="ml-3">Commercial (3 kPa)</span>
                       </label>
                     </div>
                   </div>
@@ -924,6 +1322,160 @@ export default function TimberCalculator() {
               </select>
             </div>
           </div>
+
+                {fireRating !== 'none' && (
+                  <div className="apple-specs-row">
+                    <div className="apple-specs-label">Fire Exposure</div>
+                    <div className="apple-specs-value">
+                      <div className="grid grid-cols-5 gap-1 text-xs items-center">
+                        <span></span>
+                        {FIRE_FACES.map(face => (
+                          <span key={face} className="capitalize">{face}</span>
+                        ))}
+                        {[['joists', floorSystem === 'clt' ? 'Panels' : 'Joists'], ['beams', 'Beams'], ['columns', 'Columns (plan)']].map(([kind, label]) => (
+                          <Fragment key={kind}>
+                            <span>{label}</span>
+                            {FIRE_FACES.map(face => (
+                              <select
+                                key={face}
+                                className="apple-input apple-select mb-0 text-xs"
+                                value={fireExposures[kind][face]}
+                                disabled={kind === 'joists' && floorSystem === 'clt' && (face === 'left' || face === 'right')}
+                                onChange={(e) => handleFireExposureChange(kind, face, e.target.value)}
+                              >
+                                {Object.entries(FACE_EXPOSURES).map(([key, exposure]) => (
+                                  <option key={key} value={key}>{exposure.label}</option>
+                                ))}
+                              </select>
+                            ))}
+                          </Fragment>
+                        ))}
+                      </div>
+                      <div className="grid grid-cols-2 gap-2 mt-2 text-xs">
+                        {[['plasterboard', 'plasterboard', 'Plasterboard lining'], ['encapsulated', 'encapsulation', 'Encapsulation']].map(([exposure, type, label]) => (
+                          <label key={exposure} className="block">
+                            <span className="block mb-1">{label}</span>
+                            <select
+                              className="apple-input apple-select mb-0 text-xs"
+                              value={fireLinings[exposure]}
+                              onChange={(e) => setFireLinings({ ...fireLinings, [exposure]: e.target.value })}
+                            >
+                              {getFireLiningOptions(type).map(([key, lining]) => (
+                                <option key={key} value={key}>{lining.label}</option>
+                              ))}
+                            </select>
+                          </label>
+                        ))}
+                      </div>
+                      <p className="text-xs" style={{ color: 'var(--apple-text-secondary)' }}>Faces char when exposed, later behind plasterboard or encapsulation, and not at all when shielded by a floor or wall</p>
+                    </div>
+                  </div>
+                )}
+
+                <div className="apple-specs-row">
+                  <div className="apple-specs-label">Joist-to-Beam Connection</div>
+                  <div className="apple-specs-value">
+                    <select
+                      className="apple-input apple-select mb-0"
+                      value={connectionTypes.joistToBeam}
+                      onChange={(e) => setConnectionTypes(prev => ({ ...prev, joistToBeam: e.target.value }))}
+                    >
+                      {Object.entries(CONNECTION_TYPES).map(([key, type]) => (
+                        <option key={key} value={key}>{type.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="apple-specs-row">
+                  <div className="apple-specs-label">Beam-to-Column Connection</div>
+                  <div className="apple-specs-value">
+                    <select
+                      className="apple-input apple-select mb-0"
+                      value={connectionTypes.beamToColumn}
+                      onChange={(e) => setConnectionTypes(prev => ({ ...prev, beamToColumn: e.target.value }))}
+                    >
+                      {Object.entries(CONNECTION_TYPES).map(([key, type]) => (
+                        <option key={key} value={key}>{type.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="apple-specs-row">
+                  <div className="apple-specs-label">Wind Region</div>
+                  <div className="apple-specs-value">
+                    <select
+                      className="apple-input apple-select mb-0"
+                      value={wind.region}
+                      onChange={(e) => setWind(prev => ({ ...prev, region: e.target.value }))}
+                    >
+                      {Object.entries(WIND_REGIONS).map(([key, region]) => (
+                        <option key={key} value={key}>{region.label}, VR {region.ultimate} m/s</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="apple-specs-row">
+                  <div className="apple-specs-label">Terrain Category</div>
+                  <div className="apple-specs-value">
+                    <select
+                      className="apple-input apple-select mb-0"
+                      value={wind.terrainCategory}
+                      onChange={(e) => setWind(prev => ({ ...prev, terrainCategory: e.target.value }))}
+                    >
+                      {Object.entries(TERRAIN_CATEGORIES).map(([key, category]) => (
+                        <option key={key} value={key}>{category.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="apple-specs-row">
+                  <div className="apple-specs-label">Hazard Factor Z</div>
+                  <div className="apple-specs-value">
+                    <input
+                      type="number"
+                      min="0.03"
+                      max="0.6"
+                      step="0.01"
+                      className="apple-input mb-0"
+                      value={seismic.hazardFactor}
+                      onChange={(e) => setSeismic(prev => ({ ...prev, hazardFactor: parseFloat(e.target.value) || 0 }))}
+                    />
+                  </div>
+                </div>
+
+                <div className="apple-specs-row">
+                  <div className="apple-specs-label">Site Sub-soil Class</div>
+                  <div className="apple-specs-value">
+                    <select
+                      className="apple-input apple-select mb-0"
+                      value={seismic.siteClass}
+                      onChange={(e) => setSeismic(prev => ({ ...prev, siteClass: e.target.value }))}
+                    >
+                      {Object.entries(SITE_SUBSOIL_CLASSES).map(([key, soil]) => (
+                        <option key={key} value={key}>{soil.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="apple-specs-row">
+                  <div className="apple-specs-label">Seismic System</div>
+                  <div className="apple-specs-value">
+                    <select
+                      className="apple-input apple-select mb-0"
+                      value={seismic.ductilityPreset}
+                      onChange={(e) => setSeismic(prev => ({ ...prev, ductilityPreset: e.target.value }))}
+                    >
+                      {Object.entries(DUCTILITY_PRESETS).map(([key, preset]) => (
+                        <option key={key} value={key}>{preset.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
         </div>
         
               <div className="apple-specs-table mb-6 md:mb-8">
@@ -1057,17 +1609,55 @@ export default function TimberCalculator() {
                 </div>
 
                 <div className="apple-specs-row">
-                  <div className="apple-specs-label">Joist Centres (mm)</div>
+                  <div className="apple-specs-label">Floor System</div>
                   <div className="apple-specs-value">
-                    <input 
-                      type="number" 
-                      className="apple-input mb-2 bg-gray-100 cursor-not-allowed"
-                      value={800} 
-                      disabled 
-                    />
-                    <p className="text-xs" style={{ color: 'var(--apple-text-secondary)' }}>Fixed at 800mm centres</p>
+                    <select
+                      className="apple-input mb-2"
+                      value={floorSystem}
+                      onChange={(e) => setFloorSystem(e.target.value)}
+                    >
+                      {Object.entries(FLOOR_SYSTEMS).map(([key, system]) => (
+                        <option key={key} value={key}>{system.label}</option>
+                      ))}
+                    </select>
+                    <p className="text-xs" style={{ color: 'var(--apple-text-secondary)' }}>CLT panels span between the beams in the joist direction</p>
                   </div>
                 </div>
+
+                {floorSystem !== 'clt' && (
+                  <div className="apple-specs-row">
+                    <div className="apple-specs-label">Joist Centres (mm)</div>
+                    <div className="apple-specs-value">
+                      <select
+                        className="apple-input mb-2"
+                        value={joistSpacing}
+                        onChange={(e) => setJoistSpacing(parseInt(e.target.value, 10))}
+                      >
+                        {JOIST_SPACING_OPTIONS.map(spacing => (
+                          <option key={spacing} value={spacing}>{spacing}</option>
+                        ))}
+                      </select>
+                      <p className="text-xs" style={{ color: 'var(--apple-text-secondary)' }}>Centres of the joists across each bay</p>
+                    </div>
+                  </div>
+                )}
+
+                {[floorSystem === 'clt' ? ['panels', 'Panel Grade'] : ['joists', 'Joist Grade'], ['beams', 'Beam Grade'], ['columns', 'Column Grade']].map(([kind, label]) => (
+                  <div className="apple-specs-row" key={kind}>
+                    <div className="apple-specs-label">{label}</div>
+                    <div className="apple-specs-value">
+                      <select
+                        className="apple-input mb-2"
+                        value={memberGrades[kind]}
+                        onChange={(e) => handleMemberGradeChange(kind, e.target.value)}
+                      >
+                        {getMemberGradeOptions(kind === 'panels').map(([key, grade]) => (
+                          <option key={key} value={key}>{grade.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                ))}
               </div>
               
               {/* Calculated Bay Sizes */}
@@ -1076,9 +1666,36 @@ export default function TimberCalculator() {
                 <div className="grid grid-cols-1 gap-2 md:gap-3">
                   <p className="text-sm"><strong>Bay Size (Length):</strong> {(buildingLength / lengthwiseBays).toFixed(2)} m</p>
                   <p className="text-sm"><strong>Bay Size (Width):</strong> {(buildingWidth / widthwiseBays).toFixed(2)} m</p>
-                  <p className="text-sm"><strong>Joist Spacing:</strong> 800 mm (fixed)</p>
+                  {floorSystem === 'clt'
+                    ? <p className="text-sm"><strong>Floor:</strong> CLT panels spanning {joistsRunLengthwise ? 'lengthwise' : 'widthwise'}</p>
+                    : <p className="text-sm"><strong>Joist Spacing:</strong> {joistSpacing} mm</p>}
                 </div>
               </div>
+              
+              {/* Floor Stack */}
+              <div className="mb-6 md:mb-8">
+                <h3 className="text-md md:text-lg font-semibold mb-2">Floor Stack</h3>
+                <p className="text-xs mb-3" style={{ color: 'var(--apple-text-secondary)' }}>
+                  Each level follows the structure configuration until it is changed here. Height is the floor-to-floor height of the storey below the level.
+                </p>
+                <FloorStackEditor
+                  stack={floorStack}
+                  roof={roof}
+                  onLevelChange={handleLevelChange}
+                  onLevelReset={handleLevelReset}
+                  onRoofChange={handleRoofChange}
+                />
+                <label className="inline-flex items-center mt-3">
+                  <input
+                    type="checkbox"
+                    className="form-checkbox h-4 w-4"
+                    style={{ accentColor: 'var(--apple-blue)' }}
+                    checked={columnsStepDown}
+                    onChange={(e) => setColumnsStepDown(e.target.checked)}
+                  />
+                  <span className="ml-2 text-sm">Step column sizes down up the building</span>
+                </label>
+              </div>
             </div>
           </div>
         </div>
@@ -1102,7 +1719,7 @@ export default function TimberCalculator() {
                     </div>
                     <div>
                       <p className="text-sm mb-1" style={{ color: 'var(--apple-text-secondary)' }}>Number of Floors:</p>
-                      <p className="font-medium">{results.numFloors}</p>
+                      <p className="font-medium">{results.numFloors}{results.floorStack?.some(level => level.isRoof) ? ' + roof' : ''}</p>
                     </div>
                     <div>
                       <p className="text-sm mb-1" style={{ color: 'var(--apple-text-secondary)' }}>Bay Size:</p>
@@ -1110,7 +1727,14 @@ export default function TimberCalculator() {
                     </div>
                     <div>
                       <p className="text-sm mb-1" style={{ color: 'var(--apple-text-secondary)' }}>Load:</p>
-                      <p className="font-medium">{results.load} kPa ({results.load === 1.5 ? 'Residential' : 'Commercial'})</p>
+                      <p className="font-medium">
+                        Q {results.floorLoads.imposedLoad} kPa ({getOccupancyPreset(results.floorLoads.occupancy).label}),
+                        G {results.floorLoads.permanentLoad} + SDL {results.floorLoads.superimposedDeadLoad} kPa + self-weight
+                      </p>
+                      <p className="text-sm">
+                        {getFloorBuildUp(results.floorBuildUp.type).label}
+                        {results.toppingLoad > 0 && ` (${results.toppingLoad.toFixed(2)} kPa${results.joists.composite ? ', composite' : ''})`}
+                      </p>
                     </div>
                   </div>
                 </div>
@@ -1123,6 +1747,108 @@ export default function TimberCalculator() {
                   </div>
                 </div>
                 
+                {/* Schemes searched over joist direction, spacing and bay counts */}
+                <div className="apple-results-section">
+                  <h3 className="text-md md:text-lg font-semibold mb-3 md:mb-4">Scheme Optimiser</h3>
+                  <div className="overflow-x-auto max-w-full">
+                    <SchemeOptimiser
+                      onOptimise={handleOptimise}
+                      onApply={handleApplyScheme}
+                      current={{ joistsRunLengthwise, joistSpacing, lengthwiseBays, widthwiseBays }}
+                    />
+                  </div>
+                </div>
+                
+                {/* Member schedule of the per-bay design */}
+                {results.structure && (
+                  <div className="apple-results-section">
+                    <h3 className="text-md md:text-lg font-semibold mb-3 md:mb-4">Member Schedule</h3>
+                    <div className="overflow-x-auto max-w-full">
+                      <MemberSchedule schedule={results.structure.schedule} />
+                    </div>
+                  </div>
+                )}
+
+                {/* Column schedule by grid reference */}
+                {results.structure && (
+                  <div className="apple-results-section">
+                    <h3 className="text-md md:text-lg font-semibold mb-3 md:mb-4">Column Schedule</h3>
+                    <div className="overflow-x-auto max-w-full">
+                      <ColumnSchedule columnSchedule={results.structure.columnSchedule} />
+                    </div>
+                  </div>
+                )}
+
+                {/* Connections at the joist and beam supports */}
+                {results.connections && (
+                  <div className="apple-results-section">
+                    <h3 className="text-md md:text-lg font-semibold mb-3 md:mb-4">Connections</h3>
+                    <div className="overflow-x-auto max-w-full">
+                      <ConnectionSchedule connections={results.connections} floorStack={results.floorStack} />
+                    </div>
+                  </div>
+                )}
+
+                {/* Wind and earthquake on the frame and the lateral system resisting them */}
+                {results.lateral && (
+                  <div className="apple-results-section">
+                    <h3 className="text-md md:text-lg font-semibold mb-1">Lateral Design</h3>
+                    {results.governingLateral && (
+                      <p className="text-sm mb-3">
+                        <strong>Governing case:</strong> {results.governingLateral.case === 'seismic' ? 'Earthquake' : 'Wind'}
+                        {Object.values(results.governingLateral.directions).some(item => item.case !== results.governingLateral.case) && (
+                          <span> ({Object.entries(results.governingLateral.directions).map(([direction, item]) => `${item.case === 'seismic' ? 'earthquake' : 'wind'} ${direction}`).join(', ')})</span>
+                        )}
+                      </p>
+                    )}
+
+                    <h4 className="text-sm md:text-md font-semibold mb-1">Wind (AS/NZS 1170.2)</h4>
+                    <p className="text-xs mb-3" style={{ color: 'var(--apple-text-secondary)' }}>
+                      Region {results.wind.region}, TC{results.wind.terrainCategory}: Vsit = {results.wind.siteSpeed.toFixed(1)} m/s at {results.wind.height.toFixed(1)}m,
+                      base shear {results.wind.directions.lengthwise.baseShear.toFixed(0)} kN lengthwise and {results.wind.directions.widthwise.baseShear.toFixed(0)} kN widthwise
+                    </p>
+                    <div className="overflow-x-auto max-w-full mb-6">
+                      <LateralDesignResults lateral={results.lateral} floorStack={results.floorStack} caseName="wind" governing={results.governingLateral} />
+                    </div>
+
+                    <h4 className="text-sm md:text-md font-semibold mb-1">Earthquake (AS 1170.4)</h4>
+                    <p className="text-xs mb-3" style={{ color: 'var(--apple-text-secondary)' }}>
+                      Z = {results.seismic.hazardFactor}, site {results.seismic.siteClass}, μ = {results.seismic.ductility}, Sp = {results.seismic.performance}:
+                      T1 = {results.seismic.period.toFixed(2)}s, Ch(T1) = {results.seismic.spectralShape.toFixed(2)},
+                      Wt = {results.seismic.seismicWeight.toFixed(0)} kN, base shear {results.seismic.directions.lengthwise.baseShear.toFixed(0)} kN ({(results.seismic.baseShearCoefficient * 100).toFixed(1)}% of Wt) in each direction
+                    </p>
+                    <table className="w-full text-xs md:text-sm mb-3">
+                      <thead>
+                        <tr className="text-left border-b border-gray-200">
+                          <th className="py-2 pr-2">Level</th>
+                          <th className="py-2 pr-2 text-right">Seismic weight Wi</th>
+                          <th className="py-2 pr-2 text-right">kF,i</th>
+                          <th className="py-2 text-right">Force Fi</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[...results.seismic.levels].reverse().map(level => (
+                          <tr key={`seismic-level-${level.level}`} className="border-b border-gray-100">
+                            <td className="py-1 pr-2">{results.floorStack[level.level - 1]?.name || `Level ${level.level}`}</td>
+                            <td className="py-1 pr-2 text-right">{level.weight.toFixed(0)} kN</td>
+                            <td className="py-1 pr-2 text-right">{level.distributionFactor.toFixed(3)}</td>
+                            <td className="py-1 text-right">{level.force.toFixed(0)} kN</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <div className="overflow-x-auto max-w-full">
+                      <LateralDesignResults lateral={results.seismicLateral} floorStack={results.floorStack} caseName="seismic" governing={results.governingLateral} />
+                    </div>
+                  </div>
+                )}
+
+                {/* Findings from the structure validation rules */}
+                <div className="apple-results-section">
+                  <h3 className="text-md md:text-lg font-semibold mb-3 md:mb-4">Structure Validation</h3>
+                  <ValidationFindings validationResult={results.validationResult} />
+                </div>
+                
                 {/* Visualizations - Side by side */}
                 <div className="apple-results-section grid grid-cols-1 gap-4 md:gap-8">
                   {/* Bay Layout Visualization - Now spans full width */}
@@ -1239,6 +1965,25 @@ export default function TimberCalculator() {
                           aspectRatio: `${buildingLength} / ${buildingWidth}`,
                           maxHeight: '400px'
                         }}>
+                          {/* Perimeter cantilevers drawn outside the grid */}
+                          {[
+                            { side: 'left', style: { right: '100%', top: 0, bottom: 0, width: `${(cantilevers.left / buildingLength) * 100}%` } },
+                            { side: 'right', style: { left: '100%', top: 0, bottom: 0, width: `${(cantilevers.right / buildingLength) * 100}%` } },
+                            { side: 'top', style: { bottom: '100%', left: 0, right: 0, height: `${(cantilevers.top / buildingWidth) * 100}%` } },
+                            { side: 'bottom', style: { top: '100%', left: 0, right: 0, height: `${(cantilevers.bottom / buildingWidth) * 100}%` } }
+                          ].filter(({ side }) => cantilevers[side] > 0).map(({ side, style }) => (
+                            <div
+                              key={`cantilever-strip-${side}`}
+                              title={`${side} cantilever ${cantilevers[side].toFixed(2)}m`}
+                              style={{
+                                position: 'absolute',
+                                ...style,
+                                backgroundColor: '#f0f0f0',
+                                border: '1px dashed #999'
+                              }}
+                            />
+                          ))}
+                          
                           {/* Calculate bay dimensions */}
                           {(() => {
                             const { lengthwiseBayWidths, widthwiseBayWidths } = calculateBayDimensions();
@@ -1368,6 +2113,117 @@ export default function TimberCalculator() {
                             );
                           })()}
                           
+                          {/* Columns at the grid intersections, labelled by grid reference */}
+                          {results.structure?.columns.map(column => {
+                            const { lengthwiseBayWidths, widthwiseBayWidths } = calculateBayDimensions();
+                            const leftPercent = (lengthwiseBayWidths.slice(0, column.col).reduce((sum, w) => sum + w, 0) / buildingLength) * 100;
+                            const topPercent = (widthwiseBayWidths.slice(0, column.row).reduce((sum, h) => sum + h, 0) / buildingWidth) * 100;
+                            
+                            return (
+                              <div
+                                key={`column-${column.ref}`}
+                                title={`${column.ref}: ${column.columns.width}mm × ${column.columns.depth}mm, ${column.tributaryArea.toFixed(2)}m²`}
+                                style={{
+                                  position: 'absolute',
+                                  left: `${leftPercent}%`,
+                                  top: `${topPercent}%`,
+                                  transform: 'translate(-50%, -50%)',
+                                  width: '8px',
+                                  height: '8px',
+                                  backgroundColor: column.position === 'interior' ? '#4B5563' : column.position === 'edge' ? '#6B7280' : '#9CA3AF',
+                                  zIndex: 11
+                                }}
+                              >
+                                <span className="absolute text-[10px] font-medium text-gray-700" style={{ left: '9px', top: '-12px' }}>
+                                  {column.ref}
+                                </span>
+                              </div>
+                            );
+                          })}
+                          
+                          {/* Applied loads: area zones shaded over their bay, line loads as bars and point loads as dots */}
+                          {appliedLoads.map(appliedLoad => {
+                            const bay = results.structure?.bays.find(item => item.ref === appliedLoad.bay);
+                            if (!bay) return null;
+                            
+                            const { lengthwiseBayWidths, widthwiseBayWidths } = calculateBayDimensions();
+                            const bayLeft = (lengthwiseBayWidths.slice(0, bay.col).reduce((sum, w) => sum + w, 0) / buildingLength) * 100;
+                            const bayTop = (widthwiseBayWidths.slice(0, bay.row).reduce((sum, h) => sum + h, 0) / buildingWidth) * 100;
+                            const bayWidth = (bay.length / buildingLength) * 100;
+                            const bayHeight = (bay.width / buildingWidth) * 100;
+                            
+                            const overlayStyle = {
+                              area: {
+                                left: `${bayLeft}%`,
+                                top: `${bayTop}%`,
+                                width: `${bayWidth}%`,
+                                height: `${bayHeight}%`,
+                                backgroundColor: 'rgba(249, 115, 22, 0.25)',
+                                border: '1px solid rgba(249, 115, 22, 0.6)'
+                              },
+                              line: appliedLoad.orientation === 'lengthwise' ? {
+                                left: `${bayLeft}%`,
+                                top: `${bayTop + appliedLoad.offset * bayHeight}%`,
+                                width: `${bayWidth}%`,
+                                height: '4px',
+                                transform: 'translateY(-50%)',
+                                backgroundColor: '#DC2626'
+                              } : {
+                                left: `${bayLeft + appliedLoad.offset * bayWidth}%`,
+                                top: `${bayTop}%`,
+                                width: '4px',
+                                height: `${bayHeight}%`,
+                                transform: 'translateX(-50%)',
+                                backgroundColor: '#DC2626'
+                              },
+                              point: {
+                                left: `${bayLeft + appliedLoad.x * bayWidth}%`,
+                                top: `${bayTop + appliedLoad.y * bayHeight}%`,
+                                width: '10px',
+                                height: '10px',
+                                borderRadius: '50%',
+                                transform: 'translate(-50%, -50%)',
+                                backgroundColor: '#DC2626'
+                              }
+                            }[appliedLoad.type];
+                            
+                            return (
+                              <div
+                                key={`applied-load-${appliedLoad.id}`}
+                                title={`${describeAppliedLoad(appliedLoad)}, ${appliedLoad.levels.length ? `level ${appliedLoad.levels.join(', ')}` : 'all levels'}`}
+                                style={{ position: 'absolute', zIndex: appliedLoad.type === 'area' ? 5 : 12, ...overlayStyle }}
+                              />
+                            );
+                          })}
+                          
+                          {/* Braced bays and shear walls on their grid segments */}
+                          {(() => {
+                            const { lengthwiseBayWidths, widthwiseBayWidths } = calculateBayDimensions();
+                            const segments = getGridSegments(lengthwiseBayWidths, widthwiseBayWidths);
+                            return lateralElements.map(element => {
+                              const segment = segments.find(item => item.ref === element.segment);
+                              if (!segment) return null;
+                              const lengthwise = segment.direction === 'lengthwise';
+                              return (
+                                <div
+                                  key={`lateral-${element.id}`}
+                                  title={`${element.id}: ${element.type === 'cltWall' ? 'CLT shear wall' : 'braced bay'} on ${element.segment}`}
+                                  style={{
+                                    position: 'absolute',
+                                    left: `${(segment.start.x / buildingLength) * 100}%`,
+                                    top: `${(segment.start.y / buildingWidth) * 100}%`,
+                                    width: lengthwise ? `${(segment.length / buildingLength) * 100}%` : '6px',
+                                    height: lengthwise ? '6px' : `${(segment.length / buildingWidth) * 100}%`,
+                                    transform: lengthwise ? 'translateY(-50%)' : 'translateX(-50%)',
+                                    backgroundColor: element.type === 'cltWall' ? '#059669' : 'transparent',
+                                    border: element.type === 'cltWall' ? 'none' : '2px dashed #059669',
+                                    zIndex: 9
+                                  }}
+                                />
+                              );
+                            });
+                          })()}
+                          
                           {/* Joist Direction Arrows */}
                           {(() => {
                             // Calculate bay dimensions
@@ -1484,6 +2340,83 @@ export default function TimberCalculator() {
                       <div className="mt-2">
                         <span style={{ color: '#4B5563' }}>↔ &#47; ↕ Arrows indicate joist span direction</span> <span className="text-xs">(click arrows or use toggle above to change direction)</span>
                       </div>
+                      
+                      {/* Span conditions of the joist and beam runs */}
+                      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3 text-left">
+                        <div>
+                          <label className="block text-xs md:text-sm font-medium mb-1">Joists</label>
+                          <select
+                            className="apple-input text-sm w-full"
+                            value={joistsContinuous ? 'continuous' : 'simple'}
+                            onChange={(e) => setJoistsContinuous(e.target.value === 'continuous')}
+                          >
+                            <option value="simple">Simple spans between beams</option>
+                            <option value="continuous">Continuous over beams</option>
+                          </select>
+                        </div>
+                        <div>
+                          <label className="block text-xs md:text-sm font-medium mb-1">Beams</label>
+                          <select
+                            className="apple-input text-sm w-full"
+                            value={beamsContinuous ? 'continuous' : 'simple'}
+                            onChange={(e) => setBeamsContinuous(e.target.value === 'continuous')}
+                          >
+                            <option value="simple">Simple spans between columns</option>
+                            <option value="continuous">Continuous over columns</option>
+                          </select>
+                        </div>
+                      </div>
+                      
+                      {/* Perimeter cantilevers beyond the edge grid lines */}
+                      <div className="mt-4 text-left">
+                        <label className="block text-xs md:text-sm font-medium mb-1">Perimeter Cantilevers (m)</label>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                          {Object.keys(DEFAULT_CANTILEVERS).map(side => (
+                            <div key={`cantilever-${side}`}>
+                              <span className="block text-xs capitalize" style={{ color: 'var(--apple-text-secondary)' }}>{side}</span>
+                              <input
+                                type="number"
+                                className="apple-input text-sm w-full"
+                                value={cantilevers[side]}
+                                min="0"
+                                max={MAX_BAY_SPAN / 2}
+                                step="0.1"
+                                onChange={(e) => handleCantileverChange(side, e.target.value)}
+                              />
+                            </div>
+                          ))}
+                        </div>
+                        <p className="text-xs mt-1" style={{ color: 'var(--apple-text-secondary)' }}>
+                          Joists cantilever beyond the edge beams at their ends; beams cantilever beyond the edge columns on the other sides
+                        </p>
+                      </div>
+                      
+                      {/* Point loads, line loads and area load zones on bays */}
+                      <div className="mt-4 text-left">
+                        <label className="block text-xs md:text-sm font-medium mb-1">Applied Loads</label>
+                        <AppliedLoadsEditor
+                          appliedLoads={appliedLoads}
+                          bayRefs={results.structure?.bays.map(bay => bay.ref) || []}
+                          numFloors={floorStack.length}
+                          onChange={setAppliedLoads}
+                        />
+                        <p className="text-xs mt-1" style={{ color: 'var(--apple-text-secondary)' }}>
+                          Positions are measured from the top left of the bay; levels count up from 1 at the lowest floor. Joists under point loads or line loads along them are designed individually
+                        </p>
+                      </div>
+                      
+                      {/* Braced bays and CLT shear walls resisting wind */}
+                      <div className="mt-4 text-left">
+                        <label className="block text-xs md:text-sm font-medium mb-1">Lateral Elements</label>
+                        <LateralElementsEditor
+                          lateralElements={lateralElements}
+                          segments={getGridSegments(calculateBayDimensions().lengthwiseBayWidths, calculateBayDimensions().widthwiseBayWidths)}
+                          onChange={setLateralElements}
+                        />
+                        <p className="text-xs mt-1" style={{ color: 'var(--apple-text-secondary)' }}>
+                          Elements on the numbered grid lines resist lengthwise wind, those on the lettered grid lines widthwise wind. Each runs the full height of the building.
+                        </p>
+                      </div>
                     </div>
                   </div>
               </div>
@@ -1496,25 +2429,45 @@ export default function TimberCalculator() {
                       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                         {/* Joist Results */}
                         <div className="bg-white p-3 md:p-4 rounded-lg shadow">
-                          <h4 className="font-semibold mb-2 text-sm md:text-base">Joists</h4>
-                          <p className="text-sm md:text-base"><strong>Size:</strong> {results.joists.width}mm × {results.joists.depth}mm</p>
+                          <h4 className="font-semibold mb-2 text-sm md:text-base">{results.floorSystem === 'clt' ? 'CLT Floor Panels' : 'Joists'}</h4>
+                          {results.floorSystem === 'clt' ? (
+                            <p className="text-sm md:text-base"><strong>Layup:</strong> {results.joists.label} ({results.joists.layers?.join('/')}mm)</p>
+                          ) : (
+                            <p className="text-sm md:text-base"><strong>Size:</strong> {results.joists.width}mm × {results.joists.depth}mm</p>
+                          )}
                           <p className="text-sm md:text-base"><strong>Span:</strong> {results.joistSpan?.toFixed(2) || '0.00'}m</p>
-                          <p className="text-sm md:text-base"><strong>Spacing:</strong> 800mm</p>
+                          {results.floorSystem !== 'clt' && (
+                            <p className="text-sm md:text-base"><strong>Spacing:</strong> {results.joistSpacing}mm</p>
+                          )}
+                          <p className="text-sm md:text-base">
+                            <strong>Span Condition:</strong> {SPAN_CONDITIONS[results.joists.spanCondition]?.label || SPAN_CONDITIONS.simple.label}
+                            {results.joists.cantileverLength > 0 && ` (${results.joists.cantileverLength.toFixed(2)}m cantilever)`}
+                          </p>
                           {results.joists.fireAllowance > 0 && (
                             <p className="text-sm md:text-base text-blue-600">
-                              <strong>Fire Allowance:</strong> {results.joists.fireAllowance.toFixed(1)}mm per face
+                              <strong>Fire Allowance:</strong> {results.joists.fireAllowances ? describeFireAllowances(results.joists.fireAllowances) : `${results.joists.fireAllowance.toFixed(1)}mm per face`}
+                            </p>
+                          )}
+                          
+                          {results.joists.vibration && (
+                            <p className="text-sm md:text-base">
+                              <strong>Floor Vibration:</strong> f1 = {results.joists.vibration.frequency.toFixed(1)} Hz,
+                              δ1kN = {results.joists.vibration.pointDeflection.toFixed(2)} mm
                             </p>
                           )}
                           
-                          {/* Display different joist sizes for different bays if using custom bay dimensions */}
-                          {useCustomBayDimensions && (
+                          <MemberDesignChecks member={results.joists} />
+                          <SupportBearings bearings={results.bearings?.joists} floorStack={results.floorStack} />
+                          
+                          {/* Member types of the schedule, each designed for its own bays; CLT panels by width */}
+                          {(results.structure?.schedule.joists.length > 1 || results.floorSystem === 'clt') && (
                             <div className="mt-3 pt-3 border-t border-gray-200">
-                              <p className="text-xs md:text-sm font-medium mb-1">Grid cell-specific sizes:</p>
+                              <p className="text-xs md:text-sm font-medium mb-1">{results.floorSystem === 'clt' ? 'Panel layout by bay:' : 'Joist types by bay:'}</p>
                               <div className="text-xs space-y-1 overflow-auto max-h-32 md:max-h-none">
-                                {bayJoistSizes.map((item, index) => (
-                                  <div key={`joist-size-${index}`}>
-                                    <strong>{item.span?.toFixed(2) || '0.00'}m span:</strong> {item.width}mm × {item.depth}mm
-                                    <span className="text-gray-500 ml-1">({item.count} {item.count === 1 ? 'grid cell' : 'grid cells'})</span>
+                                {results.structure.schedule.joists.map(type => (
+                                  <div key={`joists-type-${type.mark}`}>
+                                    <strong>{type.mark}:</strong> {type.panel ? `${type.count} × ${type.width}mm wide ${type.layup}` : `${type.width}mm × ${type.depth}mm`}, up to {type.maxSpan.toFixed(2)}m span
+                                    <span className="text-gray-500 ml-1">({type.locations.join(', ')})</span>
                                   </div>
                                 ))}
                               </div>
@@ -1527,74 +2480,38 @@ export default function TimberCalculator() {
                           <h4 className="font-semibold mb-2 text-sm md:text-base">Beams</h4>
                           <p className="text-sm md:text-base"><strong>Size:</strong> {results.beams.width}mm × {results.beams.depth}mm</p>
                           <p className="text-sm md:text-base"><strong>Span:</strong> {results.beamSpan?.toFixed(2) || '0.00'}m</p>
+                          <p className="text-sm md:text-base">
+                            <strong>Span Condition:</strong> {SPAN_CONDITIONS[results.beams.spanCondition]?.label || SPAN_CONDITIONS.simple.label}
+                            {results.beams.cantileverLength > 0 && ` (${results.beams.cantileverLength.toFixed(2)}m cantilever)`}
+                          </p>
                           <p className="text-sm md:text-base"><strong>Tributary Width:</strong> {results.beams.tributaryWidth?.toFixed(2) || '0.00'}m</p>
                           <p className="text-sm md:text-base"><strong>Load per Meter:</strong> {results.beams.loadPerMeter?.toFixed(2) || '0.00'} kN/m</p>
                           <p className="text-sm md:text-base"><strong>Total Load:</strong> {results.beams.totalDistributedLoad?.toFixed(2) || '0.00'} kN</p>
                           {results.beams.fireAllowance > 0 && (
                             <p className="text-sm md:text-base text-blue-600">
-                              <strong>Fire Allowance:</strong> {results.beams.fireAllowance.toFixed(1)}mm per face
+                              <strong>Fire Allowance:</strong> {results.beams.fireAllowances ? describeFireAllowances(results.beams.fireAllowances) : `${results.beams.fireAllowance.toFixed(1)}mm per face`}
                             </p>
                           )}
+                          
+                          <MemberDesignChecks member={results.beams} />
+                          <SupportBearings bearings={results.bearings?.beams} floorStack={results.floorStack} />
                           {results.beams.width === results.columns.width && (
                             <p className="text-sm md:text-base text-green-600 mt-2">
                               <strong>✓</strong> Width matched with columns
                             </p>
                           )}
                           
-                          {/* Display different beam sizes for different bays if using custom bay dimensions */}
-                          {useCustomBayDimensions && (
+                          {/* Member types of the schedule, each designed for its own bays */}
+                          {results.structure?.schedule.beams.length > 1 && (
                             <div className="mt-3 pt-3 border-t border-gray-200">
-                              <p className="text-xs md:text-sm font-medium mb-1">Grid cell-specific sizes:</p>
+                              <p className="text-xs md:text-sm font-medium mb-1">Beam types by grid line:</p>
                               <div className="text-xs space-y-1 overflow-auto max-h-32 md:max-h-none">
-                                {(() => {
-                                  const { lengthwiseBayWidths, widthwiseBayWidths } = calculateBayDimensions();
-                                  const uniqueBaySizes = [];
-                                  
-                                  // Calculate unique bay combinations
-                                  for (let row = 0; row < results.widthwiseBays; row++) {
-                                    for (let col = 0; col < results.lengthwiseBays; col++) {
-                                      const bayWidth = lengthwiseBayWidths[col];
-                                      const bayHeight = widthwiseBayWidths[row];
-                                      
-                                      // Beams span the longer distance
-                                      const beamsSpanLengthwise = bayWidth > bayHeight;
-                                      const beamSpan = beamsSpanLengthwise ? bayWidth : bayHeight;
-                                      
-                                      // Calculate beam size for this specific span
-                                      const bayBeamSize = calculateBeamSize(beamSpan, load, numFloors, fireRating);
-                                      
-                                      // Find if this size already exists in our unique list
-                                      const existingSize = uniqueBaySizes.find(item => 
-                                        item.width === bayBeamSize.width && 
-                                        item.depth === bayBeamSize.depth &&
-                                        Math.abs(item.span - beamSpan) < 0.01
-                                      );
-                                      
-                                      if (!existingSize) {
-                                        uniqueBaySizes.push({
-                                          span: beamSpan,
-                                          width: bayBeamSize.width,
-                                          depth: bayBeamSize.depth,
-                                          count: 1,
-                                          locations: [`R${row+1}C${col+1}`]
-                                        });
-                                      } else {
-                                        existingSize.count++;
-                                        existingSize.locations.push(`R${row+1}C${col+1}`);
-                                      }
-                                    }
-                                  }
-                                  
-                                  // Sort by span
-                                  uniqueBaySizes.sort((a, b) => b.span - a.span);
-                                  
-                                  return uniqueBaySizes.map((item, index) => (
-                                    <div key={`beam-size-${index}`}>
-                                      <strong>{item.span?.toFixed(2) || '0.00'}m span:</strong> {item.width}mm × {item.depth}mm
-                                      <span className="text-gray-500 ml-1">({item.count} {item.count === 1 ? 'grid cell' : 'grid cells'})</span>
-                                    </div>
-                                  ));
-                                })()}
+                                {results.structure.schedule.beams.map(type => (
+                                  <div key={`beams-type-${type.mark}`}>
+                                    <strong>{type.mark}:</strong> {type.width}mm × {type.depth}mm, up to {type.maxSpan.toFixed(2)}m span
+                                    <span className="text-gray-500 ml-1">({type.locations.join(', ')})</span>
+                                  </div>
+                                ))}
                               </div>
                             </div>
                           )}
@@ -1605,18 +2522,56 @@ export default function TimberCalculator() {
                           <h4 className="font-semibold mb-2 text-sm md:text-base">Columns</h4>
                           <p className="text-sm md:text-base"><strong>Size:</strong> {results.columns.width}mm × {results.columns.depth}mm</p>
                           <p className="text-sm md:text-base"><strong>Height:</strong> {results.columns.height}m</p>
-                          <p className="text-sm md:text-base"><strong>Floors:</strong> {results.numFloors}</p>
+                          <p className="text-sm md:text-base"><strong>Floors:</strong> {results.numFloors}{results.floorStack?.some(level => level.isRoof) ? ' + roof' : ''}</p>
                           <p className="text-sm md:text-base"><strong>Tributary Area:</strong> {results.columns.tributaryArea?.toFixed(2) || '0.00'}m²</p>
                           <p className="text-sm md:text-base"><strong>Load per Floor:</strong> {results.columns.loadPerFloor?.toFixed(2) || '0.00'} kN</p>
                           <p className="text-sm md:text-base"><strong>Total Load:</strong> {results.columns.load?.toFixed(2) || '0.00'} kN</p>
                           {results.columns.fireAllowance > 0 && (
                             <p className="text-sm md:text-base text-blue-600">
-                              <strong>Fire Allowance:</strong> {results.columns.fireAllowance.toFixed(1)}mm per face
+                              <strong>Fire Allowance:</strong> {results.columns.fireAllowances ? describeFireAllowances(results.columns.fireAllowances) : `${results.columns.fireAllowance.toFixed(1)}mm per face`}
                             </p>
                           )}
+                          
+                          <MemberDesignChecks member={results.columns} />
+                          
+                          {/* Corner, edge and interior columns, each sized for its own tributary area */}
+                          {results.structure?.columnTypes.length > 0 && (
+                            <div className="mt-3 pt-3 border-t border-gray-200">
+                              <p className="text-xs md:text-sm font-medium mb-1">Column types by position:</p>
+                              <div className="text-xs space-y-1 overflow-auto max-h-32 md:max-h-none">
+                                {results.structure.columnTypes.map(type => (
+                                  <div key={`column-type-${type.position}`}>
+                                    <strong>{type.label}:</strong> {type.design.width}mm × {type.design.depth}mm, up to {type.maxTributaryArea.toFixed(2)}m²
+                                    <span className="text-gray-500 ml-1">({type.locations.join(', ')})</span>
+                                  </div>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+                          
+                          {/* Utilisation per storey, lowest storey carries the most load */}
+                          {results.columns.storeys?.length > 0 && (
+                            <div className="mt-3 pt-3 border-t border-gray-200">
+                              <p className="text-xs md:text-sm font-medium mb-1">Utilisation by floor:</p>
+                              <div className="text-xs space-y-1 overflow-auto max-h-32 md:max-h-none">
+                                {results.columns.storeys.map((storey) => (
+                                  <div key={`column-storey-${storey.storey}`} className="flex justify-between">
+                                    <span>{results.floorStack[storey.level - 1]?.name || `Level ${storey.level}`}</span>
+                                    <span className={storey.passes ? '' : 'text-red-600'}>
+                                      {storey.width} × {storey.depth}mm, N* {storey.axialLoad.toFixed(0)} kN, M* {storey.moment.toFixed(1)} kNm ({(storey.utilisation * 100).toFixed(0)}%)
+                                    </span>
+                                  </div>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+
+                          <ColumnShortening shortening={results.shortening} floorStack={results.floorStack} />
                         </div>
                       </div>
                       
+                      <FireLinings linings={results.fireLinings} floorSystem={results.floorSystem} fireRating={results.fireRating} />
+                      
                       {/* Timber Weight and Carbon Calculation */}
                       <div className="mt-4 bg-white p-4 rounded-lg shadow">
                         <h4 className="font-semibold mb-2">Material Estimates</h4>
@@ -1626,12 +2581,16 @@ export default function TimberCalculator() {
                             <div className="space-y-2">
                               <p className="text-sm md:text-base"><strong>Total Volume:</strong> {results.timberVolume?.toFixed(2) || '0.00'} m³</p>
                               <p className="text-sm md:text-base"><strong>Mass:</strong> {(results.timberWeight / 1000)?.toFixed(2) || '0.00'} tonnes</p>
-                              <p className="text-sm md:text-base"><strong>Density:</strong> {TIMBER_PROPERTIES[timberGrade]?.density || 600} kg/m³ ({timberGrade})</p>
                               
                               <div className="mt-3 pt-3 border-t border-gray-200 grid grid-cols-1 gap-1">
-                                <p className="text-xs md:text-sm"><strong>Joists:</strong> {results.elementVolumes?.joists?.toFixed(2) || '0.00'} m³</p>
-                                <p className="text-xs md:text-sm"><strong>Beams:</strong> {results.elementVolumes?.beams?.toFixed(2) || '0.00'} m³</p>
-                                <p className="text-xs md:text-sm"><strong>Columns:</strong> {results.elementVolumes?.columns?.toFixed(2) || '0.00'} m³</p>
+                                {[['joists', results.floorSystem === 'clt' ? 'CLT Panels' : 'Joists'], ['beams', 'Beams'], ['columns', 'Columns']].map(([kind, label]) => {
+                                  const grade = results.structure?.grades?.[kind] || memberGrades[kind];
+                                  return (
+                                    <p key={kind} className="text-xs md:text-sm">
+                                      <strong>{label}:</strong> {results.elementVolumes?.[kind]?.toFixed(2) || '0.00'} m³ of {MASSLAM_GRADES[grade]?.label || grade} at {TIMBER_PROPERTIES[grade]?.density || 600} kg/m³
+                                    </p>
+                                  );
+                                })}
                               </div>
                             </div>
                           </div>
@@ -1639,15 +2598,20 @@ export default function TimberCalculator() {
                           <div className="bg-white p-3 md:p-4 rounded-lg shadow">
                             <h5 className="font-semibold mb-2 text-sm md:text-base">Carbon Benefits</h5>
                             <div className="space-y-2">
-                              <p className="text-sm md:text-base"><strong>Carbon Storage:</strong> {(results.timberVolume * 0.9 || 0).toFixed(2)} tonnes CO₂e</p>
-                              <p className="text-sm md:text-base"><strong>Embodied Carbon:</strong> {(results.timberVolume * 0.2 || 0).toFixed(2)} tonnes CO₂e</p>
+                              <p className="text-sm md:text-base"><strong>Carbon Storage:</strong> {(results.carbonStorage || 0).toFixed(2)} tonnes CO₂e</p>
+                              <p className="text-sm md:text-base"><strong>Embodied Carbon:</strong> {(results.embodiedCarbon || 0).toFixed(2)} tonnes CO₂e</p>
+                              {results.topping?.volume > 0 && (
+                                <p className="text-sm md:text-base">
+                                  <strong>Topping:</strong> {results.topping.volume.toFixed(1)} m³, {results.topping.weight.toFixed(1)} tonnes, {results.topping.embodiedCarbon.toFixed(2)} tonnes CO₂e embodied
+                                </p>
+                              )}
                               
                               <div className="mt-3 pt-3 border-t border-gray-200">
                                 <p className="text-sm text-green-700"><strong>Compared to Steel/Concrete:</strong></p>
                                 <p className="text-sm md:text-base text-green-700">
                                   <strong>Carbon Saving:</strong> {results.carbonSavings?.toFixed(2) || '0.00'} tonnes CO₂e</p>
                                 <p className="text-xs text-gray-500 mt-1">
-                                  Based on average embodied carbon differential between mass timber and conventional structural systems.
+                                  Carbon stored in the timber less the embodied carbon of every member in its own grade and of the topping.
                                 </p>
                               </div>
                             </div>
@@ -1667,7 +2631,7 @@ export default function TimberCalculator() {
                           
                           <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
                             <div>
-                              <p className="text-xs md:text-sm text-gray-600">Joists</p>
+                              <p className="text-xs md:text-sm text-gray-600">{results.floorSystem === 'clt' ? 'CLT Panels' : 'Joists'}</p>
                               <p className="text-sm md:text-base font-semibold">{formatCurrency(results.costs?.joists || 0)}</p>
                               <p className="text-xs text-gray-500">{results.elementCounts?.joists || 0} pieces</p>
                             </div>
@@ -1689,7 +2653,13 @@ export default function TimberCalculator() {
                 )}
                 
                 {/* Save Project Button */}
-                <div className="flex justify-end mt-8">
+                <div className="flex justify-end gap-2 mt-8">
+                  <button
+                    className="apple-button apple-button-secondary"
+                    onClick={() => setShowProfiles(true)}
+                  >
+                    Cross-Sections
+                  </button>
                   <button 
                     className="apple-button apple-button-primary"
                     onClick={() => setShowSaveModal(true)}
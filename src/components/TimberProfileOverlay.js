@@ -1,9 +1,20 @@
 import React from "react";
+import { FIRE_FACES, FACE_EXPOSURES } from "@/utils/masslamProperties";
+
+// Colour of the marker drawn along each face for its fire exposure
+const EXPOSURE_COLOURS = {
+  exposed: "#dc2626",
+  plasterboard: "#f9a8d4",
+  encapsulated: "#c084fc",
+  shielded: "#6b7280"
+};
 
 /**
  * Component to display a cross-section of the timber profile
+ * With fire allowances the charred layer on each face is shaded and the residual section
+ * outlined, and each face is marked with its exposure: exposed, lined or shielded.
  */
-export default function TimberProfileOverlay({ dimensions, availableSizes, onClose }) {
+export default function TimberProfileOverlay({ dimensions, availableSizes, fireAllowances = null, fireExposures = null, onClose }) {
   const { joistsWidth, joistsHeight, beamsWidth, beamsHeight, postWidth, postDepth } = dimensions;
   
   // Helper function to calculate scale factor for visualization
@@ -12,10 +23,33 @@ export default function TimberProfileOverlay({ dimensions, availableSizes, onClo
     return maxDimension > 0 ? maxSize / maxDimension : 1;
   };
   
+  // Marker along one face of the section showing its fire exposure
+  const renderFaceMarker = (face, exposure) => {
+    const thickness = exposure === "shielded" ? 6 : 3;
+    const position = {
+      top: { top: -thickness - 2, left: 0, right: 0, height: thickness },
+      bottom: { bottom: -thickness - 2, left: 0, right: 0, height: thickness },
+      left: { left: -thickness - 2, top: 0, bottom: 0, width: thickness },
+      right: { right: -thickness - 2, top: 0, bottom: 0, width: thickness }
+    }[face];
+    return (
+      <div
+        key={face}
+        title={`${face}: ${FACE_EXPOSURES[exposure]?.label || exposure}`}
+        style={{ position: "absolute", backgroundColor: EXPOSURE_COLOURS[exposure], ...position }}
+      />
+    );
+  };
+  
   // Helper function to render a timber cross-section
-  const renderTimberProfile = (width, height, title, scaleFactor = 1) => {
+  const renderTimberProfile = (width, height, title, scaleFactor = 1, allowances = null, exposure = null) => {
     const scaledWidth = width * scaleFactor;
     const scaledHeight = height * scaleFactor;
+    const charring = allowances && FIRE_FACES.some(face => allowances[face] > 0);
+    const residual = charring ? {
+      width: Math.max(0, width - allowances.left - allowances.right),
+      height: Math.max(0, height - allowances.top - allowances.bottom)
+    } : null;
     
     return (
       <div className="flex flex-col items-center mb-6">
@@ -47,8 +81,28 @@ export default function TimberProfileOverlay({ dimensions, availableSizes, onClo
                 />
               ))}
             </div>
+            
+            {/* Charred layer and zero-strength layer on each face, around the residual section */}
+            {charring && (
+              <div
+                className="absolute inset-0"
+                style={{
+                  borderStyle: "solid",
+                  borderColor: "rgba(31, 41, 55, 0.55)",
+                  borderTopWidth: `${Math.min(allowances.top, height) * scaleFactor}px`,
+                  borderBottomWidth: `${Math.min(allowances.bottom, height) * scaleFactor}px`,
+                  borderLeftWidth: `${Math.min(allowances.left, width) * scaleFactor}px`,
+                  borderRightWidth: `${Math.min(allowances.right, width) * scaleFactor}px`
+                }}
+              >
+                <div className="w-full h-full border border-dashed border-red-600" />
+              </div>
+            )}
           </div>
           
+          {/* Fire exposure of each face */}
+          {exposure && FIRE_FACES.map(face => renderFaceMarker(face, exposure[face]))}
+          
           {/* Dimension labels */}
           <div className="absolute -top-6 left-0 right-0 flex justify-center">
             <div className="bg-white px-2 py-0.5 text-xs border border-gray-300 rounded shadow-sm">
@@ -61,6 +115,11 @@ export default function TimberProfileOverlay({ dimensions, availableSizes, onClo
             </div>
           </div>
         </div>
+        {residual && (
+          <p className="text-xs text-gray-600 mt-2">
+            Residual section {residual.width.toFixed(0)} × {residual.height.toFixed(0)} mm
+          </p>
+        )}
       </div>
     );
   };
@@ -145,7 +204,7 @@ export default function TimberProfileOverlay({ dimensions, availableSizes, onClo
         <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
           {/* Joist profile */}
           <div className="bg-gray-50 p-4 rounded-lg">
-            {renderTimberProfile(joistsWidth, joistsHeight, "Joist Cross-Section", joistScaleFactor)}
+            {renderTimberProfile(joistsWidth, joistsHeight, "Joist Cross-Section", joistScaleFactor, fireAllowances?.joists, fireExposures?.joists)}
             
             {closestJoistSize && (
               <div className="mt-2 p-3 bg-blue-50 rounded border border-blue-200">
@@ -157,7 +216,7 @@ export default function TimberProfileOverlay({ dimensions, availableSizes, onClo
           
           {/* Beam profile */}
           <div className="bg-gray-50 p-4 rounded-lg">
-            {renderTimberProfile(beamsWidth, beamsHeight, "Beam Cross-Section", beamScaleFactor)}
+            {renderTimberProfile(beamsWidth, beamsHeight, "Beam Cross-Section", beamScaleFactor, fireAllowances?.beams, fireExposures?.beams)}
             
             {closestBeamSize && (
               <div className="mt-2 p-3 bg-blue-50 rounded border border-blue-200">
@@ -169,7 +228,7 @@ export default function TimberProfileOverlay({ dimensions, availableSizes, onClo
           
           {/* Post profile */}
           <div className="bg-gray-50 p-4 rounded-lg">
-            {renderTimberProfile(postWidth, postDepth, "Post Cross-Section", postScaleFactor)}
+            {renderTimberProfile(postWidth, postDepth, "Post Cross-Section", postScaleFactor, fireAllowances?.columns, fireExposures?.columns)}
             
             {closestPostSize && (
               <div className="mt-2 p-3 bg-blue-50 rounded border border-blue-200">
@@ -187,6 +246,21 @@ export default function TimberProfileOverlay({ dimensions, availableSizes, onClo
             Standard sizes are based on commonly available timber dimensions.
           </p>
           
+          {fireExposures && (
+            <div className="mt-3 flex flex-wrap gap-4 text-xs text-gray-600">
+              {Object.entries(FACE_EXPOSURES).map(([key, exposure]) => (
+                <span key={key} className="flex items-center gap-1">
+                  <span className="inline-block w-4 h-1.5" style={{ backgroundColor: EXPOSURE_COLOURS[key] }} />
+                  {exposure.label}
+                </span>
+              ))}
+              <span className="flex items-center gap-1">
+                <span className="inline-block w-4 h-3" style={{ backgroundColor: "rgba(31, 41, 55, 0.55)" }} />
+                Char and zero-strength layer
+              </span>
+            </div>
+          )}
+          
           <div className="mt-4 flex justify-end">
             <button
               onClick={onClose}
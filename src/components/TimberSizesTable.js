@@ -15,16 +15,19 @@ export default function TimberSizesTable({ results, compact = false }) {
   
   if (!results) return null;
   
-  const { joists, beams, columns, joistSpan, beamSpan } = results;
+  const { joists, beams, columns, joistSpan, beamSpan, joistSpacing = 800 } = results;
+  const panels = results.floorSystem === 'clt';
   
-  // Prepare data for display
+  // Prepare data for display; CLT panels are designed per meter strip
   const allSizes = [
     { 
       type: 'Joist', 
-      width: joists.width, 
+      label: panels ? 'CLT Panel' : 'Joist',
+      width: panels ? 'per m' : joists.width, 
       depth: joists.depth, 
       span: joistSpan.toFixed(2),
-      spacing: '800mm'
+      spacing: `${joistSpacing}mm`,
+      layup: panels ? joists.label : null
     },
     { 
       type: 'Beam', 
@@ -129,7 +132,7 @@ export default function TimberSizesTable({ results, compact = false }) {
                 }}
               >
                 <td className={`${compact ? 'px-3 py-2' : 'px-6 py-4'} whitespace-nowrap text-sm font-medium`} style={{ color: 'var(--apple-text)' }}>
-                  {item.type}
+                  {item.label || item.type}
                 </td>
                 <td className={`${compact ? 'px-3 py-2' : 'px-6 py-4'} whitespace-nowrap text-sm`} style={{ color: 'var(--apple-text)' }}>
                   {item.width}
@@ -142,7 +145,7 @@ export default function TimberSizesTable({ results, compact = false }) {
                 </td>
                 <td className={`${compact ? 'px-3 py-2' : 'px-6 py-4'} whitespace-nowrap text-sm`} style={{ color: 'var(--apple-text)' }}>
                   {item.type === 'Joist' && (
-                    <span>Spacing: {item.spacing}</span>
+                    <span>{item.layup ? `Layup: ${item.layup}` : `Spacing: ${item.spacing}`}</span>
                   )}
                   {item.type === 'Beam' && (
                     <div>
@@ -169,7 +172,9 @@ export default function TimberSizesTable({ results, compact = false }) {
         <div className="mt-6 text-sm" style={{ color: 'var(--apple-text-secondary)' }}>
           <p className="mb-2">All sizes are in millimeters (mm) except spans which are in meters (m).</p>
           <p className="mb-2">These sizes are selected from the standard MASSLAM timber sections catalog.</p>
-          <p className="mb-2"><strong>Note:</strong> Joists are spaced at fixed 800mm centers.</p>
+          <p className="mb-2">
+            <strong>Note:</strong> {panels ? 'CLT floor panels are laid in the catalogue panel widths.' : `Joists are spaced at ${joistSpacing}mm centers.`}
+          </p>
           <p className="mt-4 text-xs">
             <a href="/masslam-sizes" style={{ color: 'var(--apple-blue)', textDecoration: 'none' }}>
               View all available MASSLAM sizes →
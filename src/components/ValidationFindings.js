@@ -0,0 +1,39 @@
+import React from "react";
+
+const SEVERITY_STYLES = {
+  error: { icon: '✗', className: 'bg-red-50 border-red-200 text-red-700' },
+  warning: { icon: '!', className: 'bg-yellow-50 border-yellow-200 text-yellow-800' },
+  info: { icon: 'i', className: 'bg-blue-50 border-blue-200 text-blue-700' }
+};
+
+/**
+ * Component to list the findings of the structure validation rules
+ */
+export default function ValidationFindings({ validationResult }) {
+  if (!validationResult || !validationResult.findings) {
+    return null;
+  }
+
+  if (validationResult.findings.length === 0) {
+    return (
+      <p className="text-sm text-green-600">✓ No issues found by the structure validation rules</p>
+    );
+  }
+
+  return (
+    <ul className="space-y-2">
+      {validationResult.findings.map((finding, index) => {
+        const style = SEVERITY_STYLES[finding.severity] || SEVERITY_STYLES.info;
+        return (
+          <li key={`${finding.ruleId}-${finding.member}-${index}`} className={`p-3 rounded border text-sm ${style.className}`}>
+            <div className="flex justify-between">
+              <span className="font-medium">{style.icon} {finding.message}</span>
+              <span className="text-xs opacity-75 ml-2 whitespace-nowrap">{finding.member} · {finding.ruleId}</span>
+            </div>
+            <p className="text-xs mt-1">{finding.remediation}</p>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
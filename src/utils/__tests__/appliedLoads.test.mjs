@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateEquivalentUniformLoad, calculatePointReactions, calculatePointShear } from '@/utils/appliedLoads';
+
+const nearSupport = [{ position: 0.3, dead: 40, live: 60 }];
+
+test('point load reactions share the load by its position along the span', () => {
+  const { start, end } = calculatePointReactions(nearSupport, 6);
+  assert.ok(Math.abs(start.dead + start.live - 95) < 1e-9);
+  assert.ok(Math.abs(end.dead + end.live - 5) < 1e-9);
+});
+
+test('point shear takes the larger reaction, 95 kN for 100 kN 0.3 m from the support of a 6 m span', () => {
+  const shear = calculatePointShear(nearSupport, 6);
+  assert.ok(Math.abs(shear.dead + shear.live - 95) < 1e-9);
+});
+
+test('equivalent uniform load matches the midspan moment but under-estimates the end shear', () => {
+  const midspan = calculateEquivalentUniformLoad([{ position: 3, dead: 0, live: 100 }], 6);
+  // w·L²/8 = P·L/4
+  assert.ok(Math.abs(midspan.live * 36 / 8 - 150) < 1e-9);
+
+  // 19 kN of end shear from the equivalent load against the 95 kN reaction
+  const equivalent = calculateEquivalentUniformLoad(nearSupport, 6);
+  assert.ok(Math.abs((equivalent.dead + equivalent.live) * 6 / 2 - 19) < 1e-9);
+});
+
+test('no point loads give no load', () => {
+  assert.deepEqual(calculateEquivalentUniformLoad([], 6), { dead: 0, live: 0 });
+  assert.deepEqual(calculatePointShear([], 6), { dead: 0, live: 0 });
+});
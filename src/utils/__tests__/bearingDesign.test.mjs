@@ -0,0 +1,82 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMasslamSizes } from '@/utils/timberSizes';
+import { loadTimberProperties, calculateBearingLengthFactor, checkBearing, getDesignProperties } from '@/utils/timberEngineering';
+import { designStructure } from '@/utils/structureDesign';
+import { checkSupportBearings } from '@/utils/bearingDesign';
+
+const GRADE = 'MASSLAM_SL33';
+
+// Two 6 m bays lengthwise by one 6 m bay widthwise, joists spanning 6 m lengthwise
+const config = {
+  lengthwiseBayWidths: [6, 6],
+  widthwiseBayWidths: [6],
+  joistsRunLengthwise: true,
+  numFloors: 1,
+  floorHeight: 3.2,
+  joistSpacing: 800,
+  load: 3,
+  floorDeadLoad: 2,
+  timberGrade: GRADE,
+  fireRating: 'none'
+};
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+before(async () => {
+  await loadMasslamSizes();
+  await loadTimberProperties();
+});
+
+test('k7 interpolates on the bearing length away from the member ends', () => {
+  close(calculateBearingLengthFactor(50), 1.3);
+  close(calculateBearingLengthFactor(100), 1.125);
+  close(calculateBearingLengthFactor(200), 1.0);
+  close(calculateBearingLengthFactor(50, true), 1.0);
+});
+
+test('bearing capacity is φ k1 k7 f\'p Ab for the governing combination', () => {
+  const properties = getDesignProperties(GRADE);
+  const check = checkBearing({ width: 100, bearingLength: 50, reaction: { dead: 10, live: 10 }, properties, atMemberEnd: false });
+  assert.equal(check.k7, 1.3);
+  close(check.demand, 1.2 * 10 + 1.5 * 10);
+  close(check.capacity, 0.85 * 0.8 * 1.3 * properties.bearingStrengthPerpendicular * 100 * 50 / 1e3);
+});
+
+test('joists share the interior beam seat and bear over it fully when continuous', async () => {
+  const structure = await designStructure(config);
+  const interiorBeam = structure.beams.find(beam => beam.ref === 'B/1-2').levels[0].beams;
+
+  const simple = checkSupportBearings({ structure, config, joistSpacing: 800, timberGrade: GRADE });
+  const joist = simple.joists.find(item => item.ref === 'A1');
+  assert.equal(joist.support, 'B/1-2');
+  assert.equal(joist.bearingLength, interiorBeam.width / 2);
+  assert.ok(simple.passes);
+
+  const continuous = checkSupportBearings({ structure, config: { ...config, joistsContinuous: true }, joistSpacing: 800, timberGrade: GRADE });
+  const overSupport = continuous.joists.find(item => item.ref === 'A1');
+  assert.equal(overSupport.bearingLength, interiorBeam.width);
+  assert.equal(overSupport.atMemberEnd, false);
+});
+
+test('a failing beam bearing is widened where the column allows, otherwise given a steel plate', async () => {
+  const structure = await designStructure(config);
+  // A 40mm wide interior beam, and a 30mm deep column head under an edge beam as wide as the column
+  const beam = structure.beams.find(item => item.ref === 'B/1-2');
+  beam.levels[0].beams = { ...beam.levels[0].beams, width: 40 };
+  const column = structure.columns.find(item => item.ref === 'A1');
+  column.columns = { ...column.columns, width: structure.beams.find(item => item.ref === 'A/1-2').levels[0].beams.width, depth: 30, storeys: undefined };
+
+  const bearings = checkSupportBearings({ structure, config, joistSpacing: 800, timberGrade: GRADE });
+  assert.equal(bearings.passes, false);
+
+  const widened = bearings.beams.find(item => item.ref === 'B/1-2');
+  const interiorColumn = structure.columns.find(item => item.ref === 'B1').columns;
+  assert.equal(widened.remedy.action, 'increaseWidth');
+  assert.ok(widened.remedy.size.width > 40 && widened.remedy.size.width <= interiorColumn.width);
+
+  const plated = bearings.beams.find(item => item.ref === 'A/1-2');
+  assert.equal(plated.remedy.action, 'bearingPlate');
+  assert.equal(plated.remedy.plateLength, 50);
+  assert.match(plated.remedy.reason, /steel bearing plate 50mm long/);
+});
@@ -0,0 +1,90 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMasslamSizes } from '@/utils/timberSizes';
+import { loadTimberProperties, getDesignProperties, calculateTimberWeight } from '@/utils/timberEngineering';
+import { calculateLayupProperties, reduceLayupForFire, calculateCltPanelSize, layoutCltPanels } from '@/utils/cltFloorDesign';
+import { designStructure } from '@/utils/structureDesign';
+import { calculateCost } from '@/utils/costEstimator';
+
+const PANEL_GRADE = 'MASSLAM_CLT90';
+const THREE_LAYER = [
+  { thickness: 30, longitudinal: true },
+  { thickness: 30, longitudinal: false },
+  { thickness: 30, longitudinal: true }
+];
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+before(async () => {
+  await loadMasslamSizes();
+  await loadTimberProperties();
+});
+
+test('only the layers along the span contribute to the bending stiffness', () => {
+  const layup = calculateLayupProperties(THREE_LAYER, getDesignProperties(PANEL_GRADE));
+  const I = 2 * (1000 * Math.pow(30, 3) / 12 + 1000 * 30 * Math.pow(30, 2));
+  assert.equal(layup.thickness, 90);
+  close(layup.neutralAxis, 45);
+  close(layup.I, I);
+  close(layup.Z, I / 45);
+});
+
+test('chars the layup from the underside, losing layers charred through', () => {
+  assert.deepEqual(reduceLayupForFire(THREE_LAYER, 45), [
+    { thickness: 30, longitudinal: true },
+    { thickness: 15, longitudinal: false }
+  ]);
+});
+
+test('selects a thicker layup for a longer span and checks rolling shear', () => {
+  const short = calculateCltPanelSize(3, 3, PANEL_GRADE, 'none', { floorDeadLoad: 1 });
+  const long = calculateCltPanelSize(7, 3, PANEL_GRADE, 'none', { floorDeadLoad: 1 });
+  assert.ok(long.depth > short.depth);
+  assert.ok(long.checks.rollingShear);
+  assert.ok(long.passes);
+  assert.equal(long.system, 'clt');
+});
+
+test('checks the charred layup at the fire limit state', () => {
+  const panel = calculateCltPanelSize(5, 3, PANEL_GRADE, '90/90/90', { floorDeadLoad: 1 });
+  assert.equal(panel.fire.minutes, 90);
+  assert.ok(panel.fire.effectiveDepth < panel.depth);
+  assert.ok(panel.checks.fireBending);
+});
+
+test('lays the widest catalogue panels first and cuts the remainder from the narrowest that fits', () => {
+  const layout = layoutCltPanels(7.5, 6);
+  assert.deepEqual(layout.panels, [
+    { width: 3000, stockWidth: 3000, length: 6, count: 2 },
+    { width: 1500, stockWidth: 2400, length: 6, count: 1 }
+  ]);
+  assert.equal(layout.count, 3);
+  close(layout.offcutArea, 0.9 * 6);
+});
+
+test('panel volumes flow through the same costing as joists', async () => {
+  const config = {
+    lengthwiseBayWidths: [6, 6],
+    widthwiseBayWidths: [6],
+    joistsRunLengthwise: true,
+    numFloors: 1,
+    floorHeight: 3.2,
+    joistSpacing: 800,
+    load: 3,
+    floorDeadLoad: 2,
+    timberGrade: 'MASSLAM_SL33',
+    fireRating: 'none',
+    floorSystem: 'clt'
+  };
+  const structure = await designStructure(config);
+  assert.equal(structure.floorSystem, 'clt');
+
+  const timber = calculateTimberWeight(structure);
+  const panels = structure.governing.joists;
+  close(timber.elements.joists.volume, (panels.depth / 1000) * 72);
+  assert.ok(timber.elements.joists.grades[PANEL_GRADE] > 0);
+
+  const cost = calculateCost(timber, panels, 12, 6, 1);
+  close(cost.elements.joists.volume, timber.elements.joists.volume);
+  assert.ok(cost.elements.joists.cost > 0);
+});
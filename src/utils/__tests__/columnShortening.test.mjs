@@ -0,0 +1,73 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMasslamSizes } from '@/utils/timberSizes';
+import { loadTimberProperties, getDesignProperties, getDesignFactors } from '@/utils/timberEngineering';
+import { designStructure } from '@/utils/structureDesign';
+import { calculateStoreyShortening, calculateColumnShortening } from '@/utils/columnShortening';
+
+const GRADE = 'MASSLAM_SL33';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+// A two storey 200x200 column, listed top-down as designGridColumns gives them
+const column = {
+  ref: 'A1',
+  columns: {
+    grade: GRADE,
+    storeys: [
+      { level: 2, height: 3, width: 200, depth: 200, serviceLoad: { dead: 50, live: 25 } },
+      { level: 1, height: 3, width: 200, depth: 200, serviceLoad: { dead: 100, live: 50 } }
+    ]
+  }
+};
+
+before(async () => {
+  await loadMasslamSizes();
+  await loadTimberProperties();
+});
+
+test('accumulates the elastic and creep shortening of each storey under G + ψlQ from the base up', () => {
+  const E = getDesignProperties(GRADE).modulusOfElasticity;
+  const elastic = (dead, live) => ((dead + 0.4 * live) * 1e3 * 3000) / (E * 200 * 200);
+  const shortening = calculateStoreyShortening(column);
+
+  assert.deepEqual(shortening.storeys.map(storey => storey.level), [1, 2]);
+  close(shortening.storeys[0].elastic, elastic(100, 50));
+  // j2 = 2 in service class 1, so creep equals the elastic shortening
+  close(shortening.storeys[0].creep, shortening.storeys[0].elastic);
+  close(shortening.storeys[1].cumulative, 2 * (elastic(100, 50) + elastic(50, 25)));
+  close(shortening.total, shortening.storeys[1].cumulative);
+});
+
+test('a damper service class creeps more', () => {
+  const dry = calculateStoreyShortening(column);
+  const exposed = calculateStoreyShortening(column, 0.4, getDesignFactors({ serviceClass: 3 }));
+  close(exposed.elastic, dry.elastic);
+  close(exposed.creep, 2 * dry.creep);
+});
+
+test('interior columns shorten more than edge columns and the difference is checked over the span', async () => {
+  const structure = await designStructure({
+    lengthwiseBayWidths: [6, 6],
+    widthwiseBayWidths: [6],
+    joistsRunLengthwise: true,
+    numFloors: 3,
+    floorHeight: 3.2,
+    joistSpacing: 800,
+    load: 3,
+    floorDeadLoad: 2,
+    timberGrade: GRADE,
+    fireRating: 'none'
+  });
+  const shortening = calculateColumnShortening({ columns: structure.columns, lengthwiseBayWidths: [6, 6], widthwiseBayWidths: [6] });
+  const total = (ref) => shortening.columns.find(item => item.ref === ref).total;
+
+  assert.equal(shortening.governing.ref, 'B1');
+  assert.ok(total('B1') > total('A1'));
+  close(shortening.columns[0].check.capacity, 9.6);
+
+  const pair = shortening.differentials.find(item => item.refs.join() === 'A1,B1');
+  close(pair.roof, total('B1') - total('A1'));
+  close(pair.check.capacity, 6000 / 500);
+  assert.ok(shortening.passes);
+});
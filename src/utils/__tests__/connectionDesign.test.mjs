@@ -0,0 +1,72 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMasslamSizes } from '@/utils/timberSizes';
+import { loadTimberProperties } from '@/utils/timberEngineering';
+import { designStructure } from '@/utils/structureDesign';
+import { designConnection, designStructureConnections, CONNECTION_CAPACITY_FACTOR, CONNECTION_TYPES, JOINT_GROUPS } from '@/utils/connectionDesign';
+
+const GRADE = 'MASSLAM_SL33';
+const BEAM = { width: 165, depth: 450 };
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+const connect = (type, reaction, member = BEAM) => designConnection(type, { reaction, member, memberType: 'beam', timberGrade: GRADE });
+
+before(async () => {
+  await loadMasslamSizes();
+  await loadTimberProperties();
+});
+
+test('crossed screws carry the reaction in JD4 withdrawal with n^0.9 effective screws', () => {
+  const connection = connect('selfTappingScrews', { dead: 5, live: 5 });
+  // Two Ø8 × 500mm screws, half their length either side of the joint, at 45°
+  const perScrew = CONNECTION_CAPACITY_FACTOR * 0.8 * JOINT_GROUPS.JD4.withdrawalStrength * 8 * 250 / 1000 * Math.SQRT1_2;
+
+  assert.equal(connection.description, '2 × Ø8 × 500mm screws');
+  close(connection.check.demand, 1.2 * 5 + 1.5 * 5);
+  assert.equal(connection.k1, 0.8);
+  close(connection.check.capacity, perScrew * Math.pow(2, 0.9));
+});
+
+test('a larger reaction needs more fasteners for every connection type', () => {
+  Object.keys(CONNECTION_TYPES).forEach(type => {
+    const light = connect(type, { dead: 5, live: 5 });
+    const heavy = connect(type, { dead: 40, live: 60 });
+    assert.ok(heavy.count > light.count, type);
+    assert.ok(heavy.passes, type);
+  });
+});
+
+test('a hanger larger than the supported member forces a larger section', () => {
+  const connection = connect('concealedHanger', { dead: 60, live: 80 }, { width: 120, depth: 300 });
+  assert.ok(connection.passes);
+  assert.ok(connection.forcedSize.width >= connection.minWidth);
+  assert.ok(connection.forcedSize.depth >= connection.minDepth);
+  assert.equal(connect('concealedHanger', { dead: 5, live: 5 }).forcedSize, null);
+});
+
+test('connects each joist bay and beam for its end reaction', async () => {
+  const structure = await designStructure({
+    lengthwiseBayWidths: [6, 6],
+    widthwiseBayWidths: [6],
+    joistsRunLengthwise: true,
+    numFloors: 1,
+    floorHeight: 3.2,
+    joistSpacing: 800,
+    load: 3,
+    floorDeadLoad: 2,
+    timberGrade: GRADE,
+    fireRating: 'none'
+  });
+  const connections = designStructureConnections({ structure, joistSpacing: 800, timberGrade: GRADE });
+
+  assert.deepEqual(connections.joistToBeam.map(item => item.ref), ['A1', 'B1']);
+  close(connections.joistToBeam[0].reaction.live, 3 * 0.8 * 6 / 2);
+
+  // The interior grid line beam carries both bays
+  const [edge, interior] = connections.beamToColumn;
+  assert.deepEqual([edge.ref, interior.ref], ['A/1-2', 'B/1-2']);
+  close(interior.reaction.live, 2 * edge.reaction.live);
+  assert.ok(interior.connection.check.capacity > edge.connection.check.capacity);
+  assert.ok(connections.passes);
+});
@@ -0,0 +1,161 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRoundedOutline, calculateOutlineProperties, checkConnectionFire, checkStructureConnectionsFire, calculateLiningQuantities, summariseFireLinings } from '@/utils/fireDesign';
+import { designConnection } from '@/utils/connectionDesign';
+import { getFrlMinutes, calculateResidualDimensions, calculateFaceAllowance, calculateCharDepth, calculateLiningSavings, FIRE_LININGS } from '@/utils/masslamProperties';
+import { loadTimberProperties } from '@/utils/timberEngineering';
+import { loadMasslamSizes } from '@/utils/timberSizes';
+import { designStructure } from '@/utils/structureDesign';
+
+before(async () => {
+  await loadMasslamSizes();
+  await loadTimberProperties();
+});
+
+test('a square-cornered outline has the rectangle properties', () => {
+  const section = calculateOutlineProperties(createRoundedOutline({ left: 0, top: 0, width: 200, depth: 400 }));
+  assert.equal(section.area, 80000);
+  assert.ok(Math.abs(section.Ix - 200 * 400 ** 3 / 12) < 1e-3);
+  assert.ok(Math.abs(section.Iy - 400 * 200 ** 3 / 12) < 1e-3);
+  assert.ok(Math.abs(section.Zx - 200 * 400 ** 2 / 6) < 1e-3);
+});
+
+test('fully rounded corners give the second moment of area of a circle', () => {
+  const r = 100;
+  const radii = { topLeft: r, topRight: r, bottomRight: r, bottomLeft: r };
+  const section = calculateOutlineProperties(createRoundedOutline({ left: 0, top: 0, width: 2 * r, depth: 2 * r }, radii));
+  assert.ok(Math.abs(section.Ix / (Math.PI * r ** 4 / 4) - 1) < 0.005);
+  assert.ok(Math.abs(section.area / (Math.PI * r ** 2) - 1) < 0.005);
+});
+
+test('rounding the bottom corners lowers I below the square residual section', () => {
+  const bounds = { left: 0, top: 0, width: 200, depth: 400 };
+  const square = calculateOutlineProperties(createRoundedOutline(bounds));
+  const rounded = calculateOutlineProperties(createRoundedOutline(bounds, { bottomLeft: 40, bottomRight: 40 }));
+  // Each corner loses (1 − π/4)·r² of area
+  assert.ok(Math.abs(square.area - rounded.area - 2 * (1 - Math.PI / 4) * 40 ** 2) < 5);
+  assert.ok(rounded.Ix < square.Ix);
+  assert.ok(rounded.centroid.y < square.centroid.y);
+});
+
+test('FRL minutes come from the structural adequacy period', () => {
+  assert.equal(getFrlMinutes('90/90/90'), 90);
+  assert.equal(getFrlMinutes('none'), 0);
+  assert.equal(getFrlMinutes(undefined), 0);
+});
+
+test('the residual section loses the allowance of each charring face', () => {
+  const residual = calculateResidualDimensions({ width: 335, depth: 550 }, { top: 0, bottom: 49, left: 49, right: 49 });
+  assert.equal(residual.width, 237);
+  assert.equal(residual.depth, 501);
+});
+
+test('a connection whose steel lacks timber cover needs protection even when its reduced capacity passes', () => {
+  const reaction = { dead: 2, live: 2 };
+  const connection = designConnection('boltedSidePlates', { reaction, member: { width: 335, depth: 550 }, memberType: 'beam', timberGrade: 'MASSLAM_SL33' });
+  const fire = checkConnectionFire({
+    connection,
+    reaction,
+    minutes: 30,
+    timberGrade: 'MASSLAM_SL33',
+    exposure: { top: 'shielded', bottom: 'exposed', left: 'exposed', right: 'exposed' }
+  });
+  assert.equal(fire.coverPasses, false);
+  assert.equal(fire.check.passes, true);
+  assert.equal(fire.needsProtection, true);
+  assert.equal(fire.passes, false);
+});
+
+const exposed = { top: 'shielded', bottom: 'exposed', left: 'exposed', right: 'exposed' };
+
+test('a plugged connection is unprotected when its char plugs do not fit in the side cover', () => {
+  // Plugs of 1.5 × 0.7 × (90 − 15) = 78.75 mm over screws with 75 mm of side cover
+  const connection = { type: 'selfTappingScrews', steelCover: { side: 75, bottom: 200 }, timberCapacity: 100, k1: 1 };
+  const fire = checkConnectionFire({ connection, reaction: { dead: 2, live: 2 }, minutes: 90, timberGrade: 'MASSLAM_SL33', exposure: exposed });
+  assert.equal(fire.coverPasses, true);
+  assert.ok(Math.abs(fire.plugDepth - 78.75) < 1e-9);
+  assert.equal(fire.plugPasses, false);
+  assert.equal(fire.protected, false);
+  assert.equal(fire.needsProtection, true);
+});
+
+test('only the timber part of a connection capacity is reduced in fire', () => {
+  // Unprotected after 20 minutes the timber keeps e^(−0.085 × 20) of its capacity, still above the hanger steel
+  const connection = { type: 'concealedHanger', steelCover: { side: 0, bottom: 0 }, timberCapacity: 700, steelCapacity: 50, k1: 1 };
+  const fire = checkConnectionFire({ connection, reaction: { dead: 2, live: 2 }, minutes: 20, timberGrade: 'MASSLAM_SL33', exposure: exposed });
+  assert.ok(Math.abs(fire.eta - Math.exp(-0.085 * 20)) < 1e-12);
+  assert.equal(fire.check.capacity, 50);
+});
+
+test('checks each connection at the FRL and psi-long of its level in the grade of its supported member', () => {
+  const connection = { type: 'concealedHanger', steelCover: { side: 200, bottom: 200 }, timberCapacity: 100, k1: 1 };
+  const supported = (level) => ({ level, connection, reaction: { dead: 2, live: 10 }, member: { width: 120, depth: 200, grade: 'MASSLAM_CLT90' } });
+  const checked = checkStructureConnectionsFire({ joistToBeam: [supported(1), supported(2)], beamToColumn: [] }, {
+    fireRating: 'none',
+    levels: [{ fireRating: 'none' }, { fireRating: '60/60/60', beamOptions: { psiLong: 0.6 } }],
+    timberGrade: 'MASSLAM_SL33'
+  });
+  const [lower, upper] = checked.joistToBeam;
+  assert.equal(lower.fire, null);
+  assert.equal(upper.fire.minutes, 60);
+  assert.ok(Math.abs(upper.fire.check.demand - (2 + 0.6 * 10)) < 1e-9);
+  // CLT90 chars at 0.65 mm/min against 0.7 mm/min for SL33
+  assert.equal(upper.fire.requiredCover, calculateFaceAllowance(0.65, 60, 'exposed'));
+  assert.equal(checked.fire.fireRating, '60/60/60');
+});
+
+test('chars behind a lining from tch, at k2 until tf, then at k3 up to 25mm', () => {
+  const lining = FIRE_LININGS.fireGrade16x1;
+  assert.equal(calculateCharDepth(0.7, lining.tch, lining), 0);
+  assert.ok(Math.abs(calculateCharDepth(0.7, lining.tf, lining) - 0.71 * 0.7 * (lining.tf - lining.tch)) < 1e-6);
+  // 7.455mm at tf, 25mm after 12.5 more minutes at twice the rate, then 0.7 mm/min to 60 minutes
+  const postProtection = (25 - 0.71 * 0.7 * 15) / 1.4;
+  assert.ok(Math.abs(calculateCharDepth(0.7, 60, lining) - (25 + 0.7 * (15 - postProtection))) < 0.1);
+  assert.equal(calculateCharDepth(0.7, 60, FIRE_LININGS.fireGrade16x3), 0);
+});
+
+test('the section saved by a lining is the allowance it avoids on each lined face', () => {
+  const exposure = { top: 'shielded', bottom: 'plasterboard', left: 'exposed', right: 'exposed' };
+  const savings = calculateLiningSavings(0.7, { width: 250, depth: 500 }, 90, exposure);
+  const saved = calculateFaceAllowance(0.7, 90, 'exposed') - calculateFaceAllowance(0.7, 90, 'plasterboard');
+  assert.ok(saved > 0);
+  assert.deepEqual([savings.faceSavings.left, savings.faceSavings.right], [0, 0]);
+  assert.ok(Math.abs(savings.unlined.depth - (500 + saved)) < 1e-9);
+  assert.ok(Math.abs(savings.areaSaved - 250 * saved) < 1e-6);
+});
+
+test('board area is the lined face area times the layers of the lining', () => {
+  const [quantity] = calculateLiningQuantities(
+    [{ kind: 'beam', width: 250, depth: 500, length: 6, count: 2 }],
+    { beams: { bottom: 'encapsulated', left: 'encapsulated', right: 'encapsulated' } }
+  );
+  assert.equal(quantity.key, 'fireGrade16x2');
+  assert.ok(Math.abs(quantity.faceArea - (0.25 + 0.5 + 0.5) * 6 * 2) < 1e-9);
+  assert.ok(Math.abs(quantity.boardArea - 2 * quantity.faceArea) < 1e-9);
+});
+
+test('summarises the section saved and the board needed when members are lined', async () => {
+  const config = {
+    lengthwiseBayWidths: [6, 6],
+    widthwiseBayWidths: [6],
+    joistsRunLengthwise: true,
+    numFloors: 1,
+    floorHeight: 3.2,
+    joistSpacing: 800,
+    load: 3,
+    floorDeadLoad: 2,
+    timberGrade: 'MASSLAM_SL33',
+    fireRating: '90/90/90'
+  };
+  const fireExposures = { beams: { top: 'shielded', bottom: 'plasterboard', left: 'plasterboard', right: 'plasterboard' } };
+  assert.equal(summariseFireLinings(await designStructure(config), { fireRating: '90/90/90' }), null);
+
+  const structure = await designStructure({ ...config, fireExposures });
+  const linings = summariseFireLinings(structure, { fireRating: '90/90/90', fireExposures });
+  const beams = structure.members.filter(member => member.kind === 'beam');
+  const faceArea = beams.reduce((sum, beam) => sum + (beam.width + 2 * beam.depth) / 1000 * beam.length * beam.count, 0);
+
+  assert.ok(linings.kinds.beams.unlined.width > structure.governing.beams.width);
+  assert.ok(linings.volumeSaved > 0);
+  assert.ok(Math.abs(linings.boardArea - faceArea) < 1e-9);
+});
@@ -0,0 +1,53 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateBuildUpLoad,
+  calculateBuildUpQuantities,
+  calculateCompositeStiffness,
+  isCompositeBuildUp
+} from '@/utils/floorBuildUp';
+import { loadMasslamSizes } from '@/utils/timberSizes';
+import { loadTimberProperties, calculateJoistSize } from '@/utils/timberEngineering';
+
+before(async () => {
+  await loadMasslamSizes();
+  await loadTimberProperties();
+});
+
+const concrete = { type: 'concrete75', composite: true };
+
+test('a topping adds its weight to the permanent floor load', () => {
+  assert.ok(Math.abs(calculateBuildUpLoad({ type: 'concrete75' }) - 0.075 * 24) < 1e-12);
+  assert.ok(Math.abs(calculateBuildUpLoad({ type: 'screed' }) - 0.04 * 22) < 1e-12);
+  assert.equal(calculateBuildUpLoad({ type: 'none' }), 0);
+});
+
+test('topping quantities follow its thickness over the floor area', () => {
+  const quantities = calculateBuildUpQuantities({ type: 'concrete100' }, 200);
+  assert.ok(Math.abs(quantities.volume - 20) < 1e-12);
+  assert.ok(Math.abs(quantities.weight - 20 * 24 / 9.81) < 1e-9);
+  assert.ok(Math.abs(quantities.embodiedCarbon - 20 * 0.35) < 1e-12);
+});
+
+test('only a concrete topping with a composite connection stiffens the joists', () => {
+  const section = { width: 205, depth: 335, spacing: 800, span: 6, modulusOfElasticity: 13300 };
+  const timber = 13300 * 205 * Math.pow(335, 3) / 12;
+  assert.equal(isCompositeBuildUp({ type: 'screed', composite: true }), false);
+  assert.equal(calculateCompositeStiffness({ ...section, floorBuildUp: { type: 'screed', composite: true } }), timber);
+  assert.equal(calculateCompositeStiffness({ ...section, floorBuildUp: { ...concrete, composite: false } }), timber);
+
+  // Partial interaction lies between the timber alone and a rigid connection
+  const partial = calculateCompositeStiffness({ ...section, floorBuildUp: concrete });
+  const rigid = calculateCompositeStiffness({ ...section, floorBuildUp: concrete, connection: { slipModulus: Infinity, spacing: 250 } });
+  assert.ok(partial > timber);
+  assert.ok(partial < rigid);
+});
+
+test('a composite topping lets a smaller joist meet the serviceability checks', async () => {
+  // 2 kPa of floor with 1.8 kPa of 75 mm concrete over a 7 m span
+  const options = { floorDeadLoad: 3.8 };
+  const plain = await calculateJoistSize(7, 800, 3, 'MASSLAM_SL33', 'none', { ...options, floorBuildUp: { ...concrete, composite: false } });
+  const composite = await calculateJoistSize(7, 800, 3, 'MASSLAM_SL33', 'none', { ...options, floorBuildUp: concrete });
+  assert.ok(composite.width * composite.depth < plain.width * plain.depth);
+  assert.ok(composite.passes);
+});
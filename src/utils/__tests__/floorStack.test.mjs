@@ -0,0 +1,77 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveFloorStack, getLevelDesignInputs, getOccupancyOverrides } from '@/utils/floorStack';
+import { DEFAULT_VIBRATION_CRITERIA } from '@/utils/floorVibration';
+import { loadMasslamSizes } from '@/utils/timberSizes';
+import { loadTimberProperties } from '@/utils/timberEngineering';
+import { designStructure } from '@/utils/structureDesign';
+
+const defaults = {
+  occupancy: 'office',
+  imposedLoad: 3,
+  permanentLoad: 1,
+  superimposedDeadLoad: 1,
+  height: 3.2,
+  fireRating: 'none',
+  floorBuildUp: { type: 'none', composite: false }
+};
+
+before(async () => {
+  await loadMasslamSizes();
+  await loadTimberProperties();
+});
+
+test('levels take the building-wide inputs unless they override them', () => {
+  const stack = resolveFloorStack({ numFloors: 3, defaults, levels: { 2: { ...getOccupancyOverrides('storage'), height: 4.5 } } });
+  assert.deepEqual(stack.map(level => level.imposedLoad), [3, 5, 3]);
+  assert.deepEqual(stack.map(level => level.height), [3.2, 4.5, 3.2]);
+  assert.deepEqual(stack.map(level => level.customised), [false, true, false]);
+  assert.equal(stack[1].psiLong, 0.6);
+  assert.ok(Math.abs(stack[1].deadLoad - 1.5) < 1e-12);
+});
+
+test('an enabled roof is the level above the top floor with its preset loads and no vibration check', () => {
+  const stack = resolveFloorStack({ numFloors: 2, defaults, roof: { enabled: true, type: 'nonTrafficable' } });
+  const roof = stack[2];
+  assert.equal(stack.length, 3);
+  assert.equal(roof.level, 3);
+  assert.equal(roof.isRoof, true);
+  assert.equal(roof.imposedLoad, 0.25);
+  const inputs = getLevelDesignInputs(stack, DEFAULT_VIBRATION_CRITERIA);
+  assert.equal(inputs[2].joistOptions.vibrationCriteria, null);
+  assert.equal(inputs[0].joistOptions.vibrationCriteria, DEFAULT_VIBRATION_CRITERIA);
+});
+
+test('the design inputs of a level carry the weight of its topping as dead load', () => {
+  const stack = resolveFloorStack({ numFloors: 2, defaults, levels: { 1: { floorBuildUp: { type: 'concrete75', composite: false } } } });
+  const [lower, upper] = getLevelDesignInputs(stack, DEFAULT_VIBRATION_CRITERIA);
+  assert.ok(Math.abs(lower.floorDeadLoad - (2 + 0.075 * 24)) < 1e-12);
+  assert.equal(upper.floorDeadLoad, 2);
+});
+
+test('each level is designed for its own loads and the columns step down up the building', async () => {
+  const stack = resolveFloorStack({ numFloors: 3, defaults, levels: { 1: getOccupancyOverrides('storage') } });
+  const structure = await designStructure({
+    lengthwiseBayWidths: [6, 6],
+    widthwiseBayWidths: [6],
+    joistsRunLengthwise: true,
+    numFloors: stack.length,
+    floorHeight: 3.2,
+    joistSpacing: 800,
+    load: 3,
+    floorDeadLoad: 2,
+    timberGrade: 'MASSLAM_SL33',
+    fireRating: 'none',
+    levels: getLevelDesignInputs(stack, DEFAULT_VIBRATION_CRITERIA),
+    columnsStepDown: true
+  });
+  const [storage, office] = structure.bays[0].levels.map(level => level.joists);
+  assert.ok(storage.checks.bending.demand > office.checks.bending.demand);
+  // Column storeys are listed from the top down
+  const storeys = structure.columns.find(column => column.ref === 'B1').columns.storeys;
+  assert.deepEqual(storeys.map(storey => storey.level), [3, 2, 1]);
+  storeys.slice(1).forEach((storey, index) => {
+    assert.ok(storey.width * storey.depth >= storeys[index].width * storeys[index].depth);
+  });
+  assert.ok(storeys[2].width * storeys[2].depth > storeys[0].width * storeys[0].depth);
+});
@@ -0,0 +1,44 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateFundamentalFrequency, calculatePointLoadDeflection, checkFloorVibration } from '@/utils/floorVibration';
+import { loadMasslamSizes } from '@/utils/timberSizes';
+import { loadTimberProperties, calculateJoistSize } from '@/utils/timberEngineering';
+
+before(async () => {
+  await loadMasslamSizes();
+  await loadTimberProperties();
+});
+
+test('the fundamental frequency of a simply supported floor is (π / 2L²) √(EI / m)', () => {
+  const frequency = calculateFundamentalFrequency(6, 8e6, 300);
+  assert.ok(Math.abs(frequency - (Math.PI / 72) * Math.sqrt(8e6 / 300)) < 1e-9);
+});
+
+test('a 1 kN point load deflects one joist by PL³ / 48EI', () => {
+  const EI = 13300 * 205 * Math.pow(335, 3) / 12;
+  assert.ok(Math.abs(calculatePointLoadDeflection(6, EI) - 1000 * Math.pow(6000, 3) / (48 * EI)) < 1e-9);
+});
+
+test('the frequency check is a minimum, so a stiffer floor has a lower utilisation', () => {
+  const floor = { span: 6, spacing: 800, width: 205, modulusOfElasticity: 13300, permanentLoad: 2.5 };
+  const shallow = checkFloorVibration({ ...floor, depth: 335 });
+  const deep = checkFloorVibration({ ...floor, depth: 410 });
+  assert.ok(Math.abs(shallow.checks.vibrationFrequency.utilisation - 8 / shallow.frequency) < 1e-12);
+  assert.ok(deep.frequency > shallow.frequency);
+  assert.ok(deep.checks.vibrationFrequency.utilisation < shallow.checks.vibrationFrequency.utilisation);
+  assert.ok(deep.pointDeflection < shallow.pointDeflection);
+});
+
+test('joists are checked against the vibration criteria given, and not at all without them', async () => {
+  const strict = await calculateJoistSize(6, 800, 3, 'MASSLAM_SL33', 'none', { floorDeadLoad: 2 });
+  const relaxed = await calculateJoistSize(6, 800, 3, 'MASSLAM_SL33', 'none', {
+    floorDeadLoad: 2,
+    vibrationCriteria: { minFrequency: 5, maxPointDeflection: 3 }
+  });
+  const roof = await calculateJoistSize(6, 800, 3, 'MASSLAM_SL33', 'none', { floorDeadLoad: 2, vibrationCriteria: null });
+  assert.equal(strict.governingCheck, 'vibrationFrequency');
+  assert.equal(relaxed.checks.vibrationFrequency.capacity, 5);
+  assert.ok(relaxed.checks.vibrationFrequency.utilisation < strict.checks.vibrationFrequency.utilisation);
+  assert.equal(roof.checks.vibrationFrequency, undefined);
+  assert.notEqual(roof.governingCheck, 'vibrationFrequency');
+});
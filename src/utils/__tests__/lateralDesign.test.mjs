@@ -0,0 +1,71 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMasslamSizes } from '@/utils/timberSizes';
+import { loadTimberProperties } from '@/utils/timberEngineering';
+import { calculateWindStoreyForces } from '@/utils/windLoads';
+import { getGridSegments, createLateralElement, designLateralSystem } from '@/utils/lateralDesign';
+
+const GRADE = 'MASSLAM_SL33';
+const STOREY_HEIGHTS = [3.2, 3.2, 3.2];
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+const storeyShears = (limitState) => {
+  const { directions } = calculateWindStoreyForces({
+    region: 'A',
+    terrainCategory: '3',
+    buildingLength: 12,
+    buildingWidth: 6,
+    storeyHeights: STOREY_HEIGHTS,
+    limitState
+  });
+  return { lengthwise: directions.lengthwise.storeyShears, widthwise: directions.widthwise.storeyShears };
+};
+
+const design = (segments) => designLateralSystem({
+  elements: segments.map((segment, index) => createLateralElement({ id: `B${index + 1}`, segment })),
+  segments: getGridSegments([6, 6], [6]),
+  storeyHeights: STOREY_HEIGHTS,
+  ultimate: storeyShears('ultimate'),
+  serviceability: storeyShears('serviceability'),
+  timberGrade: GRADE
+});
+
+before(async () => {
+  await loadMasslamSizes();
+  await loadTimberProperties();
+});
+
+test('grid segments run lengthwise on the numbered lines and widthwise on the lettered lines', () => {
+  const segments = getGridSegments([6, 6], [6]);
+  assert.deepEqual(segments.map(segment => segment.ref), ['1/A-B', '1/B-C', '2/A-B', '2/B-C', 'A/1-2', 'B/1-2', 'C/1-2']);
+  assert.equal(segments.find(segment => segment.ref === 'A/1-2').direction, 'widthwise');
+});
+
+test('a single braced bay takes the whole storey shear and the overturning of the forces above', () => {
+  const shears = storeyShears('ultimate').lengthwise;
+  const lateral = design(['1/A-B']);
+  const [brace] = lateral.directions.lengthwise.elements;
+  const levelForces = [shears[0] - shears[1], shears[1] - shears[2], shears[2]];
+
+  close(brace.storeys[0].shear, shears[0]);
+  close(brace.storeys[0].overturningMoment, levelForces[0] * 3.2 + levelForces[1] * 6.4 + levelForces[2] * 9.6);
+  close(brace.storeys[0].columnForce, brace.storeys[0].overturningMoment / 6);
+  assert.ok(brace.storeys[0].depth >= brace.storeys[2].depth);
+});
+
+test('two equal braced bays share the storey shear and reduce the drift', () => {
+  const one = design(['1/A-B']).directions.lengthwise;
+  const two = design(['1/A-B', '2/A-B']).directions.lengthwise;
+
+  assert.deepEqual(two.storeys[0].shares, [0.5, 0.5]);
+  close(two.elements[0].storeys[0].shear, one.elements[0].storeys[0].shear / 2);
+  assert.ok(two.storeys[0].drift < one.storeys[0].drift);
+});
+
+test('a direction without lateral elements does not pass', () => {
+  const lateral = design(['1/A-B']);
+  assert.equal(lateral.directions.widthwise.hasElements, false);
+  assert.equal(lateral.directions.widthwise.utilisation, null);
+  assert.equal(lateral.passes, false);
+});
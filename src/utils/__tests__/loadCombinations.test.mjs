@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createFloorLoads,
+  getStrengthCombinations,
+  getServiceabilityCombinations,
+  combineActions,
+  STRENGTH_COMBINATIONS
+} from '@/utils/loadCombinations';
+
+test('floor loads add the superimposed dead load to the permanent load and take the preset imposed load', () => {
+  const loads = createFloorLoads({ occupancy: 'office', permanentLoad: 1.2, superimposedDeadLoad: 1.0 });
+  assert.ok(Math.abs(loads.deadLoad - 2.2) < 1e-12);
+  assert.equal(loads.imposedLoad, 3.0);
+  assert.equal(loads.psiShort, 0.7);
+  assert.equal(loads.psiLong, 0.4);
+});
+
+test('an entered imposed load overrides the preset, and storage floors keep their own combination factors', () => {
+  const loads = createFloorLoads({ occupancy: 'storage', imposedLoad: 7.5 });
+  assert.equal(loads.imposedLoad, 7.5);
+  assert.equal(loads.psiShort, 1.0);
+  assert.equal(loads.psiLong, 0.6);
+});
+
+test('strength combinations with imposed load take its load duration', () => {
+  const [permanent, imposed] = getStrengthCombinations('permanent');
+  assert.equal(permanent.duration, 'permanent');
+  assert.equal(imposed.duration, 'permanent');
+  assert.equal(getStrengthCombinations(undefined), STRENGTH_COMBINATIONS);
+});
+
+test('combines permanent and imposed actions with the factors of each combination', () => {
+  const [deadOnly, strength] = STRENGTH_COMBINATIONS;
+  assert.ok(Math.abs(combineActions(deadOnly, 10, 5) - 13.5) < 1e-12);
+  assert.ok(Math.abs(combineActions(strength, 10, 5) - 19.5) < 1e-12);
+  const [short, long] = getServiceabilityCombinations(0.7, 0.4);
+  assert.ok(Math.abs(combineActions(short, 10, 5) - 13.5) < 1e-12);
+  assert.ok(Math.abs(combineActions(long, 10, 5) - 12) < 1e-12);
+});
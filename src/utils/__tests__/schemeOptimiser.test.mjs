@@ -0,0 +1,96 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMasslamSizes } from '@/utils/timberSizes';
+import { loadTimberProperties, calculateTimberWeight, TIMBER_PROPERTIES } from '@/utils/timberEngineering';
+import { calculateCost } from '@/utils/costEstimator';
+import { optimiseScheme, getBayCountOptions } from '@/utils/schemeOptimiser';
+
+const GRADE = 'MASSLAM_SL33';
+
+// Two 6 m bays lengthwise by one 6 m bay widthwise
+const baseConfig = {
+  lengthwiseBayWidths: [6, 6],
+  widthwiseBayWidths: [6],
+  joistsRunLengthwise: true,
+  numFloors: 1,
+  floorHeight: 3.2,
+  joistSpacing: 800,
+  load: 3,
+  floorDeadLoad: 2,
+  timberGrade: GRADE,
+  fireRating: 'none'
+};
+
+before(async () => {
+  await loadMasslamSizes();
+  await loadTimberProperties();
+});
+
+test('costs joists by their volume, so larger joists at wider centres are not cheaper', () => {
+  // 100 m² of floor spanning 6 m: 120x200 joists at 400 mm centres against 335x550 at 1200 mm
+  const floor = (width, depth, count) => calculateTimberWeight({
+    members: [{ kind: 'joist', width, depth, length: 6, count, area: 100, grade: GRADE }]
+  }, GRADE);
+  const small = floor(120, 200, 42);
+  const large = floor(335, 550, 14);
+  assert.ok(large.totalVolume > small.totalVolume);
+
+  const smallCost = calculateCost(small, { width: 120, depth: 200 }, 10, 10, 1);
+  const largeCost = calculateCost(large, { width: 335, depth: 550 }, 10, 10, 1);
+  assert.ok(largeCost.totalCost > smallCost.totalCost);
+  assert.equal(smallCost.elements.joists.area, 100);
+});
+
+test('costs the timber of each grade by its relative cost', () => {
+  const beams = (grade) => calculateTimberWeight({
+    members: [{ kind: 'beam', width: 200, depth: 500, length: 10, count: 1, grade }]
+  });
+  const sl33 = calculateCost(beams(GRADE), { width: 120, depth: 200 }, 10, 10, 1);
+  const gl21 = calculateCost(beams('MASSLAM_GL21'), { width: 120, depth: 200 }, 10, 10, 1);
+  const ratio = TIMBER_PROPERTIES.MASSLAM_GL21.costFactor / TIMBER_PROPERTIES[GRADE].costFactor;
+  assert.ok(Math.abs(gl21.elements.beams.cost - sl33.elements.beams.cost * ratio) < 1e-6);
+});
+
+test('ranks schemes on cost in the same order as their timber volume in one grade', async () => {
+  const config = { ...baseConfig, numFloors: 2 };
+  const { schemes } = await optimiseScheme({ config, buildingLength: 12, buildingWidth: 6, maxBaySpan: 8, objective: 'cost' });
+  assert.ok(schemes.length > 1);
+  schemes.slice(1).forEach((scheme, index) => {
+    assert.ok(scheme.cost >= schemes[index].cost);
+    assert.ok(scheme.volume >= schemes[index].volume, `${scheme.id} has less timber than ${schemes[index].id} but costs more`);
+  });
+});
+
+test('tries the fewest bays within the maximum span and two more', () => {
+  assert.deepEqual(getBayCountOptions(20, 8), [3, 4, 5]);
+  assert.deepEqual(getBayCountOptions(5, 8), [1, 2, 3]);
+});
+
+test('searches both joist directions at every spacing and keeps the top schemes by volume', async () => {
+  const { evaluated, schemes } = await optimiseScheme({
+    config: baseConfig, buildingLength: 12, buildingWidth: 6, maxBaySpan: 8, objective: 'volume', spacings: [600, 900], topN: 3
+  });
+  assert.equal(evaluated, 4);
+  assert.equal(schemes.length, 3);
+  schemes.slice(1).forEach((scheme, index) => assert.ok(scheme.volume >= schemes[index].volume));
+  assert.ok(schemes.every(scheme => scheme.lengthwiseBays === 2 && scheme.widthwiseBays === 1));
+});
+
+test('varies the bay counts each way with equal bays', async () => {
+  const { evaluated, schemes } = await optimiseScheme({
+    config: baseConfig, buildingLength: 12, buildingWidth: 6, maxBaySpan: 8, varyBays: true, spacings: [800], topN: 18
+  });
+  // Two to four bays lengthwise by one to three widthwise, in both joist directions
+  assert.equal(evaluated, 18);
+  const grid = schemes.find(scheme => scheme.id === 'L-800-3x2');
+  assert.deepEqual(grid.lengthwiseBayWidths, [4, 4, 4]);
+  assert.deepEqual(grid.widthwiseBayWidths, [3, 3]);
+});
+
+test('tries only the current spacing for CLT floors', async () => {
+  const { evaluated, schemes } = await optimiseScheme({
+    config: { ...baseConfig, floorSystem: 'clt' }, buildingLength: 12, buildingWidth: 6, maxBaySpan: 8, spacings: [600, 900]
+  });
+  assert.equal(evaluated, 2);
+  assert.deepEqual(schemes.map(scheme => scheme.id).sort(), ['L-CLT-2x1', 'W-CLT-2x1']);
+});
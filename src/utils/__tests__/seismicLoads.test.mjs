@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateSpectralShape } from '@/utils/seismicLoads';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('spectral shape factor Ch(T) matches AS 1170.4 Table 6.4', () => {
+  close(calculateSpectralShape('Ae', 0), 0.8);
+  close(calculateSpectralShape('Ae', 0.1), 2.35);
+  close(calculateSpectralShape('Be', 0.1), 2.94);
+  close(calculateSpectralShape('Ce', 0), 1.3);
+  close(calculateSpectralShape('Ce', 0.1), 3.68);
+  close(calculateSpectralShape('Ce', 0.5), 2.5);
+  close(calculateSpectralShape('Ae', 1.0), 0.704);
+  close(calculateSpectralShape('Ce', 1.0), 1.25);
+  close(calculateSpectralShape('De', 1.0), 1.98);
+  close(calculateSpectralShape('Ee', 1.0), 3.08);
+  close(calculateSpectralShape('Ce', 2.0), 1.874 / 4);
+  close(calculateSpectralShape('Ee', 3.0), 4.62 / 9);
+});
+
+test('the plateau caps the velocity branch at short periods', () => {
+  close(calculateSpectralShape('Ee', 0.3), 3.68);
+});
+
+test('an unknown site class falls back to Ce', () => {
+  close(calculateSpectralShape('Xe', 1.0), 1.25);
+});
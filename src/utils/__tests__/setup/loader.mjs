@@ -0,0 +1,32 @@
+// Module resolution hooks for running the utilities under node --test, matching the
+// Next.js build: "@/" resolves to src, imports without an extension resolve to .js and
+// the .js files in src are ES modules.
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const SRC = fileURLToPath(new URL('../../../', import.meta.url));
+
+export async function resolve(specifier, context, nextResolve) {
+  let target = specifier;
+  if (target.startsWith('@/')) {
+    target = pathToFileURL(path.join(SRC, target.slice(2))).href;
+  }
+  const relative = target.startsWith('./') || target.startsWith('../');
+  if ((relative || target.startsWith('file:')) && !path.extname(target)) {
+    const base = relative
+      ? path.resolve(path.dirname(fileURLToPath(context.parentURL)), target)
+      : fileURLToPath(target);
+    if (existsSync(`${base}.js`)) {
+      return nextResolve(pathToFileURL(`${base}.js`).href, context);
+    }
+  }
+  return nextResolve(target, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(pathToFileURL(SRC).href) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,25 @@
+// Preloaded by the test script: registers the module hooks and stands in for the browser
+// APIs the utilities use to load their data from public/.
+import { readFile } from 'node:fs/promises';
+import { register } from 'node:module';
+
+register('./loader.mjs', import.meta.url);
+
+const PUBLIC = new URL('../../../../public/', import.meta.url);
+
+globalThis.fetch = async (url) => {
+  try {
+    const text = await readFile(new URL(String(url).replace(/^\//, ''), PUBLIC), 'utf8');
+    return { ok: true, status: 200, statusText: 'OK', text: async () => text, json: async () => JSON.parse(text) };
+  } catch {
+    return { ok: false, status: 404, statusText: 'Not Found', text: async () => '', json: async () => null };
+  }
+};
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+  clear: () => storage.clear()
+};
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runValidationRules, getValidationRules, SEVERITY } from '@/utils/structuralValidation';
+import { loadMasslamSizes } from '@/utils/timberSizes';
+import { loadTimberProperties, validateStructure } from '@/utils/timberEngineering';
+import { designStructure } from '@/utils/structureDesign';
+import { checkSupportBearings } from '@/utils/bearingDesign';
+
+// Rules that do not need the catalogue loaded
+const rules = getValidationRules().filter(rule => rule.id !== 'catalogue-size');
+
+const design = (width, depth) => ({ width, depth, passes: true, utilisation: 0.5 });
+const beam = (ref, width, depth, bayRefs) => ({ ref, span: 6, bayRefs, beams: design(width, depth), levels: [{ level: 1, beams: design(width, depth) }] });
+const structure = {
+  bays: [
+    { ref: 'A1', joistSpan: 6, floorSystem: 'joists', joists: design(205, 335), levels: [{ level: 1, joists: design(205, 335), loadedJoists: [] }] },
+    { ref: 'B1', joistSpan: 9.5, floorSystem: 'joists', joists: design(205, 450), levels: [{ level: 1, joists: design(205, 450), loadedJoists: [] }] }
+  ],
+  beams: [beam('A/1-2', 335, 550, ['A1']), beam('B/1-2', 380, 420, ['A1', 'B1'])],
+  columns: [
+    { ref: 'A1', beamRefs: ['A/1-2'], columns: design(335, 335) },
+    { ref: 'B1', beamRefs: ['B/1-2'], columns: design(335, 335) }
+  ]
+};
+
+test('a structure without problems has no findings', () => {
+  const valid = {
+    bays: [structure.bays[0]],
+    beams: [structure.beams[0]],
+    columns: [structure.columns[0]]
+  };
+  const result = runValidationRules(valid, rules);
+  assert.deepEqual(result.findings, []);
+  assert.equal(result.valid, true);
+});
+
+test('findings name the member by its grid reference', () => {
+  const { findings, valid } = runValidationRules(structure, rules);
+  const byRule = (ruleId) => findings.filter(finding => finding.ruleId === ruleId).map(finding => finding.member);
+  assert.equal(valid, false);
+  assert.deepEqual(byRule('span-limit'), ['B1']);
+  assert.deepEqual(byRule('column-width-matches-beam'), ['B1']);
+  assert.deepEqual(byRule('flush-beam-depth'), ['B/1-2']);
+});
+
+test('the column width is compared with the beams framing into it', () => {
+  const { findings } = runValidationRules(structure, rules);
+  const column = findings.find(finding => finding.ruleId === 'column-width-matches-beam');
+  assert.equal(column.severity, SEVERITY.error);
+  assert.match(column.message, /380mm beam B\/1-2/);
+});
+
+test('the joist bearing finding comes from the support bearing checks', () => {
+  const bearings = {
+    joists: [
+      { ref: 'A1', support: 'A/1-2', bearingLength: 167.5, check: { passes: true, utilisation: 0.4 }, remedy: null },
+      { ref: 'B1', support: 'B/1-2', bearingLength: 190, check: { passes: false, utilisation: 1.2 }, remedy: { reason: 'fit a steel bearing plate' } }
+    ],
+    beams: []
+  };
+  const { findings } = runValidationRules({ bays: [], beams: [], columns: [], bearings }, rules);
+  assert.equal(findings.length, 1);
+  assert.equal(findings[0].member, 'B1');
+  assert.equal(findings[0].remediation, 'fit a steel bearing plate');
+});
+
+test('validates every member of a designed structure by its grid reference', async () => {
+  await loadMasslamSizes();
+  await loadTimberProperties();
+  // A 6 m and a 10 m bay; only the 10 m bay is over the joist span limit
+  const config = {
+    lengthwiseBayWidths: [6, 10],
+    widthwiseBayWidths: [6],
+    joistsRunLengthwise: true,
+    numFloors: 1,
+    floorHeight: 3.2,
+    joistSpacing: 800,
+    load: 3,
+    floorDeadLoad: 2,
+    timberGrade: 'MASSLAM_SL33',
+    fireRating: 'none'
+  };
+  const designed = await designStructure(config);
+  const bearings = checkSupportBearings({ structure: designed, config, joistSpacing: config.joistSpacing });
+  const { findings, valid } = validateStructure(designed, bearings);
+  const refs = new Set([...designed.bays, ...designed.beams, ...designed.columns].map(member => member.ref));
+  assert.equal(valid, false);
+  assert.deepEqual(findings.filter(finding => finding.ruleId === 'span-limit').map(finding => finding.member), ['B1']);
+  findings.forEach(finding => assert.ok(refs.has(finding.member), `${finding.member} is not a grid reference`));
+});
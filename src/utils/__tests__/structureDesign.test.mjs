@@ -0,0 +1,106 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMasslamSizes } from '@/utils/timberSizes';
+import { loadTimberProperties } from '@/utils/timberEngineering';
+import { designStructure, getColumnPosition, getRunSpanCondition } from '@/utils/structureDesign';
+import { createAppliedLoad } from '@/utils/appliedLoads';
+
+const GRADE = 'MASSLAM_SL33';
+
+// Two 6 m bays lengthwise by one 6 m bay widthwise, joists spanning 6 m lengthwise
+const baseConfig = {
+  lengthwiseBayWidths: [6, 6],
+  widthwiseBayWidths: [6],
+  joistsRunLengthwise: true,
+  numFloors: 1,
+  floorHeight: 3.2,
+  joistSpacing: 800,
+  load: 3,
+  floorDeadLoad: 2,
+  timberGrade: GRADE,
+  fireRating: 'none'
+};
+
+before(async () => {
+  await loadMasslamSizes();
+  await loadTimberProperties();
+});
+
+test('shears the joist under a point load near its support by the point load reaction', async () => {
+  // 40 kN imposed 0.3 m from the support reacts 38 kN there
+  const structure = await designStructure({
+    ...baseConfig,
+    appliedLoads: [createAppliedLoad({ id: 'L1', type: 'point', bay: 'A1', action: 'imposed', magnitude: 40, x: 0.05 })]
+  });
+  const level = structure.bays.find(bay => bay.ref === 'A1').levels[0];
+  const [loaded] = level.loadedJoists;
+  assert.equal(`${loaded.joists.width}x${loaded.joists.depth}`, `${level.joists.width}x${level.joists.depth}`);
+  const extraShear = loaded.joists.checks.shear.demand - level.joists.checks.shear.demand;
+  assert.ok(Math.abs(extraShear - 1.5 * 38) < 1e-6);
+});
+
+test('designs the joists of each bay and the beam on each grid line for its own span and load', async () => {
+  // A 4 m and an 8 m bay lengthwise
+  const structure = await designStructure({ ...baseConfig, lengthwiseBayWidths: [4, 8] });
+  const [short, long] = structure.bays;
+  assert.deepEqual([short.ref, short.joistSpan, long.ref, long.joistSpan], ['A1', 4, 'B1', 8]);
+  assert.ok(long.joists.width * long.joists.depth > short.joists.width * short.joists.depth);
+
+  // Each beam carries half of the joist span of the bays either side of it
+  assert.deepEqual(structure.beams.map(beam => [beam.ref, beam.tributaryWidth]), [['A/1-2', 2], ['B/1-2', 6], ['C/1-2', 4]]);
+  assert.deepEqual(structure.schedule.joists.map(type => [type.mark, type.locations]), [['J1', ['B1']], ['J2', ['A1']]]);
+  assert.equal(structure.floorArea, 72);
+});
+
+test('classifies the grid intersections as corner, edge and interior columns', () => {
+  assert.equal(getColumnPosition(0, 0, 3, 3), 'corner');
+  assert.equal(getColumnPosition(3, 3, 3, 3), 'corner');
+  assert.equal(getColumnPosition(1, 0, 3, 3), 'edge');
+  assert.equal(getColumnPosition(0, 2, 3, 3), 'edge');
+  assert.equal(getColumnPosition(1, 2, 3, 3), 'interior');
+});
+
+test('gives each column the tributary area of the bays around it', async () => {
+  // Three 6 m bays each way
+  const structure = await designStructure({ ...baseConfig, numFloors: 3, lengthwiseBayWidths: [6, 6, 6], widthwiseBayWidths: [6, 6, 6] });
+  const byPosition = Object.fromEntries(structure.columnTypes.map(type => [type.position, type]));
+  assert.deepEqual([byPosition.corner.count, byPosition.edge.count, byPosition.interior.count], [4, 8, 4]);
+  assert.deepEqual([byPosition.corner.maxTributaryArea, byPosition.edge.maxTributaryArea, byPosition.interior.maxTributaryArea], [9, 18, 36]);
+  const column = (ref) => structure.columns.find(item => item.ref === ref);
+  assert.equal(column('A1').position, 'corner');
+  assert.equal(column('B2').position, 'interior');
+  assert.ok(column('B2').columns.load > column('A1').columns.load);
+});
+
+test('spans of a continuous run are two-span or multi-span with larger reactions at the interior supports', () => {
+  assert.equal(getRunSpanCondition(6, 0, 3, false).spanCondition, 'simple');
+  const twoSpan = getRunSpanCondition(6, 0, 2, true);
+  assert.equal(twoSpan.spanCondition, 'twoSpan');
+  assert.ok(Math.abs(twoSpan.startReaction - 6 * 3 / 8) < 1e-12);
+  assert.ok(Math.abs(twoSpan.endReaction - 6 * 5 / 8) < 1e-12);
+  const interior = getRunSpanCondition(6, 1, 3, true);
+  assert.equal(interior.spanCondition, 'multiSpan');
+  assert.ok(Math.abs(interior.startReaction - 6 * 0.6) < 1e-12);
+});
+
+test('an end span next to a perimeter cantilever is a cantilever with backspan', () => {
+  // 1.5 m cantilever on a 6 m backspan: λ = 0.25
+  const end = getRunSpanCondition(6, 0, 2, false, 1.5, 0);
+  assert.equal(end.spanCondition, 'cantilever');
+  assert.equal(end.cantileverLength, 1.5);
+  assert.equal(end.overhang, 1.5);
+  assert.ok(Math.abs(end.startReaction - 6 * (0.5 + 0.25 * 0.25 / 2 + 0.25)) < 1e-12);
+  assert.ok(Math.abs(end.endReaction - 6 * (0.5 - 0.25 * 0.25 / 2)) < 1e-12);
+  assert.equal(getRunSpanCondition(6, 1, 2, false, 1.5, 0).spanCondition, 'simple');
+});
+
+test('designs each member kind in its own grade', async () => {
+  const sl33 = await designStructure(baseConfig);
+  const gl17 = await designStructure({ ...baseConfig, memberGrades: { beams: 'MASSLAM_GL17' } });
+
+  assert.deepEqual(gl17.grades, { joists: GRADE, beams: 'MASSLAM_GL17', columns: GRADE });
+  assert.equal(gl17.governing.beams.grade, 'MASSLAM_GL17');
+  // GL17 is weaker in bending than SL33, so its beams are larger; the joists are unchanged
+  assert.ok(gl17.governing.beams.width * gl17.governing.beams.depth > sl33.governing.beams.width * sl33.governing.beams.depth);
+  assert.deepEqual([gl17.governing.joists.width, gl17.governing.joists.depth], [sl33.governing.joists.width, sl33.governing.joists.depth]);
+});
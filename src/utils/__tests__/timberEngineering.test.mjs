@@ -0,0 +1,179 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMasslamSizes } from '@/utils/timberSizes';
+import { loadTimberProperties, calculateJoistSize, calculateBeamSize, calculateColumnSize, calculateCompressionStability, checkFlexuralMember, getSpanCoefficients, checkColumnStoreys, getDesignProperties, getPointShearFactor, calculateTimberWeight, calculateCarbonStorage, calculateCarbonSavings, getDesignFactors, TIMBER_PROPERTIES } from '@/utils/timberEngineering';
+
+const GRADE = 'MASSLAM_SL33';
+
+before(async () => {
+  await loadMasslamSizes();
+  await loadTimberProperties();
+});
+
+test('selects the smallest catalogue joist for a 6 m span at 800 mm centres under 3 kPa', async () => {
+  const joists = await calculateJoistSize(6, 800, 3, GRADE, 'none', { floorDeadLoad: 2 });
+  assert.equal(`${joists.width}x${joists.depth}`, '205x335');
+  assert.equal(joists.governingCheck, 'vibrationFrequency');
+  assert.ok(joists.passes);
+});
+
+test('selects the smallest catalogue beam for a 7 m span carrying 6 m of floor', () => {
+  const beams = calculateBeamSize(7, 3, GRADE, 'none', { tributaryWidth: 6, floorDeadLoad: 2 });
+  assert.equal(`${beams.width}x${beams.depth}`, '335x550');
+  assert.ok(beams.passes);
+});
+
+test('designs a beam for the factored moment of its tributary floor load', () => {
+  // G = 2 kPa × 6 m + self-weight, Q = 3 kPa × 6 m over a 7 m simple span
+  const beams = calculateBeamSize(7, 3, GRADE, 'none', { tributaryWidth: 6, floorDeadLoad: 2 });
+  const moment = (1.2 * (2 * 6 + beams.selfWeight) + 1.5 * 3 * 6) * 7 * 7 / 8;
+  assert.ok(Math.abs(beams.checks.bending.demand - moment) < 1e-6);
+  assert.equal(beams.checks.bending.combination, '1.2G + 1.5Q');
+  assert.ok(beams.checks.lateralTorsionalBuckling.passes);
+  assert.ok(beams.checks.bearing.passes);
+});
+
+test('a beam carrying a wider strip of floor needs a larger section', () => {
+  const narrow = calculateBeamSize(7, 3, GRADE, 'none', { tributaryWidth: 3, floorDeadLoad: 2 });
+  const wide = calculateBeamSize(7, 3, GRADE, 'none', { tributaryWidth: 9, floorDeadLoad: 2 });
+  assert.ok(wide.width * wide.depth > narrow.width * narrow.depth);
+  assert.ok(narrow.passes && wide.passes);
+});
+
+test('a taller column is more slender and less stable in compression', () => {
+  const properties = getDesignProperties(GRADE);
+  const short = calculateCompressionStability(335, 335, 3000, properties);
+  const tall = calculateCompressionStability(335, 335, 6000, properties);
+  assert.equal(tall.S4, 2 * short.S4);
+  assert.ok(tall.k12y < short.k12y);
+});
+
+test('checks a column for its accumulated axial load and the moment of an unbalanced beam reaction', () => {
+  const properties = getDesignProperties(GRADE);
+  // One beam reacting 50 kN G + 50 kN Q at the face of a 335 mm deep column at each of two levels
+  const storeys = checkColumnStoreys({
+    width: 335,
+    depth: 335,
+    height: 3.2,
+    levels: [[{ dead: 50, live: 50 }], [{ dead: 50, live: 50 }]],
+    selfWeight: 0,
+    properties
+  });
+  assert.equal(storeys.length, 2);
+  assert.ok(storeys[1].axialLoad > storeys[0].axialLoad);
+  assert.equal(storeys[0].checks.combined.combination, '1.2G + 1.5Q');
+  assert.ok(Math.abs(storeys[0].moment - (1.2 * 50 + 1.5 * 50) * 0.335 / 2) < 1e-9);
+});
+
+test('sizes a column for the floors it carries', () => {
+  const low = calculateColumnSize(3.2, 3, GRADE, 'none', { floors: 1, tributaryArea: 36, floorDeadLoad: 2 });
+  const high = calculateColumnSize(3.2, 3, GRADE, 'none', { floors: 6, tributaryArea: 36, floorDeadLoad: 2 });
+  assert.ok(high.width * high.depth > low.width * low.depth);
+  assert.ok(low.passes && high.passes);
+});
+
+test('the permanent-only combination governs the strength of a heavily loaded floor with little imposed load', () => {
+  const beams = calculateBeamSize(6, 0.5, GRADE, 'none', { tributaryWidth: 6, floorDeadLoad: 8 });
+  assert.equal(beams.checks.bending.combination, '1.35G');
+});
+
+test('continuity raises the shear and reduces the deflection of a span of the same section', () => {
+  const member = { width: 205, depth: 335, span: 6, deadLoad: 2, liveLoad: 2.4, properties: getDesignProperties(GRADE) };
+  const simple = checkFlexuralMember(member);
+  const twoSpan = checkFlexuralMember({ ...member, spanCondition: 'twoSpan' });
+  assert.ok(Math.abs(twoSpan.shear.demand / simple.shear.demand - 1.25) < 1e-9);
+  assert.ok(Math.abs(twoSpan.deflectionLongTerm.demand / simple.deflectionLongTerm.demand - (1 / 185) / (5 / 384)) < 1e-9);
+});
+
+test('a cantilever checks its tip deflection over twice the cantilever length', () => {
+  const coefficients = getSpanCoefficients('cantilever', 6, 3);
+  assert.equal(coefficients.deflections.length, 2);
+  assert.equal(coefficients.deflections[1].limitLength, 6);
+  // λ = 0.5: the cantilever moment λ²/2 is less than the backspan moment 1/8
+  assert.equal(coefficients.moment, 1 / 8);
+  assert.equal(getSpanCoefficients('cantilever', 4, 3).moment, 9 / 32);
+});
+
+test('checks shear from the point load reaction rather than its equivalent uniform load', () => {
+  // 100 kN (40 kN G, 60 kN Q) 0.3 m from the support of a 6 m simple span reacts 95 kN there
+  const beams = calculateBeamSize(6, 0, GRADE, 'none', {
+    tributaryWidth: 0,
+    pointShear: { dead: 38, live: 57 }
+  });
+  const expected = 1.2 * (38 + beams.selfWeight * 3) + 1.5 * 57;
+  assert.ok(Math.abs(beams.checks.shear.demand - expected) < 1e-6);
+  assert.equal(beams.checks.shear.combination, '1.2G + 1.5Q');
+});
+
+test('point load reactions are increased at the interior supports of continuous spans only', () => {
+  assert.equal(getPointShearFactor('simple'), 1);
+  assert.ok(getPointShearFactor('twoSpan') > 1);
+});
+
+test('a fire rating keeps the section that passes at ambient and checks its residual section', async () => {
+  const ambient = await calculateJoistSize(6, 800, 3, GRADE, 'none', { floorDeadLoad: 2 });
+  const fire = await calculateJoistSize(6, 800, 3, GRADE, '60/60/60', { floorDeadLoad: 2 });
+  assert.equal(`${fire.width}x${fire.depth}`, `${ambient.width}x${ambient.depth}`);
+  assert.equal(fire.fire.minutes, 60);
+  assert.ok(fire.checks.fireBending.utilisation < 1);
+});
+
+test('checks the ambient strength on the gross section when a fire rating applies', () => {
+  const ambient = calculateBeamSize(7, 3, GRADE, 'none', { tributaryWidth: 6, floorDeadLoad: 2 });
+  const fire = calculateBeamSize(7, 3, GRADE, '90/90/90', { tributaryWidth: 6, floorDeadLoad: 2 });
+  assert.equal(`${fire.width}x${fire.depth}`, `${ambient.width}x${ambient.depth}`);
+  assert.equal(fire.checks.bending.capacity, ambient.checks.bending.capacity);
+  assert.ok(fire.fire.effectiveDepth < fire.depth);
+});
+
+test('selects a larger section when the residual section fails at the fire limit state', () => {
+  // A short, heavily loaded beam that passes at ambient in 205x335 fails after 120 minutes of charring
+  const ambient = calculateBeamSize(2.5, 5, GRADE, 'none', { tributaryWidth: 9, floorDeadLoad: 2 });
+  const fire = calculateBeamSize(2.5, 5, GRADE, '120/120/120', { tributaryWidth: 9, floorDeadLoad: 2 });
+  assert.ok(fire.width * fire.depth > ambient.width * ambient.depth);
+  assert.ok(fire.fire.passes);
+  assert.ok(fire.checks.fireBending.utilisation <= 1);
+});
+
+test('weighs and offsets the carbon of each member in its own grade', () => {
+  // 1 m³ of SL33 joists and 1 m³ of LVL14 beams
+  const timber = calculateTimberWeight({
+    members: [
+      { kind: 'joist', width: 200, depth: 500, length: 10, count: 1, area: 4, grade: GRADE },
+      { kind: 'beam', width: 200, depth: 500, length: 10, count: 1, grade: 'MASSLAM_LVL14' }
+    ]
+  });
+  const sl33 = TIMBER_PROPERTIES[GRADE];
+  const lvl14 = TIMBER_PROPERTIES.MASSLAM_LVL14;
+  assert.ok(Math.abs(timber.weight - (sl33.density + lvl14.density)) < 1e-6);
+  assert.ok(Math.abs(timber.embodiedCarbon - (sl33.embodiedCarbon + lvl14.embodiedCarbon)) < 1e-9);
+
+  // EN 16449: 44/12 × 0.5 × oven-dry weight, with the densities at 12% moisture
+  const stored = (44 / 12) * 0.5 * (timber.weight / 1.12) / 1000;
+  assert.ok(Math.abs(calculateCarbonStorage(timber) - stored) < 1e-9);
+  assert.ok(Math.abs(calculateCarbonSavings(timber, 0.5) - (stored - timber.embodiedCarbon - 0.5)) < 1e-9);
+});
+
+test('loads each grade from its own properties CSV', () => {
+  const lvl14 = TIMBER_PROPERTIES.MASSLAM_LVL14;
+  assert.equal(lvl14.bendingStrength, 14);
+  assert.equal(lvl14.bearingStrengthPerpendicular, 8);
+  assert.equal(lvl14.costFactor, 0.95);
+  assert.equal(TIMBER_PROPERTIES.MASSLAM_CLT90.charringRate, 0.65);
+  assert.equal(TIMBER_PROPERTIES.MASSLAM_GL17.bendingStrength, 17);
+  assert.equal(getDesignProperties('MASSLAM_GL21').density, 650);
+});
+
+test('a damper service class reduces the strength by k4 and increases the creep by j2', () => {
+  assert.deepEqual([getDesignFactors({ serviceClass: 3 }).k4, getDesignFactors({ serviceClass: 3 }).j2], [0.7, 3.0]);
+  assert.equal(getDesignFactors({ serviceClass: 9 }).serviceClass, 1);
+
+  const properties = getDesignProperties(GRADE);
+  const check = (serviceClass) => checkFlexuralMember({
+    width: 205, depth: 335, span: 6, deadLoad: 2, liveLoad: 2.4, properties, designFactors: getDesignFactors({ serviceClass })
+  });
+  const dry = check(1);
+  const exposed = check(3);
+  assert.ok(Math.abs(exposed.bending.capacity / dry.bending.capacity - 0.7) < 1e-9);
+  assert.ok(Math.abs(exposed.deflectionLongTerm.demand / dry.deflectionLongTerm.demand - 3.0 / 2.0) < 1e-9);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateWindPressure, calculateTerrainMultiplier, calculateLeewardPressureCoefficient, calculateWindStoreyForces } from '@/utils/windLoads';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+const windForces = (limitState) => calculateWindStoreyForces({
+  region: 'A',
+  terrainCategory: '3',
+  buildingLength: 12,
+  buildingWidth: 6,
+  storeyHeights: [3.2, 3.2, 3.2],
+  limitState
+});
+
+test('wind pressure is 0.6 V² in kPa', () => {
+  close(calculateWindPressure(45), 0.6 * 45 * 45 / 1000);
+});
+
+test('terrain multiplier interpolates between the tabulated heights', () => {
+  close(calculateTerrainMultiplier('3', 12.5), 0.86);
+});
+
+test('leeward pressure coefficient reduces for deeper buildings', () => {
+  close(calculateLeewardPressureCoefficient(1), -0.5);
+  close(calculateLeewardPressureCoefficient(3), -0.25);
+});
+
+test('storey shears accumulate the level forces from the top down', () => {
+  const { lengthwise, widthwise } = windForces('ultimate').directions;
+  const forces = lengthwise.levels.map(level => level.force);
+
+  assert.equal(lengthwise.breadth, 6);
+  assert.equal(widthwise.breadth, 12);
+  close(lengthwise.storeyShears[2], forces[2]);
+  close(lengthwise.storeyShears[1], forces[1] + forces[2]);
+  close(lengthwise.baseShear, forces.reduce((sum, force) => sum + force, 0));
+  assert.ok(widthwise.baseShear > lengthwise.baseShear);
+});
+
+test('serviceability wind is lower than ultimate wind', () => {
+  const ultimate = windForces('ultimate').directions.lengthwise.baseShear;
+  const serviceability = windForces('serviceability').directions.lengthwise.baseShear;
+  assert.ok(serviceability < ultimate);
+});
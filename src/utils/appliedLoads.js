@@ -0,0 +1,179 @@
+// Utility functions for point loads, line loads and area load zones placed on the bay grid
+
+/**
+ * Types of applied load
+ */
+export const APPLIED_LOAD_TYPES = {
+  point: { label: "Point load", unit: "kN" },
+  line: { label: "Line load", unit: "kN/m" },
+  area: { label: "Area load zone", unit: "kPa" }
+};
+
+/**
+ * Actions an applied load can be, combined with the floor loads of the same kind
+ */
+export const LOAD_ACTIONS = {
+  permanent: "Permanent (G)",
+  imposed: "Imposed (Q)"
+};
+
+/**
+ * Area load zones for heavier uses on part of a floor (AS/NZS 1170.1 Table 3.1)
+ * The magnitude is added to the floor loads of the bay.
+ */
+export const AREA_LOAD_PRESETS = {
+  plant: { label: "Plant room", magnitude: 5.0, action: "imposed" },
+  storage: { label: "Storage", magnitude: 5.0, action: "imposed" },
+  compactus: { label: "Compactus", magnitude: 10.0, action: "imposed" },
+  custom: { label: "Custom zone", magnitude: 2.0, action: "imposed" }
+};
+
+/**
+ * Create an applied load with defaults for its type
+ * Point positions and line offsets are fractions of the bay dimensions, measured from
+ * the left (x, lengthwise) and top (y, widthwise) of the bay as drawn in the Bay Layout.
+ *
+ * @param {Object} load - Load details
+ * @param {string} load.id - Unique id, e.g. "L1"
+ * @param {string} load.type - Key in APPLIED_LOAD_TYPES
+ * @param {string} load.bay - Bay reference, e.g. "A1"
+ * @param {Array<number>} load.levels - Floor levels the load is on (1 = lowest); empty for every level
+ * @param {string} load.action - Key in LOAD_ACTIONS
+ * @param {number} load.magnitude - kN, kN/m or kPa for point, line and area loads
+ * @param {number} load.x - Lengthwise position of a point load as a fraction of the bay length
+ * @param {number} load.y - Widthwise position of a point load as a fraction of the bay width
+ * @param {string} load.orientation - Direction of a line load, "lengthwise" or "widthwise"
+ * @param {number} load.offset - Position of a line load across its direction as a fraction of the bay
+ * @param {string} load.preset - Area load preset key in AREA_LOAD_PRESETS
+ * @returns {Object} The applied load
+ */
+export function createAppliedLoad({ id, type = "point", bay = "A1", levels = [], action, magnitude, x = 0.5, y = 0.5, orientation = "lengthwise", offset = 0.5, preset = "plant" }) {
+  if (!APPLIED_LOAD_TYPES[type]) {
+    console.warn(`Unknown applied load type "${type}", using a point load`);
+    type = "point";
+  }
+
+  const areaPreset = AREA_LOAD_PRESETS[preset] || AREA_LOAD_PRESETS.custom;
+  const defaults = {
+    point: { magnitude: 10, action: "imposed" },
+    line: { magnitude: 5, action: "permanent" },
+    area: { magnitude: areaPreset.magnitude, action: areaPreset.action }
+  }[type];
+
+  return {
+    id,
+    type,
+    bay,
+    levels,
+    action: LOAD_ACTIONS[action] ? action : defaults.action,
+    magnitude: magnitude !== undefined ? magnitude : defaults.magnitude,
+    x,
+    y,
+    orientation,
+    offset,
+    preset
+  };
+}
+
+/**
+ * Get a short description of an applied load for labels and overlays
+ *
+ * @param {Object} load - Applied load
+ * @returns {string} Description, e.g. "L1: 10 kN point load (Q)"
+ */
+export function describeAppliedLoad(load) {
+  const { unit } = APPLIED_LOAD_TYPES[load.type];
+  const name = load.type === "area"
+    ? (AREA_LOAD_PRESETS[load.preset] || AREA_LOAD_PRESETS.custom).label.toLowerCase()
+    : APPLIED_LOAD_TYPES[load.type].label.toLowerCase();
+  return `${load.id}: ${load.magnitude} ${unit} ${name} (${load.action === "permanent" ? "G" : "Q"})`;
+}
+
+/**
+ * Whether an applied load is on a floor level
+ *
+ * @param {Object} load - Applied load
+ * @param {number} level - Floor level (1 = lowest)
+ * @returns {boolean} True if the load applies to the level
+ */
+export function isLoadOnLevel(load, level) {
+  return !load.levels || load.levels.length === 0 || load.levels.includes(level);
+}
+
+/**
+ * Get the applied loads on a bay at a floor level
+ *
+ * @param {Array<Object>} appliedLoads - All applied loads
+ * @param {string} bayRef - Bay reference, e.g. "A1"
+ * @param {number} level - Floor level (1 = lowest)
+ * @returns {Array<Object>} Loads on the bay at the level
+ */
+export function getBayLoads(appliedLoads, bayRef, level) {
+  return (appliedLoads || []).filter(load => load.bay === bayRef && isLoadOnLevel(load, level) && load.magnitude > 0);
+}
+
+/**
+ * Split a load magnitude into permanent and imposed parts
+ *
+ * @param {Object} load - Applied load
+ * @param {number} value - Magnitude to split (defaults to the load magnitude)
+ * @returns {Object} { dead, live }
+ */
+export function splitAction(load, value = load.magnitude) {
+  return load.action === "permanent" ? { dead: value, live: 0 } : { dead: 0, live: value };
+}
+
+/**
+ * Calculate the uniform load giving the same simply supported moment as a set of point loads
+ * The point load moments are added as if they all peaked at the same section, which is
+ * conservative. Used for the bending and deflection checks of the member only; a point
+ * load near a support gives far more shear than its equivalent uniform load, so shear is
+ * checked from calculatePointShear.
+ *
+ * @param {Array<Object>} pointLoads - Point loads { position (m from the start support), dead, live } in kN
+ * @param {number} span - Span in meters
+ * @returns {Object} Equivalent uniform { dead, live } in kN/m
+ */
+export function calculateEquivalentUniformLoad(pointLoads, span) {
+  if (!pointLoads || pointLoads.length === 0 || span <= 0) {
+    return { dead: 0, live: 0 };
+  }
+  return pointLoads.reduce((sum, load) => {
+    const a = Math.min(Math.max(load.position, 0), span);
+    const factor = 8 * (a * (span - a) / span) / Math.pow(span, 2);
+    return { dead: sum.dead + factor * load.dead, live: sum.live + factor * load.live };
+  }, { dead: 0, live: 0 });
+}
+
+/**
+ * Calculate the support reactions of point loads on a simple span
+ *
+ * @param {Array<Object>} pointLoads - Point loads { position (m from the start support), dead, live } in kN
+ * @param {number} span - Span in meters
+ * @returns {Object} Reactions { start: { dead, live }, end: { dead, live } } in kN
+ */
+export function calculatePointReactions(pointLoads, span) {
+  const reactions = { start: { dead: 0, live: 0 }, end: { dead: 0, live: 0 } };
+  (pointLoads || []).forEach(load => {
+    const a = span > 0 ? Math.min(Math.max(load.position, 0), span) : 0;
+    const endShare = span > 0 ? a / span : 0.5;
+    reactions.start.dead += load.dead * (1 - endShare);
+    reactions.start.live += load.live * (1 - endShare);
+    reactions.end.dead += load.dead * endShare;
+    reactions.end.live += load.live * endShare;
+  });
+  return reactions;
+}
+
+/**
+ * Calculate the end shear of point loads on a simple span
+ * The larger of the start and end reactions is taken for the permanent and imposed parts.
+ *
+ * @param {Array<Object>} pointLoads - Point loads { position (m from the start support), dead, live } in kN
+ * @param {number} span - Span in meters
+ * @returns {Object} End shear { dead, live } in kN
+ */
+export function calculatePointShear(pointLoads, span) {
+  const { start, end } = calculatePointReactions(pointLoads, span);
+  return { dead: Math.max(start.dead, end.dead), live: Math.max(start.live, end.live) };
+}
@@ -0,0 +1,240 @@
+// Utility functions for bearing perpendicular to grain at the joist and beam supports
+
+import { getDesignProperties, checkBearing, DESIGN_FACTORS } from './timberEngineering';
+import { getMasslamSizesByType } from './timberSizes';
+import { calculateBeamReaction, calculateJoistReactions, DEFAULT_JOIST_SPACING, DEFAULT_CANTILEVERS } from './structureDesign';
+
+/**
+ * Steel bearing plates are sized in steps of this length, up to the longest plate
+ */
+const PLATE_LENGTH_STEP = 10;  // mm
+const MAX_PLATE_LENGTH = 600;  // mm
+
+/**
+ * Design properties of the grade weaker in bearing perpendicular to grain
+ */
+const weakerInBearing = (...grades) => grades.map(getDesignProperties).reduce((weaker, properties) => {
+  const strength = (item) => item.compressiveStrengthPerpendicular || item.bearingStrengthPerpendicular || 10;
+  return strength(properties) < strength(weaker) ? properties : weaker;
+});
+
+const addReactions = (...reactions) => reactions.filter(Boolean).reduce((sum, reaction) => ({
+  dead: sum.dead + reaction.dead,
+  live: sum.live + reaction.live
+}), { dead: 0, live: 0 });
+
+/**
+ * Find how to make a failing bearing work
+ * A wider catalogue section of the supported member is preferred, as long as it still bears
+ * fully on the support; otherwise a steel bearing plate under the member spreads the reaction
+ * over a longer bearing length. Members that cannot be widened only get a plate.
+ *
+ * @param {Object} params - The failing bearing
+ * @returns {Object|null} Remedy with its action, the new size or plate length and the reason
+ */
+function findBearingRemedy({ check, member, memberType, bearingWidth, bearingLength, maxWidth, reaction, properties, atMemberEnd, supportLabel, canWiden = true, designFactors = DESIGN_FACTORS }) {
+  if (check.passes) {
+    return null;
+  }
+  const utilised = `Bearing on ${bearingLength.toFixed(0)}mm of ${supportLabel} is ${(check.utilisation * 100).toFixed(0)}% utilised`;
+
+  const wider = canWiden && getMasslamSizesByType(memberType)
+    .filter(size => size.width > bearingWidth && size.width <= maxWidth && size.depth >= member.depth)
+    .sort((a, b) => (a.width * a.depth) - (b.width * b.depth))
+    .find(size => checkBearing({ width: size.width, bearingLength, reaction, properties, atMemberEnd, designFactors }).passes);
+  if (wider) {
+    return {
+      action: "increaseWidth",
+      size: { width: wider.width, depth: wider.depth },
+      reason: `${utilised}: increase the ${memberType} to ${wider.width} × ${wider.depth}mm`
+    };
+  }
+
+  const platePasses = (length) => checkBearing({ width: bearingWidth, bearingLength: length, reaction, properties, atMemberEnd, designFactors }).passes;
+  let plateLength = Math.ceil(bearingLength / PLATE_LENGTH_STEP) * PLATE_LENGTH_STEP;
+  while (plateLength < MAX_PLATE_LENGTH && !platePasses(plateLength)) {
+    plateLength += PLATE_LENGTH_STEP;
+  }
+  let widthLimit = '';
+  if (canWiden) {
+    widthLimit = maxWidth <= bearingWidth ? ` and the ${memberType} is as wide as ${supportLabel}` : ` and no wider ${memberType} fits`;
+  }
+  if (!platePasses(plateLength)) {
+    console.warn(`Bearing of ${member.width} × ${member.depth}mm ${memberType} on ${supportLabel} fails even with a ${MAX_PLATE_LENGTH}mm plate`);
+    return {
+      action: "bearingPlate",
+      plateLength,
+      reason: `${utilised}${widthLimit}: even a ${plateLength}mm long steel bearing plate is not enough, enlarge the support`
+    };
+  }
+  return {
+    action: "bearingPlate",
+    plateLength,
+    reason: `${utilised}${widthLimit}: fit a steel bearing plate ${plateLength}mm long under the ${memberType}`
+  };
+}
+
+/**
+ * Keep the support with the highest bearing utilisation of each member reference
+ */
+function governingByRef(items) {
+  const governing = new Map();
+  items.forEach(item => {
+    const current = governing.get(item.ref);
+    if (!current || item.check.utilisation > current.check.utilisation) {
+      governing.set(item.ref, item);
+    }
+  });
+  return [...governing.values()];
+}
+
+/**
+ * Check bearing perpendicular to grain at every beam-on-column and joist-on-beam support
+ * Beams bear on the column heads over the column depth, shared between two beams that butt
+ * over the column; joists bear on the beam seats over the beam width, shared between the
+ * joists of the bays either side. Members running continuously over a support, or
+ * cantilevering beyond it, bear over the full support away from their ends and take k7
+ * with the reactions of both spans. Failing bearings get a wider member or a steel plate.
+ * Beams bear in their own grade on the end grain of the columns; joists and beams both
+ * bear across the grain, so the weaker of their grades governs. CLT panels bear per meter
+ * strip across the full beam width and can only be given a bearing plate.
+ *
+ * @param {Object} params - Bearing inputs
+ * @param {Object} params.structure - Designed structure from designStructure
+ * @param {Object} params.config - Structure configuration of designStructure, for the joist direction, continuity and cantilevers
+ * @param {number} params.joistSpacing - Joist spacing in mm
+ * @param {string} params.timberGrade - Timber grade key in TIMBER_PROPERTIES of members designed without a grade
+ * @param {Object} params.designFactors - Modification factors from getDesignFactors
+ * @returns {Object} Governing bearing of each joist and beam with any remedy, and the overall pass flag
+ */
+export function checkSupportBearings({ structure, config, joistSpacing = DEFAULT_JOIST_SPACING, timberGrade, designFactors = DESIGN_FACTORS }) {
+  const gradeOf = (design) => design.grade || timberGrade;
+  const { joistsRunLengthwise, joistsContinuous = false, beamsContinuous = false, lengthwiseBayWidths, widthwiseBayWidths } = config;
+  const { left, right, top, bottom } = { ...DEFAULT_CANTILEVERS, ...config.cantilevers };
+
+  // Beams on the column heads, support by support along each beam line
+  const beamItems = [];
+  const lines = [...new Set(structure.beams.map(beam => beam.line))];
+  lines.forEach(line => {
+    const segments = structure.beams.filter(beam => beam.line === line).sort((a, b) => a.segment - b.segment);
+    const [startCantilever, endCantilever] = joistsRunLengthwise ? [top, bottom] : [left, right];
+
+    for (let position = 0; position <= segments.length; position++) {
+      const before = segments[position - 1];
+      const after = segments[position];
+      const column = structure.columns.find(item => (joistsRunLengthwise
+        ? item.col === line && item.row === position
+        : item.col === position && item.row === line));
+      if (!column) continue;
+      const cantileverBeyond = (position === 0 && startCantilever > 0) || (position === segments.length && endCantilever > 0);
+
+      (before || after).levels.forEach((_, index) => {
+        const level = index + 1;
+        const storey = column.columns.storeys?.find(item => item.level === level) || column.columns;
+        const bears = (beam, reaction, bearingLength, atMemberEnd) => {
+          const design = beam.levels[index].beams;
+          const properties = getDesignProperties(gradeOf(design));
+          const bearingWidth = Math.min(design.width, storey.width);
+          const check = checkBearing({ width: bearingWidth, bearingLength, reaction, properties, atMemberEnd, designFactors });
+          const supportLabel = `the ${storey.width} × ${storey.depth}mm column ${column.ref} head`;
+          beamItems.push({
+            ref: beam.ref,
+            support: column.ref,
+            level,
+            member: { width: design.width, depth: design.depth },
+            bearingWidth,
+            bearingLength,
+            atMemberEnd,
+            check,
+            remedy: findBearingRemedy({ check, member: design, memberType: "beam", bearingWidth, bearingLength, maxWidth: storey.width, reaction, properties, atMemberEnd, supportLabel, designFactors })
+          });
+        };
+
+        const reactionOf = (beam, atStart) => calculateBeamReaction(beam, beam.levels[index], atStart);
+        if ((beamsContinuous && before && after) || cantileverBeyond) {
+          // One member runs over the column; the narrower side governs the bearing width
+          const governing = [before, after].filter(Boolean)
+            .reduce((narrowest, beam) => (!narrowest || beam.levels[index].beams.width < narrowest.levels[index].beams.width ? beam : narrowest), null);
+          bears(governing, addReactions(before && reactionOf(before, false), after && reactionOf(after, true)), storey.depth, false);
+        } else {
+          const share = before && after ? storey.depth / 2 : storey.depth;
+          if (before) bears(before, reactionOf(before, false), share, true);
+          if (after) bears(after, reactionOf(after, true), share, true);
+        }
+      });
+    }
+  });
+
+  // Joists on the beams at each end of every bay
+  const joistItems = [];
+  const lengthwiseCount = lengthwiseBayWidths.length;
+  const widthwiseCount = widthwiseBayWidths.length;
+  structure.bays.forEach(bay => {
+    const supportLine = (atStart) => (joistsRunLengthwise ? bay.col : bay.row) + (atStart ? 0 : 1);
+    const supportSegment = joistsRunLengthwise ? bay.row : bay.col;
+    const beamAt = (atStart) => structure.beams.find(beam => beam.line === supportLine(atStart) && beam.segment === supportSegment);
+    const neighbour = (atStart) => structure.bays.find(other => (joistsRunLengthwise
+      ? other.row === bay.row && other.col === bay.col + (atStart ? -1 : 1)
+      : other.col === bay.col && other.row === bay.row + (atStart ? -1 : 1)));
+    const cantileverBeyond = (atStart) => (joistsRunLengthwise
+      ? (atStart ? bay.col === 0 && left > 0 : bay.col === lengthwiseCount - 1 && right > 0)
+      : (atStart ? bay.row === 0 && top > 0 : bay.row === widthwiseCount - 1 && bottom > 0));
+
+    bay.levels.forEach((bayLevel, index) => {
+      calculateJoistReactions(bayLevel, joistSpacing).forEach(joist => {
+        [true, false].forEach(atStart => {
+          const beam = beamAt(atStart);
+          if (!beam) return;
+          const other = neighbour(atStart);
+          const continuous = joistsContinuous && other;
+          // A continuous support is checked once, from the bay before it
+          if (continuous && atStart) return;
+
+          const beamDesign = beam.levels[index].beams;
+          const properties = weakerInBearing(gradeOf(joist.joists), gradeOf(beamDesign));
+          const overSupport = continuous || cantileverBeyond(atStart);
+          const bearingLength = overSupport || !other ? beamDesign.width : beamDesign.width / 2;
+          const reaction = continuous
+            ? addReactions(joist.end, calculateJoistReactions(other.levels[index], joistSpacing)[0].start)
+            : joist[atStart ? "start" : "end"];
+          const check = checkBearing({ width: joist.joists.width, bearingLength, reaction, properties, atMemberEnd: !overSupport, designFactors });
+          const panel = bay.floorSystem === 'clt';
+          joistItems.push({
+            ref: joist.load ? `${bay.ref} (${joist.load})` : bay.ref,
+            support: beam.ref,
+            level: bayLevel.level,
+            member: { width: joist.joists.width, depth: joist.joists.depth },
+            bearingWidth: joist.joists.width,
+            bearingLength,
+            atMemberEnd: !overSupport,
+            check,
+            remedy: findBearingRemedy({
+              check,
+              member: joist.joists,
+              memberType: panel ? "CLT panel" : "joist",
+              bearingWidth: joist.joists.width,
+              bearingLength,
+              maxWidth: Infinity,
+              canWiden: !panel,
+              reaction,
+              properties,
+              atMemberEnd: !overSupport,
+              supportLabel: `the ${beamDesign.width}mm beam ${beam.ref}`,
+              designFactors
+            })
+          });
+        });
+      });
+    });
+  });
+
+  const joists = governingByRef(joistItems);
+  const beams = governingByRef(beamItems);
+  const all = [...joists, ...beams];
+
+  return {
+    joists,
+    beams,
+    passes: all.every(item => item.check.passes)
+  };
+}
@@ -0,0 +1,417 @@
+// Utility functions for CLT floor panels spanning between the beams
+
+import {
+  getDesignProperties,
+  getSpanCoefficients,
+  getPointShearFactor,
+  createCheck,
+  createGoverningCheck,
+  summariseChecks,
+  DESIGN_FACTORS,
+  LOAD_DURATION_FACTORS,
+  DEFLECTION_LIMITS
+} from './timberEngineering';
+import { getStrengthCombinations, getServiceabilityCombinations, getFireCombination, combineActions } from './loadCombinations';
+import { calculateFireAllowances, getFrlMinutes, DEFAULT_MEMBER_EXPOSURES, DEFAULT_FIRE_LININGS, MASSLAM_PRODUCTS } from './masslamProperties';
+import { FIRE_DESIGN_FACTORS } from './fireDesign';
+import { checkFloorVibration, DEFAULT_VIBRATION_CRITERIA } from './floorVibration';
+
+/**
+ * Width of the panel strip designed, in mm
+ * Panels are designed per meter of width, so loads in kPa are line loads in kN/m.
+ */
+export const CLT_STRIP_WIDTH = 1000;
+
+/**
+ * CLT floor layups from the thinnest up
+ * Layer thicknesses in mm from the top face; the outer layers and every second layer
+ * run along the span, the layers between them across it.
+ */
+export const CLT_FLOOR_LAYUPS = [
+  { id: "L3-90", label: "CLT 90mm (3-layer)", layers: [30, 30, 30] },
+  { id: "L3-120", label: "CLT 120mm (3-layer)", layers: [40, 40, 40] },
+  { id: "L5-150", label: "CLT 150mm (5-layer)", layers: [30, 30, 30, 30, 30] },
+  { id: "L5-180", label: "CLT 180mm (5-layer)", layers: [40, 30, 40, 30, 40] },
+  { id: "L5-200", label: "CLT 200mm (5-layer)", layers: [40, 40, 40, 40, 40] },
+  { id: "L7-240", label: "CLT 240mm (7-layer)", layers: [40, 30, 40, 20, 40, 30, 40] },
+  { id: "L7-280", label: "CLT 280mm (7-layer)", layers: [40, 40, 40, 40, 40, 40, 40] }
+];
+
+/**
+ * Get the layers of a layup with their orientation
+ *
+ * @param {Array<number>} thicknesses - Layer thicknesses in mm from the top face
+ * @returns {Array<Object>} Layers { thickness, longitudinal }
+ */
+function toLayers(thicknesses) {
+  return thicknesses.map((thickness, index) => ({ thickness, longitudinal: index % 2 === 0 }));
+}
+
+/**
+ * Remove the fire allowance from the exposed faces of a layup
+ * Layers are charred from the bottom up, and from the top down where the top face is
+ * exposed; layers charred through are lost.
+ *
+ * @param {Array<Object>} layers - Layers from the top face
+ * @param {number} allowance - Char depth plus zero-strength layer on the underside in mm
+ * @param {number} topAllowance - Char depth plus zero-strength layer on the top face in mm
+ * @returns {Array<Object>} Residual layers from the top face
+ */
+export function reduceLayupForFire(layers, allowance, topAllowance = 0) {
+  const charFrom = (ordered, depth) => {
+    let remaining = depth;
+    return ordered.reduce((residual, layer) => {
+      const lost = Math.min(layer.thickness, remaining);
+      remaining -= lost;
+      return layer.thickness - lost > 0 ? [...residual, { ...layer, thickness: layer.thickness - lost }] : residual;
+    }, []);
+  };
+  return charFrom(charFrom([...layers].reverse(), allowance).reverse(), topAllowance);
+}
+
+/**
+ * Calculate the effective section properties of a CLT strip by the shear analogy
+ * Only the layers along the span contribute to the bending stiffness. The shear stiffness
+ * GA_eff follows the CLT Handbook: the lever arm between the outer layers squared over
+ * the shear flexibility of the layers, with the rolling shear modulus in the cross layers.
+ * The first moment of area of the longitudinal layers is taken at every cross layer for
+ * rolling shear, and at the neutral axis for shear parallel to grain.
+ *
+ * @param {Array<Object>} layers - Layers from the top face, see toLayers
+ * @param {Object} properties - Design properties from getDesignProperties
+ * @param {number} width - Strip width in mm
+ * @returns {Object} Thickness, neutral axis depth, effective I, EI, GA, section modulus and first moments
+ */
+export function calculateLayupProperties(layers, properties, width = CLT_STRIP_WIDTH) {
+  let top = 0;
+  const placed = layers.map(layer => {
+    const item = { ...layer, top, centre: top + layer.thickness / 2 };
+    top += layer.thickness;
+    return item;
+  });
+  const thickness = top;
+  const longitudinal = placed.filter(layer => layer.longitudinal);
+
+  // Neutral axis depth from the top face of the longitudinal layers
+  const area = longitudinal.reduce((sum, layer) => sum + width * layer.thickness, 0);
+  const neutralAxis = longitudinal.reduce((sum, layer) => sum + width * layer.thickness * layer.centre, 0) / area;
+  const I = longitudinal.reduce((sum, layer) => (
+    sum + width * Math.pow(layer.thickness, 3) / 12 + width * layer.thickness * Math.pow(layer.centre - neutralAxis, 2)
+  ), 0);
+  const extremeFibre = Math.max(...longitudinal.map(layer => Math.max(
+    Math.abs(layer.top - neutralAxis),
+    Math.abs(layer.top + layer.thickness - neutralAxis)
+  )));
+
+  // First moment of the longitudinal material above a depth
+  const firstMomentAbove = (depth) => longitudinal.reduce((sum, layer) => {
+    const bottom = Math.min(layer.top + layer.thickness, depth);
+    if (bottom <= layer.top) return sum;
+    const part = bottom - layer.top;
+    return sum + width * part * Math.abs(neutralAxis - (layer.top + part / 2));
+  }, 0);
+  const rollingShearMoment = Math.max(0, ...placed.filter(layer => !layer.longitudinal).map(layer => firstMomentAbove(layer.centre)));
+  const neutralLayer = placed.find(layer => neutralAxis >= layer.top && neutralAxis <= layer.top + layer.thickness);
+  const shearMoment = neutralLayer?.longitudinal ? firstMomentAbove(neutralAxis) : 0;
+
+  // Shear flexibility with half of each outer layer, over the lever arm between them
+  const shearModulus = (layer) => (layer.longitudinal ? properties.modulusOfRigidity : properties.rollingShearModulus);
+  const outer = [placed[0], placed[placed.length - 1]];
+  const leverArm = outer[1].centre - outer[0].centre;
+  const flexibility = placed.reduce((sum, layer, index) => {
+    const share = index === 0 || index === placed.length - 1 ? 0.5 : 1;
+    return sum + share * layer.thickness / (shearModulus(layer) * width);
+  }, 0);
+
+  return {
+    thickness,
+    neutralAxis,
+    I,
+    EI: properties.modulusOfElasticity * I, // N·mm²
+    GA: placed.length > 1 ? Math.pow(leverArm, 2) / flexibility : properties.modulusOfRigidity * (5 / 6) * width * thickness, // N
+    Z: I / extremeFibre,
+    rollingShearMoment,
+    shearMoment
+  };
+}
+
+/**
+ * Check a CLT floor strip to AS 1720.1 with the CLT properties of the grade
+ * Bending, rolling shear in the cross layers, shear parallel to grain at the neutral axis
+ * and short and long-term deflection are checked under uniformly distributed permanent and
+ * imposed loads for every combination, with the coefficients of the span condition. The
+ * equivalent uniform load of point loads counts for bending and deflection only; shear
+ * takes the end shear of the point loads instead. Deflection includes the shear deformation of the cross layers, scaled from a simple span.
+ *
+ * @param {Object} params - Strip parameters
+ * @param {Array<Object>} params.layers - Layers from the top face, see toLayers
+ * @param {number} params.span - Span in meters
+ * @param {number} params.deadLoad - Permanent load G on the strip in kN/m, including self-weight
+ * @param {number} params.liveLoad - Imposed load Q on the strip in kN/m
+ * @param {Object} params.properties - Design properties from getDesignProperties
+ * @param {number} params.psiShort - Short-term combination factor ψs
+ * @param {number} params.psiLong - Long-term combination factor ψl
+ * @param {string} params.spanCondition - Key in SPAN_CONDITIONS
+ * @param {number} params.cantileverLength - Cantilever length in meters for a cantilever with backspan
+ * @param {Object} params.designFactors - Modification factors from getDesignFactors
+ * @param {Object} params.pointEquivalentLoad - Part of deadLoad and liveLoad that is the equivalent uniform load of point loads { dead, live } in kN/m
+ * @param {Object} params.pointShear - Larger simple-span reaction of the point loads { dead, live } in kN
+ * @returns {Object} Checks keyed by name, each with its governing combination
+ */
+export function checkCltPanel({ layers, span, deadLoad, liveLoad, properties, psiShort = 0.7, psiLong = 0.4, spanCondition = 'simple', cantileverLength = 0, designFactors = DESIGN_FACTORS, pointEquivalentLoad = { dead: 0, live: 0 }, pointShear = { dead: 0, live: 0 } }) {
+  const spanMm = span * 1000;
+  const coefficients = getSpanCoefficients(spanCondition, span, cantileverLength);
+  const section = calculateLayupProperties(layers, properties);
+  const { phi, k4, k6, j2 } = designFactors;
+  const pointShearFactor = getPointShearFactor(spanCondition);
+
+  const strength = getStrengthCombinations(designFactors.loadDuration).map(combination => {
+    const k1 = LOAD_DURATION_FACTORS[combination.duration];
+    const strengthLoad = combineActions(combination, deadLoad, liveLoad);
+    const uniformLoad = strengthLoad - combineActions(combination, pointEquivalentLoad.dead, pointEquivalentLoad.live);
+    const shearStress = (strengthValue, firstMoment) => (firstMoment > 0 ? phi * k1 * k4 * k6 * strengthValue * section.I * CLT_STRIP_WIDTH / firstMoment : Infinity);
+    return {
+      combination: combination.label,
+      designMoment: coefficients.moment * strengthLoad * Math.pow(spanMm, 2), // Nmm
+      designShear: coefficients.shear * uniformLoad * spanMm + pointShearFactor * combineActions(combination, pointShear.dead, pointShear.live) * 1e3, // N
+      momentCapacity: phi * k1 * k4 * k6 * properties.bendingStrength * section.Z, // Nmm
+      rollingShearCapacity: shearStress(properties.rollingShearStrength, section.rollingShearMoment), // N
+      shearCapacity: shearStress(properties.shearStrength, section.shearMoment) // N
+    };
+  });
+
+  const shearFactor = 1 + 9.6 * section.EI / (section.GA * Math.pow(spanMm, 2));
+  const [shortTerm, longTerm] = getServiceabilityCombinations(psiShort, psiLong);
+  const deflectionCheck = (label, combination, factor, limit) => createGoverningCheck(label, 'mm', coefficients.deflections.map(({ coefficient, limitLength }) => ({
+    demand: factor * shearFactor * coefficient * combineActions(combination, deadLoad, liveLoad) * Math.pow(spanMm, 4) / section.EI,
+    capacity: (limitLength * 1000) / limit,
+    combination: combination.label
+  })));
+
+  const checks = {
+    bending: createGoverningCheck('Bending', 'kNm', strength.map(s => ({
+      demand: s.designMoment / 1e6, capacity: s.momentCapacity / 1e6, combination: s.combination
+    }))),
+    rollingShear: createGoverningCheck('Rolling shear', 'kN', strength.map(s => ({
+      demand: s.designShear / 1e3, capacity: s.rollingShearCapacity / 1e3, combination: s.combination
+    }))),
+    deflectionShortTerm: deflectionCheck('Short-term deflection', shortTerm, 1, DEFLECTION_LIMITS.shortTerm),
+    deflectionLongTerm: deflectionCheck('Long-term deflection', longTerm, j2, DEFLECTION_LIMITS.longTerm)
+  };
+
+  if (section.shearMoment > 0) {
+    checks.shear = createGoverningCheck('Shear', 'kN', strength.map(s => ({
+      demand: s.designShear / 1e3, capacity: s.shearCapacity / 1e3, combination: s.combination
+    })));
+  }
+
+  return checks;
+}
+
+/**
+ * Check a CLT floor strip at the fire limit state on its residual layup
+ * Bending, rolling shear and shear parallel to grain are checked under G + ψl·Q with
+ * FIRE_DESIGN_FACTORS, with the span coefficients and point loads as in checkCltPanel.
+ * A layup charred beyond its last longitudinal layer has no strength left.
+ *
+ * @param {Object} params - Strip parameters as for checkCltPanel, with layers the residual layup
+ * @returns {Object} Fire checks keyed by name
+ */
+export function checkCltPanelFire({ layers, span, deadLoad, liveLoad, properties, psiLong = 0.4, spanCondition = 'simple', cantileverLength = 0, pointEquivalentLoad = { dead: 0, live: 0 }, pointShear = { dead: 0, live: 0 } }) {
+  const combination = getFireCombination(psiLong);
+  const spanMm = span * 1000;
+  const coefficients = getSpanCoefficients(spanCondition, span, cantileverLength);
+  const action = combineActions(combination, deadLoad, liveLoad);
+  const moment = coefficients.moment * action * Math.pow(spanMm, 2) / 1e6; // kNm
+  const shear = coefficients.shear * (action - combineActions(combination, pointEquivalentLoad.dead, pointEquivalentLoad.live)) * spanMm / 1e3 +
+    getPointShearFactor(spanCondition) * combineActions(combination, pointShear.dead, pointShear.live); // kN
+
+  if (!layers.some(layer => layer.longitudinal)) {
+    return { fireBending: createCheck('Bending in fire', moment, 0, 'kNm', combination.label) };
+  }
+
+  const { phi, k1, kfi } = FIRE_DESIGN_FACTORS;
+  const section = calculateLayupProperties(layers, properties);
+  const shearCapacity = (strengthValue, firstMoment) => phi * k1 * kfi * strengthValue * section.I * CLT_STRIP_WIDTH / firstMoment / 1e3; // kN
+  const checks = {
+    fireBending: createCheck('Bending in fire', moment, phi * k1 * kfi * properties.bendingStrength * section.Z / 1e6, 'kNm', combination.label)
+  };
+  if (section.rollingShearMoment > 0) {
+    checks.fireRollingShear = createCheck('Rolling shear in fire', shear, shearCapacity(properties.rollingShearStrength, section.rollingShearMoment), 'kN', combination.label);
+  }
+  if (section.shearMoment > 0) {
+    checks.fireShear = createCheck('Shear in fire', shear, shearCapacity(properties.shearStrength, section.shearMoment), 'kN', combination.label);
+  }
+  return checks;
+}
+
+/**
+ * Select the thinnest CLT layup that passes bending, rolling shear, deflection and vibration
+ * Panels span between the beams and are designed as a one meter strip. The ambient checks
+ * use the gross layup; with a fire rating the layup charred from its exposed faces, by
+ * default only the underside, is checked at the fire limit state with checkCltPanelFire.
+ * Panel edges abut the neighbouring panels and do not char.
+ * Footfall vibration uses the gross layup. A topping is carried as
+ * dead load only, without composite action.
+ *
+ * @param {number} span - Span in meters
+ * @param {number} load - Imposed load in kPa
+ * @param {string} timberGrade - Panel grade key in TIMBER_PROPERTIES
+ * @param {string} fireRating - Fire rating (e.g., "60/60/60", "90/90/90")
+ * @param {Object} options - Additional design inputs, as for calculateJoistSizeAsync
+ * @returns {Object} Selected layup with its thickness, checks, vibration response and utilisation
+ */
+export function calculateCltPanelSize(span, load, timberGrade, fireRating = 'none', options = {}) {
+  const {
+    floorDeadLoad = 0,
+    psiShort,
+    psiLong,
+    vibrationCriteria = DEFAULT_VIBRATION_CRITERIA,
+    spanCondition = 'simple',
+    cantileverLength = 0,
+    additionalDeadLoad = 0,
+    additionalLiveLoad = 0,
+    pointEquivalentLoad,
+    pointShear,
+    designFactors = DESIGN_FACTORS,
+    fireExposure = DEFAULT_MEMBER_EXPOSURES.joists,
+    fireLinings = DEFAULT_FIRE_LININGS
+  } = options;
+  const properties = getDesignProperties(timberGrade);
+  const { top, bottom } = calculateFireAllowances(fireRating, properties.charringRate, fireExposure, fireLinings);
+  const fireAllowances = { top, bottom, left: 0, right: 0 };
+  const fireAllowance = Math.max(top, bottom);
+  const minutes = getFrlMinutes(fireRating);
+  const strip = CLT_STRIP_WIDTH / 1000; // m
+  const liveLoad = load * strip + additionalLiveLoad; // kN/m
+  const floorDeadLine = floorDeadLoad * strip + additionalDeadLoad; // kN/m
+
+  let selected = null;
+  for (const layup of CLT_FLOOR_LAYUPS) {
+    const layers = toLayers(layup.layers);
+    const thickness = layup.layers.reduce((sum, layer) => sum + layer, 0);
+    const selfWeight = strip * (thickness / 1000) * properties.density * 9.81 / 1000; // kN/m
+
+    let checks = checkCltPanel({
+      layers,
+      span,
+      deadLoad: floorDeadLine + selfWeight,
+      liveLoad,
+      properties,
+      psiShort,
+      psiLong,
+      spanCondition,
+      cantileverLength,
+      designFactors,
+      pointEquivalentLoad,
+      pointShear
+    });
+    let fire = null;
+    if (minutes > 0) {
+      const residual = reduceLayupForFire(layers, bottom, top);
+      const fireChecks = checkCltPanelFire({
+        layers: residual,
+        span,
+        deadLoad: floorDeadLine + selfWeight,
+        liveLoad,
+        properties,
+        psiLong,
+        spanCondition,
+        cantileverLength,
+        pointEquivalentLoad,
+        pointShear
+      });
+      const { utilisation, passes } = summariseChecks(fireChecks);
+      fire = {
+        minutes,
+        combination: fireChecks.fireBending.combination,
+        effectiveWidth: CLT_STRIP_WIDTH,
+        effectiveDepth: residual.reduce((sum, layer) => sum + layer.thickness, 0),
+        utilisation,
+        passes
+      };
+      checks = { ...checks, ...fireChecks };
+    }
+
+    let vibration = null;
+    if (vibrationCriteria) {
+      const { checks: vibrationChecks, ...response } = checkFloorVibration({
+        span,
+        spacing: CLT_STRIP_WIDTH,
+        width: CLT_STRIP_WIDTH,
+        depth: thickness,
+        modulusOfElasticity: properties.modulusOfElasticity,
+        permanentLoad: floorDeadLoad + selfWeight / strip,
+        criteria: vibrationCriteria,
+        bendingStiffness: calculateLayupProperties(layers, properties).EI
+      });
+      vibration = response;
+      checks = { ...checks, ...vibrationChecks };
+    }
+
+    selected = { layup: layup.id, label: layup.label, layers: layup.layers, thickness, selfWeight, deadLoad: floorDeadLine + selfWeight, vibration, fire, checks, ...summariseChecks(checks) };
+    if (selected.passes) {
+      break;
+    }
+  }
+  if (!selected.passes) {
+    console.warn(`No CLT layup passes all checks over ${span.toFixed(2)}m, using the thickest available`);
+  }
+
+  const { thickness, ...design } = selected;
+  return {
+    span,
+    spacing: CLT_STRIP_WIDTH,
+    load,
+    floorDeadLoad,
+    composite: false,
+    spanCondition,
+    cantileverLength,
+    grade: timberGrade,
+    fireRating,
+    fireExposure,
+    fireLinings,
+    fireAllowance,
+    fireAllowances,
+    system: 'clt',
+    width: CLT_STRIP_WIDTH,
+    depth: thickness,
+    ...design
+  };
+}
+
+/**
+ * Lay out CLT panels across a bay from the catalogue panel widths of MASSLAM CLT90
+ * The widest panels are laid first and the remainder is covered by the narrowest panel
+ * that is wide enough, cut down to fit. Panels run the full length of the bay.
+ *
+ * @param {number} width - Width of the bay across the span in meters
+ * @param {number} length - Panel length in meters, including any cantilever
+ * @returns {Object} Panels { width, stockWidth, length, count } in mm and m, the panel count and the offcut area in m²
+ */
+export function layoutCltPanels(width, length) {
+  const sizes = MASSLAM_PRODUCTS.CLT90.sizes;
+  const widths = [...new Set(sizes.map(size => size.width))].sort((a, b) => b - a);
+  const maxLength = Math.max(...sizes.map(size => size.length)) / 1000;
+  if (length > maxLength) {
+    console.warn(`CLT panels ${length.toFixed(2)}m long exceed the ${maxLength}m catalogue length and need a splice`);
+  }
+
+  const widthMm = Math.round(width * 1000);
+  const widest = widths[0];
+  const full = Math.floor(widthMm / widest);
+  const remainder = widthMm - full * widest;
+  const panels = full > 0 ? [{ width: widest, stockWidth: widest, length, count: full }] : [];
+  let offcutArea = 0;
+  if (remainder > 0) {
+    const stockWidth = [...widths].reverse().find(item => item >= remainder);
+    panels.push({ width: remainder, stockWidth, length, count: 1 });
+    offcutArea = (stockWidth - remainder) / 1000 * length;
+  }
+
+  return {
+    panels,
+    count: panels.reduce((sum, panel) => sum + panel.count, 0),
+    offcutArea
+  };
+}
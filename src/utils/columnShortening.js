@@ -0,0 +1,121 @@
+// Utility functions for the long-term axial shortening of the columns over the building height
+
+import { getDesignProperties, createCheck, DESIGN_FACTORS } from './timberEngineering';
+import { combineActions, getServiceabilityCombinations } from './loadCombinations';
+
+/**
+ * Limits on axial shortening
+ * Total shortening at the roof as mm per meter of height, and the difference between adjacent
+ * columns as the span between them / limit, which keeps the floors between them level enough
+ * for finishes and partitions.
+ */
+export const SHORTENING_LIMITS = {
+  perMeter: 1,        // mm/m
+  differential: 500   // span / limit
+};
+
+/**
+ * Calculate the elastic and creep shortening of each storey of a column and accumulate it up the building
+ * Each storey shortens elastically by Δ = N·h / (E·A) under the quasi-permanent load G + ψl·Q
+ * at its foot, with the mean modulus of the grade on the gross section. Creep adds (j2 − 1)
+ * times the elastic shortening, so damper service classes creep more. Storeys are returned
+ * from the bottom up with the shortening accumulated from the base to the top of each storey.
+ *
+ * @param {Object} column - Column from designGridColumns
+ * @param {number} psiLong - Long-term combination factor ψl
+ * @param {Object} designFactors - Modification factors from getDesignFactors, for j2
+ * @returns {Object} Storeys from the bottom up and the elastic, creep and total shortening at the roof in mm
+ */
+export function calculateStoreyShortening(column, psiLong = 0.4, designFactors = DESIGN_FACTORS) {
+  const [, longTerm] = getServiceabilityCombinations(undefined, psiLong);
+  const properties = getDesignProperties(column.columns.grade);
+  const { j2 } = designFactors;
+
+  let cumulative = 0;
+  const storeys = [...(column.columns.storeys || [])]
+    .sort((a, b) => a.level - b.level)
+    .map(storey => {
+      const sustainedLoad = combineActions(longTerm, storey.serviceLoad.dead, storey.serviceLoad.live); // kN
+      const elastic = (sustainedLoad * 1e3 * storey.height * 1e3) / (properties.modulusOfElasticity * storey.width * storey.depth); // mm
+      const creep = (j2 - 1) * elastic;
+      cumulative += elastic + creep;
+      return {
+        level: storey.level,
+        height: storey.height,
+        width: storey.width,
+        depth: storey.depth,
+        sustainedLoad,
+        elastic,
+        creep,
+        shortening: elastic + creep,
+        cumulative
+      };
+    });
+
+  const elastic = storeys.reduce((sum, storey) => sum + storey.elastic, 0);
+  const creep = storeys.reduce((sum, storey) => sum + storey.creep, 0);
+  return { storeys, elastic, creep, total: elastic + creep };
+}
+
+/**
+ * Calculate the axial shortening of every column and the differential between adjacent columns
+ * Each column is accumulated storey by storey with calculateStoreyShortening. The total at
+ * the roof is checked against SHORTENING_LIMITS.perMeter over the building height, and the
+ * difference between each pair of neighbouring columns along the grid lines at every level
+ * against the span between them over SHORTENING_LIMITS.differential.
+ *
+ * @param {Object} params - Shortening inputs
+ * @param {Array<Object>} params.columns - Columns from designGridColumns
+ * @param {Array<number>} params.lengthwiseBayWidths - Bay widths along the building length in meters
+ * @param {Array<number>} params.widthwiseBayWidths - Bay widths across the building width in meters
+ * @param {number} params.psiLong - Long-term combination factor ψl
+ * @param {Object} params.designFactors - Modification factors from getDesignFactors, for j2
+ * @returns {Object} Shortening of each column, the roof differential of each adjacent pair, the governing column and pair and the overall pass flag
+ */
+export function calculateColumnShortening({ columns, lengthwiseBayWidths, widthwiseBayWidths, psiLong = 0.4, designFactors = DESIGN_FACTORS }) {
+  const results = columns.map(column => {
+    const shortening = calculateStoreyShortening(column, psiLong, designFactors);
+    const height = shortening.storeys.reduce((sum, storey) => sum + storey.height, 0);
+    return {
+      ref: column.ref,
+      col: column.col,
+      row: column.row,
+      height,
+      ...shortening,
+      check: createCheck('Axial shortening', shortening.total, SHORTENING_LIMITS.perMeter * height, 'mm', 'G + ψlQ')
+    };
+  });
+
+  // Neighbouring columns along the grid lines in both directions
+  const at = (col, row) => results.find(item => item.col === col && item.row === row);
+  const pairs = results.flatMap(item => [
+    { other: at(item.col + 1, item.row), span: lengthwiseBayWidths[item.col] },
+    { other: at(item.col, item.row + 1), span: widthwiseBayWidths[item.row] }
+  ].filter(({ other }) => other).map(({ other, span }) => ({ first: item, second: other, span })));
+
+  const differentials = pairs.map(({ first, second, span }) => {
+    const levels = first.storeys.map((storey, index) => ({
+      level: storey.level,
+      difference: Math.abs(storey.cumulative - (second.storeys[index]?.cumulative || 0))
+    }));
+    const worst = levels.reduce((governing, level) => (!governing || level.difference > governing.difference ? level : governing), null);
+    return {
+      refs: [first.ref, second.ref],
+      span,
+      roof: Math.abs(first.total - second.total),
+      level: worst?.level || 0,
+      check: createCheck('Differential shortening', worst?.difference || 0, (span * 1000) / SHORTENING_LIMITS.differential, 'mm', 'G + ψlQ')
+    };
+  });
+
+  const governing = results.reduce((worst, item) => (!worst || item.total > worst.total ? item : worst), null);
+  const governingDifferential = differentials.reduce((worst, item) => (!worst || item.check.utilisation > worst.check.utilisation ? item : worst), null);
+
+  return {
+    columns: results,
+    differentials,
+    governing,
+    governingDifferential,
+    passes: results.every(item => item.check.passes) && differentials.every(item => item.check.passes)
+  };
+}
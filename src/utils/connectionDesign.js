@@ -0,0 +1,373 @@
+// Utility functions for the joist-to-beam and beam-to-column connections
+
+import { getStrengthCombinations, combineActions } from './loadCombinations';
+import { getDesignProperties, createCheck, LOAD_DURATION_FACTORS, DESIGN_FACTORS } from './timberEngineering';
+import { getMasslamSizesByType } from './timberSizes';
+import { calculateBeamReaction, calculateJoistReactions, DEFAULT_JOIST_SPACING } from './structureDesign';
+
+/**
+ * Capacity factor φ for joints in primary members of category 2 structures (AS 1720.1 Table 2.1)
+ */
+export const CONNECTION_CAPACITY_FACTOR = 0.7;
+
+/**
+ * Factor k16 for fasteners through steel side plates (AS 1720.1 clause 4.2.3)
+ */
+const STEEL_SIDE_PLATE_FACTOR = 1.2;
+
+/**
+ * Characteristic fastener strengths of each joint group
+ * withdrawalStrength is the axial withdrawal strength of fully threaded self-tapping screws
+ * per mm² of diameter × threaded length; coachScrewCapacity is the lateral capacity Qk of a
+ * 12mm coach screw fixing a steel plate.
+ */
+export const JOINT_GROUPS = {
+  JD1: { withdrawalStrength: 20, coachScrewCapacity: 11.5 }, // MPa, kN
+  JD2: { withdrawalStrength: 17, coachScrewCapacity: 9.5 },
+  JD3: { withdrawalStrength: 14, coachScrewCapacity: 7.5 },
+  JD4: { withdrawalStrength: 12, coachScrewCapacity: 6.0 },
+  JD5: { withdrawalStrength: 10, coachScrewCapacity: 4.9 },
+  JD6: { withdrawalStrength: 8, coachScrewCapacity: 4.0 }
+};
+
+/**
+ * Connection types of the library
+ */
+export const CONNECTION_TYPES = {
+  selfTappingScrews: {
+    label: "Self-tapping screws (crossed at 45°)",
+    diameters: [8, 11],                             // mm
+    lengths: [160, 200, 240, 300, 400, 500, 600],  // mm
+    edgeDistance: 4,                                // × d from the member faces
+    spacing: 5                                      // × d between screws
+  },
+  concealedHanger: {
+    label: "Concealed steel hanger",
+    slot: 12, // mm, plate slot in the supported member
+    // Design capacity φR of the hanger and its screws into the supporting member,
+    // with the dowels through the supported member, the section the hanger needs and the
+    // depth of its plate, set flush with the top of the supported member
+    sizes: [
+      { id: "CH60", steelCapacity: 60, dowels: 4, dowelDiameter: 12, minWidth: 100, minDepth: 200, plateDepth: 150 },
+      { id: "CH120", steelCapacity: 120, dowels: 6, dowelDiameter: 16, minWidth: 140, minDepth: 300, plateDepth: 230 },
+      { id: "CH200", steelCapacity: 200, dowels: 8, dowelDiameter: 16, minWidth: 180, minDepth: 410, plateDepth: 320 },
+      { id: "CH300", steelCapacity: 300, dowels: 10, dowelDiameter: 20, minWidth: 220, minDepth: 550, plateDepth: 430 }
+    ]
+  },
+  boltedSidePlates: {
+    label: "Bolted steel side plates",
+    diameters: [16, 20, 24],      // mm
+    maxColumns: 4,                // bolt columns along the member
+    loadedEdgeDistance: 4,        // × d
+    unloadedEdgeDistance: 2,      // × d
+    rowSpacing: 4,                // × d perpendicular to grain
+    slenderness: 10               // effective bolt length limit in the member, × d
+  },
+  bearingSeat: {
+    label: "Steel bearing seat",
+    lengths: [75, 100, 150, 200]  // mm, seat length under the supported member
+  }
+};
+
+export const DEFAULT_CONNECTIONS = {
+  joistToBeam: "selfTappingScrews",
+  beamToColumn: "concealedHanger"
+};
+
+/**
+ * Interfaces between members that get a connection
+ */
+export const CONNECTION_INTERFACES = {
+  joistToBeam: { label: "Joist to beam", supported: "joist" },
+  beamToColumn: { label: "Beam to column", supported: "beam" }
+};
+
+/**
+ * Strength limit state reactions and their k1 for each combination
+ *
+ * @param {Object} reaction - Reaction { dead, live } in kN
+ * @param {string} imposedDuration - Load duration of the imposed action
+ * @returns {Array<Object>} Design reaction and k1 of each combination
+ */
+function getDesignReactions(reaction, imposedDuration) {
+  return getStrengthCombinations(imposedDuration).map(combination => ({
+    combination: combination.label,
+    demand: combineActions(combination, reaction.dead, reaction.live),
+    k1: LOAD_DURATION_FACTORS[combination.duration]
+  }));
+}
+
+/**
+ * The combination that governs a capacity proportional to k1
+ */
+function getGoverningReaction(reaction, imposedDuration) {
+  return getDesignReactions(reaction, imposedDuration).reduce((worst, item) => (item.demand / item.k1 > worst.demand / worst.k1 ? item : worst));
+}
+
+/**
+ * Design crossed self-tapping screws through the end of the supported member into the supporting member
+ * Each screw at 45° carries the reaction in withdrawal, with half of its length on either side of
+ * the joint and n^0.9 effective screws in the group. Screws are placed in columns across the
+ * width and rows up the depth at the edge distances and spacing of CONNECTION_TYPES.
+ */
+function designSelfTappingScrews({ governing, width, depth, jointGroup }) {
+  const type = CONNECTION_TYPES.selfTappingScrews;
+  const { withdrawalStrength } = jointGroup;
+
+  const options = type.diameters.flatMap(d => type.lengths
+    // The screw at 45° must stay within the depth of the supported member
+    .filter(length => length * Math.SQRT1_2 <= depth - 2 * type.edgeDistance * d)
+    .slice(-1)
+    .map(length => {
+      const axial = CONNECTION_CAPACITY_FACTOR * governing.k1 * withdrawalStrength * d * (length / 2) / 1000; // kN
+      const perScrew = axial * Math.SQRT1_2;
+      let count = 2;
+      while (perScrew * Math.pow(count, 0.9) < governing.demand && count < 200) count += 2;
+      const rows = Math.max(1, Math.floor((depth - 2 * type.edgeDistance * d) / (type.spacing * d)) + 1);
+      const columns = Math.ceil(count / rows);
+      return {
+        description: `${count} × Ø${d} × ${length}mm screws`,
+        count,
+        capacity: perScrew * Math.pow(count, 0.9),
+        timberCapacity: perScrew * Math.pow(count, 0.9),
+        steelCapacity: null,
+        minWidth: 2 * type.edgeDistance * d + (columns - 1) * type.spacing * d,
+        minDepth: 0,
+        steelCover: { side: type.edgeDistance * d, bottom: type.edgeDistance * d }
+      };
+    }));
+
+  if (options.length === 0) {
+    console.warn(`No self-tapping screw fits a ${depth}mm deep member`);
+    return null;
+  }
+  // Fewest screws that fit the width, otherwise the narrowest layout
+  const fitting = options.filter(option => option.minWidth <= width);
+  return (fitting.length > 0 ? fitting : options).reduce((best, option) => (
+    fitting.length > 0 ? (option.count < best.count ? option : best) : (option.minWidth < best.minWidth ? option : best)
+  ));
+}
+
+/**
+ * Design a concealed hanger with a plate slotted into the supported member
+ * The dowels through the plate are loaded perpendicular to grain in two shear planes, with the
+ * embedment of each side of the slot limited to 5 dowel diameters. The smallest hanger with the
+ * capacity is selected; hangers larger than the member force a larger section.
+ */
+function designConcealedHanger({ governing, width, depth, properties }) {
+  const type = CONNECTION_TYPES.concealedHanger;
+  const bearingStrength = properties.bearingStrengthPerpendicular || 10;
+
+  const designs = type.sizes.map(size => {
+    const side = (Math.max(width, size.minWidth) - type.slot) / 2;
+    const perDowel = 2 * bearingStrength * size.dowelDiameter * Math.min(side, 5 * size.dowelDiameter) / 1000; // kN
+    const timberCapacity = CONNECTION_CAPACITY_FACTOR * governing.k1 * size.dowels * perDowel;
+    return {
+      description: `${size.id} hanger, ${size.dowels} × Ø${size.dowelDiameter} dowels`,
+      count: size.dowels,
+      capacity: Math.min(size.steelCapacity, timberCapacity),
+      timberCapacity,
+      steelCapacity: size.steelCapacity,
+      minWidth: size.minWidth,
+      minDepth: size.minDepth,
+      steelCover: { side: (width - type.slot) / 2, bottom: Math.max(0, depth - size.plateDepth) }
+    };
+  });
+
+  return designs.find(design => design.capacity >= governing.demand && design.minWidth <= width && design.minDepth <= depth)
+    || designs.find(design => design.capacity >= governing.demand)
+    || designs[designs.length - 1];
+}
+
+/**
+ * Design bolts through the supported member and steel plates on both faces
+ * Each bolt bears on the timber perpendicular to grain over an effective length limited by
+ * its slenderness, with k16 for steel side plates. Bolts are set in up to four columns along
+ * the member and rows up the depth at the edge distances and spacing of CONNECTION_TYPES.
+ */
+function designBoltedSidePlates({ governing, width, depth, properties }) {
+  const type = CONNECTION_TYPES.boltedSidePlates;
+  const bearingStrength = properties.bearingStrengthPerpendicular || 10;
+
+  const options = type.diameters.map(d => {
+    const perBolt = CONNECTION_CAPACITY_FACTOR * governing.k1 * STEEL_SIDE_PLATE_FACTOR *
+      bearingStrength * d * Math.min(width, type.slenderness * d) / 1000; // kN
+    const count = Math.max(2, Math.ceil(governing.demand / perBolt));
+    const rows = Math.ceil(count / Math.min(type.maxColumns, count));
+    return {
+      description: `${count} × M${d} bolts`,
+      count,
+      capacity: count * perBolt,
+      timberCapacity: count * perBolt,
+      steelCapacity: null,
+      minWidth: 5 * d,
+      minDepth: (type.loadedEdgeDistance + type.unloadedEdgeDistance + (rows - 1) * type.rowSpacing) * d,
+      // The plates are on the faces of the member
+      steelCover: { side: 0, bottom: type.unloadedEdgeDistance * d }
+    };
+  });
+
+  const fitting = options.filter(option => option.minDepth <= depth && option.minWidth <= width);
+  return fitting.length > 0
+    ? fitting.reduce((best, option) => (option.count < best.count ? option : best))
+    : options.reduce((best, option) => (option.minDepth < best.minDepth ? option : best));
+}
+
+/**
+ * Design a steel seat under the supported member, fixed to the supporting member with coach screws
+ * The shortest seat that carries the reaction in bearing perpendicular to grain is selected,
+ * and the coach screws carry the reaction laterally through the steel plate.
+ */
+function designBearingSeat({ governing, width, properties, jointGroup }) {
+  const type = CONNECTION_TYPES.bearingSeat;
+  const bearingStrength = properties.bearingStrengthPerpendicular || 10;
+  const bearingCapacity = (length) => CONNECTION_CAPACITY_FACTOR * governing.k1 * bearingStrength * width * length / 1000; // kN
+  const length = type.lengths.find(seat => bearingCapacity(seat) >= governing.demand) || type.lengths[type.lengths.length - 1];
+
+  const perScrew = CONNECTION_CAPACITY_FACTOR * governing.k1 * STEEL_SIDE_PLATE_FACTOR * jointGroup.coachScrewCapacity;
+  const count = Math.max(2, Math.ceil(governing.demand / perScrew));
+  return {
+    description: `${length}mm seat, ${count} × M12 coach screws`,
+    count,
+    capacity: Math.min(bearingCapacity(length), count * perScrew),
+    timberCapacity: Math.min(bearingCapacity(length), count * perScrew),
+    steelCapacity: null,
+    // Width to bear on the longest seat
+    minWidth: Math.ceil((governing.demand * 1000) / (CONNECTION_CAPACITY_FACTOR * governing.k1 * bearingStrength * type.lengths[type.lengths.length - 1])),
+    minDepth: 0,
+    // The seat is under the member
+    steelCover: { side: width / 2, bottom: 0 }
+  };
+}
+
+const DESIGNERS = {
+  selfTappingScrews: designSelfTappingScrews,
+  concealedHanger: designConcealedHanger,
+  boltedSidePlates: designBoltedSidePlates,
+  bearingSeat: designBearingSeat
+};
+
+/**
+ * Design a connection for a reaction
+ * The fasteners are sized for the strength combination that needs the most capacity for its
+ * k1, using the joint group and bearing strengths of the grade. Where the connection needs a
+ * wider or deeper supported member than the one designed, the smallest catalogue section that
+ * fits is given as the forced size.
+ *
+ * @param {string} connectionType - Key in CONNECTION_TYPES
+ * @param {Object} params - Connection inputs
+ * @param {Object} params.reaction - Reaction { dead, live } in kN
+ * @param {Object} params.member - Supported member { width, depth } in mm
+ * @param {string} params.memberType - Catalogue type of the supported member, "joist" or "beam"
+ * @param {string} params.timberGrade - Timber grade key in TIMBER_PROPERTIES
+ * @param {Object} params.designFactors - Modification factors from getDesignFactors, for the imposed load duration
+ * @returns {Object} Connection description, fastener count, capacity check, k1 of the check, timber
+ * and steel parts of the capacity in kN (steel null where the timber governs alone), timber cover
+ * to the steel in mm and any forced member size
+ */
+export function designConnection(connectionType, { reaction, member, memberType, timberGrade, designFactors = DESIGN_FACTORS }) {
+  const properties = getDesignProperties(timberGrade);
+  const jointGroup = JOINT_GROUPS[properties.jointGroup] || JOINT_GROUPS.JD4;
+  const type = CONNECTION_TYPES[connectionType] ? connectionType : DEFAULT_CONNECTIONS.joistToBeam;
+  if (type !== connectionType) {
+    console.warn(`Unknown connection type "${connectionType}", using ${type}`);
+  }
+
+  const governing = getGoverningReaction(reaction, designFactors.loadDuration);
+  const design = DESIGNERS[type]({ governing, width: member.width, depth: member.depth, properties, jointGroup });
+  if (!design) {
+    return { type, label: CONNECTION_TYPES[type].label, description: "Does not fit", count: 0, check: createCheck("Connection", governing.demand, 0, "kN", governing.combination), k1: governing.k1, timberCapacity: 0, steelCapacity: null, steelCover: { side: 0, bottom: 0 }, forcedSize: null, passes: false };
+  }
+
+  const check = createCheck("Connection", governing.demand, design.capacity, "kN", governing.combination);
+  let forcedSize = null;
+  if (design.minWidth > member.width || design.minDepth > member.depth) {
+    forcedSize = getMasslamSizesByType(memberType)
+      .filter(size => size.width >= design.minWidth && size.depth >= Math.max(member.depth, design.minDepth))
+      .sort((a, b) => (a.width * a.depth) - (b.width * b.depth))[0] || null;
+    if (!forcedSize) {
+      console.warn(`No ${memberType} size is at least ${design.minWidth}mm wide and ${design.minDepth}mm deep for ${design.description}`);
+    }
+  }
+
+  return {
+    type,
+    label: CONNECTION_TYPES[type].label,
+    description: design.description,
+    count: design.count,
+    minWidth: design.minWidth,
+    minDepth: design.minDepth,
+    check,
+    k1: governing.k1,
+    timberCapacity: design.timberCapacity,
+    steelCapacity: design.steelCapacity,
+    steelCover: design.steelCover,
+    forcedSize,
+    passes: check.passes
+  };
+}
+
+/**
+ * Design the connections of every joist-to-beam and beam-to-column interface
+ * Joists are connected for the largest end reaction of each bay over the levels, with
+ * individually designed joists connected for their point loads as well. Each beam segment
+ * is connected for the larger of its end reactions over the levels. CLT floor panels bear
+ * on top of the beams and are screwed down, so they need no joist-to-beam connection.
+ *
+ * @param {Object} params - Connection inputs
+ * @param {Object} params.structure - Designed structure from designStructure
+ * @param {Object} params.connectionTypes - Connection type keyed by interface, see DEFAULT_CONNECTIONS
+ * @param {number} params.joistSpacing - Joist spacing in mm
+ * @param {string} params.timberGrade - Timber grade key in TIMBER_PROPERTIES of supported members designed without a grade
+ * @param {Object} params.designFactors - Modification factors from getDesignFactors
+ * @returns {Object} Connections of each interface with their reference, level, reaction and design
+ */
+export function designStructureConnections({ structure, connectionTypes = DEFAULT_CONNECTIONS, joistSpacing = DEFAULT_JOIST_SPACING, timberGrade, designFactors = DESIGN_FACTORS }) {
+  const types = { ...DEFAULT_CONNECTIONS, ...connectionTypes };
+  const ultimate = (reaction) => getGoverningReaction(reaction, designFactors.loadDuration).demand;
+  const governingOf = (candidates) => candidates.reduce((worst, item) => (!worst || ultimate(item.reaction) > ultimate(worst.reaction) ? item : worst), null);
+
+  const joistToBeam = structure.bays.filter(bay => bay.floorSystem !== 'clt').flatMap(bay => {
+    const candidates = bay.levels.flatMap(level => calculateJoistReactions(level, joistSpacing).map(joist => ({
+      ref: joist.load ? `${bay.ref} (${joist.load})` : bay.ref,
+      level: level.level,
+      member: joist.joists,
+      reaction: ultimate(joist.start) > ultimate(joist.end) ? joist.start : joist.end
+    })));
+
+    const refs = [...new Set(candidates.map(item => item.ref))];
+    return refs.map(ref => governingOf(candidates.filter(item => item.ref === ref)));
+  });
+
+  const beamToColumn = structure.beams.map(beam => governingOf(beam.levels.flatMap(level => [true, false].map(atStart => ({
+    ref: beam.ref,
+    level: level.level,
+    member: level.beams,
+    reaction: calculateBeamReaction(beam, level, atStart)
+  })))));
+
+  const design = (items, interfaceKey) => items.map(item => ({
+    ...item,
+    member: { width: item.member.width, depth: item.member.depth, grade: item.member.grade },
+    connection: designConnection(types[interfaceKey], {
+      reaction: item.reaction,
+      member: item.member,
+      memberType: CONNECTION_INTERFACES[interfaceKey].supported,
+      timberGrade: item.member.grade || timberGrade,
+      designFactors
+    })
+  }));
+
+  const connections = {
+    joistToBeam: design(joistToBeam, "joistToBeam"),
+    beamToColumn: design(beamToColumn, "beamToColumn")
+  };
+
+  const all = [...connections.joistToBeam, ...connections.beamToColumn];
+
+  return {
+    types,
+    ...connections,
+    passes: all.every(item => item.connection.passes)
+  };
+}
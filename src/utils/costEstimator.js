@@ -1,29 +1,42 @@
 // src/utils/costEstimator.js
 
+import { TIMBER_PROPERTIES } from './timberEngineering';
+
+// Relative cost of a grade against MASSLAM SL33, from its properties CSV
+const getCostFactor = (grade) => TIMBER_PROPERTIES[grade]?.costFactor ?? 1.0;
+
+// Cost of an element's volume at a rate per m³, with the relative cost of each grade
+const costElementVolume = (element, rate) => (element.grades
+  ? Object.entries(element.grades).reduce((sum, [grade, volume]) => sum + volume * rate * getCostFactor(grade), 0)
+  : element.volume * rate);
+
 // Default rates
 const DEFAULT_BEAM_RATE = 3200; // $ per m³
 const DEFAULT_COLUMN_RATE = 3200; // $ per m³
-const DEFAULT_JOIST_RATE = 390; // $ per m²
+const DEFAULT_JOIST_RATE = 3200; // $ per m³
+const DEFAULT_CLT_RATE = 2200; // $ per m³ of CLT floor panel
 
-// Initialize default rates for all joist sizes from masslam_sizes.csv
+// Initialize default rates for all joist sizes from masslam_sizes.csv, in $ per m³ of joist
 const DEFAULT_JOIST_RATES = {
-  "120x200": 390,
-  "165x270": 390,
-  "205x335": 390,
-  "250x410": 390,
-  "290x480": 390,
-  "335x550": 390,
-  "380x620": 390,
-  "420x690": 390,
-  "450x760": 390,
-  "450x830": 390
+  "120x200": 3200,
+  "165x270": 3200,
+  "205x335": 3200,
+  "250x410": 3200,
+  "290x480": 3200,
+  "335x550": 3200,
+  "380x620": 3200,
+  "420x690": 3200,
+  "450x760": 3200,
+  "450x830": 3200
 };
 
 // Storage keys for local storage
 const STORAGE_KEYS = {
   BEAM_RATE: 'timber_beam_rate',
   COLUMN_RATE: 'timber_column_rate',
-  JOIST_RATES: 'timber_joist_rates'
+  // Joist rates were once per m² of floor; the new key keeps those from being read as per m³
+  JOIST_RATES: 'timber_joist_volume_rates',
+  CLT_RATE: 'timber_clt_rate'
 };
 
 /**
@@ -33,16 +46,19 @@ export function loadRates() {
   let beamRate = DEFAULT_BEAM_RATE;
   let columnRate = DEFAULT_COLUMN_RATE;
   let joistRates = { ...DEFAULT_JOIST_RATES };
+  let cltRate = DEFAULT_CLT_RATE;
 
   // Try to load from local storage
   try {
     const storedBeamRate = localStorage.getItem(STORAGE_KEYS.BEAM_RATE);
     const storedColumnRate = localStorage.getItem(STORAGE_KEYS.COLUMN_RATE);
     const storedJoistRates = localStorage.getItem(STORAGE_KEYS.JOIST_RATES);
+    const storedCltRate = localStorage.getItem(STORAGE_KEYS.CLT_RATE);
 
     if (storedBeamRate) beamRate = parseFloat(storedBeamRate);
     if (storedColumnRate) columnRate = parseFloat(storedColumnRate);
     if (storedJoistRates) joistRates = JSON.parse(storedJoistRates);
+    if (storedCltRate) cltRate = parseFloat(storedCltRate);
   } catch (error) {
     console.error('Error loading rates from local storage:', error);
   }
@@ -50,18 +66,20 @@ export function loadRates() {
   return {
     beamRate,
     columnRate,
-    joistRates
+    joistRates,
+    cltRate
   };
 }
 
 /**
  * Save rates to local storage
  */
-export function saveRates(beamRate, columnRate, joistRates) {
+export function saveRates(beamRate, columnRate, joistRates, cltRate = DEFAULT_CLT_RATE) {
   try {
     localStorage.setItem(STORAGE_KEYS.BEAM_RATE, beamRate.toString());
     localStorage.setItem(STORAGE_KEYS.COLUMN_RATE, columnRate.toString());
     localStorage.setItem(STORAGE_KEYS.JOIST_RATES, JSON.stringify(joistRates));
+    localStorage.setItem(STORAGE_KEYS.CLT_RATE, cltRate.toString());
     return true;
   } catch (error) {
     console.error('Error saving rates to local storage:', error);
@@ -71,8 +89,10 @@ export function saveRates(beamRate, columnRate, joistRates) {
 
 /**
  * Calculate the cost of timber elements
- * @param {Object} timberResult - Result from calculateTimberWeight
- * @param {Object} joistSize - Joist size object with width and depth
+ * Joists are costed by their volume at the rate of each size, so a scheme with more
+ * timber in its floors costs more whatever its joist spacing; CLT panels by their volume.
+ * @param {Object} timberResult - Result from calculateTimberWeight; per-size joist volumes and volumes by grade are used when present
+ * @param {Object} joistSize - Joist size object with width and depth, used when the joists are a single size
  * @param {number} buildingLength - Building length in meters
  * @param {number} buildingWidth - Building width in meters
  * @param {number} numFloors - Number of floors
@@ -80,21 +100,29 @@ export function saveRates(beamRate, columnRate, joistRates) {
  */
 export function calculateCost(timberResult, joistSize, buildingLength, buildingWidth, numFloors) {
   // Load rates
-  const { beamRate, columnRate, joistRates } = loadRates();
+  const { beamRate, columnRate, joistRates, cltRate } = loadRates();
   
-  // Calculate floor area
-  const floorArea = buildingLength * buildingWidth * numFloors;
+  // Get joist rate per m³ (default to DEFAULT_JOIST_RATE if not found)
+  const getJoistRate = (size) => joistRates[`${size.width}x${size.depth}`] || DEFAULT_JOIST_RATE;
   
-  // Get joist size key
-  const joistSizeKey = `${joistSize.width}x${joistSize.depth}`;
+  // With per-bay joist sizes, cost the volume of each size at its own rate, and CLT
+  // panels at the CLT rate; the bay areas include any perimeter cantilevers
+  const joists = timberResult.elements.joists;
+  const joistItems = joists.areas && joists.areas.length > 0 ? joists.areas : null;
+  const getItemCost = (item) => item.volume * (item.panel ? cltRate : getJoistRate(item));
+  const floorArea = joistItems
+    ? joistItems.reduce((sum, item) => sum + item.area, 0)
+    : buildingLength * buildingWidth * numFloors;
+  const joistCost = joistItems
+    ? joistItems.reduce((sum, item) => sum + getItemCost(item) * getCostFactor(item.grade), 0)
+    : costElementVolume(joists, getJoistRate(joistSize));
   
-  // Get joist rate (default to DEFAULT_JOIST_RATE if not found)
-  const joistRate = joistRates[joistSizeKey] || DEFAULT_JOIST_RATE;
+  // Average rate over the joist volume
+  const joistRate = joists.volume > 0 ? joistCost / joists.volume : getJoistRate(joistSize);
   
   // Calculate costs
-  const beamCost = timberResult.elements.beams.volume * beamRate;
-  const columnCost = timberResult.elements.columns.volume * columnRate;
-  const joistCost = floorArea * joistRate;
+  const beamCost = costElementVolume(timberResult.elements.beams, beamRate);
+  const columnCost = costElementVolume(timberResult.elements.columns, columnRate);
   
   // Calculate total cost
   const totalCost = beamCost + columnCost + joistCost;
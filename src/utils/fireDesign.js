@@ -0,0 +1,543 @@
+// Utility functions for the fire limit state check of the residual timber section
+
+import {
+  getDesignProperties,
+  getSpanCoefficients,
+  getPointShearFactor,
+  calculateCompressionStability,
+  createCheck,
+  summariseChecks
+} from './timberEngineering';
+import { getFireCombination, combineActions } from './loadCombinations';
+import { CONNECTION_CAPACITY_FACTOR, CONNECTION_INTERFACES } from './connectionDesign';
+import {
+  calculateFaceAllowance,
+  calculateFireResistance,
+  calculateLiningSavings,
+  getFrlMinutes,
+  normaliseFaceExposure,
+  normaliseFireLinings,
+  CHARRING_RATES,
+  CHARRING_MODELS,
+  DEFAULT_CHARRING_MODEL,
+  DEFAULT_FIRE_LININGS,
+  DEFAULT_MEMBER_EXPOSURES,
+  FACE_EXPOSURES,
+  FIRE_FACES,
+  FIRE_LININGS,
+  ZERO_STRENGTH_LAYER
+} from './masslamProperties';
+
+/**
+ * Modification factors in fire (AS 1720.4 clause 2.4)
+ * The fire is a rare, short event, so the capacity and duration factors are 1.0; kfi
+ * raises the 5th percentile strengths to the 20% fractile strength of glulam
+ * (EN 1995-1-2 Table 2.1).
+ */
+export const FIRE_DESIGN_FACTORS = {
+  phi: 1.0,
+  k1: 1.0,
+  kfi: 1.15
+};
+
+/**
+ * Member types the fire check knows how to load
+ */
+export const FIRE_MEMBER_TYPES = {
+  joist: { label: "Joist", flexural: true },
+  beam: { label: "Beam", flexural: true },
+  column: { label: "Column", flexural: false }
+};
+
+/**
+ * Corners of a section, each with the two faces that meet at it
+ */
+export const SECTION_CORNERS = {
+  topLeft: ["top", "left"],
+  topRight: ["top", "right"],
+  bottomRight: ["bottom", "right"],
+  bottomLeft: ["bottom", "left"]
+};
+
+/**
+ * Number of straight segments drawn for each rounded corner
+ */
+const CORNER_SEGMENTS = 16;
+
+/**
+ * Outline of a rectangle with rounded corners, clockwise from the top-left with y downward
+ * @param {Object} bounds - { left, top, width, depth } of the rectangle in mm
+ * @param {Object} radii - Radius in mm at each corner in SECTION_CORNERS
+ * @returns {Array<Object>} Points { x, y } in mm
+ */
+export function createRoundedOutline({ left, top, width, depth }, radii = {}) {
+  const limit = Math.max(0, Math.min(width, depth) / 2);
+  const radius = (corner) => Math.min(Math.max(0, radii[corner] || 0), limit);
+  // Centre of each corner arc and its start angle, with angles clockwise on screen
+  const arcs = [
+    { corner: "topLeft", cx: left + radius("topLeft"), cy: top + radius("topLeft"), start: Math.PI },
+    { corner: "topRight", cx: left + width - radius("topRight"), cy: top + radius("topRight"), start: 1.5 * Math.PI },
+    { corner: "bottomRight", cx: left + width - radius("bottomRight"), cy: top + depth - radius("bottomRight"), start: 0 },
+    { corner: "bottomLeft", cx: left + radius("bottomLeft"), cy: top + depth - radius("bottomLeft"), start: 0.5 * Math.PI }
+  ];
+  return arcs.flatMap(({ corner, cx, cy, start }) => {
+    const r = radius(corner);
+    if (r === 0) {
+      return [{ x: cx, y: cy }];
+    }
+    return Array.from({ length: CORNER_SEGMENTS + 1 }, (_, index) => {
+      const angle = start + (index / CORNER_SEGMENTS) * (Math.PI / 2);
+      return { x: cx + r * Math.cos(angle), y: cy + r * Math.sin(angle) };
+    });
+  });
+}
+
+/**
+ * Calculate the section properties of a closed outline
+ * Area, centroid and second moments of area follow from the polygon formulas; the section
+ * moduli use the extreme fibre furthest from the centroid.
+ * @param {Array<Object>} points - Outline points { x, y } in mm, from createRoundedOutline
+ * @returns {Object} Area (mm²), shear area (mm²), centroid (mm), second moments of area (mm⁴) and section moduli (mm³) about the centroidal axes
+ */
+export function calculateOutlineProperties(points) {
+  let area = 0;
+  let firstX = 0;
+  let firstY = 0;
+  let secondX = 0;
+  let secondY = 0;
+  points.forEach((point, index) => {
+    const next = points[(index + 1) % points.length];
+    const cross = point.x * next.y - next.x * point.y;
+    area += cross / 2;
+    firstX += (point.x + next.x) * cross / 6;
+    firstY += (point.y + next.y) * cross / 6;
+    secondX += (point.y * point.y + point.y * next.y + next.y * next.y) * cross / 12;
+    secondY += (point.x * point.x + point.x * next.x + next.x * next.x) * cross / 12;
+  });
+  if (Math.abs(area) === 0) {
+    return { area: 0, shearArea: 0, centroid: { x: 0, y: 0 }, Ix: 0, Iy: 0, Zx: 0, Zy: 0 };
+  }
+  
+  // The sums change sign with the direction of the outline; the ratios and products do not
+  const centroid = { x: firstX / area, y: firstY / area };
+  const Ix = Math.abs(secondX) - Math.abs(area) * centroid.y * centroid.y;
+  const Iy = Math.abs(secondY) - Math.abs(area) * centroid.x * centroid.x;
+  const ys = points.map(point => point.y);
+  const xs = points.map(point => point.x);
+  const yMax = Math.max(centroid.y - Math.min(...ys), Math.max(...ys) - centroid.y);
+  const xMax = Math.max(centroid.x - Math.min(...xs), Math.max(...xs) - centroid.x);
+  
+  return {
+    area: Math.abs(area),
+    shearArea: (2 / 3) * Math.abs(area),
+    centroid,
+    Ix,
+    Iy,
+    Zx: Ix / yMax,
+    Zy: Iy / xMax
+  };
+}
+
+/**
+ * Calculate the residual section of a member with its corners rounded
+ * With the one-dimensional charring model each corner between two charring faces is rounded
+ * with a radius equal to the char depth, the smaller char depth where the faces char
+ * differently; with the notional model corner rounding is included in the charring rate and
+ * the corners stay square. The char line is at the char depth from each face and the residual
+ * section a further zero-strength layer in. Outlines are drawn on the original section, from
+ * its top-left corner.
+ *
+ * @param {Object} params - Residual section inputs
+ * @param {Object} params.dimensions - Section { width, depth } in mm
+ * @param {number} params.minutes - Fire resistance period in minutes
+ * @param {number} params.charringRate - Notional charring rate in mm/min
+ * @param {Object} params.exposure - Exposure key in FACE_EXPOSURES for each face in FIRE_FACES
+ * @param {Object} params.linings - Lining of the plasterboard and encapsulated faces, see DEFAULT_FIRE_LININGS
+ * @param {string} params.charringModel - Key in CHARRING_MODELS
+ * @returns {Object} Residual section from calculateFireResistance with the char depth and corner radius of each face and corner, the char line and residual outlines and the residual section properties
+ */
+export function calculateRoundedResidualSection({ dimensions, minutes, charringRate = CHARRING_RATES.masslam_sl33, exposure = {}, linings = DEFAULT_FIRE_LININGS, charringModel = DEFAULT_CHARRING_MODEL }) {
+  const modelKey = CHARRING_MODELS[charringModel] ? charringModel : DEFAULT_CHARRING_MODEL;
+  if (modelKey !== charringModel) {
+    console.warn(`Unknown charring model "${charringModel}", using ${DEFAULT_CHARRING_MODEL}`);
+  }
+  const model = CHARRING_MODELS[modelKey];
+  const rate = charringRate * model.rateFactor;
+  const residual = calculateFireResistance(rate, dimensions, minutes, exposure, linings);
+  
+  // Char depth of each face, without the zero-strength layer
+  const charDepths = FIRE_FACES.reduce((depths, face) => {
+    depths[face] = Math.max(0, residual.faceAllowances[face] - ZERO_STRENGTH_LAYER);
+    return depths;
+  }, {});
+  const radii = Object.entries(SECTION_CORNERS).reduce((corners, [corner, [faceA, faceB]]) => {
+    corners[corner] = model.cornerRounding ? Math.min(charDepths[faceA], charDepths[faceB]) : 0;
+    return corners;
+  }, {});
+  
+  const charLine = {
+    left: charDepths.left,
+    top: charDepths.top,
+    width: dimensions.width - charDepths.left - charDepths.right,
+    depth: dimensions.depth - charDepths.top - charDepths.bottom
+  };
+  const charredThrough = residual.effectiveWidth <= 0 || residual.effectiveDepth <= 0;
+  const charLineOutline = charLine.width > 0 && charLine.depth > 0 ? createRoundedOutline(charLine, radii) : [];
+  const residualOutline = charredThrough ? [] : createRoundedOutline({
+    left: residual.faceAllowances.left,
+    top: residual.faceAllowances.top,
+    width: residual.effectiveWidth,
+    depth: residual.effectiveDepth
+  }, radii);
+  const section = charredThrough ? calculateOutlineProperties([]) : calculateOutlineProperties(residualOutline);
+  const originalArea = dimensions.width * dimensions.depth;
+  
+  return {
+    ...residual,
+    residualPercentage: (section.area / originalArea) * 100,
+    loadCapacityReduction: 100 - (section.area / originalArea) * 100,
+    charringModel: modelKey,
+    charringRate: rate,
+    charDepths,
+    radii,
+    charLineOutline,
+    residualOutline,
+    section
+  };
+}
+
+/**
+ * Check a member at the fire limit state on its residual section
+ * The residual section is the section less the char depth and the 7mm zero-strength layer
+ * on each charring face, by default all four, with its corners rounded under the
+ * one-dimensional charring model, from calculateRoundedResidualSection. Joists and beams are
+ * checked in bending and shear under a uniform line load with the coefficients of their span
+ * condition, point loads bending them as their equivalent uniform load and shearing them with
+ * their end reaction as in checkFlexuralMember, and columns in
+ * compression with k12 about both axes from the slenderness of the residual section, all
+ * under G + ψl·Q with FIRE_DESIGN_FACTORS. A section charred through fails every check.
+ *
+ * @param {Object} params - Fire check inputs
+ * @param {Object} params.dimensions - Section { width, depth } in mm
+ * @param {number} params.minutes - Required fire resistance period in minutes
+ * @param {string} params.memberType - Key in FIRE_MEMBER_TYPES
+ * @param {string} params.timberGrade - Timber grade key in TIMBER_PROPERTIES
+ * @param {number} params.charringRate - Notional charring rate in mm/min (defaults to that of the grade)
+ * @param {number} params.span - Span of a joist or beam, or height of a column, in meters
+ * @param {number} params.deadLoad - Permanent action G, in kN/m on a joist or beam and kN on a column
+ * @param {number} params.liveLoad - Imposed action Q, in the units of deadLoad
+ * @param {number} params.psiLong - Long-term combination factor ψl
+ * @param {Object} params.exposure - Exposure key in FACE_EXPOSURES for each face in FIRE_FACES
+ * @param {Object} params.linings - Lining of the plasterboard and encapsulated faces, see DEFAULT_FIRE_LININGS
+ * @param {string} params.charringModel - Key in CHARRING_MODELS
+ * @param {string} params.spanCondition - Key in SPAN_CONDITIONS of a joist or beam
+ * @param {number} params.cantileverLength - Cantilever length in meters for a cantilever with backspan
+ * @param {Object} params.pointEquivalentLoad - Part of deadLoad and liveLoad that is the equivalent uniform load of point loads { dead, live } in kN/m
+ * @param {Object} params.pointShear - Larger simple-span reaction of the point loads { dead, live } in kN
+ * @returns {Object} Residual section from calculateRoundedResidualSection with the fire checks, governing utilisation and pass flag
+ */
+export function checkFireLimitState({ dimensions, minutes, memberType = "beam", timberGrade, charringRate, span = 0, deadLoad = 0, liveLoad = 0, psiLong = 0.4, exposure = {}, linings = DEFAULT_FIRE_LININGS, charringModel = DEFAULT_CHARRING_MODEL, spanCondition = 'simple', cantileverLength = 0, pointEquivalentLoad = { dead: 0, live: 0 }, pointShear = { dead: 0, live: 0 } }) {
+  const properties = getDesignProperties(timberGrade);
+  const rate = charringRate || properties.charringRate || CHARRING_RATES.masslam_sl33;
+  const residual = calculateRoundedResidualSection({ dimensions, minutes, charringRate: rate, exposure, linings, charringModel });
+  const combination = getFireCombination(psiLong);
+  const action = combineActions(combination, deadLoad, liveLoad);
+  const type = FIRE_MEMBER_TYPES[memberType] ? memberType : "beam";
+  if (type !== memberType) {
+    console.warn(`Unknown member type "${memberType}" in the fire check, checking it as a beam`);
+  }
+
+  const { phi, k1, kfi } = FIRE_DESIGN_FACTORS;
+  const { effectiveWidth: width, effectiveDepth: depth } = residual;
+  const charredThrough = width <= 0 || depth <= 0;
+  const { section } = residual;
+  const spanMm = span * 1000;
+
+  let checks;
+  if (FIRE_MEMBER_TYPES[type].flexural) {
+    const coefficients = getSpanCoefficients(spanCondition, span, cantileverLength);
+    const uniformAction = action - combineActions(combination, pointEquivalentLoad.dead, pointEquivalentLoad.live);
+    const moment = coefficients.moment * action * Math.pow(spanMm, 2) / 1e6; // kNm
+    const shear = coefficients.shear * uniformAction * spanMm / 1e3 +
+      getPointShearFactor(spanCondition) * combineActions(combination, pointShear.dead, pointShear.live); // kN
+    checks = {
+      bending: createCheck('Bending in fire', moment, charredThrough ? 0 : phi * k1 * kfi * properties.bendingStrength * section.Zx / 1e6, 'kNm', combination.label),
+      shear: createCheck('Shear in fire', shear, charredThrough ? 0 : phi * k1 * kfi * properties.shearStrength * section.shearArea / 1e3, 'kN', combination.label)
+    };
+  } else {
+    let capacity = 0;
+    if (!charredThrough) {
+      const { k12x, k12y } = calculateCompressionStability(width, depth, spanMm, properties);
+      capacity = phi * k1 * kfi * Math.min(k12x, k12y) * properties.compressiveStrength * section.area / 1e3; // kN
+    }
+    checks = {
+      compression: createCheck('Compression in fire', action, capacity, 'kN', combination.label)
+    };
+  }
+
+  const summary = summariseChecks(checks);
+
+  return {
+    ...residual,
+    memberType: type,
+    combination: combination.label,
+    action,
+    checks,
+    ...summary
+  };
+}
+
+/**
+ * Exposure key in DEFAULT_MEMBER_EXPOSURES of each member kind in listStructureMembers
+ */
+const MEMBER_EXPOSURE_KINDS = {
+  joist: "joists",
+  beam: "beams",
+  column: "columns"
+};
+
+/**
+ * Exposure of the faces of a listed member
+ * CLT panel edges abut the neighbouring panels, so only their top and bottom faces are lined.
+ * @param {Object} member - Member from listStructureMembers
+ * @param {Object} fireExposures - Exposure of the faces of the joists, beams and columns
+ * @returns {Object} Exposure key in FACE_EXPOSURES of each face
+ */
+function getMemberExposure(member, fireExposures) {
+  const kind = MEMBER_EXPOSURE_KINDS[member.kind];
+  const exposure = normaliseFaceExposure({ ...DEFAULT_MEMBER_EXPOSURES[kind], ...fireExposures?.[kind] });
+  return member.panel ? { ...exposure, left: "shielded", right: "shielded" } : exposure;
+}
+
+/**
+ * Calculate the board area of the linings on the members of a structure
+ * Linings wrap the plasterboard and encapsulated faces of each member over its length: the
+ * top and bottom faces are the member width wide and the sides its depth. The board area is
+ * the lined face area times the number of layers of the lining.
+ *
+ * @param {Array<Object>} members - Members from listStructureMembers
+ * @param {Object} fireExposures - Exposure of the faces of the joists, beams and columns, see DEFAULT_MEMBER_EXPOSURES
+ * @param {Object} fireLinings - Lining of the plasterboard and encapsulated faces, see DEFAULT_FIRE_LININGS
+ * @returns {Array<Object>} Each lining used with its lined face area and board area in m²
+ */
+export function calculateLiningQuantities(members, fireExposures = {}, fireLinings = DEFAULT_FIRE_LININGS) {
+  const linings = normaliseFireLinings(fireLinings);
+  const quantities = new Map();
+  
+  members.forEach(member => {
+    const exposure = getMemberExposure(member, fireExposures);
+    FIRE_FACES.filter(face => FACE_EXPOSURES[exposure[face]].lining).forEach(face => {
+      const key = linings[exposure[face]];
+      const faceWidth = face === "top" || face === "bottom" ? member.width : member.depth; // mm
+      const faceArea = (faceWidth / 1000) * member.length * member.count; // m²
+      const quantity = quantities.get(key) || { key, lining: FIRE_LININGS[key], faceArea: 0, boardArea: 0 };
+      quantity.faceArea += faceArea;
+      quantity.boardArea += faceArea * FIRE_LININGS[key].layers;
+      quantities.set(key, quantity);
+    });
+  });
+  
+  return [...quantities.values()];
+}
+
+/**
+ * Summarise the contribution of the linings to the fire design of a structure
+ * For the governing member of each kind, the section that would be needed without its linings
+ * (see calculateLiningSavings), and over all members the timber volume saved and the board
+ * area required.
+ *
+ * @param {Object} structure - Structure from designStructure, with its governing designs and members
+ * @param {Object} params - Fire design inputs
+ * @param {string} params.fireRating - Fire rating (e.g., "90/90/90")
+ * @param {Object} params.fireExposures - Exposure of the faces of the joists, beams and columns, see DEFAULT_MEMBER_EXPOSURES
+ * @param {Object} params.fireLinings - Lining of the plasterboard and encapsulated faces, see DEFAULT_FIRE_LININGS
+ * @returns {Object|null} Savings of each kind, volume saved in m³, board quantities and total board area in m², or null without linings
+ */
+export function summariseFireLinings(structure, { fireRating, fireExposures = {}, fireLinings = DEFAULT_FIRE_LININGS }) {
+  const minutes = getFrlMinutes(fireRating);
+  const members = structure?.members || [];
+  const lined = members.filter(member => Object.values(getMemberExposure(member, fireExposures)).some(key => FACE_EXPOSURES[key].lining));
+  if (lined.length === 0) {
+    return null;
+  }
+  
+  const memberSavings = (member) => calculateLiningSavings(
+    getDesignProperties(member.grade).charringRate,
+    member,
+    minutes,
+    getMemberExposure(member, fireExposures),
+    fireLinings
+  );
+  
+  const kinds = {};
+  Object.entries(MEMBER_EXPOSURE_KINDS).forEach(([memberKind, kind]) => {
+    const governing = structure.governing?.[kind];
+    if (!governing || !(governing.width > 0 && governing.depth > 0)) {
+      return;
+    }
+    const member = { kind: memberKind, panel: governing.system === 'clt', grade: governing.grade, width: governing.width, depth: governing.depth };
+    const savings = memberSavings(member);
+    if (savings.areaSaved > 0) {
+      kinds[kind] = { width: governing.width, depth: governing.depth, ...savings };
+    }
+  });
+  
+  const volumeSaved = lined.reduce((sum, member) => sum + memberSavings(member).areaSaved / 1e6 * member.length * member.count, 0); // m³
+  const quantities = calculateLiningQuantities(members, fireExposures, fireLinings);
+  const boardArea = quantities.reduce((sum, quantity) => sum + quantity.boardArea, 0);
+  
+  return { kinds, volumeSaved, quantities, boardArea };
+}
+
+/**
+ * Fire behaviour of each connection type in CONNECTION_TYPES (EN 1995-1-2 Tables 6.1 and 6.3)
+ * unprotectedMinutes is the fire resistance t_fi of the unprotected connection, which plugs
+ * extend to the required period; the capacity of exposed fasteners falls by η = e^(−k·t) and
+ * is lost after validMinutes. Plugged connections
+ * have fastener heads or dowel ends in the member faces that glued timber plugs can cover;
+ * the others have steel on the outside of the member.
+ */
+export const CONNECTION_FIRE_DETAILS = {
+  selfTappingScrews: { unprotectedMinutes: 15, validMinutes: 20, k: 0.08, plugged: true },
+  concealedHanger: { unprotectedMinutes: 20, validMinutes: 30, k: 0.085, plugged: true },
+  boltedSidePlates: { unprotectedMinutes: 15, validMinutes: 30, k: 0.085, plugged: false },
+  bearingSeat: { unprotectedMinutes: 15, validMinutes: 20, k: 0.08, plugged: false }
+};
+
+/**
+ * Factor kflux for the increased heat flux through fasteners (EN 1995-1-2 clause 6.2.1.1)
+ */
+export const CHAR_PLUG_FLUX_FACTOR = 1.5;
+
+/**
+ * Faces of the supported member bounding the steel of a connection, and the cover to each
+ * The top of the member is under the floor, so only the sides and bottom are checked.
+ */
+const CONNECTION_COVER_FACES = {
+  left: "side",
+  right: "side",
+  bottom: "bottom"
+};
+
+/**
+ * Check a connection at the fire limit state
+ * The steel stays cold when the timber cover on each charring face is at least the char
+ * depth plus the zero-strength layer of that face, and plugged connections have their
+ * fasteners covered by plugs of depth a_fi = kflux·β·(t − t_fi) (EN 1995-1-2 equation 6.1),
+ * which must fit in the side cover over the fastener ends.
+ * A protected connection keeps its characteristic capacity; an unprotected one loses
+ * capacity by η = e^(−k·t) and has none after the valid period of its fasteners. The
+ * timber capacity is taken from the strength design with φ = 1.0, k1 = 1.0 and kfi = 1.15,
+ * limited by any steel capacity of the connection, and checked for the reaction under G + ψl·Q.
+ * The connection needs extra protection where its steel lacks cover, its plugs do not fit or
+ * its fire capacity is less than the reaction.
+ *
+ * @param {Object} params - Connection fire inputs
+ * @param {Object} params.connection - Connection from designConnection
+ * @param {Object} params.reaction - Reaction { dead, live } in kN
+ * @param {number} params.minutes - Required fire resistance in minutes
+ * @param {string} params.timberGrade - Timber grade key in TIMBER_PROPERTIES
+ * @param {number} params.psiLong - Long-term factor ψl of the imposed action
+ * @param {Object} params.exposure - Exposure key in FACE_EXPOSURES of each face of the supported member
+ * @param {Object} params.linings - Lining of the plasterboard and encapsulated faces, see DEFAULT_FIRE_LININGS
+ * @returns {Object} Required and provided cover, plug depth and whether it fits, capacity factor η,
+ * fire check and whether the connection needs extra protection
+ */
+export function checkConnectionFire({ connection, reaction, minutes, timberGrade, psiLong = 0.4, exposure = {}, linings = DEFAULT_FIRE_LININGS }) {
+  const details = CONNECTION_FIRE_DETAILS[connection.type] || CONNECTION_FIRE_DETAILS.selfTappingScrews;
+  const rate = getDesignProperties(timberGrade).charringRate || CHARRING_RATES.masslam_sl33;
+  const faceExposure = normaliseFaceExposure(exposure);
+  const steelCover = connection.steelCover || { side: 0, bottom: 0 };
+
+  // Cover needed and provided on each face of the supported member around the steel
+  const faces = Object.entries(CONNECTION_COVER_FACES).map(([face, cover]) => ({
+    face,
+    required: calculateFaceAllowance(rate, minutes, faceExposure[face], linings),
+    provided: steelCover[cover]
+  }));
+  const charring = faces.filter(item => item.required > 0);
+  const requiredCover = Math.max(0, ...faces.map(item => item.required));
+  const coverPasses = charring.every(item => item.provided >= item.required);
+  const plugDepth = details.plugged && charring.length > 0
+    ? Math.max(0, CHAR_PLUG_FLUX_FACTOR * rate * (minutes - details.unprotectedMinutes))
+    : 0;
+  const plugPasses = plugDepth <= steelCover.side;
+  const isProtected = coverPasses && plugPasses;
+
+  const exposedMinutes = isProtected ? 0 : minutes;
+  const eta = exposedMinutes <= details.validMinutes ? Math.exp(-details.k * exposedMinutes) : 0;
+  const { phi, k1, kfi } = FIRE_DESIGN_FACTORS;
+  const characteristic = connection.timberCapacity / (CONNECTION_CAPACITY_FACTOR * (connection.k1 || 1));
+  const capacity = Math.min(phi * k1 * kfi * eta * characteristic, connection.steelCapacity ?? Infinity);
+  const combination = getFireCombination(psiLong);
+  const check = createCheck('Connection in fire', combineActions(combination, reaction.dead, reaction.live), capacity, 'kN', combination.label);
+
+  return {
+    minutes,
+    faces,
+    requiredCover,
+    coverPasses,
+    plugged: details.plugged,
+    plugDepth,
+    plugPasses,
+    protected: isProtected,
+    eta,
+    check,
+    needsProtection: !isProtected || !check.passes,
+    passes: isProtected && check.passes
+  };
+}
+
+/**
+ * Check every connection of a structure at the required FRL of its level
+ * Each connection is checked with the exposure and grade of its supported member: joist-to-beam
+ * connections with the joists and beam-to-column connections with the beams. Connections on
+ * levels without an FRL are not checked.
+ *
+ * @param {Object} connections - Connections from designStructureConnections
+ * @param {Object} options - Fire inputs
+ * @param {string} options.fireRating - Required FRL of levels without their own, e.g. "90/90/90"
+ * @param {Array<Object>} options.levels - Inputs of each level from the bottom up overriding fireRating and beamOptions.psiLong, see getLevelDesignInputs
+ * @param {Object} options.fireExposures - Exposure of the faces of the joists, beams and columns, see DEFAULT_MEMBER_EXPOSURES
+ * @param {Object} options.fireLinings - Lining of the plasterboard and encapsulated faces, see DEFAULT_FIRE_LININGS
+ * @param {string} options.timberGrade - Timber grade key in TIMBER_PROPERTIES of supported members without a grade
+ * @param {number} options.psiLong - Long-term factor ψl of the imposed action of levels without their own
+ * @returns {Object|null} Connections with the fire check of each, and the number needing protection, or null without an FRL
+ */
+export function checkStructureConnectionsFire(connections, { fireRating, levels = [], fireExposures = {}, fireLinings = DEFAULT_FIRE_LININGS, timberGrade, psiLong = 0.4 }) {
+  const levelFire = (level) => {
+    const inputs = levels[level - 1] || {};
+    const rating = inputs.fireRating || fireRating;
+    return { fireRating: rating, minutes: getFrlMinutes(rating), psiLong: inputs.beamOptions?.psiLong ?? psiLong };
+  };
+  const ratings = [fireRating, ...levels.map(inputs => inputs.fireRating)].filter(rating => getFrlMinutes(rating) > 0);
+  if (!connections || ratings.length === 0) {
+    return null;
+  }
+
+  const checked = Object.fromEntries(Object.entries(CONNECTION_INTERFACES).map(([key, item]) => [key, connections[key].map(connection => {
+    const level = levelFire(connection.level);
+    return {
+      ...connection,
+      fire: level.minutes > 0 ? checkConnectionFire({
+        connection: connection.connection,
+        reaction: connection.reaction,
+        minutes: level.minutes,
+        timberGrade: connection.member.grade || timberGrade,
+        psiLong: level.psiLong,
+        exposure: getMemberExposure({ kind: item.supported }, fireExposures),
+        linings: fireLinings
+      }) : null
+    };
+  })]));
+
+  const all = Object.keys(CONNECTION_INTERFACES).flatMap(key => checked[key]).filter(item => item.fire);
+  const flagged = all.filter(item => item.fire.needsProtection).length;
+  const levelRatings = [...new Set(all.map(item => levelFire(item.level).fireRating))].join(', ');
+
+  return {
+    ...connections,
+    ...checked,
+    fire: { fireRating: levelRatings, minutes: Math.max(0, ...all.map(item => item.fire.minutes)), flagged, passes: flagged === 0 }
+  };
+}
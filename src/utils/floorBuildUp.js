@@ -0,0 +1,143 @@
+// Utility functions for floor build-ups (screed and concrete toppings) on timber joist floors
+
+/**
+ * Properties of the topping materials
+ * Embodied carbon is cradle-to-gate in tonnes CO2e per m³
+ */
+export const TOPPING_MATERIALS = {
+  screed: {
+    label: "Sand-cement screed",
+    unitWeight: 22,            // kN/m³
+    modulusOfElasticity: 0,    // Not relied on structurally
+    embodiedCarbon: 0.25       // tCO2e/m³
+  },
+  concrete: {
+    label: "Concrete (N32)",
+    unitWeight: 24,            // kN/m³, reinforced
+    modulusOfElasticity: 30100, // MPa, AS 3600 Table 3.1.2
+    embodiedCarbon: 0.35       // tCO2e/m³
+  }
+};
+
+/**
+ * Floor build-up options
+ */
+export const FLOOR_BUILD_UPS = {
+  none: { label: "None", material: null, thickness: 0 },
+  screed: { label: "40mm screed", material: "screed", thickness: 40 },
+  concrete50: { label: "50mm concrete topping", material: "concrete", thickness: 50 },
+  concrete75: { label: "75mm concrete topping", material: "concrete", thickness: 75 },
+  concrete100: { label: "100mm concrete topping", material: "concrete", thickness: 100 }
+};
+
+export const DEFAULT_FLOOR_BUILD_UP = { type: "none", composite: false };
+
+/**
+ * Shear connection between the joists and a composite concrete topping
+ * Inclined self-tapping screws; slip modulus for serviceability per connector
+ */
+export const COMPOSITE_CONNECTION = {
+  slipModulus: 10000, // N/mm
+  spacing: 250        // mm along the joist
+};
+
+/**
+ * Get a floor build-up option, falling back to no topping for unknown types
+ * @param {string} type - Build-up key in FLOOR_BUILD_UPS
+ * @returns {Object} The build-up option with its material properties
+ */
+export function getFloorBuildUp(type) {
+  const buildUp = FLOOR_BUILD_UPS[type];
+  if (!buildUp) {
+    console.warn(`Unknown floor build-up "${type}", using no topping`);
+    return { ...FLOOR_BUILD_UPS.none, type: "none", properties: null };
+  }
+  return {
+    ...buildUp,
+    type,
+    properties: buildUp.material ? TOPPING_MATERIALS[buildUp.material] : null
+  };
+}
+
+/**
+ * Whether a build-up can act compositely with the joists
+ * @param {Object} floorBuildUp - Build-up selection { type, composite }
+ * @returns {boolean} True for a concrete topping with a composite connection
+ */
+export function isCompositeBuildUp(floorBuildUp) {
+  return !!floorBuildUp?.composite && getFloorBuildUp(floorBuildUp.type).material === "concrete";
+}
+
+/**
+ * Calculate the dead load of the topping
+ * @param {Object} floorBuildUp - Build-up selection { type, composite }
+ * @returns {number} Topping load in kPa
+ */
+export function calculateBuildUpLoad(floorBuildUp) {
+  const buildUp = getFloorBuildUp(floorBuildUp?.type || "none");
+  if (!buildUp.properties) {
+    return 0;
+  }
+  return (buildUp.thickness / 1000) * buildUp.properties.unitWeight;
+}
+
+/**
+ * Calculate the quantities of topping over the floor area
+ * @param {Object} floorBuildUp - Build-up selection { type, composite }
+ * @param {number} floorArea - Total floor area in m²
+ * @returns {Object} Volume (m³), weight (tonnes) and embodied carbon (tonnes CO2e)
+ */
+export function calculateBuildUpQuantities(floorBuildUp, floorArea) {
+  const buildUp = getFloorBuildUp(floorBuildUp?.type || "none");
+  if (!buildUp.properties) {
+    return { volume: 0, weight: 0, embodiedCarbon: 0 };
+  }
+
+  const volume = (buildUp.thickness / 1000) * floorArea;
+  return {
+    volume,
+    weight: (volume * buildUp.properties.unitWeight) / 9.81, // tonnes
+    embodiedCarbon: volume * buildUp.properties.embodiedCarbon
+  };
+}
+
+/**
+ * Calculate the effective bending stiffness of a timber joist with a composite concrete topping
+ * Uses the γ-method (EN 1995-1-1 Annex B) with the topping over the joist spacing as the flange
+ * @param {Object} params - Section parameters
+ * @param {number} params.width - Joist width in mm
+ * @param {number} params.depth - Joist depth in mm
+ * @param {number} params.spacing - Joist spacing in mm (effective flange width)
+ * @param {number} params.span - Span in meters
+ * @param {number} params.modulusOfElasticity - Timber modulus of elasticity in MPa
+ * @param {Object} params.floorBuildUp - Build-up selection { type, composite }
+ * @param {Object} params.connection - Shear connection, defaults to COMPOSITE_CONNECTION
+ * @returns {number} Effective bending stiffness EI in N·mm² per joist
+ */
+export function calculateCompositeStiffness({ width, depth, spacing, span, modulusOfElasticity, floorBuildUp, connection = COMPOSITE_CONNECTION }) {
+  const timberStiffness = modulusOfElasticity * (width * Math.pow(depth, 3)) / 12;
+
+  if (!isCompositeBuildUp(floorBuildUp)) {
+    return timberStiffness;
+  }
+
+  const buildUp = getFloorBuildUp(floorBuildUp.type);
+  const spanMm = span * 1000;
+
+  // Timber (1) and concrete (2) parts
+  const E1 = modulusOfElasticity;
+  const A1 = width * depth;
+  const E2 = buildUp.properties.modulusOfElasticity;
+  const A2 = spacing * buildUp.thickness;
+  const I2 = (spacing * Math.pow(buildUp.thickness, 3)) / 12;
+
+  // Connection efficiency of the timber part; the concrete is the reference (γ2 = 1)
+  const gamma1 = 1 / (1 + (Math.pow(Math.PI, 2) * E1 * A1 * connection.spacing) / (connection.slipModulus * Math.pow(spanMm, 2)));
+
+  // Distances from the composite neutral axis to the centroid of each part
+  const centroidDistance = (depth + buildUp.thickness) / 2;
+  const a2 = (gamma1 * E1 * A1 * centroidDistance) / (gamma1 * E1 * A1 + E2 * A2);
+  const a1 = centroidDistance - a2;
+
+  return timberStiffness + E2 * I2 + gamma1 * E1 * A1 * Math.pow(a1, 2) + E2 * A2 * Math.pow(a2, 2);
+}
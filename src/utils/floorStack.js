@@ -0,0 +1,156 @@
+// Utility functions for the floor stack: the loads, height, fire rating and build-up of each level
+
+import { getOccupancyPreset, createFloorLoads } from './loadCombinations';
+import { DEFAULT_FLOOR_BUILD_UP, calculateBuildUpLoad } from './floorBuildUp';
+
+/**
+ * Roof presets
+ * Imposed loads from AS/NZS 1170.1 Table 3.2 (0.25 kPa is the minimum for structural
+ * elements of a non-trafficable roof), combination factors from AS/NZS 1170.0 Table 4.1
+ * and typical superimposed dead loads (roofing, insulation, pavers or saturated soil)
+ */
+export const ROOF_PRESETS = {
+  nonTrafficable: {
+    label: "Non-trafficable roof",
+    imposedLoad: 0.25,         // kPa
+    superimposedDeadLoad: 0.5, // kPa
+    psiShort: 0.7,
+    psiLong: 0.0,
+    checkVibration: false
+  },
+  trafficable: {
+    label: "Trafficable roof terrace",
+    imposedLoad: 1.5,
+    superimposedDeadLoad: 1.5,
+    psiShort: 0.7,
+    psiLong: 0.4,
+    checkVibration: true
+  },
+  green: {
+    label: "Green roof",
+    imposedLoad: 1.5,
+    superimposedDeadLoad: 3.0,
+    psiShort: 0.7,
+    psiLong: 0.4,
+    checkVibration: true
+  }
+};
+
+/**
+ * Default roof: off, so the top floor is the highest level as before
+ */
+export const DEFAULT_ROOF = {
+  enabled: false,
+  type: "nonTrafficable"
+};
+
+/**
+ * Get a roof preset, falling back to a non-trafficable roof for unknown keys
+ * @param {string} type - Roof key in ROOF_PRESETS
+ * @returns {Object} The roof preset
+ */
+export function getRoofPreset(type) {
+  if (!ROOF_PRESETS[type]) {
+    console.warn(`Unknown roof type "${type}", using nonTrafficable`);
+    return ROOF_PRESETS.nonTrafficable;
+  }
+  return ROOF_PRESETS[type];
+}
+
+/**
+ * Resolve the floor stack from the building-wide inputs and the overrides of each level
+ * Levels count up from 1 at the lowest suspended floor; the height of a level is the
+ * floor-to-floor height of the storey below it. The roof, when enabled, is the level
+ * above the top floor and takes its loads from ROOF_PRESETS.
+ *
+ * @param {Object} params - Stack inputs
+ * @param {number} params.numFloors - Number of floors below the roof
+ * @param {Object} params.defaults - Building-wide { occupancy, imposedLoad, permanentLoad, superimposedDeadLoad, height, fireRating, floorBuildUp }
+ * @param {Object} params.levels - Overrides of any of the defaults keyed by level number
+ * @param {Object} params.roof - Roof { enabled, type } and overrides of imposedLoad, superimposedDeadLoad, height, fireRating and floorBuildUp
+ * @returns {Array<Object>} Levels from the bottom up with their floor loads, height, fire rating and build-up
+ */
+export function resolveFloorStack({ numFloors, defaults, levels = {}, roof = DEFAULT_ROOF }) {
+  const stack = Array.from({ length: numFloors }, (_, index) => {
+    const level = index + 1;
+    const inputs = { ...defaults, ...(levels[level] || {}) };
+    return {
+      level,
+      name: `Level ${level}`,
+      isRoof: false,
+      occupancy: inputs.occupancy,
+      height: inputs.height,
+      fireRating: inputs.fireRating,
+      floorBuildUp: inputs.floorBuildUp || DEFAULT_FLOOR_BUILD_UP,
+      checkVibration: true,
+      customised: Boolean(levels[level] && Object.keys(levels[level]).length > 0),
+      ...createFloorLoads(inputs)
+    };
+  });
+
+  if (roof && roof.enabled) {
+    const preset = getRoofPreset(roof.type);
+    const permanentLoad = roof.permanentLoad ?? defaults.permanentLoad ?? 0;
+    const superimposedDeadLoad = roof.superimposedDeadLoad ?? preset.superimposedDeadLoad;
+    stack.push({
+      level: numFloors + 1,
+      name: "Roof",
+      isRoof: true,
+      roofType: roof.type,
+      height: roof.height || defaults.height,
+      fireRating: roof.fireRating || defaults.fireRating,
+      floorBuildUp: roof.floorBuildUp || DEFAULT_FLOOR_BUILD_UP,
+      checkVibration: preset.checkVibration,
+      customised: true,
+      permanentLoad,
+      superimposedDeadLoad,
+      imposedLoad: roof.imposedLoad ?? preset.imposedLoad,
+      deadLoad: permanentLoad + superimposedDeadLoad,
+      psiShort: preset.psiShort,
+      psiLong: preset.psiLong
+    });
+  }
+
+  return stack;
+}
+
+/**
+ * Get the overrides that reset a level to an occupancy, with its preset loads
+ * @param {string} occupancy - Occupancy key in OCCUPANCY_PRESETS
+ * @returns {Object} Level overrides { occupancy, imposedLoad, superimposedDeadLoad }
+ */
+export function getOccupancyOverrides(occupancy) {
+  const preset = getOccupancyPreset(occupancy);
+  return {
+    occupancy,
+    imposedLoad: preset.imposedLoad,
+    superimposedDeadLoad: preset.superimposedDeadLoad
+  };
+}
+
+/**
+ * Convert the floor stack into the per-level inputs of designStructure
+ * The build-up of each level is carried as dead load by every member of the level.
+ *
+ * @param {Array<Object>} stack - Levels from resolveFloorStack
+ * @param {Object} vibrationCriteria - Floor vibration acceptance criteria for levels that are checked
+ * @returns {Array<Object>} Level inputs from the bottom up { load, floorDeadLoad, fireRating, floorHeight, joistOptions, beamOptions }
+ */
+export function getLevelDesignInputs(stack, vibrationCriteria) {
+  return stack.map(level => ({
+    load: level.imposedLoad,
+    floorDeadLoad: level.deadLoad + calculateBuildUpLoad(level.floorBuildUp),
+    fireRating: level.fireRating,
+    floorHeight: level.height,
+    joistOptions: {
+      psiShort: level.psiShort,
+      psiLong: level.psiLong,
+      vibrationCriteria: level.checkVibration ? vibrationCriteria : null,
+      floorBuildUp: level.floorBuildUp
+    },
+    beamOptions: {
+      psiShort: level.psiShort,
+      psiLong: level.psiLong
+    }
+  }));
+}
@@ -0,0 +1,105 @@
+// Utility functions for footfall vibration of timber joist floors
+
+/**
+ * Default acceptance criteria for residential and office floors
+ * The frequency limit keeps the floor above the harmonics of walking; the 1 kN
+ * point load deflection limits the response to individual footsteps
+ */
+export const DEFAULT_VIBRATION_CRITERIA = {
+  minFrequency: 8.0,      // Hz
+  maxPointDeflection: 1.5, // mm under a 1 kN point load
+  pointLoad: 1.0          // kN
+};
+
+/**
+ * Create a vibration check entry in the same shape as the member design checks
+ * @param {string} label - Display label
+ * @param {number} demand - Calculated value
+ * @param {number} capacity - Acceptance limit
+ * @param {string} unit - Unit of demand and capacity
+ * @param {boolean} isMinimum - Whether the limit is a minimum (utilisation = limit / value)
+ * @returns {Object} Check entry with utilisation ratio
+ */
+function createVibrationCheck(label, demand, capacity, unit, isMinimum = false) {
+  let utilisation;
+  if (isMinimum) {
+    utilisation = demand > 0 ? capacity / demand : Infinity;
+  } else {
+    utilisation = capacity > 0 ? demand / capacity : Infinity;
+  }
+  return {
+    label,
+    demand,
+    capacity,
+    unit,
+    combination: null,
+    utilisation,
+    passes: utilisation <= 1.0
+  };
+}
+
+/**
+ * Calculate the fundamental frequency of a simply supported floor
+ * f1 = (π / 2L²) √(EI / m)
+ * @param {number} span - Span in meters
+ * @param {number} bendingStiffness - Floor bending stiffness in the span direction in N·m² per meter width
+ * @param {number} mass - Floor mass in kg/m²
+ * @returns {number} Fundamental frequency in Hz
+ */
+export function calculateFundamentalFrequency(span, bendingStiffness, mass) {
+  if (span <= 0 || mass <= 0) {
+    console.warn('Cannot calculate the fundamental frequency without a span and mass');
+    return 0;
+  }
+  return (Math.PI / (2 * Math.pow(span, 2))) * Math.sqrt(bendingStiffness / mass);
+}
+
+/**
+ * Calculate the midspan deflection of one joist under a point load
+ * The load is conservatively taken by a single joist without sharing to its neighbours
+ * @param {number} span - Span in meters
+ * @param {number} joistStiffness - Joist bending stiffness EI in N·mm²
+ * @param {number} pointLoad - Point load in kN
+ * @returns {number} Deflection in mm
+ */
+export function calculatePointLoadDeflection(span, joistStiffness, pointLoad = DEFAULT_VIBRATION_CRITERIA.pointLoad) {
+  const spanMm = span * 1000;
+  return (pointLoad * 1000 * Math.pow(spanMm, 3)) / (48 * joistStiffness);
+}
+
+/**
+ * Check the footfall vibration of a joist floor
+ * Uses the gross joist section (or the composite stiffness with a topping), the mean
+ * modulus of elasticity and the mass of the permanent loads, as vibration is a
+ * serviceability response of the floor in use.
+ * @param {Object} params - Floor parameters
+ * @param {number} params.span - Joist span in meters
+ * @param {number} params.spacing - Joist spacing in mm
+ * @param {number} params.width - Joist width in mm
+ * @param {number} params.depth - Joist depth in mm
+ * @param {number} params.modulusOfElasticity - Mean modulus of elasticity in MPa
+ * @param {number} params.permanentLoad - Permanent floor load in kPa including the joist self-weight
+ * @param {Object} params.criteria - Acceptance criteria, defaults to DEFAULT_VIBRATION_CRITERIA
+ * @param {number|null} params.bendingStiffness - Effective joist EI in N·mm², e.g. with a composite topping (defaults to the timber section)
+ * @returns {Object} Frequency, point load deflection, mass and the vibration checks
+ */
+export function checkFloorVibration({ span, spacing, width, depth, modulusOfElasticity, permanentLoad, criteria = DEFAULT_VIBRATION_CRITERIA, bendingStiffness = null }) {
+  const { minFrequency, maxPointDeflection, pointLoad } = { ...DEFAULT_VIBRATION_CRITERIA, ...criteria };
+
+  const joistStiffness = bendingStiffness || modulusOfElasticity * (width * Math.pow(depth, 3)) / 12; // N·mm²
+  const floorStiffness = (joistStiffness / 1e6) / (spacing / 1000); // N·m² per meter width
+  const mass = (permanentLoad * 1000) / 9.81; // kg/m²
+
+  const frequency = calculateFundamentalFrequency(span, floorStiffness, mass);
+  const pointDeflection = calculatePointLoadDeflection(span, joistStiffness, pointLoad);
+
+  return {
+    frequency,
+    pointDeflection,
+    mass,
+    checks: {
+      vibrationFrequency: createVibrationCheck('Fundamental frequency', frequency, minFrequency, 'Hz', true),
+      vibrationDeflection: createVibrationCheck(`${pointLoad} kN point load deflection`, pointDeflection, maxPointDeflection, 'mm')
+    }
+  };
+}
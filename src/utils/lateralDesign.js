@@ -0,0 +1,436 @@
+// Utility functions for the lateral system: braced bays and CLT shear walls placed on the grid
+
+import {
+  getDesignProperties,
+  calculateSectionProperties,
+  calculateCompressionStability,
+  selectCatalogueSection,
+  summariseChecks,
+  createCheck,
+  DESIGN_FACTORS,
+  LOAD_DURATION_FACTORS
+} from './timberEngineering';
+import { getGridLetter } from './structureDesign';
+
+/**
+ * Types of lateral element
+ */
+export const LATERAL_SYSTEMS = {
+  bracedBay: { label: "Braced bay (MASSLAM diagonal)" },
+  cltWall: { label: "CLT shear wall" }
+};
+
+/**
+ * CLT shear wall panels with their connections
+ * shearCapacity is the design capacity φ·Q of the base and floor connections (angle
+ * brackets with screws), holdDownCapacity the design tension capacity of the hold-down at
+ * each end; the stiffnesses are serviceability slip moduli.
+ */
+export const CLT_WALL_TYPES = {
+  clt120: {
+    label: "CLT 120mm (5-layer)",
+    thickness: 120,            // mm
+    shearCapacity: 25,         // kN/m
+    connectionStiffness: 2.0,  // kN/mm per m of wall
+    holdDownCapacity: 120,     // kN
+    holdDownStiffness: 15      // kN/mm
+  },
+  clt160: {
+    label: "CLT 160mm (5-layer)",
+    thickness: 160,
+    shearCapacity: 35,
+    connectionStiffness: 2.5,
+    holdDownCapacity: 180,
+    holdDownStiffness: 20
+  },
+  clt200: {
+    label: "CLT 200mm (7-layer)",
+    thickness: 200,
+    shearCapacity: 45,
+    connectionStiffness: 3.0,
+    holdDownCapacity: 250,
+    holdDownStiffness: 25
+  }
+};
+
+/**
+ * In-plane properties of CLT panels: the share of the thickness in layers running
+ * vertically, the effective in-plane shear modulus and the density
+ */
+const CLT_PANEL = {
+  verticalLayerRatio: 0.6,
+  shearModulus: 450, // MPa
+  density: 480       // kg/m³
+};
+
+/**
+ * Slip modulus of each end connection of a diagonal brace (slotted-in steel plates with dowels)
+ */
+export const BRACE_CONNECTION_STIFFNESS = 40; // kN/mm
+
+/**
+ * Inter-storey drift limit under serviceability lateral load, as storey height / limit
+ */
+export const DRIFT_LIMIT = 500;
+
+/**
+ * List the grid segments lateral elements can be placed on
+ * Segments on the numbered grid lines run lengthwise (e.g. 1/A-B) and resist lengthwise
+ * forces; segments on the lettered grid lines run widthwise (e.g. A/1-2).
+ *
+ * @param {Array<number>} lengthwiseBayWidths - Bay widths along the building length in meters
+ * @param {Array<number>} widthwiseBayWidths - Bay widths across the building width in meters
+ * @returns {Array<Object>} Segments with their reference, direction, length and end coordinates in meters
+ */
+export function getGridSegments(lengthwiseBayWidths, widthwiseBayWidths) {
+  const offsets = (widths) => widths.reduce((positions, width) => [...positions, positions[positions.length - 1] + width], [0]);
+  const xs = offsets(lengthwiseBayWidths);
+  const ys = offsets(widthwiseBayWidths);
+  const segments = [];
+
+  ys.forEach((y, row) => {
+    lengthwiseBayWidths.forEach((length, col) => {
+      segments.push({
+        ref: `${row + 1}/${getGridLetter(col)}-${getGridLetter(col + 1)}`,
+        direction: "lengthwise",
+        length,
+        start: { x: xs[col], y },
+        end: { x: xs[col + 1], y }
+      });
+    });
+  });
+  xs.forEach((x, col) => {
+    widthwiseBayWidths.forEach((length, row) => {
+      segments.push({
+        ref: `${getGridLetter(col)}/${row + 1}-${row + 2}`,
+        direction: "widthwise",
+        length,
+        start: { x, y: ys[row] },
+        end: { x, y: ys[row + 1] }
+      });
+    });
+  });
+
+  return segments;
+}
+
+/**
+ * Create a lateral element with defaults for its type
+ *
+ * @param {Object} element - Element details
+ * @param {string} element.id - Unique id, e.g. "W1"
+ * @param {string} element.type - Key in LATERAL_SYSTEMS
+ * @param {string} element.segment - Grid segment reference from getGridSegments, e.g. "1/A-B"
+ * @param {string} element.wallType - Key in CLT_WALL_TYPES for CLT shear walls
+ * @returns {Object} The lateral element
+ */
+export function createLateralElement({ id, type = "bracedBay", segment = "1/A-B", wallType = "clt120" }) {
+  if (!LATERAL_SYSTEMS[type]) {
+    console.warn(`Unknown lateral element type "${type}", using a braced bay`);
+    type = "bracedBay";
+  }
+  return {
+    id,
+    type,
+    segment,
+    wallType: CLT_WALL_TYPES[wallType] ? wallType : "clt120"
+  };
+}
+
+/**
+ * Design the diagonal of a braced bay in one storey
+ * A single MASSLAM diagonal takes the storey shear of the bay in tension or compression as
+ * the load reverses; compression over the full diagonal length governs. The lightest
+ * column catalogue section that passes is selected.
+ *
+ * @param {Object} params - Brace parameters
+ * @param {number} params.length - Bay length along the grid line in meters
+ * @param {number} params.height - Storey height in meters
+ * @param {number} params.shear - Design storey shear on the bay in kN
+ * @param {string} params.timberGrade - Timber grade key in TIMBER_PROPERTIES
+ * @param {string} params.action - Label of the lateral action, e.g. "Wu"
+ * @param {Object} params.designFactors - Modification factors from getDesignFactors, for k4
+ * @returns {Object} Brace size, axial force, checks and horizontal stiffness in kN/mm
+ */
+export function designBrace({ length, height, shear, timberGrade, action = "Wu", designFactors = DESIGN_FACTORS }) {
+  const properties = getDesignProperties(timberGrade);
+  const diagonal = Math.sqrt(Math.pow(length, 2) + Math.pow(height, 2)); // m
+  const cosine = length / diagonal;
+  const axialForce = shear / cosine; // kN
+  const { phi, k4, k6 } = designFactors;
+  const k1 = LOAD_DURATION_FACTORS.fiveSeconds;
+
+  const design = selectCatalogueSection("column", 0, (size) => {
+    const section = calculateSectionProperties(size.width, size.depth);
+    const { k12x, k12y } = calculateCompressionStability(size.width, size.depth, diagonal * 1000, properties);
+    const compressionCapacity = phi * k1 * k4 * k6 * Math.min(k12x, k12y) * properties.compressiveStrength * section.area / 1e3; // kN
+    const tensionCapacity = phi * k1 * k4 * k6 * properties.tensileStrength * section.area / 1e3; // kN
+    return {
+      stiffness: calculateBraceStiffness(size, length, height, properties),
+      checks: {
+        compression: createCheck("Brace compression", axialForce, compressionCapacity, "kN", action),
+        tension: createCheck("Brace tension", axialForce, tensionCapacity, "kN", action)
+      }
+    };
+  });
+
+  if (!design) {
+    return { width: 0, depth: 0, axialForce, stiffness: 0, checks: {}, utilisation: null, governingCheck: null, passes: false };
+  }
+
+  const { type, ...size } = design;
+  return { ...size, diagonal, axialForce };
+}
+
+/**
+ * Calculate the horizontal stiffness of a braced bay
+ * The axial stiffness of the diagonal in series with the slip of its two end connections,
+ * resolved horizontally.
+ *
+ * @param {Object} size - Brace section { width, depth } in mm
+ * @param {number} length - Bay length in meters
+ * @param {number} height - Storey height in meters
+ * @param {Object} properties - Design properties from getDesignProperties
+ * @returns {number} Horizontal stiffness in kN/mm
+ */
+export function calculateBraceStiffness(size, length, height, properties) {
+  const diagonal = Math.sqrt(Math.pow(length, 2) + Math.pow(height, 2)) * 1000; // mm
+  const cosine = (length * 1000) / diagonal;
+  const axialFlexibility = diagonal / (properties.modulusOfElasticity * size.width * size.depth) + 2 / (BRACE_CONNECTION_STIFFNESS * 1000); // mm/N
+  return (Math.pow(cosine, 2) / axialFlexibility) / 1000;
+}
+
+/**
+ * Calculate the horizontal stiffness of a CLT shear wall in one storey
+ * Panel bending and shear, slip of the shear connections and rocking on the hold-downs act in series.
+ *
+ * @param {Object} wallType - Wall type from CLT_WALL_TYPES
+ * @param {number} length - Wall length in meters
+ * @param {number} height - Storey height in meters
+ * @param {Object} properties - Design properties from getDesignProperties
+ * @returns {number} Horizontal stiffness in kN/mm
+ */
+export function calculateCltWallStiffness(wallType, length, height, properties) {
+  const lw = length * 1000; // mm
+  const h = height * 1000;  // mm
+  const t = wallType.thickness;
+  const I = CLT_PANEL.verticalLayerRatio * t * Math.pow(lw, 3) / 12;
+
+  const flexibility =
+    Math.pow(h, 3) / (3 * properties.modulusOfElasticity * I) +       // Panel bending
+    h / (CLT_PANEL.shearModulus * t * lw) +                            // Panel shear
+    1 / (wallType.connectionStiffness * length * 1000) +               // Connection slip
+    Math.pow(h / lw, 2) / (wallType.holdDownStiffness * 1000);         // Rocking on the hold-down
+  return (1 / flexibility) / 1000;
+}
+
+/**
+ * Check a CLT shear wall in one storey for connection shear and hold-down tension
+ * The hold-down resists the overturning moment less 0.9 times the restoring moment of the
+ * wall self-weight above the base of the storey.
+ *
+ * @param {Object} params - Wall parameters
+ * @param {Object} params.wallType - Wall type from CLT_WALL_TYPES
+ * @param {number} params.length - Wall length in meters
+ * @param {number} params.shear - Design storey shear on the wall in kN
+ * @param {number} params.overturningMoment - Design overturning moment at the base of the storey in kNm
+ * @param {number} params.heightAbove - Height of wall above the base of the storey in meters
+ * @param {string} params.action - Label of the lateral action, e.g. "Wu"
+ * @returns {Object} Hold-down tension and checks
+ */
+export function checkCltWall({ wallType, length, shear, overturningMoment, heightAbove, action = "Wu" }) {
+  const selfWeight = (wallType.thickness / 1000) * length * heightAbove * CLT_PANEL.density * 9.81 / 1000; // kN
+  const holdDownTension = Math.max(0, (overturningMoment - 0.9 * selfWeight * length / 2) / length);
+  return {
+    holdDownTension,
+    checks: {
+      shear: createCheck("Connection shear", shear / length, wallType.shearCapacity, "kN/m", action),
+      holdDown: createCheck("Hold-down tension", holdDownTension, wallType.holdDownCapacity, "kN", `0.9G + ${action}`)
+    }
+  };
+}
+
+/**
+ * Design the lateral system for storey shears in both directions
+ * Each storey is treated as a rigid diaphragm: the storey shear is shared between the
+ * elements resisting that direction in proportion to their stiffness, with the braces
+ * resized until the shares settle. Torsion from an eccentric layout is not included.
+ * Inter-storey drift is checked under the serviceability storey shears, amplified for
+ * earthquake by μ/Sp to estimate the inelastic drift.
+ *
+ * @param {Object} params - Lateral design inputs
+ * @param {Array<Object>} params.elements - Lateral elements from createLateralElement
+ * @param {Array<Object>} params.segments - Grid segments from getGridSegments
+ * @param {Array<number>} params.storeyHeights - Height in meters of the storey below each level from the bottom up
+ * @param {Object} params.ultimate - Design storey shears in kN from the bottom up, keyed by direction
+ * @param {Object} params.serviceability - Serviceability storey shears in kN from the bottom up, keyed by direction
+ * @param {string} params.timberGrade - Timber grade key in TIMBER_PROPERTIES
+ * @param {string} params.action - Label of the ultimate lateral action, e.g. "Wu"
+ * @param {string} params.serviceabilityAction - Label of the serviceability lateral action, e.g. "Ws"
+ * @param {number} params.driftLimit - Drift limit as storey height / limit
+ * @param {number} params.driftAmplification - Factor on the elastic drift
+ * @param {Object} params.designFactors - Modification factors from getDesignFactors, for k4 of the braces
+ * @returns {Object} Storey and element results in each direction, with the governing utilisation
+ */
+export function designLateralSystem({ elements = [], segments, storeyHeights, ultimate, serviceability, timberGrade, action = "Wu", serviceabilityAction = "Ws", driftLimit = DRIFT_LIMIT, driftAmplification = 1, designFactors = DESIGN_FACTORS }) {
+  const properties = getDesignProperties(timberGrade);
+  const elevations = storeyHeights.map((_, index) => storeyHeights.slice(0, index + 1).reduce((sum, h) => sum + h, 0));
+  const buildingHeight = elevations[elevations.length - 1] || 0;
+
+  const directions = {};
+  Object.keys(ultimate).forEach(direction => {
+    const placed = elements
+      .map(element => ({ element, segment: segments.find(segment => segment.ref === element.segment) }))
+      .filter(({ element, segment }) => {
+        if (!segment) {
+          console.warn(`Lateral element ${element.id} is on ${element.segment}, which is not on the grid`);
+        }
+        return segment && segment.direction === direction;
+      });
+
+    const designStorey = (index, shares) => placed.map(({ element, segment }, elementIndex) => {
+      const height = storeyHeights[index];
+      const shear = ultimate[direction][index] * shares[elementIndex];
+      if (element.type === "cltWall") {
+        const wallType = CLT_WALL_TYPES[element.wallType];
+        return { shear, stiffness: calculateCltWallStiffness(wallType, segment.length, height, properties), wallType };
+      }
+      return { shear, ...designBrace({ length: segment.length, height, shear, timberGrade, action, designFactors }) };
+    });
+
+    const storeys = storeyHeights.map((height, index) => {
+      // Equal shares to start, then shares by stiffness of the designed elements
+      let shares = placed.map(() => 1 / Math.max(placed.length, 1));
+      let designs = designStorey(index, shares);
+      for (let iteration = 0; iteration < 2 && placed.length > 1; iteration++) {
+        const totalStiffness = designs.reduce((sum, design) => sum + design.stiffness, 0);
+        shares = designs.map(design => (totalStiffness > 0 ? design.stiffness / totalStiffness : 1 / placed.length));
+        designs = designStorey(index, shares);
+      }
+
+      const stiffness = designs.reduce((sum, design) => sum + design.stiffness, 0); // kN/mm
+      const drift = stiffness > 0 ? driftAmplification * serviceability[direction][index] / stiffness : Infinity; // mm
+      const driftCheck = createCheck("Inter-storey drift", drift, (height * 1000) / driftLimit, "mm", serviceabilityAction);
+      return {
+        level: index + 1,
+        height,
+        shear: ultimate[direction][index],
+        serviceShear: serviceability[direction][index],
+        stiffness,
+        drift,
+        driftCheck,
+        shares,
+        designs
+      };
+    });
+
+    // Overturning of each element at the base of each storey from its share of the level forces above
+    const elementResults = placed.map(({ element, segment }, elementIndex) => {
+      const levelForces = storeys.map((storey, index) => {
+        const above = index < storeys.length - 1 ? storeys[index + 1].designs[elementIndex].shear : 0;
+        return storey.designs[elementIndex].shear - above;
+      });
+
+      const elementStoreys = storeys.map((storey, index) => {
+        const design = storey.designs[elementIndex];
+        const base = index > 0 ? elevations[index - 1] : 0;
+        const overturningMoment = levelForces.slice(index).reduce((sum, force, offset) => sum + force * (elevations[index + offset] - base), 0);
+
+        if (element.type === "cltWall") {
+          const wall = checkCltWall({
+            wallType: design.wallType,
+            length: segment.length,
+            shear: design.shear,
+            overturningMoment,
+            heightAbove: buildingHeight - base,
+            action
+          });
+          return { level: storey.level, shear: design.shear, share: storey.shares[elementIndex], stiffness: design.stiffness, overturningMoment, ...wall, ...summariseChecks(wall.checks) };
+        }
+
+        return {
+          level: storey.level,
+          share: storey.shares[elementIndex],
+          overturningMoment,
+          // Overturning adds tension and compression to the columns either side of the bay
+          columnForce: overturningMoment / segment.length,
+          ...design
+        };
+      });
+
+      const governing = elementStoreys.reduce((worst, storey) => ((storey.utilisation || 0) > (worst.utilisation || 0) ? storey : worst), elementStoreys[0]);
+      return {
+        id: element.id,
+        type: element.type,
+        segment: element.segment,
+        length: segment.length,
+        label: element.type === "cltWall" ? CLT_WALL_TYPES[element.wallType].label : LATERAL_SYSTEMS.bracedBay.label,
+        storeys: elementStoreys,
+        utilisation: governing ? governing.utilisation : null,
+        passes: elementStoreys.every(storey => storey.passes)
+      };
+    });
+
+    const hasElements = placed.length > 0;
+    const utilisation = hasElements
+      ? Math.max(...elementResults.map(element => element.utilisation || 0), ...storeys.map(storey => storey.driftCheck.utilisation))
+      : null;
+    directions[direction] = {
+      hasElements,
+      storeys: storeys.map(({ designs, ...storey }) => storey),
+      elements: elementResults,
+      utilisation,
+      passes: hasElements && utilisation <= 1.0
+    };
+
+    if (!hasElements) {
+      console.warn(`No lateral elements resist ${direction} ${action}`);
+    }
+  });
+
+  const utilisations = Object.values(directions).map(direction => direction.utilisation).filter(value => value !== null);
+  return {
+    action,
+    driftLimit,
+    directions,
+    utilisation: utilisations.length > 0 ? Math.max(...utilisations) : null,
+    passes: Object.values(directions).every(direction => direction.passes)
+  };
+}
+
+/**
+ * Find the lateral case that governs each direction and the building
+ * A direction without elements has no utilisation, so the case with the larger storey
+ * shear at the base governs it.
+ *
+ * @param {Object} cases - Results of designLateralSystem keyed by case, e.g. { wind, seismic }
+ * @param {Object} baseShears - Ultimate base shears in kN keyed by case, then by direction
+ * @returns {Object} Governing case with its utilisation in each direction, and overall
+ */
+export function findGoverningLateralCase(cases, baseShears) {
+  const entries = Object.entries(cases).filter(([, lateral]) => lateral);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const directions = {};
+  Object.keys(entries[0][1].directions).forEach(direction => {
+    const governing = entries.reduce((worst, [name, lateral]) => {
+      const utilisation = lateral.directions[direction]?.utilisation ?? null;
+      const baseShear = baseShears?.[name]?.[direction] || 0;
+      if (!worst) return { case: name, utilisation, baseShear };
+      const governs = utilisation !== null && worst.utilisation !== null
+        ? utilisation > worst.utilisation
+        : baseShear > worst.baseShear;
+      return governs ? { case: name, utilisation, baseShear } : worst;
+    }, null);
+    directions[direction] = governing;
+  });
+
+  const overall = Object.values(directions).reduce((worst, governing) => (
+    !worst || (governing.utilisation ?? 0) > (worst.utilisation ?? 0) ? governing : worst
+  ), null);
+
+
+  return { directions, case: overall.case, utilisation: overall.utilisation };
+}
@@ -0,0 +1,151 @@
+// Utility functions for AS/NZS 1170.0 load combinations
+
+/**
+ * Floor occupancy presets
+ * Imposed loads from AS/NZS 1170.1 Table 3.1, combination factors from AS/NZS 1170.0 Table 4.1
+ * and typical superimposed dead loads (finishes, services and partitions)
+ */
+export const OCCUPANCY_PRESETS = {
+  residential: {
+    label: "Residential",
+    imposedLoad: 1.5,          // kPa
+    superimposedDeadLoad: 1.0, // kPa
+    psiShort: 0.7,
+    psiLong: 0.4
+  },
+  office: {
+    label: "Office",
+    imposedLoad: 3.0,
+    superimposedDeadLoad: 1.0,
+    psiShort: 0.7,
+    psiLong: 0.4
+  },
+  retail: {
+    label: "Retail",
+    imposedLoad: 4.0,
+    superimposedDeadLoad: 1.0,
+    psiShort: 0.7,
+    psiLong: 0.4
+  },
+  assembly: {
+    label: "Assembly (fixed seating)",
+    imposedLoad: 4.0,
+    superimposedDeadLoad: 0.5,
+    psiShort: 0.7,
+    psiLong: 0.4
+  },
+  carpark: {
+    label: "Car park",
+    imposedLoad: 2.5,
+    superimposedDeadLoad: 0.5,
+    psiShort: 0.7,
+    psiLong: 0.4
+  },
+  storage: {
+    label: "Storage",
+    imposedLoad: 5.0,
+    superimposedDeadLoad: 0.5,
+    psiShort: 1.0,
+    psiLong: 0.6
+  }
+};
+
+export const DEFAULT_OCCUPANCY = "residential";
+
+/**
+ * Strength limit state combinations (AS/NZS 1170.0 clause 4.2.2)
+ * The load duration of each combination selects the k1 factor in AS 1720.1
+ */
+export const STRENGTH_COMBINATIONS = [
+  { id: "1.35G", label: "1.35G", dead: 1.35, live: 0, duration: "permanent" },
+  { id: "1.2G+1.5Q", label: "1.2G + 1.5Q", dead: 1.2, live: 1.5, duration: "fiveMonths" }
+];
+
+/**
+ * Strength combinations with the load duration of the imposed action
+ * Combinations with imposed load take its duration, e.g. permanent for storage floors;
+ * the permanent-only combination keeps its own.
+ * @param {string} imposedDuration - Load duration key of the imposed action, as in STRENGTH_COMBINATIONS
+ * @returns {Array<Object>} Strength combinations
+ */
+export function getStrengthCombinations(imposedDuration) {
+  if (!imposedDuration) {
+    return STRENGTH_COMBINATIONS;
+  }
+  return STRENGTH_COMBINATIONS.map(combination => (
+    combination.live > 0 ? { ...combination, duration: imposedDuration } : combination
+  ));
+}
+
+/**
+ * Get an occupancy preset, falling back to residential for unknown keys
+ * @param {string} occupancy - Occupancy key in OCCUPANCY_PRESETS
+ * @returns {Object} The occupancy preset
+ */
+export function getOccupancyPreset(occupancy) {
+  if (!OCCUPANCY_PRESETS[occupancy]) {
+    console.warn(`Unknown occupancy "${occupancy}", using ${DEFAULT_OCCUPANCY}`);
+    return OCCUPANCY_PRESETS[DEFAULT_OCCUPANCY];
+  }
+  return OCCUPANCY_PRESETS[occupancy];
+}
+
+/**
+ * Serviceability combinations (AS/NZS 1170.0 clause 4.3)
+ * The long-term combination is the quasi-permanent load that causes creep
+ * @param {number} psiShort - Short-term combination factor ψs
+ * @param {number} psiLong - Long-term combination factor ψl
+ * @returns {Array<Object>} Short-term and long-term combinations
+ */
+export function getServiceabilityCombinations(psiShort = 0.7, psiLong = 0.4) {
+  return [
+    { id: "G+psiSQ", label: `G + ${psiShort}Q`, dead: 1.0, live: psiShort, duration: "shortTerm" },
+    { id: "G+psiLQ", label: `G + ${psiLong}Q`, dead: 1.0, live: psiLong, duration: "longTerm" }
+  ];
+}
+
+/**
+ * Fire limit state combination (AS/NZS 1170.0 clause 4.2.4)
+ * The permanent load with the long-term part of the imposed load acts during the fire.
+ * @param {number} psiLong - Long-term combination factor ψl
+ * @returns {Object} The fire combination
+ */
+export function getFireCombination(psiLong = 0.4) {
+  return { id: "G+psiLQ-fire", label: `G + ${psiLong}Q (fire)`, dead: 1.0, live: psiLong, duration: "fire" };
+}
+
+/**
+ * Combine permanent and imposed actions
+ * @param {Object} combination - Combination from STRENGTH_COMBINATIONS or getServiceabilityCombinations
+ * @param {number} dead - Permanent action G
+ * @param {number} live - Imposed action Q
+ * @returns {number} The combined action in the units of G and Q
+ */
+export function combineActions(combination, dead, live) {
+  return combination.dead * dead + combination.live * live;
+}
+
+/**
+ * Build the floor loads from the separate load inputs
+ * @param {Object} inputs - Load inputs
+ * @param {string} inputs.occupancy - Occupancy key in OCCUPANCY_PRESETS
+ * @param {number} inputs.permanentLoad - Additional permanent load G in kPa, excluding timber self-weight
+ * @param {number} inputs.superimposedDeadLoad - Superimposed dead load in kPa
+ * @param {number} inputs.imposedLoad - Imposed load Q in kPa
+ * @returns {Object} Floor loads with the total permanent load and combination factors
+ */
+export function createFloorLoads({ occupancy = DEFAULT_OCCUPANCY, permanentLoad = 0, superimposedDeadLoad = 0, imposedLoad }) {
+  const preset = getOccupancyPreset(occupancy);
+  const imposed = imposedLoad ?? preset.imposedLoad;
+
+  return {
+    occupancy,
+    permanentLoad,
+    superimposedDeadLoad,
+    imposedLoad: imposed,
+    // Both are permanent actions; timber self-weight is added per member
+    deadLoad: permanentLoad + superimposedDeadLoad,
+    psiShort: preset.psiShort,
+    psiLong: preset.psiLong
+  };
+}
@@ -12,6 +12,20 @@ export const CHARRING_RATES = {
   masslam_sl33: 0.7, // MASSLAM SL33 (from mechanical properties CSV)
 };
 
+/**
+ * Charring models (EN 1995-1-2 clause 3.4)
+ * The charring rates above are notional rates βn, which include the effect of corner rounding
+ * and fissures, so the residual section stays rectangular. The one-dimensional rate β0 is
+ * lower (0.65 against 0.7 mm/min for glulam and LVL in Table 3.1) and the corners of the
+ * residual section are rounded with a radius equal to the char depth.
+ */
+export const CHARRING_MODELS = {
+  notional: { label: "Notional (βn)", rateFactor: 1, cornerRounding: false },
+  oneDimensional: { label: "One-dimensional (β0)", rateFactor: 0.65 / 0.7, cornerRounding: true }
+};
+
+export const DEFAULT_CHARRING_MODEL = "notional";
+
 /**
  * Load the charring rate from the MASSLAM_SL33_Mechanical_Properties.csv file
  * @returns {Promise<number>} The charring rate in mm/min
@@ -49,7 +63,6 @@ export async function loadMasslamSL33CharringRate() {
       return CHARRING_RATES.masslam_sl33; // Return default value if value is invalid
     }
     
-    console.log(`Loaded MASSLAM SL33 charring rate from CSV: ${charringRate} mm/min`);
     
     // Update the default charring rate
     CHARRING_RATES.masslam_sl33 = charringRate;
@@ -61,24 +74,205 @@ export async function loadMasslamSL33CharringRate() {
   }
 }
 
+/**
+ * Faces of a member section, as drawn in elevation for joists and beams and in plan for columns
+ * top and bottom bound the depth, left and right bound the width
+ */
+export const FIRE_FACES = ["top", "bottom", "left", "right"];
+
+/**
+ * Zero-strength layer added to the char depth on each charring face (mm)
+ */
+export const ZERO_STRENGTH_LAYER = 7;
+
+/**
+ * Fire exposure of a face
+ * Exposed faces char from the start of the fire. Lined faces are protected by the
+ * plasterboard or encapsulation lining chosen for the project, see FIRE_LININGS. Shielded
+ * faces bear against a floor or wall of at least the same fire rating and do not char.
+ */
+export const FACE_EXPOSURES = {
+  exposed: { label: "Exposed", charring: true, lining: null },
+  plasterboard: { label: "Plasterboard", charring: true, lining: "plasterboard" },
+  encapsulated: { label: "Encapsulated", charring: true, lining: "encapsulation" },
+  shielded: { label: "Shielded", charring: false, lining: null }
+};
+
+/**
+ * Protective linings of fire-grade (Type F) plasterboard (EN 1995-1-2 clause 3.4.3)
+ * tch is the time to the start of charring behind the lining, from 2.8·hp − 14 with hp the
+ * outer layer plus half the inner layers; tf is the failure time of the lining, indicative of
+ * manufacturer fire tests. Between tch and tf the timber chars at protectedRateMultiplier (k2 =
+ * 1 − 0.018·hp) times the charring rate, and once the lining has fallen off at
+ * postProtectionRateMultiplier (k3 = 2) times it until the char depth reaches
+ * POST_PROTECTION_CHAR_LIMIT. Confirm tf against the board system used.
+ */
+export const FIRE_LININGS = {
+  fireGrade13x1: { label: "1 × 13mm fire-grade plasterboard", type: "plasterboard", board: "13mm fire-grade plasterboard", boardThickness: 13, layers: 1, tch: 22, tf: 30, protectedRateMultiplier: 0.77, postProtectionRateMultiplier: 2 },
+  fireGrade16x1: { label: "1 × 16mm fire-grade plasterboard", type: "plasterboard", board: "16mm fire-grade plasterboard", boardThickness: 16, layers: 1, tch: 30, tf: 45, protectedRateMultiplier: 0.71, postProtectionRateMultiplier: 2 },
+  fireGrade13x2: { label: "2 × 13mm fire-grade plasterboard", type: "encapsulation", board: "13mm fire-grade plasterboard", boardThickness: 13, layers: 2, tch: 40, tf: 60, protectedRateMultiplier: 0.65, postProtectionRateMultiplier: 2 },
+  fireGrade16x2: { label: "2 × 16mm fire-grade plasterboard", type: "encapsulation", board: "16mm fire-grade plasterboard", boardThickness: 16, layers: 2, tch: 53, tf: 80, protectedRateMultiplier: 0.57, postProtectionRateMultiplier: 2 },
+  fireGrade16x3: { label: "3 × 16mm fire-grade plasterboard", type: "encapsulation", board: "16mm fire-grade plasterboard", boardThickness: 16, layers: 3, tch: 75, tf: 120, protectedRateMultiplier: 0.42, postProtectionRateMultiplier: 2 }
+};
+
+/**
+ * Lining used on the plasterboard and encapsulated faces, keys in FIRE_LININGS
+ */
+export const DEFAULT_FIRE_LININGS = {
+  plasterboard: "fireGrade16x1",
+  encapsulated: "fireGrade16x2"
+};
+
+/**
+ * Char depth up to which a face chars at the post-protection rate after its lining fails (mm)
+ */
+export const POST_PROTECTION_CHAR_LIMIT = 25;
+
+/**
+ * Time step of the char depth calculation behind a lining (min)
+ */
+export const CHAR_TIME_STEP = 0.1;
+
+/**
+ * Get the linings of the project, falling back to the default lining of each exposure
+ * @param {Object} linings - Key in FIRE_LININGS for the plasterboard and encapsulated exposures
+ * @returns {Object} Key in FIRE_LININGS of each lined exposure
+ */
+export function normaliseFireLinings(linings = {}) {
+  return Object.entries(DEFAULT_FIRE_LININGS).reduce((selected, [exposure, fallback]) => {
+    const key = linings?.[exposure] || fallback;
+    if (!FIRE_LININGS[key]) {
+      console.warn(`Unknown fire lining "${key}" for ${exposure} faces, using ${fallback}`);
+    }
+    selected[exposure] = FIRE_LININGS[key] ? key : fallback;
+    return selected;
+  }, {});
+}
+
+/**
+ * Get the linings of one type, for choosing the lining of an exposure
+ * @param {string} type - "plasterboard" or "encapsulation"
+ * @returns {Array<Array>} Entries of [lining key, lining] in FIRE_LININGS
+ */
+export function getFireLiningOptions(type) {
+  return Object.entries(FIRE_LININGS).filter(([, lining]) => lining.type === type);
+}
+
+/**
+ * Calculate the char depth of a face after a period of fire
+ * An unprotected face chars at a constant rate. Behind a lining the charring rate is stepped
+ * through time: no charring before tch, k2 times the rate until the lining fails at tf, then
+ * k3 times the rate until the char depth reaches POST_PROTECTION_CHAR_LIMIT and the rate after.
+ * 
+ * @param {number} charringRate - Charring rate of the unprotected timber in mm/min
+ * @param {number} minutes - Fire resistance period in minutes
+ * @param {Object} lining - Lining from FIRE_LININGS, or null for an unprotected face
+ * @returns {number} Char depth in mm
+ */
+export function calculateCharDepth(charringRate, minutes, lining = null) {
+  if (!lining) {
+    return charringRate * Math.max(0, minutes);
+  }
+  
+  const { tch, tf, protectedRateMultiplier, postProtectionRateMultiplier } = lining;
+  const steps = Math.round(Math.max(0, minutes) / CHAR_TIME_STEP);
+  let charDepth = 0;
+  for (let step = 0; step < steps; step++) {
+    const time = (step + 0.5) * CHAR_TIME_STEP;
+    let rate = 0;
+    if (time >= tf) {
+      rate = charDepth < POST_PROTECTION_CHAR_LIMIT ? postProtectionRateMultiplier * charringRate : charringRate;
+    } else if (time >= tch) {
+      rate = protectedRateMultiplier * charringRate;
+    }
+    charDepth += rate * CHAR_TIME_STEP;
+  }
+  return charDepth;
+}
+
+/**
+ * Default exposure of each member kind
+ * Joists are shielded by the floor above and each other; their sides are covered by the minimum
+ * widths in FRL.csv. Beams have the floor on top, and columns are exposed all round.
+ */
+export const DEFAULT_MEMBER_EXPOSURES = {
+  joists: { top: "shielded", bottom: "exposed", left: "shielded", right: "shielded" },
+  beams: { top: "shielded", bottom: "exposed", left: "exposed", right: "exposed" },
+  columns: { top: "exposed", bottom: "exposed", left: "exposed", right: "exposed" }
+};
+
+/**
+ * Fill in the exposure of every face, treating missing or unknown faces as exposed
+ * @param {Object} exposure - Exposure key in FACE_EXPOSURES for each face in FIRE_FACES
+ * @returns {Object} Exposure key of each face
+ */
+export function normaliseFaceExposure(exposure = {}) {
+  return FIRE_FACES.reduce((faces, face) => {
+    const key = exposure?.[face] || "exposed";
+    if (!FACE_EXPOSURES[key]) {
+      console.warn(`Unknown fire exposure "${key}" on the ${face} face, treating it as exposed`);
+    }
+    faces[face] = FACE_EXPOSURES[key] ? key : "exposed";
+    return faces;
+  }, {});
+}
+
+/**
+ * Parse the structural adequacy period of a Fire Resistance Level
+ * @param {string} frl - Fire Resistance Level (e.g., "60/60/60") or "none"
+ * @returns {number} Period in minutes, 0 for none
+ */
+export function getFrlMinutes(frl) {
+  if (!frl || frl === 'none') {
+    return 0;
+  }
+  return parseInt(frl.split('/')[0]) || 0;
+}
+
+/**
+ * Calculate the char depth plus zero-strength layer on one face
+ * @param {number} charringRate - Charring rate in mm/min
+ * @param {number} minutes - Fire resistance period in minutes
+ * @param {string} exposure - Exposure key in FACE_EXPOSURES
+ * @param {Object} linings - Key in FIRE_LININGS of each lined exposure, see DEFAULT_FIRE_LININGS
+ * @returns {number} Depth lost from the face in mm, 0 if it does not char
+ */
+export function calculateFaceAllowance(charringRate, minutes, exposure = "exposed", linings = DEFAULT_FIRE_LININGS) {
+  const { charring, lining } = FACE_EXPOSURES[exposure] || FACE_EXPOSURES.exposed;
+  if (!charring) {
+    return 0;
+  }
+  const charDepth = calculateCharDepth(charringRate, minutes, lining ? FIRE_LININGS[normaliseFireLinings(linings)[exposure]] : null);
+  return charDepth > 0 ? charDepth + ZERO_STRENGTH_LAYER : 0;
+}
+
 /**
  * Calculate the fire resistance properties of a timber element
+ * Gives the residual section after charring face by face; by default all four faces are
+ * exposed. passes only means some section is left; checkFireLimitState in fireDesign.js
+ * checks its capacity under the fire load.
  * 
  * @param {number} charringRate - Charring rate in mm/min
  * @param {Object} dimensions - Element dimensions {width, depth} in mm
  * @param {number} requiredMinutes - Required fire resistance in minutes
+ * @param {Object} exposure - Exposure key in FACE_EXPOSURES for each face in FIRE_FACES
+ * @param {Object} linings - Key in FIRE_LININGS of each lined exposure, see DEFAULT_FIRE_LININGS
  * @returns {Object} Fire resistance properties
  */
-export function calculateFireResistance(charringRate, dimensions, requiredMinutes) {
-  // Calculate char depth based on charring rate and required minutes
-  const charDepth = charringRate * requiredMinutes;
+export function calculateFireResistance(charringRate, dimensions, requiredMinutes, exposure = {}, linings = DEFAULT_FIRE_LININGS) {
+  // Calculate char depth of an exposed face based on charring rate and required minutes
+  const charDepth = calculateCharDepth(charringRate, requiredMinutes);
   
-  // Calculate zero strength layer (additional 7mm beyond char layer)
-  const zeroStrengthLayer = 7;
+  // Char depth plus zero strength layer on each face
+  const faceExposure = normaliseFaceExposure(exposure);
+  const faceAllowances = FIRE_FACES.reduce((allowances, face) => {
+    allowances[face] = calculateFaceAllowance(charringRate, requiredMinutes, faceExposure[face], linings);
+    return allowances;
+  }, {});
   
   // Calculate effective dimensions after fire exposure
-  const effectiveWidth = Math.max(0, dimensions.width - (2 * charDepth) - (2 * zeroStrengthLayer));
-  const effectiveDepth = Math.max(0, dimensions.depth - (2 * charDepth) - (2 * zeroStrengthLayer));
+  const effectiveWidth = Math.max(0, dimensions.width - faceAllowances.left - faceAllowances.right);
+  const effectiveDepth = Math.max(0, dimensions.depth - faceAllowances.top - faceAllowances.bottom);
   
   // Calculate residual cross-section as percentage
   const originalArea = dimensions.width * dimensions.depth;
@@ -93,6 +287,8 @@ export function calculateFireResistance(charringRate, dimensions, requiredMinute
   
   return {
     charDepth,
+    faceExposure,
+    faceAllowances,
     effectiveWidth,
     effectiveDepth,
     residualPercentage,
@@ -109,26 +305,111 @@ export function calculateFireResistance(charringRate, dimensions, requiredMinute
  * @returns {number} Additional size needed in mm for each exposed face
  */
 export function calculateFireResistanceAllowance(frl, charringRate = CHARRING_RATES.masslam_sl33) {
-  // Parse FRL value (e.g., "60/60/60" -> 60)
-  let minutes = 0;
-  if (frl && frl !== 'none') {
-    minutes = parseInt(frl.split('/')[0]) || 0;
-  }
+  const minutes = getFrlMinutes(frl);
   
   // Calculate char depth based on charring rate and required minutes
-  const charDepth = charringRate * minutes;
-  
-  // Add zero strength layer (additional 7mm beyond char layer)
-  const zeroStrengthLayer = 7;
+  const charDepth = calculateCharDepth(charringRate, minutes);
   
-  // Total allowance per exposed face
-  const totalAllowance = charDepth + zeroStrengthLayer;
+  // Total allowance per exposed face, with the zero strength layer beyond the char layer
+  const totalAllowance = charDepth + ZERO_STRENGTH_LAYER;
   
-  console.log(`Fire resistance allowance for ${frl}: ${totalAllowance.toFixed(1)}mm per exposed face`);
   
   return totalAllowance;
 }
 
+/**
+ * Calculate the fire allowance on each face of a member
+ * 
+ * @param {string} frl - Fire Resistance Level (e.g., "60/60/60", "90/90/90")
+ * @param {number} charringRate - Charring rate in mm/min
+ * @param {Object} exposure - Exposure key in FACE_EXPOSURES for each face in FIRE_FACES
+ * @param {Object} linings - Key in FIRE_LININGS of each lined exposure, see DEFAULT_FIRE_LININGS
+ * @returns {Object} Allowance in mm on the top, bottom, left and right faces
+ */
+export function calculateFireAllowances(frl, charringRate = CHARRING_RATES.masslam_sl33, exposure = {}, linings = DEFAULT_FIRE_LININGS) {
+  const minutes = getFrlMinutes(frl);
+  if (minutes === 0) {
+    return { top: 0, bottom: 0, left: 0, right: 0 };
+  }
+  const faceExposure = normaliseFaceExposure(exposure);
+  const allowances = FIRE_FACES.reduce((faces, face) => {
+    faces[face] = calculateFaceAllowance(charringRate, minutes, faceExposure[face], linings);
+    return faces;
+  }, {});
+  
+  
+  return allowances;
+}
+
+/**
+ * Reduce a section by the fire allowance on each face
+ * @param {Object} dimensions - Section { width, depth } in mm
+ * @param {Object} allowances - Allowance in mm on each face, from calculateFireAllowances
+ * @returns {Object} Residual { width, depth } in mm, negative when charred through
+ */
+export function calculateResidualDimensions(dimensions, allowances = {}) {
+  const { top = 0, bottom = 0, left = 0, right = 0 } = allowances;
+  return {
+    width: dimensions.width - left - right,
+    depth: dimensions.depth - top - bottom
+  };
+}
+
+/**
+ * Calculate the timber saved by the linings of a section
+ * Each lined face would need the allowance of an exposed face without its lining; the unlined
+ * section is the section grown by the difference on each lined face, so it keeps the same
+ * residual section.
+ * 
+ * @param {number} charringRate - Charring rate in mm/min
+ * @param {Object} dimensions - Section { width, depth } in mm
+ * @param {number} minutes - Fire resistance period in minutes
+ * @param {Object} exposure - Exposure key in FACE_EXPOSURES for each face in FIRE_FACES
+ * @param {Object} linings - Key in FIRE_LININGS of each lined exposure, see DEFAULT_FIRE_LININGS
+ * @returns {Object} Depth saved on each face in mm, the unlined section and the area saved in mm² and as a percentage
+ */
+export function calculateLiningSavings(charringRate, dimensions, minutes, exposure = {}, linings = DEFAULT_FIRE_LININGS) {
+  const faceExposure = normaliseFaceExposure(exposure);
+  const faceSavings = FIRE_FACES.reduce((savings, face) => {
+    savings[face] = FACE_EXPOSURES[faceExposure[face]].lining
+      ? calculateFaceAllowance(charringRate, minutes, "exposed") - calculateFaceAllowance(charringRate, minutes, faceExposure[face], linings)
+      : 0;
+    return savings;
+  }, {});
+  
+  const unlined = {
+    width: dimensions.width + faceSavings.left + faceSavings.right,
+    depth: dimensions.depth + faceSavings.top + faceSavings.bottom
+  };
+  const area = dimensions.width * dimensions.depth;
+  const areaSaved = unlined.width * unlined.depth - area;
+  
+  return {
+    faceSavings,
+    unlined,
+    areaSaved,
+    percentSaved: unlined.width * unlined.depth > 0 ? (areaSaved / (unlined.width * unlined.depth)) * 100 : 0
+  };
+}
+
+/**
+ * Describe the charring faces of a member for display, e.g. "49.0mm bottom, left and right"
+ * @param {Object} allowances - Allowance in mm on each face, from calculateFireAllowances
+ * @returns {string} Allowance of each charring face, grouped by depth
+ */
+export function describeFireAllowances(allowances = {}) {
+  const groups = FIRE_FACES
+    .filter(face => allowances[face] > 0)
+    .reduce((grouped, face) => {
+      const key = allowances[face].toFixed(1);
+      grouped[key] = [...(grouped[key] || []), face];
+      return grouped;
+    }, {});
+  return Object.entries(groups)
+    .map(([depth, faces]) => `${depth}mm ${faces.length > 1 ? `${faces.slice(0, -1).join(', ')} and ${faces[faces.length - 1]}` : faces[0]}`)
+    .join('; ');
+}
+
 /**
  * MASSLAM product properties
  */
@@ -237,13 +518,46 @@ export function getMasslamProductProperties(productCode) {
 }
 
 /**
- * Load all mechanical properties from the MASSLAM_SL33_Mechanical_Properties.csv file
- * @returns {Promise<Object>} The mechanical properties
+ * MASSLAM grades that can be chosen for the members, each with its own mechanical properties CSV
+ * Product grades fall back to their MASSLAM_PRODUCTS values when the CSV cannot be loaded.
+ * Panel grades are used for floor and wall panels rather than for joists, beams and columns.
  */
-export async function loadMasslamSL33MechanicalProperties() {
+export const MASSLAM_GRADES = {
+  MASSLAM_SL33: { label: "MASSLAM SL33", product: null, panel: false, csv: "/data/MASSLAM_SL33_Mechanical_Properties.csv" },
+  MASSLAM_GL17: { label: "MASSLAM GL17", product: "GL17", panel: false, csv: "/data/MASSLAM_GL17_Mechanical_Properties.csv" },
+  MASSLAM_GL21: { label: "MASSLAM GL21", product: "GL21", panel: false, csv: "/data/MASSLAM_GL21_Mechanical_Properties.csv" },
+  MASSLAM_LVL14: { label: "MASSLAM LVL14", product: "LVL14", panel: false, csv: "/data/MASSLAM_LVL14_Mechanical_Properties.csv" },
+  MASSLAM_CLT90: { label: "MASSLAM CLT90", product: "CLT90", panel: true, csv: "/data/MASSLAM_CLT90_Mechanical_Properties.csv" }
+};
+
+/**
+ * Grade of each member kind; panels are the CLT floor panels
+ */
+export const DEFAULT_MEMBER_GRADES = {
+  joists: "MASSLAM_SL33",
+  beams: "MASSLAM_SL33",
+  columns: "MASSLAM_SL33",
+  panels: "MASSLAM_CLT90"
+};
+
+/**
+ * Get the grades that can be used for joists, beams and columns, or for panels
+ * @param {boolean} panel - Whether to get the panel grades
+ * @returns {Array<Array>} Entries of [grade key, grade] in MASSLAM_GRADES
+ */
+export function getMemberGradeOptions(panel = false) {
+  return Object.entries(MASSLAM_GRADES).filter(([, grade]) => grade.panel === panel);
+}
+
+/**
+ * Load all mechanical properties from a grade's properties CSV file
+ * @param {string} csvPath - Path of the CSV file under public
+ * @returns {Promise<Object|null>} The mechanical properties keyed by property name with their value and unit
+ */
+export async function loadMechanicalProperties(csvPath) {
   try {
     // Fetch the CSV file
-    const response = await fetch('/data/MASSLAM_SL33_Mechanical_Properties.csv');
+    const response = await fetch(csvPath);
     if (!response.ok) {
       console.error(`Failed to fetch CSV: ${response.status} ${response.statusText}`);
       return null; // Return null if fetch fails
@@ -280,14 +594,21 @@ export async function loadMasslamSL33MechanicalProperties() {
       };
     }
     
-    console.log('Loaded MASSLAM SL33 mechanical properties:', properties);
     return properties;
   } catch (error) {
-    console.error('Error loading MASSLAM SL33 mechanical properties:', error);
+    console.error(`Error loading mechanical properties from ${csvPath}:`, error);
     return null; // Return null if an error occurs
   }
 }
 
+/**
+ * Load all mechanical properties from the MASSLAM_SL33_Mechanical_Properties.csv file
+ * @returns {Promise<Object>} The mechanical properties
+ */
+export async function loadMasslamSL33MechanicalProperties() {
+  return loadMechanicalProperties(MASSLAM_GRADES.MASSLAM_SL33.csv);
+}
+
 // Create a singleton to store the loaded properties
 let MASSLAM_SL33_PROPERTIES = null;
 
@@ -334,7 +655,6 @@ export async function loadMinJoistWidthForFRL(frl) {
     if (frlDataCache) {
       const matchingEntry = frlDataCache.find(entry => entry.frl === frl);
       if (matchingEntry) {
-        console.log(`Using cached minimum joist width for FRL ${frl}: ${matchingEntry.minWidth}mm`);
         return matchingEntry.minWidth;
       }
     }
@@ -368,7 +688,6 @@ export async function loadMinJoistWidthForFRL(frl) {
     const matchingEntry = frlData.find(entry => entry.frl === frl);
     
     if (matchingEntry) {
-      console.log(`Loaded minimum joist width for FRL ${frl} from CSV: ${matchingEntry.minWidth}mm`);
       return matchingEntry.minWidth;
     }
     
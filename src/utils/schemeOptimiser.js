@@ -0,0 +1,146 @@
+// Utility functions to search structural schemes for the lowest cost, timber volume or embodied carbon
+
+import { designStructure, JOIST_SPACING_OPTIONS } from './structureDesign';
+import { calculateTimberWeight, calculateEmbodiedCarbon } from './timberEngineering';
+import { calculateCost } from './costEstimator';
+
+/**
+ * Measures a scheme can be ranked by, lowest first
+ */
+export const OPTIMISATION_OBJECTIVES = {
+  cost: { label: "Cost", metric: "cost" },
+  volume: { label: "Timber volume", metric: "volume" },
+  carbon: { label: "Embodied carbon", metric: "embodiedCarbon" }
+};
+
+export const DEFAULT_OPTIMISATION = { objective: "cost", topN: 5, varyBays: false };
+
+/**
+ * Additional bays tried in each direction beyond the fewest that keep within the maximum bay span
+ */
+const EXTRA_BAYS = 2;
+
+/**
+ * Get the bay counts to search along one building dimension
+ *
+ * @param {number} length - Building dimension in meters
+ * @param {number} maxBaySpan - Maximum bay span in meters
+ * @returns {Array<number>} Bay counts from the fewest allowed
+ */
+export function getBayCountOptions(length, maxBaySpan) {
+  const fewest = Math.max(1, Math.ceil(length / maxBaySpan));
+  return Array.from({ length: EXTRA_BAYS + 1 }, (_, index) => fewest + index);
+}
+
+/**
+ * Summarise the members of one kind by their largest section and highest utilisation
+ */
+function summariseMembers(members, governing) {
+  return {
+    width: governing?.width,
+    depth: governing?.depth,
+    layup: governing?.system === 'clt' ? governing.label : null,
+    utilisation: members.reduce((max, member) => Math.max(max, member.utilisation || 0), 0),
+    passes: members.every(member => member.passes !== false)
+  };
+}
+
+/**
+ * Design a single scheme and measure its volume, cost and embodied carbon
+ *
+ * @param {Object} config - Structure configuration for designStructure
+ * @param {Object} params - Building dimensions and the floor topping's embodied carbon
+ * @returns {Promise<Object>} The scheme with its member summary, volume, cost, carbon and pass flag
+ */
+export async function evaluateScheme(config, { buildingLength, buildingWidth, toppingCarbon = 0 }) {
+  const structure = await designStructure(config);
+  const timber = calculateTimberWeight(structure);
+  const cost = calculateCost(timber, structure.governing.joists, buildingLength, buildingWidth, config.numFloors);
+  const ofKind = (kind) => structure.members.filter(member => member.kind === kind);
+  const members = {
+    joists: summariseMembers(ofKind('joist'), structure.governing.joists),
+    beams: summariseMembers(ofKind('beam'), structure.governing.beams),
+    columns: summariseMembers(ofKind('column'), structure.governing.columns)
+  };
+
+  return {
+    id: `${config.joistsRunLengthwise ? 'L' : 'W'}-${config.floorSystem === 'clt' ? 'CLT' : config.joistSpacing}-${config.lengthwiseBayWidths.length}x${config.widthwiseBayWidths.length}`,
+    floorSystem: structure.floorSystem,
+    joistsRunLengthwise: config.joistsRunLengthwise,
+    joistSpacing: config.joistSpacing,
+    lengthwiseBays: config.lengthwiseBayWidths.length,
+    widthwiseBays: config.widthwiseBayWidths.length,
+    lengthwiseBayWidths: config.lengthwiseBayWidths,
+    widthwiseBayWidths: config.widthwiseBayWidths,
+    ...members,
+    volume: timber.totalVolume,
+    cost: cost.totalCost,
+    embodiedCarbon: calculateEmbodiedCarbon(timber, toppingCarbon),
+    passes: Object.values(members).every(member => member.passes)
+  };
+}
+
+/**
+ * Search joist direction, joist spacing and optionally the number of bays each way for the
+ * best schemes
+ * Every combination is designed in full with designStructure. When the bay counts are varied
+ * the bays are equal; otherwise the bay widths of the configuration are kept. CLT floors
+ * do not depend on the joist spacing, so only the current spacing is tried. Schemes whose
+ * members all pass rank ahead of failing ones, then by the objective, lowest first.
+ *
+ * @param {Object} params - Optimisation inputs
+ * @param {Object} params.config - Structure configuration for designStructure; direction, spacing and, when varied, bay widths are searched
+ * @param {number} params.buildingLength - Building length in meters
+ * @param {number} params.buildingWidth - Building width in meters
+ * @param {number} params.maxBaySpan - Maximum bay span in meters
+ * @param {number} params.toppingCarbon - Embodied carbon of the floor topping in tonnes CO2e
+ * @param {string} params.objective - Key in OPTIMISATION_OBJECTIVES
+ * @param {number} params.topN - Number of schemes to return
+ * @param {boolean} params.varyBays - Whether to search the number of bays in each direction
+ * @param {Array<number>} params.spacings - Joist spacings in mm to search
+ * @returns {Promise<Object>} Objective, number of schemes designed and the top schemes in rank order
+ */
+export async function optimiseScheme({
+  config,
+  buildingLength,
+  buildingWidth,
+  maxBaySpan,
+  toppingCarbon = 0,
+  objective = DEFAULT_OPTIMISATION.objective,
+  topN = DEFAULT_OPTIMISATION.topN,
+  varyBays = DEFAULT_OPTIMISATION.varyBays,
+  spacings = JOIST_SPACING_OPTIONS
+}) {
+  const { metric } = OPTIMISATION_OBJECTIVES[objective] || OPTIMISATION_OBJECTIVES[DEFAULT_OPTIMISATION.objective];
+  const equalBays = (length, count) => Array(count).fill(length / count);
+  const grids = varyBays
+    ? getBayCountOptions(buildingLength, maxBaySpan).flatMap(lengthwise => getBayCountOptions(buildingWidth, maxBaySpan).map(widthwise => ({
+      lengthwiseBayWidths: equalBays(buildingLength, lengthwise),
+      widthwiseBayWidths: equalBays(buildingWidth, widthwise)
+    })))
+    : [{ lengthwiseBayWidths: config.lengthwiseBayWidths, widthwiseBayWidths: config.widthwiseBayWidths }];
+
+  const schemes = [];
+  for (const grid of grids) {
+    for (const joistsRunLengthwise of [true, false]) {
+      for (const joistSpacing of config.floorSystem === 'clt' ? [config.joistSpacing] : spacings) {
+        try {
+          schemes.push(await evaluateScheme(
+            { ...config, ...grid, joistsRunLengthwise, joistSpacing },
+            { buildingLength, buildingWidth, toppingCarbon }
+          ));
+        } catch (error) {
+          console.warn(`Scheme with ${config.floorSystem === 'clt' ? 'panels' : 'joists'} ${joistsRunLengthwise ? 'lengthwise' : 'widthwise'} at ${joistSpacing}mm on a ${grid.lengthwiseBayWidths.length} × ${grid.widthwiseBayWidths.length} grid could not be designed:`, error.message);
+        }
+      }
+    }
+  }
+
+  const ranked = schemes.sort((a, b) => (a.passes === b.passes ? a[metric] - b[metric] : (a.passes ? -1 : 1)));
+
+  return {
+    objective,
+    evaluated: schemes.length,
+    schemes: ranked.slice(0, topN)
+  };
+}
@@ -0,0 +1,191 @@
+// Utility functions for AS 1170.4 earthquake actions by equivalent static analysis
+
+import { calculateTimberWeight } from './timberEngineering';
+import { calculateBuildUpLoad } from './floorBuildUp';
+
+/**
+ * Site sub-soil classes with the spectral shape factor Ch(T) (AS 1170.4 Table 6.4)
+ * Each class rises linearly to a plateau up to T = 0.1 s, then falls as 1/T to 1.5 s and
+ * as 1/T² beyond.
+ */
+export const SITE_SUBSOIL_CLASSES = {
+  Ae: { label: "Ae - strong rock", rise: [0.8, 15.5], plateau: 2.35, velocity: 0.704, displacement: 1.056 },
+  Be: { label: "Be - rock", rise: [1.0, 19.4], plateau: 2.94, velocity: 0.88, displacement: 1.32 },
+  Ce: { label: "Ce - shallow soil", rise: [1.3, 23.8], plateau: 3.68, velocity: 1.25, displacement: 1.874 },
+  De: { label: "De - deep or soft soil", rise: [1.1, 25.8], plateau: 3.68, velocity: 1.98, displacement: 2.97 },
+  Ee: { label: "Ee - very soft soil", rise: [1.1, 25.8], plateau: 3.68, velocity: 3.08, displacement: 4.62 }
+};
+
+/**
+ * Structural ductility factor μ and structural performance factor Sp of timber
+ * seismic-force-resisting systems (AS 1170.4 Table 6.5(B))
+ */
+export const DUCTILITY_PRESETS = {
+  shearWalls: { label: "Timber shear walls (μ = 3, Sp = 0.67)", ductility: 3, performance: 0.67 },
+  bracedFrames: { label: "Braced frames with ductile connections (μ = 2, Sp = 0.77)", ductility: 2, performance: 0.77 },
+  other: { label: "Other timber systems (μ = 1, Sp = 0.77)", ductility: 1, performance: 0.77 }
+};
+
+export const DEFAULT_SEISMIC = { hazardFactor: 0.08, siteClass: "Ce", ductilityPreset: "bracedFrames" };
+
+/**
+ * Probability factor kp for importance level 2 and a 50 year design life
+ * (annual probability of exceedance 1/500, AS 1170.4 Table 3.1)
+ */
+export const PROBABILITY_FACTOR = 1.0;
+
+/**
+ * Lower bound of kp·Z (AS 1170.4 Table 3.1)
+ */
+const MIN_HAZARD = 0.08;
+
+/**
+ * Period coefficient kt for structures other than concrete or steel moment frames and
+ * eccentrically braced steel frames (AS 1170.4 clause 6.2.3)
+ */
+const PERIOD_COEFFICIENT = 0.05;
+
+/**
+ * Limit on the design inter-storey drift as storey height / limit, i.e. 1.5% (AS 1170.4 clause 5.4.4)
+ */
+export const SEISMIC_DRIFT_LIMIT = 1 / 0.015;
+
+/**
+ * Earthquake combination factor ψE on the imposed load in the seismic weight
+ * (AS 1170.4 clause 6.2.2): 0.6 for storage, 0 for roofs and 0.3 for other floors
+ *
+ * @param {Object} level - Level from resolveFloorStack
+ * @returns {number} Combination factor
+ */
+export function getEarthquakeCombinationFactor(level) {
+  if (level.isRoof) return 0;
+  if (level.occupancy === "storage") return 0.6;
+  return 0.3;
+}
+
+/**
+ * Calculate the spectral shape factor Ch(T) for the site sub-soil class
+ *
+ * @param {string} siteClass - Key in SITE_SUBSOIL_CLASSES
+ * @param {number} period - Natural period in seconds
+ * @returns {number} Spectral shape factor
+ */
+export function calculateSpectralShape(siteClass, period) {
+  const soil = SITE_SUBSOIL_CLASSES[siteClass];
+  if (!soil) {
+    console.warn(`Unknown site sub-soil class "${siteClass}", using ${DEFAULT_SEISMIC.siteClass}`);
+    return calculateSpectralShape(DEFAULT_SEISMIC.siteClass, period);
+  }
+  if (period <= 0.1) return soil.rise[0] + soil.rise[1] * period;
+  if (period <= 1.5) return Math.min(soil.plateau, soil.velocity / period);
+  return soil.displacement / Math.pow(period, 2);
+}
+
+/**
+ * Estimate the fundamental natural period T1 = 1.25·kt·hn^0.75 (AS 1170.4 clause 6.2.3)
+ *
+ * @param {number} height - Height of the structure in meters
+ * @returns {number} Period in seconds
+ */
+export function calculateFundamentalPeriod(height) {
+  return 1.25 * PERIOD_COEFFICIENT * Math.pow(height, 0.75);
+}
+
+/**
+ * Calculate the seismic weight of each level Wi = Gi + ψE·Qi
+ * The timber weight of each level is that of its joists and beams plus half the columns of
+ * the storeys above and below it; the floor area carries the permanent, superimposed dead
+ * and build-up loads of the level. Applied loads on the bays are not included.
+ *
+ * @param {Object} params - Weight inputs
+ * @param {Array<Object>} params.members - Members from listStructureMembers, with their level
+ * @param {Array<Object>} params.floorStack - Levels from resolveFloorStack
+ * @param {number} params.floorArea - Floor area of each level in m²
+ * @param {string} params.timberGrade - Timber grade key in TIMBER_PROPERTIES
+ * @returns {Array<Object>} Timber, floor dead and imposed weights and the seismic weight of each level in kN, from the bottom up
+ */
+export function calculateSeismicWeights({ members, floorStack, floorArea, timberGrade }) {
+  const timberWeight = (filter) => calculateTimberWeight({ members: members.filter(filter) }, timberGrade).weight * 9.81 / 1000; // kN
+
+  return floorStack.map((level, index) => {
+    const isTop = index === floorStack.length - 1;
+    const floorTimber = timberWeight(member => member.kind !== "column" && member.level === level.level);
+    // Half the columns of the storey below, and of the storey above unless this is the top level
+    const columnTimber = timberWeight(member => member.kind === "column" && member.level === level.level) / 2 +
+      (isTop ? 0 : timberWeight(member => member.kind === "column" && member.level === level.level + 1) / 2);
+    const floorDead = (level.deadLoad + calculateBuildUpLoad(level.floorBuildUp)) * floorArea;
+    const combinationFactor = getEarthquakeCombinationFactor(level);
+    const imposed = combinationFactor * level.imposedLoad * floorArea;
+    const dead = floorTimber + columnTimber + floorDead;
+
+    return {
+      level: level.level,
+      timber: floorTimber + columnTimber,
+      floorDead,
+      combinationFactor,
+      imposed,
+      weight: dead + imposed
+    };
+  });
+}
+
+/**
+ * Calculate the earthquake force at each level and the shear in each storey
+ * V = kp·Z·Ch(T1)·Sp/μ·Wt (AS 1170.4 clause 6.2.1) is distributed up the height with
+ * Fi = Wi·hi^k / Σ Wj·hj^k·V, where k = 1 for T1 ≤ 0.5 s, 2 for T1 ≥ 2.5 s and linear
+ * between (clause 6.3). The same storey shears act in each direction.
+ *
+ * @param {Object} params - Seismic inputs
+ * @param {number} params.hazardFactor - Hazard design factor Z
+ * @param {string} params.siteClass - Key in SITE_SUBSOIL_CLASSES
+ * @param {string} params.ductilityPreset - Key in DUCTILITY_PRESETS
+ * @param {Array<Object>} params.weights - Seismic weights from calculateSeismicWeights
+ * @param {Array<number>} params.storeyHeights - Height in meters of the storey below each level from the bottom up
+ * @returns {Object} Period, base shear coefficient, level forces and storey shears (bottom up) in each direction
+ */
+export function calculateSeismicStoreyForces({ hazardFactor = DEFAULT_SEISMIC.hazardFactor, siteClass = DEFAULT_SEISMIC.siteClass, ductilityPreset = DEFAULT_SEISMIC.ductilityPreset, weights, storeyHeights }) {
+  const preset = DUCTILITY_PRESETS[ductilityPreset] || DUCTILITY_PRESETS[DEFAULT_SEISMIC.ductilityPreset];
+  const elevations = storeyHeights.map((_, index) => storeyHeights.slice(0, index + 1).reduce((sum, h) => sum + h, 0));
+  const height = elevations[elevations.length - 1] || 0;
+
+  const period = calculateFundamentalPeriod(height);
+  const spectralShape = calculateSpectralShape(siteClass, period);
+  const hazard = Math.max(PROBABILITY_FACTOR * hazardFactor, MIN_HAZARD);
+  const performanceRatio = preset.performance / preset.ductility;
+  const baseShearCoefficient = hazard * spectralShape * performanceRatio;
+  const seismicWeight = weights.reduce((sum, level) => sum + level.weight, 0);
+  const baseShear = baseShearCoefficient * seismicWeight;
+
+  const exponent = period <= 0.5 ? 1 : period >= 2.5 ? 2 : 1 + (period - 0.5) / 2;
+  const moments = weights.map((level, index) => level.weight * Math.pow(elevations[index], exponent));
+  const totalMoment = moments.reduce((sum, moment) => sum + moment, 0);
+
+  const levels = weights.map((level, index) => ({
+    level: level.level,
+    elevation: elevations[index],
+    weight: level.weight,
+    distributionFactor: totalMoment > 0 ? moments[index] / totalMoment : 0,
+    force: totalMoment > 0 ? baseShear * moments[index] / totalMoment : 0 // kN
+  }));
+  const storeyShears = levels.map((_, index) => levels.slice(index).reduce((sum, level) => sum + level.force, 0));
+
+
+  return {
+    hazardFactor,
+    siteClass,
+    ductilityPreset,
+    ductility: preset.ductility,
+    performance: preset.performance,
+    period,
+    spectralShape,
+    baseShearCoefficient,
+    seismicWeight,
+    height,
+    levels,
+    // Earthquake is considered separately in each direction with the same storey shears
+    directions: {
+      lengthwise: { storeyShears, baseShear },
+      widthwise: { storeyShears, baseShear }
+    }
+  };
+}
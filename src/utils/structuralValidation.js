@@ -0,0 +1,312 @@
+// Rule engine for validating a designed structure
+import { getMasslamSizes, validateMasslamSize } from './timberSizes';
+import { FIRE_FACES, DEFAULT_MEMBER_EXPOSURES, calculateResidualDimensions, describeFireAllowances } from './masslamProperties';
+
+/**
+ * Severity of a validation finding
+ */
+export const SEVERITY = {
+  error: "error",     // The structure does not work as designed
+  warning: "warning", // The structure works but needs a detail or review
+  info: "info"
+};
+
+/**
+ * Maximum member spans in meters, matching the bay span limit of the calculator
+ */
+export const SPAN_LIMITS = {
+  joist: 9.0,
+  beam: 9.0
+};
+
+/**
+ * Minimum bearing length of a joist on the top of a beam (mm)
+ */
+export const MIN_JOIST_BEARING_LENGTH = 45;
+
+/**
+ * Create a validation finding
+ * @param {Object} finding - Finding details
+ * @param {string} finding.ruleId - Id of the rule that raised the finding
+ * @param {string} finding.severity - One of SEVERITY
+ * @param {string} finding.member - Grid reference of the member the finding applies to ("A1", "1/A-B") or "structure"
+ * @param {string} finding.message - Description of the problem
+ * @param {string} finding.remediation - How to resolve the problem
+ * @returns {Object} The finding
+ */
+export function createFinding({ ruleId, severity, member, message, remediation }) {
+  return { ruleId, severity, member, message, remediation };
+}
+
+/**
+ * Fire residual section of each member, reduced on its charring faces
+ * Members without per-face allowances use the default exposure of their kind:
+ * joists the bottom face, beams the bottom and both sides, columns all four faces
+ * @param {Object} member - Member result with width, depth and fireAllowances or fireAllowance
+ * @param {string} type - "joists", "beams" or "columns"
+ * @returns {Object} Residual width and depth in mm
+ */
+function calculateResidualSection(member, type) {
+  const allowance = member.fireAllowance || 0;
+  const allowances = member.fireAllowances || Object.fromEntries(FIRE_FACES.map(face => (
+    [face, DEFAULT_MEMBER_EXPOSURES[type][face] === "shielded" ? 0 : allowance]
+  )));
+  return calculateResidualDimensions(member, allowances);
+}
+
+const MEMBER_TYPES = {
+  joists: "joist",
+  beams: "beam",
+  columns: "column"
+};
+
+const MEMBER_LABELS = {
+  joists: "Joist",
+  beams: "Beam",
+  columns: "Column"
+};
+
+/**
+ * Every designed member of the structure with its grid reference
+ * Bays give their typical joists and each individually designed joist under a point or line
+ * load, at the level where it is most utilised; CLT bays give their governing panel strip.
+ * @param {Object} structure - Structure context with bays, beams and columns
+ * @returns {Array<Object>} Members with type ("joists", "beams" or "columns"), ref, design and span in meters
+ */
+function listMembers({ bays = [], beams = [], columns = [] }) {
+  const loadedJoists = (bay) => {
+    const governing = new Map();
+    bay.levels.flatMap(level => level.loadedJoists || []).forEach(loaded => {
+      const current = governing.get(loaded.load);
+      if (!current || (loaded.joists.utilisation || 0) > (current.utilisation || 0)) {
+        governing.set(loaded.load, loaded.joists);
+      }
+    });
+    return [...governing.entries()].map(([load, design]) => ({ type: "joists", ref: `${bay.ref} (${load})`, design, span: bay.joistSpan, bay }));
+  };
+
+  return [
+    ...bays.flatMap(bay => [
+      { type: "joists", ref: bay.ref, design: bay.joists, span: bay.joistSpan, bay },
+      ...(bay.floorSystem === "clt" ? [] : loadedJoists(bay))
+    ]),
+    ...beams.map(beam => ({ type: "beams", ref: beam.ref, design: beam.beams, span: beam.span })),
+    ...columns.map(column => ({ type: "columns", ref: column.ref, design: column.columns }))
+  ].filter(member => member.design);
+}
+
+/**
+ * Column section of the storey below a level, for columns that step down the building
+ */
+const storeyOf = (column, level) => column.columns.storeys?.find(storey => storey.level === level) || column.columns;
+
+// Registered rules, run in order. Each rule receives the structure context and returns an array of findings
+const validationRules = [
+  {
+    id: "member-design-checks",
+    description: "Every member passes its AS 1720.1 design checks",
+    check: (structure) => listMembers(structure)
+      .filter(({ design }) => design.passes === false)
+      .map(({ type, ref, design }) => {
+        const governing = design.checks?.[design.governingCheck];
+        return createFinding({
+          ruleId: "member-design-checks",
+          severity: SEVERITY.error,
+          member: ref,
+          message: `${MEMBER_LABELS[type]} ${ref} ${design.width}x${design.depth}mm fails ${governing ? governing.label.toLowerCase() : "its design checks"} (utilisation ${((design.utilisation || 0) * 100).toFixed(0)}%)`,
+          remediation: "No catalogue section passes. Reduce the span by adding bays or reduce the applied loads."
+        });
+      })
+  },
+  {
+    id: "column-width-matches-beam",
+    description: "Column width matches the width of the beams it supports",
+    check: ({ beams = [], columns = [] }) => columns.flatMap(column => {
+      // Each beam framing into the column at each level, against the column storey below it
+      const pairs = (column.beamRefs || [])
+        .map(ref => beams.find(beam => beam.ref === ref))
+        .filter(Boolean)
+        .flatMap(beam => beam.levels.map(level => ({
+          beam: beam.ref,
+          beamWidth: level.beams.width,
+          columnWidth: storeyOf(column, level.level).width
+        })))
+        .filter(pair => pair.beamWidth && pair.columnWidth && pair.beamWidth !== pair.columnWidth);
+      if (pairs.length === 0) {
+        return [];
+      }
+
+      const narrower = pairs.filter(pair => pair.columnWidth < pair.beamWidth);
+      if (narrower.length > 0) {
+        const worst = narrower.reduce((most, pair) => (pair.beamWidth - pair.columnWidth > most.beamWidth - most.columnWidth ? pair : most));
+        return [createFinding({
+          ruleId: "column-width-matches-beam",
+          severity: SEVERITY.error,
+          member: column.ref,
+          message: `Column ${column.ref} width ${worst.columnWidth}mm is narrower than the ${worst.beamWidth}mm beam ${worst.beam} it supports`,
+          remediation: `Use a column at least ${worst.beamWidth}mm wide so the beam bears fully on the column head.`
+        })];
+      }
+      const [first] = pairs;
+      return [createFinding({
+        ruleId: "column-width-matches-beam",
+        severity: SEVERITY.warning,
+        member: column.ref,
+        message: `Column ${column.ref} width ${first.columnWidth}mm does not match the ${first.beamWidth}mm width of beam ${first.beam}`,
+        remediation: `Detail the beam-to-column connection for the ${first.columnWidth - first.beamWidth}mm offset, or select a ${first.columnWidth}mm wide beam.`
+      })];
+    })
+  },
+  {
+    id: "joist-bearing-length",
+    description: "Joists have enough bearing length on top of the beams",
+    // Built from the governing support of each joist in checkSupportBearings
+    check: ({ bearings }) => (bearings?.joists || [])
+      .filter(item => !item.check.passes || item.bearingLength < MIN_JOIST_BEARING_LENGTH)
+      .map(item => createFinding({
+        ruleId: "joist-bearing-length",
+        severity: SEVERITY.error,
+        member: item.ref,
+        message: item.check.passes
+          ? `Joist ${item.ref} bearing length on beam ${item.support} is ${item.bearingLength.toFixed(0)}mm, ${MIN_JOIST_BEARING_LENGTH}mm is required`
+          : `Joist ${item.ref} bearing on ${item.bearingLength.toFixed(0)}mm of beam ${item.support} is ${(item.check.utilisation * 100).toFixed(0)}% utilised`,
+        remediation: item.remedy
+          ? item.remedy.reason
+          : `Use a beam at least ${2 * MIN_JOIST_BEARING_LENGTH}mm wide, or support the joists on hangers fixed to the beam face.`
+      }))
+  },
+  {
+    id: "flush-beam-depth",
+    description: "Beams are deep enough for joists to connect flush with their top",
+    check: ({ bays = [], beams = [] }) => beams.flatMap(beam => {
+      // CLT panels bear on top of the beams rather than connecting flush
+      const deepest = (beam.bayRefs || [])
+        .map(ref => bays.find(bay => bay.ref === ref))
+        .filter(bay => bay && bay.floorSystem !== "clt")
+        .flatMap(bay => listMembers({ bays: [bay] }).map(joist => ({ ref: joist.ref, depth: joist.design.depth })))
+        .reduce((most, joist) => (!most || joist.depth > most.depth ? joist : most), null);
+      if (!deepest || !beam.beams.depth || beam.beams.depth >= deepest.depth) {
+        return [];
+      }
+      return [createFinding({
+        ruleId: "flush-beam-depth",
+        severity: SEVERITY.warning,
+        member: beam.ref,
+        message: `Beam ${beam.ref} depth ${beam.beams.depth}mm is less than the ${deepest.depth}mm depth of joist ${deepest.ref}, so a flush connection is not possible`,
+        remediation: `Sit the joists on top of the beam, or use a beam at least ${deepest.depth}mm deep.`
+      })];
+    })
+  },
+  {
+    id: "catalogue-size",
+    description: "Member sizes are in the loaded MASSLAM catalogue",
+    check: (structure) => {
+      if (getMasslamSizes().length === 0) {
+        console.warn("MASSLAM sizes not loaded yet, skipping the catalogue size rule");
+        return [];
+      }
+      // CLT panels are sized from their layups rather than the catalogue
+      return listMembers(structure)
+        .filter(({ design, bay }) => design.depth > 0 && bay?.floorSystem !== "clt")
+        .filter(({ type, design }) => !validateMasslamSize(design.width, design.depth, MEMBER_TYPES[type]))
+        .map(({ type, ref, design }) => createFinding({
+          ruleId: "catalogue-size",
+          severity: SEVERITY.error,
+          member: ref,
+          message: `${MEMBER_LABELS[type]} ${ref} ${design.width}x${design.depth}mm is not a catalogue ${MEMBER_TYPES[type]} size`,
+          remediation: `Select a ${MEMBER_TYPES[type]} size from masslam_sizes.csv.`
+        }));
+    }
+  },
+  {
+    id: "fire-residual-section",
+    description: "Members keep a residual section after charring for the fire rating",
+    check: (structure) => listMembers(structure)
+      .filter(({ design }) => design.fireAllowance > 0)
+      .filter(({ type, design }) => {
+        const residual = calculateResidualSection(design, type);
+        return residual.width <= 0 || residual.depth <= 0;
+      })
+      .map(({ type, ref, design }) => createFinding({
+        ruleId: "fire-residual-section",
+        severity: SEVERITY.error,
+        member: ref,
+        message: `${MEMBER_LABELS[type]} ${ref} ${design.width}x${design.depth}mm has no residual section after the fire allowance (${design.fireAllowances ? describeFireAllowances(design.fireAllowances) : `${design.fireAllowance}mm`})`,
+        remediation: "Use a larger section or reduce the fire rating."
+      }))
+  },
+  {
+    id: "span-limit",
+    description: "Joist and beam spans are within the span limits",
+    check: ({ bays = [], beams = [] }) => [
+      ...bays.map(bay => ({ type: "joists", ref: bay.ref, span: bay.joistSpan, limit: SPAN_LIMITS.joist })),
+      ...beams.map(beam => ({ type: "beams", ref: beam.ref, span: beam.span, limit: SPAN_LIMITS.beam }))
+    ]
+      .filter(({ span, limit }) => span > limit)
+      .map(({ type, ref, span, limit }) => createFinding({
+        ruleId: "span-limit",
+        severity: SEVERITY.error,
+        member: ref,
+        message: `${MEMBER_LABELS[type]} ${ref} span of ${span.toFixed(2)}m exceeds the ${limit}m limit`,
+        remediation: "Add bays in this direction to reduce the span."
+      }))
+  }
+];
+
+/**
+ * Get the registered validation rules
+ * @returns {Array<Object>} Rules with id, description and check function
+ */
+export function getValidationRules() {
+  return [...validationRules];
+}
+
+/**
+ * Register an additional validation rule, replacing any rule with the same id
+ * @param {Object} rule - Rule with id, description and check(structure) returning an array of findings
+ */
+export function registerValidationRule(rule) {
+  if (!rule || !rule.id || typeof rule.check !== "function") {
+    console.warn("Invalid validation rule, it needs an id and a check function:", rule);
+    return;
+  }
+  const index = validationRules.findIndex(existing => existing.id === rule.id);
+  if (index >= 0) {
+    validationRules[index] = rule;
+  } else {
+    validationRules.push(rule);
+  }
+}
+
+/**
+ * Run validation rules against a structure
+ * A rule that throws is reported as a warning rather than stopping the validation
+ * @param {Object} structure - Structure context with the bays, beams and columns of designStructure and the bearings of checkSupportBearings
+ * @param {Array<Object>} rules - Rules to run, defaults to the registered rules
+ * @returns {Object} Findings, the messages and whether the structure is free of errors
+ */
+export function runValidationRules(structure, rules = validationRules) {
+  const findings = [];
+
+  rules.forEach(rule => {
+    try {
+      findings.push(...rule.check(structure));
+    } catch (error) {
+      console.warn(`Validation rule ${rule.id} failed:`, error);
+      findings.push(createFinding({
+        ruleId: rule.id,
+        severity: SEVERITY.warning,
+        member: "structure",
+        message: `The ${rule.id} rule could not be evaluated`,
+        remediation: "Check the structure inputs."
+      }));
+    }
+  });
+
+
+  return {
+    valid: !findings.some(finding => finding.severity === SEVERITY.error),
+    findings,
+    messages: findings.map(finding => finding.message)
+  };
+}
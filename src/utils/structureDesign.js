@@ -0,0 +1,928 @@
+/**
+ * Per-member design of the floor grid
+ * Every bay's joists, every grid-line beam segment and every column are designed
+ * for their own span and tributary area, then grouped into a member schedule.
+ */
+
+import {
+  calculateJoistSizeAsync,
+  calculateBeamSize,
+  calculateColumnSize,
+  getSpanCoefficients,
+  getDesignFactors
+} from './timberEngineering';
+import {
+  getBayLoads,
+  splitAction,
+  calculateEquivalentUniformLoad,
+  calculatePointReactions,
+  calculatePointShear
+} from './appliedLoads';
+import { calculateCltPanelSize, layoutCltPanels, CLT_STRIP_WIDTH } from './cltFloorDesign';
+import { DEFAULT_MEMBER_GRADES, DEFAULT_MEMBER_EXPOSURES } from './masslamProperties';
+
+/**
+ * Default joist spacing in mm
+ */
+export const DEFAULT_JOIST_SPACING = 800;
+
+/**
+ * Joist spacings in mm offered in the calculator and searched by the scheme optimiser
+ */
+export const JOIST_SPACING_OPTIONS = [400, 600, 800, 1000, 1200];
+
+/**
+ * Floor systems spanning between the beams
+ * CLT panels take the place of the joists in every bay, so they flow through the same
+ * quantities, costs and carbon as the joists.
+ */
+export const FLOOR_SYSTEMS = {
+  joists: { label: 'MASSLAM joists' },
+  clt: { label: 'CLT floor panels' }
+};
+
+export const DEFAULT_FLOOR_SYSTEM = 'joists';
+
+/**
+ * Get the timber grade of a member kind, falling back to the building-wide grade
+ * Panels fall back to the default panel grade, as the building-wide grade is a member grade.
+ *
+ * @param {Object} config - Structure configuration, see designStructure
+ * @param {string} kind - "joists", "beams", "columns" or "panels"
+ * @returns {string} Timber grade key in TIMBER_PROPERTIES
+ */
+export function getMemberGrade(config, kind) {
+  return config.memberGrades?.[kind] || (kind === 'panels' ? DEFAULT_MEMBER_GRADES.panels : config.timberGrade);
+}
+
+/**
+ * Get the fire exposure of each face of a member kind, falling back to its default exposure
+ * CLT panels take the exposure of the floor members, "joists".
+ *
+ * @param {Object} config - Structure configuration, see designStructure
+ * @param {string} kind - "joists", "beams" or "columns"
+ * @returns {Object} Exposure key in FACE_EXPOSURES of each face
+ */
+export function getMemberFireExposure(config, kind) {
+  return { ...DEFAULT_MEMBER_EXPOSURES[kind], ...config.fireExposures?.[kind] };
+}
+
+/**
+ * Get the grade of the floor members of the bays: the joists, or the CLT panels
+ *
+ * @param {Object} config - Structure configuration, see designStructure
+ * @returns {string} Timber grade key in TIMBER_PROPERTIES
+ */
+export function getFloorGrade(config) {
+  return getMemberGrade(config, config.floorSystem === 'clt' ? 'panels' : 'joists');
+}
+
+/**
+ * Perimeter cantilever lengths in meters beyond the edge grid lines
+ * Left and right are the ends of the building length, top and bottom the ends of its width,
+ * as drawn in the Bay Layout.
+ */
+export const DEFAULT_CANTILEVERS = {
+  left: 0,
+  right: 0,
+  top: 0,
+  bottom: 0
+};
+
+/**
+ * Get the letter label of a lengthwise grid line or bay (A, B, ... Z, AA, AB, ...)
+ *
+ * @param {number} index - Zero-based index
+ * @returns {string} Grid letter
+ */
+export function getGridLetter(index) {
+  let label = '';
+  let remaining = index;
+  do {
+    label = String.fromCharCode(65 + (remaining % 26)) + label;
+    remaining = Math.floor(remaining / 26) - 1;
+  } while (remaining >= 0);
+  return label;
+}
+
+/**
+ * Column positions on the grid
+ */
+export const COLUMN_POSITIONS = {
+  corner: 'Corner',
+  edge: 'Edge',
+  interior: 'Interior'
+};
+
+/**
+ * Classify a grid intersection as a corner, edge or interior column
+ *
+ * @param {number} col - Lengthwise grid line index
+ * @param {number} row - Widthwise grid line index
+ * @param {number} lengthwiseBays - Number of bays along the building length
+ * @param {number} widthwiseBays - Number of bays across the building width
+ * @returns {string} Key in COLUMN_POSITIONS
+ */
+export function getColumnPosition(col, row, lengthwiseBays, widthwiseBays) {
+  const onLengthwiseEdge = col === 0 || col === lengthwiseBays;
+  const onWidthwiseEdge = row === 0 || row === widthwiseBays;
+  if (onLengthwiseEdge && onWidthwiseEdge) return 'corner';
+  if (onLengthwiseEdge || onWidthwiseEdge) return 'edge';
+  return 'interior';
+}
+
+/**
+ * Get the span condition of one span in a run of members
+ * End spans next to a perimeter cantilever are a cantilever with backspan; other spans
+ * are two-span or multi-span continuous when the run is continuous, otherwise simple.
+ * Support reactions are returned as lengths of member load (coefficient × span).
+ *
+ * @param {number} span - Span in meters
+ * @param {number} index - Index of the span in the run
+ * @param {number} count - Number of spans in the run
+ * @param {boolean} continuous - Whether the members run continuously over the supports
+ * @param {number} startCantilever - Cantilever beyond the first support of the run in meters
+ * @param {number} endCantilever - Cantilever beyond the last support of the run in meters
+ * @returns {Object} Span condition, cantilever length and the reaction lengths at the start and end supports
+ */
+export function getRunSpanCondition(span, index, count, continuous, startCantilever = 0, endCantilever = 0) {
+  const cantileverAtStart = index === 0 ? startCantilever : 0;
+  const cantileverAtEnd = index === count - 1 ? endCantilever : 0;
+  
+  if (cantileverAtStart > 0 || cantileverAtEnd > 0) {
+    // A single span with cantilevers at both ends is designed for the longer one
+    const cantileverLength = Math.max(cantileverAtStart, cantileverAtEnd);
+    const coefficients = getSpanCoefficients('cantilever', span, cantileverLength);
+    return {
+      spanCondition: 'cantilever',
+      cantileverLength,
+      overhang: cantileverAtStart + cantileverAtEnd,
+      startReaction: (cantileverAtStart > 0 ? coefficients.interiorReaction : coefficients.exteriorReaction) * span,
+      endReaction: (cantileverAtEnd > 0 ? coefficients.interiorReaction : coefficients.exteriorReaction) * span
+    };
+  }
+  
+  let spanCondition = 'simple';
+  if (continuous && count === 2) spanCondition = 'twoSpan';
+  if (continuous && count > 2) spanCondition = 'multiSpan';
+  const coefficients = getSpanCoefficients(spanCondition, span);
+  
+  return {
+    spanCondition,
+    cantileverLength: 0,
+    overhang: 0,
+    startReaction: (index > 0 && continuous ? coefficients.interiorReaction : coefficients.exteriorReaction) * span,
+    endReaction: (index < count - 1 && continuous ? coefficients.interiorReaction : coefficients.exteriorReaction) * span
+  };
+}
+
+// Round spans and loads for cache keys so identical members are designed once
+const cacheKey = (...values) => values.map(value => (typeof value === 'number' ? value.toFixed(3) : String(value))).join('|');
+
+/**
+ * Get the configuration of one level, with the level's own loads, height and fire rating
+ * over the building-wide values
+ *
+ * @param {Object} config - Structure configuration, see designStructure
+ * @param {number} level - Floor level (1 = lowest)
+ * @returns {Object} Configuration for the level
+ */
+function getLevelConfig(config, level) {
+  const inputs = config.levels?.[level - 1];
+  if (!inputs) {
+    return config;
+  }
+  const { joistOptions = {}, beamOptions = {}, ...levelInputs } = inputs;
+  return {
+    ...config,
+    ...levelInputs,
+    joistOptions: { ...config.joistOptions, ...joistOptions },
+    beamOptions: { ...config.beamOptions, ...beamOptions }
+  };
+}
+
+/**
+ * Design the joists of one bay for the applied loads on it at a floor level
+ * Area zones add to the floor loads of every joist, and line loads across the joists
+ * load every joist at one point. A joist under a point load, or under a line load along
+ * it, is designed individually. The joist reactions are returned per meter of the
+ * supporting beams, with the individually designed joists as point loads on the beams.
+ * CLT panels are designed in the same way as a one meter strip in place of a joist;
+ * the panels of the bay take the thickest layup of the typical and loaded strips.
+ *
+ * @param {Object} bay - Bay geometry and span condition from designBayJoists
+ * @param {Array<Object>} loads - Applied loads on the bay at the level
+ * @param {Object} config - Structure configuration of the level, see designStructure
+ * @param {Map} designs - Joist designs memoised by span and loads
+ * @returns {Promise<Object>} Typical joist design, individually designed joists, the width of floor each carries in mm and the reactions on the beams at each end
+ */
+async function designBayLevel(bay, loads, config, designs) {
+  const {
+    joistsRunLengthwise,
+    joistSpacing = DEFAULT_JOIST_SPACING,
+    load,
+    fireRating,
+    floorDeadLoad = 0,
+    joistOptions = {}
+  } = config;
+  const clt = config.floorSystem === 'clt';
+  const timberGrade = getFloorGrade(config);
+  // Width of floor carried by each joist, or by each strip of CLT panel
+  const memberSpacing = clt ? CLT_STRIP_WIDTH : joistSpacing;
+  const spacing = memberSpacing / 1000; // m
+  const span = bay.joistSpan;
+  const acrossBay = joistsRunLengthwise ? bay.width : bay.length;
+  
+  const zone = loads.filter(applied => applied.type === 'area').reduce((sum, applied) => {
+    const action = splitAction(applied);
+    return { dead: sum.dead + action.dead, live: sum.live + action.live };
+  }, { dead: 0, live: 0 });
+  
+  // Line loads along the joists sit on one joist; across the joists they load every joist
+  const alongJoists = (applied) => (applied.orientation === 'lengthwise') === joistsRunLengthwise;
+  const crossingLines = loads
+    .filter(applied => applied.type === 'line' && !alongJoists(applied))
+    .map(applied => ({ applied, position: applied.offset * span }));
+  const sharedPoints = crossingLines.map(({ applied, position }) => ({ position, ...splitAction(applied, applied.magnitude * spacing) }));
+  
+  const designJoist = async (pointLoads, lineLoad = { dead: 0, live: 0 }) => {
+    // Point loads and crossing lines bend the joist as their equivalent uniform load and
+    // shear it with their end reaction
+    const equivalent = calculateEquivalentUniformLoad(pointLoads, span);
+    const pointShear = calculatePointShear(pointLoads, span);
+    const additionalDeadLoad = equivalent.dead + lineLoad.dead;
+    const additionalLiveLoad = equivalent.live + lineLoad.live;
+    
+    const key = cacheKey(span, bay.spanCondition, bay.cantileverLength, load, floorDeadLoad, fireRating, JSON.stringify(joistOptions),
+      zone.dead, zone.live, additionalDeadLoad, additionalLiveLoad, equivalent.dead, equivalent.live, pointShear.dead, pointShear.live);
+    if (!designs.has(key)) {
+      const options = {
+        ...joistOptions,
+        designFactors: getDesignFactors(config),
+        fireExposure: getMemberFireExposure(config, 'joists'),
+        fireLinings: config.fireLinings,
+        floorDeadLoad: floorDeadLoad + zone.dead,
+        spanCondition: bay.spanCondition,
+        cantileverLength: bay.cantileverLength,
+        additionalDeadLoad,
+        additionalLiveLoad,
+        pointEquivalentLoad: equivalent,
+        pointShear
+      };
+      designs.set(key, clt
+        ? calculateCltPanelSize(span, load + zone.live, timberGrade, fireRating, options)
+        : await calculateJoistSizeAsync(span, joistSpacing, load + zone.live, timberGrade, fireRating, options));
+    }
+    return designs.get(key);
+  };
+  
+  const typical = await designJoist(sharedPoints);
+  
+  const loadedJoists = [];
+  const beamPoints = { start: [], end: [] };
+  for (const applied of loads.filter(item => item.type === 'point' || (item.type === 'line' && alongJoists(item)))) {
+    if (applied.type === 'point') {
+      const alongJoist = (joistsRunLengthwise ? applied.x : applied.y) * span;
+      const alongBeam = (joistsRunLengthwise ? applied.y : applied.x) * acrossBay;
+      const point = { position: alongJoist, ...splitAction(applied) };
+      loadedJoists.push({ load: applied.id, joists: await designJoist([...sharedPoints, point]) });
+      
+      const { start, end } = calculatePointReactions([point], span);
+      beamPoints.start.push({ position: alongBeam, ...start });
+      beamPoints.end.push({ position: alongBeam, ...end });
+    } else {
+      const line = splitAction(applied);
+      loadedJoists.push({ load: applied.id, joists: await designJoist(sharedPoints, line) });
+      
+      const alongBeam = applied.offset * acrossBay;
+      beamPoints.start.push({ position: alongBeam, dead: line.dead * bay.startReaction, live: line.live * bay.startReaction });
+      beamPoints.end.push({ position: alongBeam, dead: line.dead * bay.endReaction, live: line.live * bay.endReaction });
+    }
+  }
+  
+  // Panels are one thickness across the bay, so the thickest strip governs
+  const joists = clt ? selectGoverningDesign([typical, ...loadedJoists.map(loaded => loaded.joists)]) : typical;
+  
+  // Uniform reactions per meter of beam: the floor and joist self-weight over the reaction
+  // width, plus the share of the line loads across the joists
+  const crossing = calculatePointReactions(crossingLines.map(({ applied, position }) => ({ position, ...splitAction(applied) })), span);
+  const floorDead = floorDeadLoad + zone.dead + (joists.selfWeight || 0) / spacing;
+  const floorLive = load + zone.live;
+  const supportReaction = (width, shared, points) => ({
+    width,
+    dead: floorDead * width + shared.dead,
+    live: floorLive * width + shared.live,
+    points
+  });
+  
+  return {
+    joists,
+    loadedJoists,
+    spacing: memberSpacing,
+    reactions: {
+      start: supportReaction(bay.startReaction, crossing.start, beamPoints.start),
+      end: supportReaction(bay.endReaction, crossing.end, beamPoints.end)
+    }
+  };
+}
+
+/**
+ * Design the joists of every bay at every floor level
+ * Bays are labelled by lengthwise letter and widthwise number as in the Bay Layout (A1, B1, ...).
+ * Edge bays include the perimeter cantilevers: the joists of the end bays cantilever beyond
+ * the edge beam, and the bays along the cantilevered beams are widened by the cantilever.
+ * Levels with the same loads and applied loads on a bay share one design.
+ * With CLT panels the bay is laid out in catalogue panel widths, and the panel count
+ * takes the place of the joist count.
+ *
+ * @param {Object} config - Structure configuration, see designStructure
+ * @returns {Promise<Array<Object>>} Bays with their floor system, joist span, joist or panel count per floor, any panel layout, design per level and governing design
+ */
+export async function designBayJoists(config) {
+  const {
+    lengthwiseBayWidths,
+    widthwiseBayWidths,
+    joistsRunLengthwise,
+    joistSpacing = DEFAULT_JOIST_SPACING,
+    numFloors = 1,
+    joistsContinuous = false,
+    cantilevers = DEFAULT_CANTILEVERS,
+    appliedLoads = [],
+    floorSystem = DEFAULT_FLOOR_SYSTEM
+  } = config;
+  const { left, right, top, bottom } = { ...DEFAULT_CANTILEVERS, ...cantilevers };
+
+  const designs = new Map();
+  const bays = [];
+  const lengthwiseCount = lengthwiseBayWidths.length;
+  const widthwiseCount = widthwiseBayWidths.length;
+
+  for (let row = 0; row < widthwiseCount; row++) {
+    for (let col = 0; col < lengthwiseCount; col++) {
+      const length = lengthwiseBayWidths[col];
+      const width = widthwiseBayWidths[row];
+      const joistSpan = joistsRunLengthwise ? length : width;
+      
+      // Joists run along the bay's row (lengthwise) or column (widthwise) of bays
+      const run = joistsRunLengthwise
+        ? getRunSpanCondition(joistSpan, col, lengthwiseCount, joistsContinuous, left, right)
+        : getRunSpanCondition(joistSpan, row, widthwiseCount, joistsContinuous, top, bottom);
+      
+      // Edge strips carried by the cantilevered beams widen the bays beside them
+      const perpendicular = joistsRunLengthwise
+        ? width + (row === 0 ? top : 0) + (row === widthwiseCount - 1 ? bottom : 0)
+        : length + (col === 0 ? left : 0) + (col === lengthwiseCount - 1 ? right : 0);
+
+      const layout = floorSystem === 'clt' ? layoutCltPanels(perpendicular, joistSpan + run.overhang) : null;
+      const bay = {
+        ref: `${getGridLetter(col)}${row + 1}`,
+        col,
+        row,
+        length,
+        width,
+        area: (joistSpan + run.overhang) * perpendicular,
+        joistSpan,
+        ...run,
+        floorSystem,
+        panels: layout ? layout.panels : null,
+        // Joists at the spacing across the bay plus the end joist, or the panels across it
+        joistCount: layout ? layout.count : Math.ceil(perpendicular / (joistSpacing / 1000)) + 1
+      };
+      
+      const levelDesigns = new Map();
+      const levels = [];
+      for (let level = 1; level <= numFloors; level++) {
+        const loads = getBayLoads(appliedLoads, bay.ref, level);
+        const signature = JSON.stringify([loads, config.levels?.[level - 1] || null]);
+        if (!levelDesigns.has(signature)) {
+          levelDesigns.set(signature, await designBayLevel(bay, loads, getLevelConfig(config, level), designs));
+        }
+        levels.push({ level, loads: loads.map(applied => applied.id), ...levelDesigns.get(signature) });
+      }
+
+      bays.push({
+        ...bay,
+        levels,
+        joists: selectGoverningDesign(levels.map(level => level.joists))
+      });
+    }
+  }
+
+  return bays;
+}
+
+/**
+ * Design every beam segment on the grid lines perpendicular to the joists, at every level
+ * Each segment carries the joist reactions of the bay on either side (half of the
+ * joist span for simple joists), with the self-weight of those joists and the point
+ * reactions of individually designed joists. End segments cantilever beyond the edge
+ * columns where a perimeter cantilever is set. Joists restrain the top of the beams at
+ * the joist spacing; CLT panels fixed down to the beams restrain them continuously.
+ *
+ * @param {Array<Object>} bays - Bays from designBayJoists
+ * @param {Object} config - Structure configuration, see designStructure
+ * @returns {Array<Object>} Beam segments with their grid reference, span, supported bays, design per level and governing design
+ */
+export function designGridBeams(bays, config) {
+  const {
+    lengthwiseBayWidths,
+    widthwiseBayWidths,
+    joistsRunLengthwise,
+    joistSpacing = DEFAULT_JOIST_SPACING,
+    numFloors = 1,
+    beamsContinuous = false,
+    cantilevers = DEFAULT_CANTILEVERS,
+    floorSystem = DEFAULT_FLOOR_SYSTEM
+  } = config;
+  const timberGrade = getMemberGrade(config, 'beams');
+  const designFactors = getDesignFactors(config);
+  const restraintSpacing = floorSystem === 'clt' ? 0 : joistSpacing;
+  const { left, right, top, bottom } = { ...DEFAULT_CANTILEVERS, ...cantilevers };
+
+  const bayAt = (col, row) => bays.find(bay => bay.col === col && bay.row === row);
+  const designs = new Map();
+  const beams = [];
+
+  // Beams run on the lengthwise grid lines (A, B, ...) when joists run lengthwise,
+  // otherwise on the widthwise grid lines (1, 2, ...)
+  const lineCount = (joistsRunLengthwise ? lengthwiseBayWidths : widthwiseBayWidths).length + 1;
+  const segmentSpans = joistsRunLengthwise ? widthwiseBayWidths : lengthwiseBayWidths;
+
+  for (let line = 0; line < lineCount; line++) {
+    segmentSpans.forEach((span, segment) => {
+      const [before, after] = joistsRunLengthwise
+        ? [bayAt(line - 1, segment), bayAt(line, segment)]
+        : [bayAt(segment, line - 1), bayAt(segment, line)];
+      
+      // Beams run along the grid line over the bays in the other direction
+      const run = joistsRunLengthwise
+        ? getRunSpanCondition(span, segment, segmentSpans.length, beamsContinuous, top, bottom)
+        : getRunSpanCondition(span, segment, segmentSpans.length, beamsContinuous, left, right);
+      
+      const levels = Array.from({ length: numFloors }, (_, index) => {
+        // The bay before the line bears with its end support and the bay after it with its start support
+        const supports = [
+          before && before.levels[index].reactions.end,
+          after && after.levels[index].reactions.start
+        ].filter(Boolean);
+        
+        const tributaryWidth = supports.reduce((sum, support) => sum + support.width, 0);
+        const uniform = supports.reduce((sum, support) => ({
+          dead: sum.dead + support.dead,
+          live: sum.live + support.live
+        }), { dead: 0, live: 0 });
+        const points = supports.flatMap(support => support.points);
+        const equivalent = calculateEquivalentUniformLoad(points, span);
+        const pointShear = calculatePointShear(points, span);
+        
+        const { load, fireRating, beamOptions = {} } = getLevelConfig(config, index + 1);
+        const key = cacheKey(span, run.spanCondition, run.cantileverLength, load, fireRating, JSON.stringify(beamOptions),
+          tributaryWidth, uniform.dead, uniform.live, equivalent.dead, equivalent.live, pointShear.dead, pointShear.live);
+        if (!designs.has(key)) {
+          designs.set(key, calculateBeamSize(span, load, timberGrade, fireRating, {
+            ...beamOptions,
+            tributaryWidth,
+            floorDeadLoad: 0,
+            additionalDeadLoad: uniform.dead + equivalent.dead,
+            additionalLiveLoad: uniform.live + equivalent.live - load * tributaryWidth,
+            pointEquivalentLoad: equivalent,
+            pointShear,
+            joistSpacing: restraintSpacing,
+            spanCondition: run.spanCondition,
+            cantileverLength: run.cantileverLength,
+            designFactors,
+            fireExposure: getMemberFireExposure(config, 'beams'),
+            fireLinings: config.fireLinings
+          }));
+        }
+        
+        return { level: index + 1, tributaryWidth, uniform, points, beams: designs.get(key) };
+      });
+
+      const ref = joistsRunLengthwise
+        ? `${getGridLetter(line)}/${segment + 1}-${segment + 2}`
+        : `${line + 1}/${getGridLetter(segment)}-${getGridLetter(segment + 1)}`;
+
+      beams.push({
+        ref,
+        line,
+        segment,
+        span,
+        // Bays whose joists frame into the beam
+        bayRefs: [before, after].filter(Boolean).map(bay => bay.ref),
+        tributaryWidth: Math.max(0, ...levels.map(level => level.tributaryWidth)),
+        ...run,
+        levels,
+        beams: selectGoverningDesign(levels.map(level => level.beams))
+      });
+    });
+  }
+
+  return beams;
+}
+
+/**
+ * Calculate the end reactions of the joists of a bay at one level
+ * Typical joists carry the floor reactions over the joist spacing; each individually
+ * designed joist also carries the point reactions of its applied load, which the bay lists
+ * in the same order as its loaded joists. CLT panels react per meter strip.
+ *
+ * @param {Object} bayLevel - Design of a bay at one level from designBayJoists
+ * @param {number} joistSpacing - Joist spacing in mm, used when the bay level does not give the width each joist carries
+ * @returns {Array<Object>} Joists with their reference suffix, design and { dead, live } reactions in kN at the start and end
+ */
+export function calculateJoistReactions(bayLevel, joistSpacing = DEFAULT_JOIST_SPACING) {
+  const spacing = (bayLevel.spacing || joistSpacing) / 1000; // m
+  const { start, end } = bayLevel.reactions;
+  const typical = (support) => ({ dead: support.dead * spacing, live: support.live * spacing });
+  const withPoint = (support, point) => ({
+    dead: support.dead * spacing + (point?.dead || 0),
+    live: support.live * spacing + (point?.live || 0)
+  });
+
+  return [
+    { load: null, joists: bayLevel.joists, start: typical(start), end: typical(end) },
+    ...bayLevel.loadedJoists.map((loaded, index) => ({
+      load: loaded.load,
+      joists: loaded.joists,
+      start: withPoint(start, start.points[index]),
+      end: withPoint(end, end.points[index])
+    }))
+  ];
+}
+
+/**
+ * Calculate the reaction of a beam segment on the column at one of its supports
+ *
+ * @param {Object} beam - Beam segment from designGridBeams
+ * @param {Object} level - Design of the segment at one level
+ * @param {boolean} atStart - Whether the column is at the start of the segment
+ * @returns {Object} Reaction { dead, live } in kN
+ */
+export function calculateBeamReaction(beam, level, atStart) {
+  const reactionLength = atStart ? beam.startReaction : beam.endReaction;
+  const points = calculatePointReactions(level.points, beam.span)[atStart ? 'start' : 'end'];
+  return {
+    dead: (level.uniform.dead + (level.beams.selfWeight || 0)) * reactionLength + points.dead,
+    live: level.uniform.live * reactionLength + points.live
+  };
+}
+
+/**
+ * Design the column at every grid intersection
+ * Each column takes the end reactions of the beam segments framing into it at every level,
+ * so corner and edge columns carry their real, smaller tributary areas. Load is accumulated
+ * storey by storey, and with columnsStepDown each storey is sized for its own load.
+ *
+ * @param {Array<Object>} beams - Beam segments from designGridBeams
+ * @param {Object} config - Structure configuration, see designStructure
+ * @returns {Array<Object>} Columns with their grid indices, tributary area, beams framing in and design
+ */
+export function designGridColumns(beams, config) {
+  const {
+    lengthwiseBayWidths,
+    widthwiseBayWidths,
+    joistsRunLengthwise,
+    numFloors,
+    floorHeight,
+    load,
+    fireRating,
+    columnsStepDown = false,
+    cantilevers = DEFAULT_CANTILEVERS
+  } = config;
+  const timberGrade = getMemberGrade(config, 'columns');
+  const designFactors = getDesignFactors(config);
+  const { left, right, top, bottom } = { ...DEFAULT_CANTILEVERS, ...cantilevers };
+
+  // Height and fire rating of the storey below each level from the top down
+  const topDown = Array.from({ length: numFloors }, (_, index) => getLevelConfig(config, numFloors - index));
+  const storeyHeights = topDown.map(levelConfig => levelConfig.floorHeight);
+  const storeyFireRatings = topDown.map(levelConfig => levelConfig.fireRating);
+  // The fire load combination takes the largest ψl of the levels a column carries
+  const psiLong = Math.max(...topDown.map(levelConfig => levelConfig.beamOptions?.psiLong ?? 0.4));
+
+  const designs = new Map();
+  const columns = [];
+
+  for (let row = 0; row <= widthwiseBayWidths.length; row++) {
+    for (let col = 0; col <= lengthwiseBayWidths.length; col++) {
+      const position = getColumnPosition(col, row, lengthwiseBayWidths.length, widthwiseBayWidths.length);
+      
+      // Beam segments either side of the column along its beam line
+      const adjacentBeams = beams.filter(beam => (joistsRunLengthwise
+        ? beam.line === col && (beam.segment === row - 1 || beam.segment === row)
+        : beam.line === row && (beam.segment === col - 1 || beam.segment === col)
+      ));
+
+      // Reactions at each level from the top down; the segment after the column bears
+      // with its start support and the one before with its end
+      const levelReactions = Array.from({ length: numFloors }, (_, index) => numFloors - 1 - index)
+        .map(index => adjacentBeams.map(beam => (
+          calculateBeamReaction(beam, beam.levels[index], beam.segment === (joistsRunLengthwise ? row : col))
+        )));
+      
+      // Half of each adjacent bay, or the whole cantilever beyond an edge grid line
+      const lengthwiseExtent = (col > 0 ? lengthwiseBayWidths[col - 1] / 2 : left) +
+        (col < lengthwiseBayWidths.length ? lengthwiseBayWidths[col] / 2 : right);
+      const widthwiseExtent = (row > 0 ? widthwiseBayWidths[row - 1] / 2 : top) +
+        (row < widthwiseBayWidths.length ? widthwiseBayWidths[row] / 2 : bottom);
+      const tributaryArea = lengthwiseExtent * widthwiseExtent;
+      // At least as wide as the beams framing in at each level
+      const storeyMinWidths = Array.from({ length: numFloors }, (_, index) => numFloors - 1 - index)
+        .map(index => Math.max(0, ...adjacentBeams.map(beam => beam.levels[index].beams.width || 0)));
+
+      const key = cacheKey(...storeyMinWidths, ...levelReactions.flat().flatMap(reaction => [reaction.dead, reaction.live]));
+      if (!designs.has(key)) {
+        designs.set(key, calculateColumnSize(floorHeight, load, timberGrade, fireRating, {
+          floors: numFloors,
+          tributaryArea,
+          levelReactions,
+          storeyHeights,
+          storeyFireRatings,
+          stepDown: columnsStepDown,
+          storeyMinWidths,
+          designFactors,
+          fireExposure: getMemberFireExposure(config, 'columns'),
+          fireLinings: config.fireLinings,
+          psiLong
+        }));
+      }
+
+      columns.push({
+        ref: `${getGridLetter(col)}${row + 1}`,
+        col,
+        row,
+        position,
+        tributaryArea,
+        beamRefs: adjacentBeams.map(beam => beam.ref),
+        columns: { ...designs.get(key), tributaryArea }
+      });
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Flatten the designed structure into members for quantities
+ * Joists, beams and columns are counted level by level; members with the same reference,
+ * level, size and length are merged. Joists also carry their floor area for costing, and
+ * columns the level at the top of their storey. Every member carries the grade it was designed in.
+ * CLT panels are listed as the floor members of their bay, one entry per panel width,
+ * with their layup.
+ *
+ * @param {Object} structure - Bays, beams and columns from the design functions
+ * @param {number} numFloors - Number of floors
+ * @param {number} floorHeight - Storey height in meters
+ * @returns {Array<Object>} Members with kind, reference, level, grade, size, span, length (including any cantilever), count and utilisation
+ */
+export function listStructureMembers({ bays, beams, columns }, numFloors, floorHeight) {
+  const members = new Map();
+  const addMember = (member, design) => {
+    const key = `${member.kind}|${member.ref}|${member.level}|${design.grade}|${design.width}x${design.depth}|${member.length}`;
+    const existing = members.get(key);
+    if (existing) {
+      existing.count += member.count;
+      existing.area = (existing.area || 0) + (member.area || 0);
+      existing.utilisation = Math.max(existing.utilisation || 0, design.utilisation || 0);
+      existing.passes = existing.passes && design.passes !== false;
+      return;
+    }
+    members.set(key, {
+      ...member,
+      ...(design.system === 'clt' ? { panel: true, layup: design.label } : {}),
+      grade: design.grade,
+      width: design.width,
+      depth: design.depth,
+      utilisation: design.utilisation,
+      passes: design.passes
+    });
+  };
+  
+  bays.forEach(bay => bay.levels.forEach(level => {
+    if (bay.panels) {
+      const length = bay.joistSpan + bay.overhang;
+      bay.panels.forEach(panel => {
+        addMember({ kind: 'joist', ref: bay.ref, level: level.level, span: bay.joistSpan, length, count: panel.count, area: (panel.width / 1000) * length * panel.count }, { ...level.joists, width: panel.width });
+      });
+      return;
+    }
+    
+    // Individually designed joists replace typical joists of the bay
+    const areaPerJoist = bay.area / bay.joistCount;
+    const typicalCount = Math.max(0, bay.joistCount - level.loadedJoists.length);
+    const member = { kind: 'joist', level: level.level, span: bay.joistSpan, length: bay.joistSpan + bay.overhang };
+    addMember({ ...member, ref: bay.ref, count: typicalCount, area: areaPerJoist * typicalCount }, level.joists);
+    level.loadedJoists.forEach(loaded => {
+      addMember({ ...member, ref: `${bay.ref} (${loaded.load})`, count: 1, area: areaPerJoist }, loaded.joists);
+    });
+  }));
+  
+  beams.forEach(beam => beam.levels.forEach(level => {
+    addMember({ kind: 'beam', ref: beam.ref, level: level.level, span: beam.span, length: beam.span + beam.overhang, count: 1 }, level.beams);
+  }));
+  
+  // Columns are listed storey by storey, as they may step down in size up the building
+  columns.forEach(column => {
+    const storeys = column.columns.storeys || [];
+    if (storeys.length === 0) {
+      addMember({ kind: 'column', ref: column.ref, length: floorHeight, count: numFloors }, column.columns);
+      return;
+    }
+    storeys.forEach(storey => {
+      addMember({ kind: 'column', ref: column.ref, level: storey.level, length: storey.height, count: 1 }, { grade: column.columns.grade, ...storey });
+    });
+  });
+  
+  return [...members.values()];
+}
+
+const TYPE_PREFIXES = {
+  joist: 'J',
+  beam: 'B',
+  column: 'C'
+};
+
+/**
+ * Group members of the same kind and size into typical types
+ * Types are marked J1, B1, C1, ... from the largest section down; CLT panels are P1, P2, ...
+ *
+ * @param {Array<Object>} members - Members from listStructureMembers
+ * @returns {Object} Types for joists, beams and columns
+ */
+export function buildMemberSchedule(members) {
+  const schedule = { joists: [], beams: [], columns: [] };
+
+  Object.entries(TYPE_PREFIXES).forEach(([kind, prefix]) => {
+    const types = new Map();
+
+    members.filter(member => member.kind === kind).forEach(member => {
+      const key = `${member.width}x${member.depth}`;
+      if (!types.has(key)) {
+        types.set(key, {
+          width: member.width,
+          depth: member.depth,
+          count: 0,
+          totalLength: 0,
+          maxSpan: 0,
+          maxUtilisation: 0,
+          passes: true,
+          panel: Boolean(member.panel),
+          layup: member.layup,
+          locations: []
+        });
+      }
+      const type = types.get(key);
+      type.count += member.count;
+      type.totalLength += member.length * member.count;
+      type.maxSpan = Math.max(type.maxSpan, member.span || member.length);
+      type.maxUtilisation = Math.max(type.maxUtilisation, member.utilisation || 0);
+      type.passes = type.passes && member.passes !== false;
+      if (!type.locations.includes(member.ref)) {
+        type.locations.push(member.ref);
+      }
+    });
+
+    schedule[`${kind}s`] = [...types.values()]
+      .sort((a, b) => (b.width * b.depth) - (a.width * a.depth))
+      .map((type, index) => ({ mark: `${type.panel ? 'P' : prefix}${index + 1}`, ...type }));
+  });
+
+  return schedule;
+}
+
+/**
+ * Build the column schedule keyed by grid reference, in grid order (A1, B1, ... A2, ...)
+ * Each entry carries the member schedule mark of its size.
+ *
+ * @param {Array<Object>} columns - Columns from designGridColumns
+ * @param {Array<Object>} columnTypes - Column types from buildMemberSchedule
+ * @returns {Array<Object>} Grid reference, position, tributary area, base load, size, mark and utilisation of every column
+ */
+export function buildColumnSchedule(columns, columnTypes = []) {
+  return columns.map(column => {
+    const design = column.columns;
+    const type = columnTypes.find(item => item.width === design.width && item.depth === design.depth);
+    return {
+      ref: column.ref,
+      position: column.position,
+      tributaryArea: column.tributaryArea,
+      load: design.load,
+      width: design.width,
+      depth: design.depth,
+      mark: type ? type.mark : null,
+      utilisation: design.utilisation,
+      passes: design.passes
+    };
+  });
+}
+
+/**
+ * Group the columns by position and take the governing design of each group
+ *
+ * @param {Array<Object>} columns - Columns from designGridColumns
+ * @returns {Array<Object>} Corner, edge and interior column types that occur on the grid
+ */
+export function groupColumnsByPosition(columns) {
+  return Object.entries(COLUMN_POSITIONS)
+    .map(([position, label]) => {
+      const group = columns.filter(column => column.position === position);
+      return {
+        position,
+        label,
+        count: group.length,
+        locations: group.map(column => column.ref),
+        maxTributaryArea: Math.max(0, ...group.map(column => column.tributaryArea)),
+        design: selectGoverningDesign(group.map(column => column.columns))
+      };
+    })
+    .filter(type => type.count > 0);
+}
+
+/**
+ * Pick the governing design of a member kind: the largest section, then the highest utilisation
+ *
+ * @param {Array<Object>} designs - Member design results
+ * @returns {Object|null} The governing design
+ */
+function selectGoverningDesign(designs) {
+  return designs.reduce((governing, design) => {
+    if (!governing) return design;
+    const area = design.width * design.depth;
+    const governingArea = governing.width * governing.depth;
+    if (area > governingArea || (area === governingArea && (design.utilisation || 0) > (governing.utilisation || 0))) {
+      return design;
+    }
+    return governing;
+  }, null);
+}
+
+/**
+ * Design the whole structure member by member
+ *
+ * @param {Object} config - Structure configuration
+ * @param {Array<number>} config.lengthwiseBayWidths - Bay widths along the building length in meters
+ * @param {Array<number>} config.widthwiseBayWidths - Bay widths across the building width in meters
+ * @param {boolean} config.joistsRunLengthwise - Joist direction, which is also the span of CLT panels
+ * @param {string} config.floorSystem - Key in FLOOR_SYSTEMS
+ * @param {number} config.numFloors - Number of levels, including any roof
+ * @param {number} config.floorHeight - Storey height in meters
+ * @param {number} config.joistSpacing - Joist spacing in mm
+ * @param {number} config.load - Imposed floor load Q in kPa
+ * @param {number} config.floorDeadLoad - Permanent floor load in kPa excluding the joists (G, SDL and topping)
+ * @param {string} config.timberGrade - Timber grade key in TIMBER_PROPERTIES of member kinds without a grade in memberGrades
+ * @param {Object} config.memberGrades - Grades of the joists, beams, columns and panels overriding timberGrade, see DEFAULT_MEMBER_GRADES
+ * @param {string} config.fireRating - Fire rating (e.g., "60/60/60")
+ * @param {Object} config.fireExposures - Fire exposure of the faces of the joists (or CLT panels), beams and columns, see DEFAULT_MEMBER_EXPOSURES
+ * @param {Object} config.fireLinings - Lining of the plasterboard and encapsulated faces, see DEFAULT_FIRE_LININGS
+ * @param {Object} config.joistOptions - Options passed to calculateJoistSizeAsync
+ * @param {Object} config.beamOptions - Options passed to calculateBeamSize
+ * @param {boolean} config.joistsContinuous - Joists run continuously over the beams
+ * @param {boolean} config.beamsContinuous - Beams run continuously over the columns
+ * @param {Object} config.cantilevers - Perimeter cantilever lengths, see DEFAULT_CANTILEVERS
+ * @param {Array<Object>} config.appliedLoads - Point, line and area loads on the bays, see createAppliedLoad
+ * @param {Array<Object>} config.levels - Inputs of each level from the bottom up overriding load, floorDeadLoad, fireRating, floorHeight, joistOptions and beamOptions, see getLevelDesignInputs
+ * @param {boolean} config.columnsStepDown - Size each column storey for its own load so columns step down in size up the building
+ * @param {number} config.serviceClass - Moisture service class, key in SERVICE_CLASSES
+ * @param {string} config.loadDuration - Load duration of the imposed load, key in IMPOSED_LOAD_DURATIONS
+ * @returns {Promise<Object>} Bays, beams, columns, the floor area per level, members, the member and column schedules, the corner/edge/interior column types, the floor system, the modification factors, the grade and the governing design of each kind
+ */
+export async function designStructure(config) {
+  const { numFloors, floorHeight } = config;
+
+  const bays = await designBayJoists(config);
+  const beams = designGridBeams(bays, config);
+  const columns = designGridColumns(beams, config);
+
+  const members = listStructureMembers({ bays, beams, columns }, numFloors, floorHeight);
+  const schedule = buildMemberSchedule(members);
+  const columnSchedule = buildColumnSchedule(columns, schedule.columns);
+  const columnTypes = groupColumnsByPosition(columns);
+
+
+  return {
+    bays,
+    beams,
+    columns,
+    floorArea: bays.reduce((sum, bay) => sum + bay.area, 0),
+    members,
+    schedule,
+    columnSchedule,
+    columnTypes,
+    floorSystem: config.floorSystem || DEFAULT_FLOOR_SYSTEM,
+    designFactors: getDesignFactors(config),
+    grades: {
+      joists: getFloorGrade(config),
+      beams: getMemberGrade(config, 'beams'),
+      columns: getMemberGrade(config, 'columns')
+    },
+    governing: {
+      joists: selectGoverningDesign(bays.flatMap(bay => bay.levels.flatMap(level => [
+        level.joists,
+        ...level.loadedJoists.map(loaded => loaded.joists)
+      ]))),
+      beams: selectGoverningDesign(beams.map(beam => beam.beams)),
+      columns: selectGoverningDesign(columns.map(column => column.columns))
+    }
+  };
+}
@@ -7,15 +7,30 @@ import {
   findNearestDepth, 
   validateMasslamSize,
   getMasslamSizes,
+  getMasslamSizesByType,
   initializeMasslamSizes
 } from './timberSizes';
 import { 
-  calculateFireResistanceAllowance, 
+  calculateFireAllowances, 
+  DEFAULT_MEMBER_EXPOSURES,
+  DEFAULT_FIRE_LININGS,
   getMasslamSL33Properties,
-  loadMasslamSL33MechanicalProperties,
+  loadMechanicalProperties,
+  MASSLAM_GRADES,
+  MASSLAM_PRODUCTS,
   DEFAULT_MIN_JOIST_WIDTHS,
-  loadMinJoistWidthForFRL
+  loadMinJoistWidthForFRL,
+  getFrlMinutes
 } from './masslamProperties';
+import {
+  getStrengthCombinations,
+  getServiceabilityCombinations,
+  combineActions
+} from './loadCombinations';
+import { runValidationRules } from './structuralValidation';
+import { checkFireLimitState } from './fireDesign';
+import { checkFloorVibration, DEFAULT_VIBRATION_CRITERIA } from './floorVibration';
+import { calculateCompositeStiffness, isCompositeBuildUp, DEFAULT_FLOOR_BUILD_UP } from './floorBuildUp';
 
 // Initialize properties object that will be populated from CSV
 export let TIMBER_PROPERTIES = {
@@ -26,7 +41,8 @@ export let TIMBER_PROPERTIES = {
     compressiveStrength: 26, // MPa
     shearStrength: 4.2, // MPa
     modulusOfElasticity: 13300, // MPa
-    density: 600 // kg/m³
+    density: 600, // kg/m³
+    modulusOfElasticity5thPercentile: 9975 // MPa
   },
   // Keep these for backward compatibility until fully migrated
   GL18: {
@@ -52,43 +68,74 @@ export let TIMBER_PROPERTIES = {
     shearStrength: 4.0, // MPa
     modulusOfElasticity: 14500, // MPa
     density: 700 // kg/m³
-  }
+  },
+  // MASSLAM product grades start from the product values until their CSV is loaded
+  ...Object.fromEntries(Object.entries(MASSLAM_GRADES)
+    .filter(([, grade]) => grade.product)
+    .map(([key, grade]) => [key, getProductProperties(MASSLAM_PRODUCTS[grade.product])]))
 };
 
 /**
- * Load timber properties from the CSV file
+ * Default design properties of a MASSLAM product from MASSLAM_PRODUCTS
+ * @param {Object} product - Product in MASSLAM_PRODUCTS
+ * @returns {Object} Properties in the TIMBER_PROPERTIES format
+ */
+function getProductProperties(product) {
+  return {
+    bendingStrength: product.bendingStrength, // MPa
+    tensileStrength: product.tensileStrength, // MPa
+    compressiveStrength: product.compressiveStrength, // MPa
+    shearStrength: product.shearStrength, // MPa
+    modulusOfElasticity: product.modulus, // MPa
+    density: product.density // kg/m³
+  };
+}
+
+/**
+ * Map the properties of a grade's CSV to the format expected by the application
+ * @param {Object} properties - Properties from loadMechanicalProperties
+ * @param {Object} defaults - Values used where the CSV has no value
+ * @returns {Object} Properties in the TIMBER_PROPERTIES format
+ */
+function mapMechanicalProperties(properties, defaults) {
+  const value = (name, fallback) => properties[name]?.value ?? fallback;
+  return {
+    bendingStrength: value('Bending Strength (f\'b)', defaults.bendingStrength),
+    tensileStrength: value('Tension Strength Parallel (f\'t)', defaults.tensileStrength),
+    compressiveStrength: value('Compression Strength Parallel (f\'c)', defaults.compressiveStrength),
+    shearStrength: value('Shear Strength (f\'s)', defaults.shearStrength),
+    modulusOfElasticity: value('Modulus of Elasticity (E_mean)', defaults.modulusOfElasticity),
+    density: value('Density (ρ_mean)', defaults.density),
+    tensileStrengthPerpendicular: value('Tension Strength Perpendicular (f\'t90)', 0.5),
+    compressiveStrengthPerpendicular: value('Compression Strength Perpendicular (f\'c90)', null),
+    bearingStrengthParallel: value('Bearing Strength Parallel (f\'j)', 30),
+    bearingStrengthPerpendicular: value('Bearing Strength Perpendicular (f\'j90)', 10),
+    modulusOfElasticity5thPercentile: value('Modulus of Elasticity 5th Percentile (E_05)', defaults.modulusOfElasticity * 0.75),
+    modulusOfElasticityPerpendicular: value('Modulus of Elasticity Perpendicular Mean (E₉₀,mean)', 890),
+    modulusOfRigidity: value('Modulus of Rigidity (G)', 900),
+    rollingShearStrength: value('Rolling Shear Strength (f\'r)', 1.1),
+    rollingShearModulus: value('Rolling Shear Modulus (G_r)', 50),
+    jointGroup: value('Joint Group', 'JD4'),
+    charringRate: value('Charring Rate', 0.7),
+    embodiedCarbon: value('Embodied Carbon (cradle to gate)', TIMBER_EMBODIED_CARBON),
+    costFactor: value('Relative Cost', 1.0)
+  };
+}
+
+/**
+ * Load the properties of every MASSLAM grade from its CSV file
  * This function should be called when the application starts
  */
 export async function loadTimberProperties() {
   try {
-    const properties = await loadMasslamSL33MechanicalProperties();
-    
-    if (!properties) {
-      console.warn('Failed to load MASSLAM SL33 properties from CSV, using default values');
-      return;
-    }
-    
-    // Map CSV properties to the format expected by the application
-    TIMBER_PROPERTIES.MASSLAM_SL33 = {
-      bendingStrength: properties['Bending Strength (f\'b)']?.value || 33,
-      tensileStrength: properties['Tension Strength Parallel (f\'t)']?.value || 16,
-      compressiveStrength: properties['Compression Strength Parallel (f\'c)']?.value || 26,
-      shearStrength: properties['Shear Strength (f\'s)']?.value || 4.2,
-      modulusOfElasticity: properties['Modulus of Elasticity (E_mean)']?.value || 13300,
-      density: properties['Density (ρ_mean)']?.value || 600,
-      // Add additional properties
-      tensileStrengthPerpendicular: properties['Tension Strength Perpendicular (f\'t90)']?.value || 0.5,
-      compressiveStrengthPerpendicular: properties['Compression Strength Perpendicular (f\'c90)']?.value || null,
-      bearingStrengthParallel: properties['Bearing Strength Parallel (f\'j)']?.value || 30,
-      bearingStrengthPerpendicular: properties['Bearing Strength Perpendicular (f\'j90)']?.value || 10,
-      modulusOfElasticity5thPercentile: properties['Modulus of Elasticity 5th Percentile (E_05)']?.value || 9975,
-      modulusOfElasticityPerpendicular: properties['Modulus of Elasticity Perpendicular Mean (E₉₀,mean)']?.value || 890,
-      modulusOfRigidity: properties['Modulus of Rigidity (G)']?.value || 900,
-      jointGroup: properties['Joint Group']?.value || 'JD4',
-      charringRate: properties['Charring Rate']?.value || 0.7
-    };
-    
-    console.log('Loaded MASSLAM SL33 properties from CSV:', TIMBER_PROPERTIES.MASSLAM_SL33);
+    await Promise.all(Object.entries(MASSLAM_GRADES).map(async ([key, grade]) => {
+      const properties = await loadMechanicalProperties(grade.csv);
+      if (!properties) {
+        console.warn(`Failed to load ${grade.label} properties from CSV, using default values`);
+        return;
+      }
+      TIMBER_PROPERTIES[key] = mapMechanicalProperties(properties, TIMBER_PROPERTIES[key]);
+    }));
     
     // For backward compatibility, update GL24 to match MASSLAM_SL33
     // This ensures existing code using GL24 will use the correct values
@@ -101,244 +148,1294 @@ export async function loadTimberProperties() {
 }
 
 // Initialize the module when this file is imported
-console.log('timberEngineering.js: Initializing MASSLAM sizes module');
 initializeMasslamSizes();
-console.log('timberEngineering.js: Initial MASSLAM sizes:', getMasslamSizes());
 
 // Load timber properties from CSV
-loadTimberProperties().then(() => {
-  console.log('timberEngineering.js: Timber properties loaded from CSV');
-}).catch(error => {
+loadTimberProperties().catch(error => {
   console.error('timberEngineering.js: Error loading timber properties:', error);
 });
 
 /**
- * Calculate the required joist size based on span, spacing, and load
- * This async version loads the minimum joist width from the FRL.csv file
+ * AS 1720.1 modification factors applied in the member checks
+ * k4 and j2 are those of service class 1; getDesignFactors gives them for other service classes.
+ */
+export const DESIGN_FACTORS = {
+  phi: 0.85, // Capacity factor for glue laminated members, category 2 (Table 2.1)
+  k4: 1.0,   // Partial seasoning factor - seasoned timber at or below 15% moisture content
+  k6: 1.0,   // Temperature factor - outside tropical regions
+  k9: 1.0,   // Strength sharing factor - not applied to laminated members
+  j2: 2.0    // Creep factor for seasoned timber under long-term load
+};
+
+/**
+ * Duration of load factor k1 for strength (AS 1720.1 Table 2.3)
+ */
+export const LOAD_DURATION_FACTORS = {
+  permanent: 0.57,  // More than 5 months, e.g. dead load alone
+  fiveMonths: 0.8,  // Floor imposed loads
+  fiveDays: 0.94,
+  fiveHours: 0.97,
+  fiveSeconds: 1.0  // Wind and earthquake
+};
+
+/**
+ * Moisture service classes of the building, selecting the partial seasoning factor k4
+ * (AS 1720.1 clause 2.4.2) and the creep factor j2 (clause 2.4.1.2). Timber that stays
+ * damp in service loses strength and creeps more under long-term load.
+ */
+export const SERVICE_CLASSES = {
+  1: {
+    label: "1 - Enclosed and conditioned",
+    description: "Heated or air-conditioned interiors, moisture content at or below 15%",
+    k4: 1.0,
+    j2: 2.0
+  },
+  2: {
+    label: "2 - Enclosed, unconditioned",
+    description: "Covered but unconditioned spaces, e.g. car parks and roof spaces, moisture content up to 20%",
+    k4: 0.85,
+    j2: 2.5
+  },
+  3: {
+    label: "3 - Exposed to weather",
+    description: "Members exposed to the weather or wetting, moisture content above 20%",
+    k4: 0.7,
+    j2: 3.0
+  }
+};
+
+export const DEFAULT_SERVICE_CLASS = 1;
+
+/**
+ * Load durations the imposed action can be assigned, keys in LOAD_DURATION_FACTORS
+ */
+export const IMPOSED_LOAD_DURATIONS = {
+  permanent: "Permanent (storage, plant)",
+  fiveMonths: "5 months (floors)",
+  fiveDays: "5 days (roof construction load)",
+  fiveHours: "5 hours (roof maintenance)"
+};
+
+export const DEFAULT_LOAD_DURATION = "fiveMonths";
+
+/**
+ * Get the modification factors for a service class and imposed load duration
+ * Unknown inputs fall back to the defaults with a warning.
+ *
+ * @param {Object} inputs - Long-term inputs
+ * @param {number} inputs.serviceClass - Key in SERVICE_CLASSES
+ * @param {string} inputs.loadDuration - Load duration of the imposed action, key in IMPOSED_LOAD_DURATIONS
+ * @returns {Object} DESIGN_FACTORS with k4 and j2 of the service class, the service class and the load duration
+ */
+export function getDesignFactors({ serviceClass = DEFAULT_SERVICE_CLASS, loadDuration = DEFAULT_LOAD_DURATION } = {}) {
+  let serviceClassKey = serviceClass;
+  if (!SERVICE_CLASSES[serviceClassKey]) {
+    console.warn(`Unknown service class "${serviceClass}", using service class ${DEFAULT_SERVICE_CLASS}`);
+    serviceClassKey = DEFAULT_SERVICE_CLASS;
+  }
+  let durationKey = loadDuration;
+  if (!IMPOSED_LOAD_DURATIONS[durationKey]) {
+    console.warn(`Unknown load duration "${loadDuration}", using ${DEFAULT_LOAD_DURATION}`);
+    durationKey = DEFAULT_LOAD_DURATION;
+  }
+  const { k4, j2 } = SERVICE_CLASSES[serviceClassKey];
+  return {
+    ...DESIGN_FACTORS,
+    k4,
+    j2,
+    serviceClass: Number(serviceClassKey),
+    loadDuration: durationKey
+  };
+}
+
+/**
+ * Deflection limits expressed as span / limit
+ */
+export const DEFLECTION_LIMITS = {
+  shortTerm: 300, // G + ψs·Q
+  longTerm: 250   // j2·(G + ψl·Q)
+};
+
+/**
+ * Default bearing length of beams on column heads or seat brackets (mm)
+ */
+export const DEFAULT_BEARING_LENGTH = 100;
+
+/**
+ * Bearing length factor k7 for bearing perpendicular to grain (AS 1720.1 Table 2.6)
+ * Applies to bearings at least 75mm from the end of the member, interpolated between the
+ * tabulated bearing lengths; bearings at member ends and longer than 150mm use 1.0.
+ */
+export const BEARING_LENGTH_FACTORS = [
+  { length: 12, k7: 1.85 },
+  { length: 25, k7: 1.6 },
+  { length: 50, k7: 1.3 },
+  { length: 75, k7: 1.15 },
+  { length: 125, k7: 1.1 },
+  { length: 150, k7: 1.0 }
+];
+
+/**
+ * Point load actions of a member without point loads
+ */
+const NO_POINT_LOADS = { dead: 0, live: 0 };
+
+/**
+ * Span conditions of a member run under uniform load on every span
+ * Actions are coefficients of w·L² (moment), w·L (shear and support reactions)
+ * and w·L⁴/EI (deflection), with L the span of the member. Exterior reactions are
+ * at simple end supports and interior reactions at continuous supports, per span.
+ */
+export const SPAN_CONDITIONS = {
+  simple: {
+    label: 'Simply supported',
+    moment: 1 / 8,
+    shear: 1 / 2,
+    deflection: 5 / 384,
+    exteriorReaction: 1 / 2,
+    interiorReaction: 1 / 2
+  },
+  twoSpan: {
+    label: 'Two-span continuous',
+    moment: 1 / 8,      // Hogging over the central support
+    shear: 5 / 8,
+    deflection: 1 / 185,
+    exteriorReaction: 3 / 8,
+    interiorReaction: 5 / 8
+  },
+  multiSpan: {
+    label: 'Multi-span continuous',
+    moment: 1 / 10,     // Hogging over the first interior support
+    shear: 0.6,
+    deflection: 0.0069, // End span
+    exteriorReaction: 0.4,
+    interiorReaction: 0.6
+  },
+  cantilever: {
+    label: 'Cantilever with backspan'
+    // Coefficients depend on the ratio of cantilever to backspan, see getSpanCoefficients
+  }
+};
+
+/**
+ * Factor on the simple-span reactions of point loads for the shear at the supports
+ * Continuity raises the shear at the interior supports in the same proportion as under
+ * uniform load. Point loads on the backspan of a cantilever react as on a simple span.
+ *
+ * @param {string} spanCondition - Key in SPAN_CONDITIONS
+ * @returns {number} Factor on the larger simple-span reaction
+ */
+export function getPointShearFactor(spanCondition = 'simple') {
+  return spanCondition === 'twoSpan' || spanCondition === 'multiSpan'
+    ? SPAN_CONDITIONS[spanCondition].shear / SPAN_CONDITIONS.simple.shear
+    : 1;
+}
+
+/**
+ * Get the action coefficients of a span condition
+ * For a cantilever with backspan, L is the backspan and λ = a / L the cantilever ratio.
+ * The backspan moment takes the backspan loaded alone, the tip deflection the cantilever
+ * loaded alone, with the tip limit measured over twice the cantilever length.
  * 
- * @param {number} span - Span in meters
- * @param {number} spacing - Spacing in mm
- * @param {number} load - Load in kPa
- * @param {string} timberGrade - Timber grade (GL18, GL21, GL24)
- * @param {string} fireRating - Fire rating (e.g., "60/60/60", "90/90/90")
- * @returns {Promise<Object>} Calculated joist size and properties
+ * @param {string} spanCondition - Key in SPAN_CONDITIONS
+ * @param {number} span - Span (backspan for a cantilever) in meters
+ * @param {number} cantileverLength - Cantilever length in meters
+ * @returns {Object} Moment, shear and reaction coefficients and the deflection cases { coefficient, limitLength }
  */
-export async function calculateJoistSizeAsync(span, spacing, load, timberGrade, fireRating = 'none') {
-  // Placeholder implementation
-  const spanMm = span * 1000; // Convert to mm
+export function getSpanCoefficients(spanCondition = 'simple', span = 0, cantileverLength = 0) {
+  if (spanCondition === 'cantilever' && span > 0 && cantileverLength > 0) {
+    const ratio = cantileverLength / span;
+    return {
+      label: SPAN_CONDITIONS.cantilever.label,
+      moment: Math.max(1 / 8, Math.pow(ratio, 2) / 2),
+      shear: Math.max(1 / 2 + Math.pow(ratio, 2) / 2, ratio),
+      // Back support, reduced by the cantilever load; uplift is not relied on
+      exteriorReaction: Math.max(0, 1 / 2 - Math.pow(ratio, 2) / 2),
+      // Support at the root of the cantilever, including the cantilever load
+      interiorReaction: 1 / 2 + Math.pow(ratio, 2) / 2 + ratio,
+      deflections: [
+        { coefficient: 5 / 384, limitLength: span },
+        { coefficient: Math.pow(ratio, 3) * (4 + 3 * ratio) / 24, limitLength: 2 * cantileverLength }
+      ]
+    };
+  }
   
-  // Get minimum joist width based on FRL from the CSV file
-  const minJoistWidth = await loadMinJoistWidthForFRL(fireRating);
-  console.log(`Minimum joist width for FRL ${fireRating}: ${minJoistWidth}mm`);
-  
-  // Calculate theoretical width and depth
-  // For width, use the minimum width from FRL.csv
-  const theoreticalWidth = minJoistWidth;
-  
-  // Improved depth calculation based on span
-  // For timber joists, a common rule of thumb is span/12 to span/10 for residential loads
-  // For longer spans, we use a more conservative ratio to ensure adequate stiffness
-  let depthRatio;
-  if (span <= 4.0) {
-    depthRatio = 15; // Smaller spans can use span/15
-  } else if (span <= 6.0) {
-    depthRatio = 12; // Medium spans use span/12
-  } else {
-    depthRatio = 10; // Longer spans need span/10 for adequate stiffness
+  const condition = SPAN_CONDITIONS[spanCondition];
+  if (!condition || spanCondition === 'cantilever') {
+    console.warn(`Span condition "${spanCondition}" needs a cantilever length or is unknown, using simply supported`);
+    return getSpanCoefficients('simple', span);
   }
   
-  const theoreticalDepth = Math.max(140, Math.ceil(spanMm / depthRatio));
-  console.log(`Using depth ratio of 1/${depthRatio} for ${span}m span`);
+  const { deflection, ...coefficients } = condition;
+  return {
+    ...coefficients,
+    deflections: [{ coefficient: deflection, limitLength: span }]
+  };
+}
+
+// Acceleration due to gravity (m/s²)
+const GRAVITY = 9.81;
+
+/**
+ * Get the properties used by the design checks for a timber grade
+ * Falls back to MASSLAM SL33 for unknown grades
+ * 
+ * @param {string} timberGrade - Timber grade key in TIMBER_PROPERTIES
+ * @returns {Object} Design properties
+ */
+export function getDesignProperties(timberGrade) {
+  const properties = TIMBER_PROPERTIES[timberGrade] || TIMBER_PROPERTIES.MASSLAM_SL33;
+  
+  return {
+    ...properties,
+    // Grades without a published 5th percentile modulus use 75% of the mean value
+    modulusOfElasticity5thPercentile: properties.modulusOfElasticity5thPercentile || properties.modulusOfElasticity * 0.75
+  };
+}
+
+/**
+ * Calculate the bearing length factor k7
+ * 
+ * @param {number} bearingLength - Bearing length along the grain of the member in mm
+ * @param {boolean} atMemberEnd - Whether the bearing is at the end of the member
+ * @returns {number} k7
+ */
+export function calculateBearingLengthFactor(bearingLength, atMemberEnd = false) {
+  const first = BEARING_LENGTH_FACTORS[0];
+  const last = BEARING_LENGTH_FACTORS[BEARING_LENGTH_FACTORS.length - 1];
+  if (atMemberEnd || bearingLength >= last.length) return 1.0;
+  if (bearingLength <= first.length) return first.k7;
+  const index = BEARING_LENGTH_FACTORS.findIndex(row => row.length >= bearingLength);
+  const [lower, upper] = [BEARING_LENGTH_FACTORS[index - 1], BEARING_LENGTH_FACTORS[index]];
+  return lower.k7 + (upper.k7 - lower.k7) * (bearingLength - lower.length) / (upper.length - lower.length);
+}
+
+/**
+ * Check bearing perpendicular to grain under a support reaction
+ * Nc = φ·k1·k4·k6·k7·f'p·Ab for every strength combination, with f'p the compression strength
+ * perpendicular to grain of the grade, or its bearing strength f'j90 where f'c90 is not given.
+ * 
+ * @param {Object} params - Bearing parameters
+ * @param {number} params.width - Bearing width across the grain in mm
+ * @param {number} params.bearingLength - Bearing length along the grain in mm
+ * @param {Object} params.reaction - Support reaction { dead, live } in kN
+ * @param {Object} params.properties - Design properties from getDesignProperties
+ * @param {boolean} params.atMemberEnd - Whether the bearing is at the end of the member
+ * @param {Object} params.designFactors - Modification factors from getDesignFactors
+ * @returns {Object} Check of the governing combination with its k7
+ */
+export function checkBearing({ width, bearingLength, reaction, properties, atMemberEnd = true, designFactors = DESIGN_FACTORS }) {
+  const { phi, k4, k6 } = designFactors;
+  const bearingStrength = properties.compressiveStrengthPerpendicular || properties.bearingStrengthPerpendicular || 10;
+  const k7 = calculateBearingLengthFactor(bearingLength, atMemberEnd);
+  const check = createGoverningCheck('Bearing perpendicular to grain', 'kN', getStrengthCombinations(designFactors.loadDuration).map(combination => ({
+    demand: combineActions(combination, reaction.dead, reaction.live),
+    capacity: phi * LOAD_DURATION_FACTORS[combination.duration] * k4 * k6 * k7 * bearingStrength * width * bearingLength / 1e3,
+    combination: combination.label
+  })));
+  return { ...check, k7 };
+}
+
+/**
+ * Calculate the section properties of a rectangular section
+ * 
+ * @param {number} width - Width in mm
+ * @param {number} depth - Depth in mm
+ * @returns {Object} Area (mm²), shear area (mm²), second moments of area (mm⁴) and section moduli (mm³)
+ */
+export function calculateSectionProperties(width, depth) {
+  return {
+    area: width * depth,
+    shearArea: (2 / 3) * width * depth,
+    Ix: (width * Math.pow(depth, 3)) / 12,
+    Iy: (depth * Math.pow(width, 3)) / 12,
+    Zx: (width * Math.pow(depth, 2)) / 6,
+    Zy: (depth * Math.pow(width, 2)) / 6
+  };
+}
+
+/**
+ * Calculate the self-weight of a member as a line load
+ * 
+ * @param {number} width - Width in mm
+ * @param {number} depth - Depth in mm
+ * @param {number} density - Density in kg/m³
+ * @returns {number} Self-weight in kN/m
+ */
+export function calculateSelfWeight(width, depth, density) {
+  return (width / 1000) * (depth / 1000) * density * GRAVITY / 1000;
+}
+
+/**
+ * Stability factor k12 from the slenderness coefficient (AS 1720.1 clauses 3.2.4 and 3.3.3)
+ * 
+ * @param {number} rhoS - Product of the material constant and slenderness coefficient
+ * @returns {number} Stability factor k12
+ */
+export function calculateStabilityFactor(rhoS) {
+  if (rhoS <= 10) return 1.0;
+  if (rhoS <= 20) return 1.5 - 0.05 * rhoS;
+  return 200 / Math.pow(rhoS, 2);
+}
+
+/**
+ * Calculate the bending stability factor k12 of a beam
+ * 
+ * @param {number} width - Width in mm
+ * @param {number} depth - Depth in mm
+ * @param {number} restraintSpacing - Spacing of lateral restraints to the compression edge in mm (0 = continuous)
+ * @param {Object} properties - Design properties from getDesignProperties
+ * @param {number} r - Ratio of permanent to total design action effect
+ * @returns {Object} Slenderness coefficient S1, material constant ρb and k12
+ */
+export function calculateBendingStability(width, depth, restraintSpacing, properties, r = 0.25) {
+  // Discrete lateral restraint at the compression edge (clause 3.2.3.2(a));
+  // continuous restraint from the floor gives S1 = 0
+  const S1 = restraintSpacing > 0 ? 1.25 * (depth / width) * Math.sqrt(restraintSpacing / depth) : 0;
+  
+  // Material constant for seasoned timber (Appendix E2)
+  const rhoB = 14.71 * Math.pow(properties.modulusOfElasticity / properties.bendingStrength, -0.480) * Math.pow(r, -0.061);
+  
+  return {
+    S1,
+    rhoB,
+    k12: calculateStabilityFactor(rhoB * S1)
+  };
+}
+
+/**
+ * Create a single check entry
+ * 
+ * @param {string} label - Display label
+ * @param {number} demand - Design action effect
+ * @param {number} capacity - Design capacity or limit
+ * @param {string} unit - Unit of demand and capacity
+ * @param {string|null} combination - Label of the load combination the check was made under
+ * @returns {Object} Check entry with utilisation ratio
+ */
+export function createCheck(label, demand, capacity, unit, combination = null) {
+  const utilisation = capacity > 0 ? demand / capacity : Infinity;
+  return {
+    label,
+    demand,
+    capacity,
+    unit,
+    combination,
+    utilisation,
+    passes: utilisation <= 1.0
+  };
+}
+
+/**
+ * Create a check from the load combination with the highest utilisation
+ * 
+ * @param {string} label - Display label
+ * @param {string} unit - Unit of demand and capacity
+ * @param {Array<Object>} candidates - { demand, capacity, combination } for each load combination
+ * @returns {Object} Check entry of the governing combination
+ */
+export function createGoverningCheck(label, unit, candidates) {
+  return candidates
+    .map(({ demand, capacity, combination }) => createCheck(label, demand, capacity, unit, combination))
+    .reduce((governing, check) => (check.utilisation > governing.utilisation ? check : governing));
+}
+
+/**
+ * Check a flexural member to AS 1720.1
+ * Bending, shear and short and long-term deflection are checked under
+ * uniformly distributed permanent and imposed line loads, for every AS/NZS 1170.0
+ * combination, using the coefficients of the member's span condition. Point loads are in
+ * the line loads as an equivalent uniform load for moment and deflection only; shear and
+ * bearing take the uniform load without it plus the end shear of the point loads.
+ * Lateral-torsional buckling is checked when the compression edge is
+ * only restrained at discrete points, and bearing perpendicular to grain when a
+ * bearing length is given, with k7 at the interior supports of continuous members.
+ * 
+ * @param {Object} params - Member parameters
+ * @param {number} params.width - Width in mm
+ * @param {number} params.depth - Depth in mm
+ * @param {number} params.span - Span in meters
+ * @param {number} params.deadLoad - Permanent line load G in kN/m, including self-weight
+ * @param {number} params.liveLoad - Imposed line load Q in kN/m
+ * @param {Object} params.properties - Design properties from getDesignProperties
+ * @param {number} params.lateralRestraintSpacing - Compression edge restraint spacing in mm (0 = continuous)
+ * @param {number} params.bearingLength - Bearing length at each support in mm (0 = not checked)
+ * @param {number} params.psiShort - Short-term combination factor ψs of the occupancy
+ * @param {number} params.psiLong - Long-term combination factor ψl of the occupancy
+ * @param {number|null} params.bendingStiffness - Effective EI in N·mm² for deflection, e.g. of a composite floor (defaults to the timber section)
+ * @param {string} params.spanCondition - Key in SPAN_CONDITIONS
+ * @param {number} params.cantileverLength - Cantilever length in meters for a cantilever with backspan
+ * @param {Object} params.designFactors - Modification factors from getDesignFactors, for k4, j2 and the imposed load duration
+ * @param {Object} params.pointEquivalentLoad - Part of deadLoad and liveLoad that is the equivalent uniform load of point loads { dead, live } in kN/m
+ * @param {Object} params.pointShear - Larger simple-span reaction of the point loads { dead, live } in kN, see calculatePointShear
+ * @returns {Object} Checks keyed by name, each with its governing combination
+ */
+export function checkFlexuralMember({ width, depth, span, deadLoad, liveLoad, properties, lateralRestraintSpacing = 0, bearingLength = 0, psiShort = 0.7, psiLong = 0.4, bendingStiffness = null, spanCondition = 'simple', cantileverLength = 0, designFactors = DESIGN_FACTORS, pointEquivalentLoad = NO_POINT_LOADS, pointShear = NO_POINT_LOADS }) {
+  const spanMm = span * 1000;
+  const coefficients = getSpanCoefficients(spanCondition, span, cantileverLength);
+  const section = calculateSectionProperties(width, depth);
+  const { phi, k4, k6, k9, j2 } = designFactors;
+  const { k12 } = calculateBendingStability(width, depth, lateralRestraintSpacing, properties);
+  const bearingStrength = properties.compressiveStrengthPerpendicular || properties.bearingStrengthPerpendicular || 10;
+  // End supports bear at the member end; interior supports are away from it and take k7
+  const interiorK7 = calculateBearingLengthFactor(bearingLength, false);
+  
+  const pointShearFactor = getPointShearFactor(spanCondition);
+  
+  // Strength limit state for each combination (kN/m is equivalent to N/mm);
+  // capacities use the k1 of the combination's load duration
+  const strength = getStrengthCombinations(designFactors.loadDuration).map(combination => {
+    const k1 = LOAD_DURATION_FACTORS[combination.duration];
+    const strengthLoad = combineActions(combination, deadLoad, liveLoad);
+    const uniformLoad = strengthLoad - combineActions(combination, pointEquivalentLoad.dead, pointEquivalentLoad.live);
+    const pointReaction = pointShearFactor * combineActions(combination, pointShear.dead, pointShear.live) * 1e3; // N
+    return {
+      combination: combination.label,
+      designMoment: coefficients.moment * strengthLoad * Math.pow(spanMm, 2), // Nmm
+      designShear: coefficients.shear * uniformLoad * spanMm + pointReaction, // N
+      exteriorReaction: coefficients.exteriorReaction * uniformLoad * spanMm + pointReaction, // N
+      interiorReaction: coefficients.interiorReaction * uniformLoad * spanMm + pointReaction, // N
+      // Section capacity; stability is checked separately below
+      momentCapacity: phi * k1 * k4 * k6 * k9 * properties.bendingStrength * section.Zx, // Nmm
+      shearCapacity: phi * k1 * k4 * k6 * properties.shearStrength * section.shearArea, // N
+      bearingCapacity: phi * k1 * k4 * k6 * bearingStrength * width * bearingLength // N
+    };
+  });
+  
+  // Serviceability: G + ψs·Q short-term, j2·(G + ψl·Q) long-term; each deflection
+  // case of the span condition is checked against the limit over its own length
+  const EI = bendingStiffness || properties.modulusOfElasticity * section.Ix;
+  const [shortTerm, longTerm] = getServiceabilityCombinations(psiShort, psiLong);
+  const deflectionCheck = (label, combination, factor, limit) => createGoverningCheck(label, 'mm', coefficients.deflections.map(({ coefficient, limitLength }) => ({
+    demand: factor * coefficient * combineActions(combination, deadLoad, liveLoad) * Math.pow(spanMm, 4) / EI,
+    capacity: (limitLength * 1000) / limit,
+    combination: combination.label
+  })));
+  
+  const checks = {
+    bending: createGoverningCheck('Bending', 'kNm', strength.map(s => ({
+      demand: s.designMoment / 1e6, capacity: s.momentCapacity / 1e6, combination: s.combination
+    }))),
+    shear: createGoverningCheck('Shear', 'kN', strength.map(s => ({
+      demand: s.designShear / 1e3, capacity: s.shearCapacity / 1e3, combination: s.combination
+    }))),
+    deflectionShortTerm: deflectionCheck('Short-term deflection', shortTerm, 1, DEFLECTION_LIMITS.shortTerm),
+    deflectionLongTerm: deflectionCheck('Long-term deflection', longTerm, j2, DEFLECTION_LIMITS.longTerm)
+  };
   
-  // Calculate fire resistance allowance if needed
-  let fireAllowance = 0;
-  if (fireRating && fireRating !== 'none') {
-    fireAllowance = calculateFireResistanceAllowance(fireRating);
+  if (lateralRestraintSpacing > 0) {
+    checks.lateralTorsionalBuckling = createGoverningCheck('Lateral-torsional buckling', 'kNm', strength.map(s => ({
+      demand: s.designMoment / 1e6, capacity: (k12 * s.momentCapacity) / 1e6, combination: s.combination
+    })));
   }
   
-  // Add fire resistance allowance to depth only (width is already set based on FRL)
-  // For joists, typically only 3 sides are exposed (bottom and two sides)
-  const fireAdjustedWidth = theoreticalWidth; // Width is already set based on FRL
-  const fireAdjustedDepth = theoreticalDepth + fireAllowance; // Only bottom exposed
+  if (bearingLength > 0) {
+    // Bearing perpendicular to grain at the most heavily loaded support
+    checks.bearing = createGoverningCheck('Bearing at supports', 'kN', strength.flatMap(s => [
+      { demand: s.exteriorReaction / 1e3, capacity: s.bearingCapacity / 1e3, combination: s.combination },
+      { demand: s.interiorReaction / 1e3, capacity: interiorK7 * s.bearingCapacity / 1e3, combination: s.combination }
+    ]));
+  }
   
-  console.log(`Joist size before fire adjustment: ${theoreticalWidth}x${theoreticalDepth}mm`);
-  console.log(`Joist size after fire adjustment: ${fireAdjustedWidth}x${fireAdjustedDepth}mm`);
+  return checks;
+}
+
+/**
+ * Summarise a set of checks into the governing check and utilisation
+ * 
+ * @param {Object} checks - Checks keyed by name
+ * @returns {Object} Maximum utilisation, governing check name and combination, and overall pass flag
+ */
+export function summariseChecks(checks) {
+  let governingCheck = null;
+  let utilisation = 0;
   
-  // Find the nearest available width and depth
-  const width = findNearestWidth(fireAdjustedWidth);
-  const depth = findNearestDepth(width, fireAdjustedDepth);
+  Object.entries(checks).forEach(([name, check]) => {
+    if (governingCheck === null || check.utilisation > utilisation) {
+      governingCheck = name;
+      utilisation = check.utilisation;
+    }
+  });
   
   return {
-    width: width,
-    depth: depth,
-    span: span,
-    spacing: spacing,
-    load: load,
-    grade: timberGrade,
-    fireRating: fireRating,
-    fireAllowance: fireAllowance
+    utilisation,
+    governingCheck,
+    governingCombination: governingCheck ? checks[governingCheck].combination || null : null,
+    passes: utilisation <= 1.0
+  };
+}
+
+/**
+ * Check a candidate section at the fire limit state and key its checks for the member checks
+ * The ambient checks are made on the gross section; the fire checks from checkFireLimitState
+ * on the residual section are added as fireBending, fireShear or fireCompression.
+ *
+ * @param {number} minutes - Required fire resistance period in minutes (0 = no fire check)
+ * @param {Object} params - Inputs of checkFireLimitState
+ * @returns {Object} Fire checks keyed by name and the fire check summary, or empty checks and null without a fire rating
+ */
+export function checkMemberInFire(minutes, params) {
+  if (!(minutes > 0)) {
+    return { checks: {}, fire: null };
+  }
+  const fire = checkFireLimitState({ ...params, minutes });
+  const checks = Object.fromEntries(Object.entries(fire.checks).map(([name, check]) => (
+    [`fire${name.charAt(0).toUpperCase()}${name.slice(1)}`, check]
+  )));
+  return {
+    checks,
+    fire: {
+      minutes,
+      combination: fire.combination,
+      effectiveWidth: fire.effectiveWidth,
+      effectiveDepth: fire.effectiveDepth,
+      utilisation: fire.utilisation,
+      passes: fire.passes
+    }
   };
 }
 
+/**
+ * Select the lightest catalogue section that passes the design checks
+ * Sections are tried in order of increasing area (then depth) from masslam_sizes.csv
+ * 
+ * @param {string} type - Catalogue type ("joist", "beam" or "column")
+ * @param {number} minWidth - Minimum width in mm
+ * @param {Function} evaluate - Called with a catalogue size, returns an object containing checks
+ * @param {number} minDepth - Minimum depth in mm
+ * @returns {Object|null} Selected size merged with its evaluation and summary, or null if the catalogue is empty
+ */
+export function selectCatalogueSection(type, minWidth, evaluate, minDepth = 0) {
+  const candidates = getMasslamSizesByType(type)
+    .filter(size => size.width >= minWidth && size.depth >= minDepth)
+    .sort((a, b) => (a.width * a.depth) - (b.width * b.depth) || a.depth - b.depth);
+  
+  if (candidates.length === 0) {
+    console.warn(`No ${type} sizes available with width >= ${minWidth}mm and depth >= ${minDepth}mm, cannot select a section`);
+    return null;
+  }
+  
+  let selected = null;
+  for (const size of candidates) {
+    const evaluation = evaluate(size);
+    selected = { ...size, ...evaluation, ...summariseChecks(evaluation.checks) };
+    if (selected.passes) {
+      return selected;
+    }
+  }
+  
+  // No section passes - report the largest so the failure is visible
+  console.warn(`No ${type} size in the catalogue passes all checks, using the largest available`);
+  return selected;
+}
+
 /**
  * Calculate the required joist size based on span, spacing, and load
- * This synchronous version now uses the same minimum joist widths as the async version
+ * Iterates the MASSLAM catalogue from the lightest section until bending,
+ * shear, deflection and floor vibration all pass. The minimum width is loaded
+ * from FRL.csv.
  * 
  * @param {number} span - Span in meters
  * @param {number} spacing - Spacing in mm
- * @param {number} load - Load in kPa
- * @param {string} timberGrade - Timber grade (GL18, GL21, GL24)
+ * @param {number} load - Imposed load in kPa
+ * @param {string} timberGrade - Timber grade key in TIMBER_PROPERTIES
  * @param {string} fireRating - Fire rating (e.g., "60/60/60", "90/90/90")
- * @returns {Object} Calculated joist size and properties
+ * @param {Object} options - Additional design inputs
+ * @param {number} options.floorDeadLoad - Permanent floor load in kPa excluding the joist self-weight (G + SDL)
+ * @param {number} options.psiShort - Short-term combination factor ψs of the occupancy
+ * @param {number} options.psiLong - Long-term combination factor ψl of the occupancy
+ * @param {Object} options.vibrationCriteria - Floor vibration acceptance criteria, see DEFAULT_VIBRATION_CRITERIA; null to skip the vibration check
+ * @param {Object} options.floorBuildUp - Floor build-up { type, composite }; its load must be included in floorDeadLoad
+ * @param {string} options.spanCondition - Key in SPAN_CONDITIONS for the joist run
+ * @param {number} options.cantileverLength - Cantilever length in meters beyond the end support
+ * @param {number} options.additionalDeadLoad - Additional permanent line load on the joist in kN/m, e.g. from point loads
+ * @param {number} options.additionalLiveLoad - Additional imposed line load on the joist in kN/m
+ * @param {Object} options.pointEquivalentLoad - Part of the additional loads that is the equivalent uniform load of point loads { dead, live } in kN/m
+ * @param {Object} options.pointShear - Larger simple-span reaction of the point loads { dead, live } in kN
+ * @param {Object} options.designFactors - Modification factors from getDesignFactors
+ * @param {Object} options.fireExposure - Exposure of each face, see DEFAULT_MEMBER_EXPOSURES
+ * @param {Object} options.fireLinings - Lining of the plasterboard and encapsulated faces, see DEFAULT_FIRE_LININGS
+ * @returns {Promise<Object>} Calculated joist size, checks, floor vibration response and utilisation
  */
-export async function calculateJoistSize(span, spacing, load, timberGrade, fireRating = 'none') {
+export async function calculateJoistSizeAsync(span, spacing, load, timberGrade, fireRating = 'none', options = {}) {
+  const {
+    floorDeadLoad = 0,
+    psiShort,
+    psiLong,
+    vibrationCriteria = DEFAULT_VIBRATION_CRITERIA,
+    floorBuildUp = DEFAULT_FLOOR_BUILD_UP,
+    spanCondition = 'simple',
+    cantileverLength = 0,
+    additionalDeadLoad = 0,
+    additionalLiveLoad = 0,
+    pointEquivalentLoad = NO_POINT_LOADS,
+    pointShear = NO_POINT_LOADS,
+    designFactors = DESIGN_FACTORS,
+    fireExposure = DEFAULT_MEMBER_EXPOSURES.joists,
+    fireLinings = DEFAULT_FIRE_LININGS
+  } = options;
+  const composite = isCompositeBuildUp(floorBuildUp);
+  
   // Get minimum joist width based on FRL from the CSV file
   const minJoistWidth = await loadMinJoistWidthForFRL(fireRating);
-  console.log(`Minimum joist width for FRL ${fireRating}: ${minJoistWidth}mm`);
-  
-  // Calculate theoretical width and depth
-  // For width, use the minimum width from FRL.csv
-  const spanMm = span * 1000; // Convert to mm
-  const theoreticalWidth = minJoistWidth;
-  
-  // Improved depth calculation based on span
-  // For timber joists, a common rule of thumb is span/12 to span/10 for residential loads
-  // For longer spans, we use a more conservative ratio to ensure adequate stiffness
-  let depthRatio;
-  if (span <= 4.0) {
-    depthRatio = 15; // Smaller spans can use span/15
-  } else if (span <= 6.0) {
-    depthRatio = 12; // Medium spans use span/12
-  } else {
-    depthRatio = 10; // Longer spans need span/10 for adequate stiffness
-  }
   
-  const theoreticalDepth = Math.max(140, Math.ceil(spanMm / depthRatio));
-  console.log(`Using depth ratio of 1/${depthRatio} for ${span}m span`);
+  const properties = getDesignProperties(timberGrade);
   
-  // Calculate fire resistance allowance if needed
-  let fireAllowance = 0;
-  if (fireRating && fireRating !== 'none') {
-    fireAllowance = calculateFireResistanceAllowance(fireRating);
-  }
+  // Fire allowance on each face; fireAllowance is the largest of them
+  const fireAllowances = calculateFireAllowances(fireRating, properties.charringRate, fireExposure, fireLinings);
+  const fireAllowance = Math.max(...Object.values(fireAllowances));
   
-  // Add fire resistance allowance to depth only (width is already set based on FRL)
-  // For joists, typically only 3 sides are exposed (bottom and two sides)
-  const fireAdjustedWidth = theoreticalWidth; // Width is already set based on FRL
-  const fireAdjustedDepth = theoreticalDepth + fireAllowance; // Only bottom exposed
+  const liveLoad = load * spacing / 1000 + additionalLiveLoad; // kN/m
+  const floorDeadLine = floorDeadLoad * spacing / 1000 + additionalDeadLoad; // kN/m
   
-  console.log(`Joist size before fire adjustment: ${theoreticalWidth}x${theoreticalDepth}mm`);
-  console.log(`Joist size after fire adjustment: ${fireAdjustedWidth}x${fireAdjustedDepth}mm`);
+  // Width is already set based on FRL; the ambient checks use the gross section and
+  // the fire limit state the section net of the fire allowance on its charring faces,
+  // by default only the bottom face
+  // A composite topping stiffens the floor for deflection and vibration; strength
+  // is checked on the timber section alone with the topping as dead load
+  const compositeStiffness = (width, depth) => (composite ? calculateCompositeStiffness({
+    width,
+    depth,
+    spacing,
+    span,
+    modulusOfElasticity: properties.modulusOfElasticity,
+    floorBuildUp
+  }) : null);
   
-  // Find the nearest available width and depth
-  const width = findNearestWidth(fireAdjustedWidth);
-  const depth = findNearestDepth(width, fireAdjustedDepth);
+  const minutes = getFrlMinutes(fireRating);
+  const design = selectCatalogueSection('joist', Math.max(minJoistWidth, fireAllowances.left + fireAllowances.right), (size) => {
+    const selfWeight = calculateSelfWeight(size.width, size.depth, properties.density);
+    const ambientChecks = checkFlexuralMember({
+      width: size.width,
+      depth: size.depth,
+      span,
+      deadLoad: floorDeadLine + selfWeight,
+      liveLoad,
+      properties,
+      psiShort,
+      psiLong,
+      bendingStiffness: compositeStiffness(size.width, size.depth),
+      spanCondition,
+      cantileverLength,
+      designFactors,
+      pointEquivalentLoad,
+      pointShear
+    });
+    const { checks: fireChecks, fire } = checkMemberInFire(minutes, {
+      dimensions: size,
+      memberType: 'joist',
+      timberGrade,
+      span,
+      deadLoad: floorDeadLine + selfWeight,
+      liveLoad,
+      psiLong,
+      exposure: fireExposure,
+      linings: fireLinings,
+      spanCondition,
+      cantileverLength,
+      pointEquivalentLoad,
+      pointShear
+    });
+    const checks = { ...ambientChecks, ...fireChecks };
+    
+    // Footfall vibration of the floor uses the gross section, conservatively as a single span;
+    // it is not checked without criteria, e.g. on a non-trafficable roof
+    if (!vibrationCriteria) {
+      return { selfWeight, deadLoad: floorDeadLine + selfWeight, vibration: null, fire, checks };
+    }
+    const { checks: vibrationChecks, ...vibration } = checkFloorVibration({
+      span,
+      spacing,
+      width: size.width,
+      depth: size.depth,
+      modulusOfElasticity: properties.modulusOfElasticity,
+      permanentLoad: floorDeadLoad + selfWeight / (spacing / 1000),
+      criteria: vibrationCriteria,
+      bendingStiffness: compositeStiffness(size.width, size.depth)
+    });
+    
+    return { selfWeight, deadLoad: floorDeadLine + selfWeight, vibration, fire, checks: { ...checks, ...vibrationChecks } };
+  });
   
-  return {
-    width: width,
-    depth: depth,
+  const result = {
     span: span,
     spacing: spacing,
     load: load,
+    floorDeadLoad: floorDeadLoad,
+    composite: composite,
+    spanCondition: spanCondition,
+    cantileverLength: cantileverLength,
     grade: timberGrade,
     fireRating: fireRating,
-    fireAllowance: fireAllowance
+    fireExposure: fireExposure,
+    fireLinings: fireLinings,
+    fireAllowance: fireAllowance,
+    fireAllowances: fireAllowances
   };
+  
+  if (!design) {
+    return { ...result, width: minJoistWidth, depth: 0, checks: {}, utilisation: null, governingCheck: null, passes: false };
+  }
+  
+  return { ...result, ...design };
+}
+
+/**
+ * Calculate the required joist size based on span, spacing, and load
+ * Kept for existing callers; uses the same catalogue design as calculateJoistSizeAsync
+ * 
+ * @param {number} span - Span in meters
+ * @param {number} spacing - Spacing in mm
+ * @param {number} load - Imposed load in kPa
+ * @param {string} timberGrade - Timber grade key in TIMBER_PROPERTIES
+ * @param {string} fireRating - Fire rating (e.g., "60/60/60", "90/90/90")
+ * @param {Object} options - Additional design inputs, see calculateJoistSizeAsync
+ * @returns {Promise<Object>} Calculated joist size, checks and utilisation
+ */
+export async function calculateJoistSize(span, spacing, load, timberGrade, fireRating = 'none', options = {}) {
+  return calculateJoistSizeAsync(span, spacing, load, timberGrade, fireRating, options);
+}
+
+/**
+ * Calculate the tributary width of the beam on each grid line
+ * Each beam carries half of the joist span on either side of it, so edge
+ * beams carry half of one joist span and interior beams half of two.
+ * 
+ * @param {Array<number>} joistSpans - Joist span of each bay in meters, in grid order
+ * @returns {Array<number>} Tributary width in meters for each of the joistSpans.length + 1 grid lines
+ */
+export function calculateBeamTributaryWidths(joistSpans) {
+  return Array.from({ length: joistSpans.length + 1 }, (_, index) => {
+    const before = index > 0 ? joistSpans[index - 1] : 0;
+    const after = index < joistSpans.length ? joistSpans[index] : 0;
+    return (before + after) / 2;
+  });
 }
 
 /**
  * Calculate the required beam size based on span and load
+ * The beam carries the floor over its tributary width plus its own weight and
+ * is checked for moment, shear, deflection, bearing at the supports and
+ * lateral-torsional buckling between joists. The lightest catalogue section
+ * that passes is selected.
  * 
  * @param {number} span - Span in meters
- * @param {number} load - Load in kPa
- * @param {string} timberGrade - Timber grade (GL18, GL21, GL24)
+ * @param {number} load - Imposed load in kPa
+ * @param {string} timberGrade - Timber grade key in TIMBER_PROPERTIES
  * @param {string} fireRating - Fire rating (e.g., "60/60/60", "90/90/90")
- * @returns {Object} Calculated beam size and properties
+ * @param {Object} options - Additional design inputs
+ * @param {number} options.tributaryWidth - Tributary width in meters (defaults to the span, i.e. an interior beam in a square bay)
+ * @param {number} options.floorDeadLoad - Permanent floor load carried by the beam in kPa (joist self-weight, G and SDL)
+ * @param {number} options.joistSpacing - Joist spacing in mm, used as the lateral restraint spacing
+ * @param {number} options.bearingLength - Bearing length at each support in mm
+ * @param {number} options.psiShort - Short-term combination factor ψs of the occupancy
+ * @param {number} options.psiLong - Long-term combination factor ψl of the occupancy
+ * @param {string} options.spanCondition - Key in SPAN_CONDITIONS for the beam run
+ * @param {number} options.cantileverLength - Cantilever length in meters beyond the end support
+ * @param {number} options.additionalDeadLoad - Additional permanent line load on the beam in kN/m, e.g. from point loads
+ * @param {number} options.additionalLiveLoad - Additional imposed line load on the beam in kN/m
+ * @param {Object} options.pointEquivalentLoad - Part of the additional loads that is the equivalent uniform load of point loads { dead, live } in kN/m
+ * @param {Object} options.pointShear - Larger simple-span reaction of the point loads { dead, live } in kN
+ * @param {Object} options.designFactors - Modification factors from getDesignFactors
+ * @param {Object} options.fireExposure - Exposure of each face, see DEFAULT_MEMBER_EXPOSURES
+ * @param {Object} options.fireLinings - Lining of the plasterboard and encapsulated faces, see DEFAULT_FIRE_LININGS
+ * @returns {Object} Calculated beam size, loads, checks and utilisation
  */
-export function calculateBeamSize(span, load, timberGrade, fireRating = 'none') {
-  // Placeholder implementation
-  const spanMm = span * 1000; // Convert to mm
+export function calculateBeamSize(span, load, timberGrade, fireRating = 'none', options = {}) {
+  const {
+    tributaryWidth = span,
+    floorDeadLoad = 0,
+    joistSpacing = 800,
+    bearingLength = DEFAULT_BEARING_LENGTH,
+    psiShort,
+    psiLong,
+    spanCondition = 'simple',
+    cantileverLength = 0,
+    additionalDeadLoad = 0,
+    additionalLiveLoad = 0,
+    pointEquivalentLoad = NO_POINT_LOADS,
+    pointShear = NO_POINT_LOADS,
+    designFactors = DESIGN_FACTORS,
+    fireExposure = DEFAULT_MEMBER_EXPOSURES.beams,
+    fireLinings = DEFAULT_FIRE_LININGS
+  } = options;
   
-  // Calculate theoretical width and depth
-  const theoreticalWidth = Math.max(65, Math.ceil(spanMm / 25)); // Simplified calculation
-  const theoreticalDepth = Math.max(240, Math.ceil(spanMm / 12)); // Simplified calculation
-  
-  // Calculate fire resistance allowance if needed
-  let fireAllowance = 0;
-  if (fireRating && fireRating !== 'none') {
-    fireAllowance = calculateFireResistanceAllowance(fireRating);
-  }
+  const properties = getDesignProperties(timberGrade);
   
-  // Add fire resistance allowance to width and depth
-  // For beams, typically 3 sides are exposed (bottom and two sides)
-  const fireAdjustedWidth = theoreticalWidth + (2 * fireAllowance); // Both sides exposed
-  const fireAdjustedDepth = theoreticalDepth + fireAllowance; // Only bottom exposed
+  // Fire allowance on each face; fireAllowance is the largest of them
+  const fireAllowances = calculateFireAllowances(fireRating, properties.charringRate, fireExposure, fireLinings);
+  const fireAllowance = Math.max(...Object.values(fireAllowances));
   
-  console.log(`Beam size before fire adjustment: ${theoreticalWidth}x${theoreticalDepth}mm`);
-  console.log(`Beam size after fire adjustment: ${fireAdjustedWidth}x${fireAdjustedDepth}mm`);
+  // Line loads from the floor over the tributary width (kN/m)
+  const floorDeadLine = floorDeadLoad * tributaryWidth + additionalDeadLoad;
+  const liveLoad = load * tributaryWidth + additionalLiveLoad;
   
-  // Find the nearest available width and depth
-  const width = findNearestWidth(fireAdjustedWidth);
-  const depth = findNearestDepth(width, fireAdjustedDepth);
+  // For beams, typically 3 sides are exposed (bottom and two sides); the ambient checks
+  // use the gross section and the fire limit state the section net of the fire allowance
+  // on its charring faces
+  const minutes = getFrlMinutes(fireRating);
+  const design = selectCatalogueSection('beam', fireAllowances.left + fireAllowances.right, (size) => {
+    const selfWeight = calculateSelfWeight(size.width, size.depth, properties.density);
+    const deadLoad = floorDeadLine + selfWeight;
+    const ambientChecks = checkFlexuralMember({
+      width: size.width,
+      depth: size.depth,
+      span,
+      deadLoad,
+      liveLoad,
+      properties,
+      lateralRestraintSpacing: joistSpacing,
+      bearingLength,
+      psiShort,
+      psiLong,
+      spanCondition,
+      cantileverLength,
+      designFactors,
+      pointEquivalentLoad,
+      pointShear
+    });
+    const { checks: fireChecks, fire } = checkMemberInFire(minutes, {
+      dimensions: size,
+      memberType: 'beam',
+      timberGrade,
+      span,
+      deadLoad,
+      liveLoad,
+      psiLong,
+      exposure: fireExposure,
+      linings: fireLinings,
+      spanCondition,
+      cantileverLength,
+      pointEquivalentLoad,
+      pointShear
+    });
+    return { selfWeight, deadLoad, fire, checks: { ...ambientChecks, ...fireChecks } };
+  });
   
-  return {
-    width: width,
-    depth: depth,
+  const result = {
     span: span,
     load: load,
     grade: timberGrade,
+    tributaryWidth: tributaryWidth,
+    liveLoad: liveLoad,
+    spanCondition: spanCondition,
+    cantileverLength: cantileverLength,
     fireRating: fireRating,
-    fireAllowance: fireAllowance
+    fireExposure: fireExposure,
+    fireLinings: fireLinings,
+    fireAllowance: fireAllowance,
+    fireAllowances: fireAllowances
+  };
+  
+  if (!design) {
+    return { ...result, width: 0, depth: 0, checks: {}, utilisation: null, governingCheck: null, passes: false };
+  }
+  
+  // Unfactored service load along the beam
+  const loadPerMeter = design.deadLoad + liveLoad;
+  
+  return {
+    ...result,
+    ...design,
+    loadPerMeter: loadPerMeter,
+    totalDistributedLoad: loadPerMeter * (span + cantileverLength)
   };
 }
 
 /**
- * Calculate the required column size based on height and load
+ * Calculate the compression stability factor k12 of a column about both axes
+ * Uses the 5th percentile modulus (E_05) and f'c of the grade in the material constant.
  * 
- * @param {number} height - Height in meters
- * @param {number} load - Load in kN
- * @param {string} timberGrade - Timber grade (GL18, GL21, GL24)
+ * @param {number} width - Width (minor dimension) in mm
+ * @param {number} depth - Depth (major dimension) in mm
+ * @param {number} effectiveLength - Effective length in mm (equal about both axes for a pin-ended storey column)
+ * @param {Object} properties - Design properties from getDesignProperties
+ * @param {number} r - Ratio of permanent to total design action effect
+ * @returns {Object} Slenderness coefficients S3 and S4, material constant ρc and k12 about each axis
+ */
+export function calculateCompressionStability(width, depth, effectiveLength, properties, r = 0.25) {
+  // Slenderness about the major (S3) and minor (S4) axes (clause 3.3.2)
+  const S3 = effectiveLength / depth;
+  const S4 = effectiveLength / width;
+  
+  // Material constant for seasoned timber (Appendix E2)
+  const rhoC = 11.39 * Math.pow(properties.modulusOfElasticity5thPercentile / properties.compressiveStrength, -0.408) * Math.pow(r, -0.074);
+  
+  return {
+    S3,
+    S4,
+    rhoC,
+    k12x: calculateStabilityFactor(rhoC * S3),
+    k12y: calculateStabilityFactor(rhoC * S4)
+  };
+}
+
+/**
+ * Check a column storey by storey for compression and combined bending and compression
+ * Beam reactions are applied at the face of the column, eccentric to its major axis.
+ * Imposed load is patterned so the worst unbalanced reaction is used for the moment.
+ * Every strength combination is checked with the k1 of its load duration.
+ * 
+ * @param {Object} params - Column parameters
+ * @param {number} params.width - Width in mm
+ * @param {number} params.depth - Depth in mm (in the direction of the beams)
+ * @param {number} params.height - Storey height in meters
+ * @param {Array<Object>} params.levels - Beam reactions at each supported level from the top down, as arrays of { dead, live } in kN for each beam
+ * @param {number} params.selfWeight - Column self-weight per storey in kN
+ * @param {Object} params.properties - Design properties from getDesignProperties
+ * @param {Object} params.loadAbove - Unfactored axial load { dead, live } in kN from storeys above the first level checked
+ * @param {Object} params.designFactors - Modification factors from getDesignFactors
+ * @returns {Array<Object>} Checks for each storey from the top down
+ */
+export function checkColumnStoreys({ width, depth, height, levels, selfWeight, properties, loadAbove = { dead: 0, live: 0 }, designFactors = DESIGN_FACTORS }) {
+  const heightMm = height * 1000;
+  const section = calculateSectionProperties(width, depth);
+  const { phi, k4, k6, k9 } = designFactors;
+  
+  const { k12x, k12y } = calculateCompressionStability(width, depth, heightMm, properties);
+  
+  // The column is only restrained against lateral buckling at each floor
+  const { k12 } = calculateBendingStability(width, depth, heightMm, properties);
+  
+  // Reactions are taken at the column face
+  const eccentricity = depth / 2; // mm
+  
+  const combinations = getStrengthCombinations(designFactors.loadDuration).map(combination => {
+    const k1 = LOAD_DURATION_FACTORS[combination.duration];
+    return {
+      combination,
+      axialCapacityX: phi * k1 * k4 * k6 * k12x * properties.compressiveStrength * section.area, // N
+      axialCapacityY: phi * k1 * k4 * k6 * k12y * properties.compressiveStrength * section.area, // N
+      momentCapacity: phi * k1 * k4 * k6 * k9 * k12 * properties.bendingStrength * section.Zx, // Nmm
+      axialLoad: combineActions(combination, loadAbove.dead, loadAbove.live) // kN, accumulated down the column
+    };
+  });
+  
+  return levels.map((reactions, index) => {
+    const actions = combinations.map(state => {
+      const { combination } = state;
+      const factored = reactions.map(r => combineActions(combination, r.dead, r.live));
+      const deadOnly = reactions.map(r => combination.dead * r.dead);
+      
+      state.axialLoad += factored.reduce((sum, r) => sum + r, 0) + combination.dead * selfWeight;
+      
+      // Unbalanced moment with imposed load on one side only; a single beam gives its full reaction
+      let unbalancedReaction = 0;
+      if (reactions.length === 1) {
+        unbalancedReaction = factored[0];
+      } else {
+        factored.forEach((reaction, i) => {
+          const opposing = deadOnly.reduce((sum, r, j) => (j === i ? sum : sum + r), 0);
+          unbalancedReaction = Math.max(unbalancedReaction, reaction - opposing);
+        });
+      }
+      const moment = unbalancedReaction * eccentricity / 1000; // kNm
+      
+      const bendingRatio = (moment * 1e6) / state.momentCapacity;
+      const interaction = Math.max(
+        Math.pow(bendingRatio, 2) + (state.axialLoad * 1e3) / state.axialCapacityX, // Clause 3.5.1(a)
+        bendingRatio + (state.axialLoad * 1e3) / state.axialCapacityY               // Clause 3.5.1(b)
+      );
+      
+      return {
+        combination: combination.label,
+        axialLoad: state.axialLoad,
+        moment,
+        axialCapacity: Math.min(state.axialCapacityX, state.axialCapacityY) / 1e3, // kN
+        interaction
+      };
+    });
+    
+    const checks = {
+      compression: createGoverningCheck('Compression', 'kN', actions.map(a => ({
+        demand: a.axialLoad, capacity: a.axialCapacity, combination: a.combination
+      }))),
+      combined: createGoverningCheck('Combined bending and compression', '', actions.map(a => ({
+        demand: a.interaction, capacity: 1.0, combination: a.combination
+      })))
+    };
+    
+    // Report the actions of the combination governing the combined check
+    const governing = actions.find(a => a.combination === checks.combined.combination);
+    
+    return {
+      storey: index + 1,
+      axialLoad: governing.axialLoad,
+      moment: governing.moment,
+      checks,
+      compressionUtilisation: checks.compression.utilisation,
+      ...summariseChecks(checks)
+    };
+  });
+}
+
+/**
+ * Calculate the required column size based on height and the floors it supports
+ * Load is accumulated storey by storey from the top down. Each storey is checked for
+ * slenderness about both axes over its own height and for the combined action of axial
+ * load and the eccentric beam reactions on the gross section, and at the fire limit state
+ * in compression on the residual section left at its own fire rating.
+ * The lightest catalogue section at least as wide as the beams that passes on every
+ * storey is selected; with stepDown each storey is sized for its own load, never
+ * smaller than the storey above, so columns step down in size up the building.
+ * 
+ * @param {number} height - Storey height in meters
+ * @param {number} load - Imposed floor load in kPa
+ * @param {string} timberGrade - Timber grade key in TIMBER_PROPERTIES
  * @param {string} fireRating - Fire rating (e.g., "60/60/60", "90/90/90")
- * @returns {Object} Calculated column size and properties
+ * @param {Object} options - Additional design inputs
+ * @param {number} options.floors - Number of floor levels supported
+ * @param {number} options.tributaryArea - Tributary floor area per level in m²
+ * @param {number} options.floorDeadLoad - Permanent floor load in kPa (joist self-weight, G and SDL)
+ * @param {number} options.beamDeadLoad - Self-weight of the beams framing in at each level in kN
+ * @param {number} options.beamSides - Number of beams framing in at each level (2 = interior, 1 = edge)
+ * @param {Array<Object>} options.reactions - End reactions { dead, live } in kN of each beam framing in at every level; overrides the tributary area loads
+ * @param {Array<Array<Object>>} options.levelReactions - Beam end reactions at each level from the top down, where levels carry different loads; overrides reactions
+ * @param {Array<number>} options.storeyHeights - Height in meters of the storey below each level from the top down; defaults to height
+ * @param {Array<string>} options.storeyFireRatings - Fire rating of the storey below each level from the top down; defaults to fireRating
+ * @param {boolean} options.stepDown - Size each storey for its own load instead of one section for the full height
+ * @param {number} options.minWidth - Minimum width in mm, normally the beam width
+ * @param {Array<number>} options.storeyMinWidths - Minimum width in mm of the storey below each level from the top down, normally the width of the beams at the level
+ * @param {Object} options.designFactors - Modification factors from getDesignFactors
+ * @param {Object} options.fireExposure - Exposure of each face in plan, see DEFAULT_MEMBER_EXPOSURES
+ * @param {Object} options.fireLinings - Lining of the plasterboard and encapsulated faces, see DEFAULT_FIRE_LININGS
+ * @param {number} options.psiLong - Long-term combination factor ψl of the imposed load in fire
+ * @returns {Object} Calculated column size (of the lowest storey), loads, checks and size, utilisation and unfactored axial load per storey
  */
-export function calculateColumnSize(height, load, timberGrade, fireRating = 'none') {
-  // Placeholder implementation
-  const heightMm = height * 1000; // Convert to mm
+export function calculateColumnSize(height, load, timberGrade, fireRating = 'none', options = {}) {
+  const {
+    floors = 1,
+    tributaryArea = 0,
+    floorDeadLoad = 0,
+    beamDeadLoad = 0,
+    beamSides = 2,
+    reactions: beamReactions = null,
+    levelReactions = null,
+    storeyHeights = null,
+    storeyFireRatings = null,
+    stepDown = false,
+    minWidth = 0,
+    storeyMinWidths = null,
+    designFactors = DESIGN_FACTORS,
+    fireExposure = DEFAULT_MEMBER_EXPOSURES.columns,
+    fireLinings = DEFAULT_FIRE_LININGS,
+    psiLong = 0.4
+  } = options;
   
-  // Calculate theoretical width and depth
-  const theoreticalWidth = Math.max(90, Math.ceil(Math.sqrt(load) * 20)); // Simplified calculation
-  const theoreticalDepth = theoreticalWidth; // Square columns for simplicity
+  const properties = getDesignProperties(timberGrade);
   
-  // Calculate fire resistance allowance if needed
-  let fireAllowance = 0;
-  if (fireRating && fireRating !== 'none') {
-    fireAllowance = calculateFireResistanceAllowance(fireRating);
-  }
+  // Beam reactions at each level, either from the beams framing in or split
+  // equally between them from the tributary area
+  const reactions = beamReactions || Array.from({ length: beamSides }, () => ({
+    dead: (floorDeadLoad * tributaryArea + beamDeadLoad) / beamSides,
+    live: (load * tributaryArea) / beamSides
+  }));
+  const levels = levelReactions || Array.from({ length: floors }, () => reactions);
   
-  // Add fire resistance allowance to width and depth
-  // For columns, all 4 sides are exposed
-  const fireAdjustedWidth = theoreticalWidth + (2 * fireAllowance); // Both sides exposed
-  const fireAdjustedDepth = theoreticalDepth + (2 * fireAllowance); // Both sides exposed
+  // Height and fire allowances of the storey below each level; by default all 4 sides of a column are exposed
+  const storeys = levels.map((levelReactions, index) => {
+    const storeyFireRating = storeyFireRatings?.[index] || fireRating;
+    const fireAllowances = calculateFireAllowances(storeyFireRating, properties.charringRate, fireExposure, fireLinings);
+    return {
+      reactions: levelReactions,
+      height: storeyHeights?.[index] || height,
+      minWidth: Math.max(minWidth, storeyMinWidths?.[index] || 0),
+      fireRating: storeyFireRating,
+      fireAllowance: Math.max(...Object.values(fireAllowances)),
+      fireAllowances
+    };
+  });
   
-  console.log(`Column size before fire adjustment: ${theoreticalWidth}x${theoreticalDepth}mm`);
-  console.log(`Column size after fire adjustment: ${fireAdjustedWidth}x${fireAdjustedDepth}mm`);
+  // Average load per floor over the supported levels
+  const deadPerFloor = levels.reduce((sum, level) => sum + level.reduce((total, r) => total + r.dead, 0), 0) / levels.length;
+  const livePerFloor = levels.reduce((sum, level) => sum + level.reduce((total, r) => total + r.live, 0), 0) / levels.length;
   
-  // Find the nearest available width and depth
-  const width = findNearestWidth(fireAdjustedWidth);
-  const depth = findNearestDepth(width, fireAdjustedDepth);
+  // Check a section over a run of storeys, accumulating the load from the storeys above
+  const checkStoreys = (size, first, last, loadAbove) => {
+    const checked = [];
+    let accumulated = { ...loadAbove };
+    for (let index = first; index <= last; index++) {
+      const storey = storeys[index];
+      const selfWeight = calculateSelfWeight(size.width, size.depth, properties.density) * storey.height;
+      const [result] = checkColumnStoreys({
+        width: size.width,
+        depth: size.depth,
+        height: storey.height,
+        levels: [storey.reactions],
+        selfWeight,
+        properties,
+        loadAbove: accumulated,
+        designFactors
+      });
+      
+      accumulated = {
+        dead: accumulated.dead + storey.reactions.reduce((sum, r) => sum + r.dead, 0) + selfWeight,
+        live: accumulated.live + storey.reactions.reduce((sum, r) => sum + r.live, 0)
+      };
+      // Fire limit state on the residual section under the load at the foot of the storey
+      const { checks: fireChecks, fire } = checkMemberInFire(getFrlMinutes(storey.fireRating), {
+        dimensions: size,
+        memberType: 'column',
+        timberGrade,
+        span: storey.height,
+        deadLoad: accumulated.dead,
+        liveLoad: accumulated.live,
+        psiLong,
+        exposure: fireExposure,
+        linings: fireLinings
+      });
+      const checks = { ...result.checks, ...fireChecks };
+      checked.push({
+        ...result,
+        checks,
+        ...summariseChecks(checks),
+        fire,
+        storey: index + 1,
+        // Levels count up from 1 at the lowest floor
+        level: storeys.length - index,
+        width: size.width,
+        depth: size.depth,
+        height: storey.height,
+        fireRating: storey.fireRating,
+        fireAllowance: storey.fireAllowance,
+        fireAllowances: storey.fireAllowances,
+        selfWeight,
+        // Unfactored axial load at the foot of the storey
+        serviceLoad: accumulated
+      });
+    }
+    return { storeys: checked, loadBelow: accumulated };
+  };
   
-  return {
-    width: width,
-    depth: depth,
+  // Fire limit state of the storey most utilised in fire
+  const governingFire = (checked) => checked.reduce((worst, storey) => (
+    storey.fire && (!worst || storey.fire.utilisation > worst.utilisation) ? storey.fire : worst
+  ), null);
+  
+  // The lowest storey normally carries the most load and governs the section
+  const evaluateRun = (size, first, last, loadAbove) => {
+    const { storeys: checked, loadBelow } = checkStoreys(size, first, last, loadAbove);
+    const governingStorey = checked.reduce((worst, storey) => (storey.utilisation > worst.utilisation ? storey : worst), checked[0]);
+    return { selfWeight: checked[checked.length - 1].selfWeight, storeys: checked, loadBelow, fire: governingFire(checked), checks: governingStorey.checks };
+  };
+  
+  // Smallest width and depth that leave a residual section in the most onerous storey
+  const fireWidth = (storey) => storey.fireAllowances.left + storey.fireAllowances.right;
+  const fireDepth = (storey) => storey.fireAllowances.top + storey.fireAllowances.bottom;
+  const maxFireWidth = Math.max(...storeys.map(fireWidth));
+  const maxFireDepth = Math.max(...storeys.map(fireDepth));
+  const maxMinWidth = Math.max(...storeys.map(storey => storey.minWidth));
+  let design = null;
+  if (stepDown) {
+    // From the top down, each storey at least as large as the one it carries
+    const storeyDesigns = [];
+    let loadAbove = { dead: 0, live: 0 };
+    let above = { width: 0, depth: 0 };
+    for (let index = 0; index < storeys.length; index++) {
+      const storeyDesign = selectCatalogueSection(
+        'column',
+        Math.max(storeys[index].minWidth, fireWidth(storeys[index]), above.width),
+        (size) => evaluateRun(size, index, index, loadAbove),
+        Math.max(fireDepth(storeys[index]), above.depth)
+      );
+      if (!storeyDesign) break;
+      storeyDesigns.push(storeyDesign);
+      loadAbove = storeyDesign.loadBelow;
+      above = storeyDesign;
+    }
+    
+    if (storeyDesigns.length === storeys.length) {
+      const base = storeyDesigns[storeyDesigns.length - 1];
+      const allStoreys = storeyDesigns.flatMap(storeyDesign => storeyDesign.storeys);
+      const governingStorey = allStoreys.reduce((worst, storey) => (storey.utilisation > worst.utilisation ? storey : worst), allStoreys[0]);
+      design = {
+        ...base,
+        storeys: allStoreys,
+        fire: governingFire(allStoreys),
+        checks: governingStorey.checks,
+        ...summariseChecks(governingStorey.checks)
+      };
+    }
+  } else {
+    design = selectCatalogueSection('column', Math.max(maxMinWidth, maxFireWidth), (size) => (
+      evaluateRun(size, 0, storeys.length - 1, { dead: 0, live: 0 })
+    ), maxFireDepth);
+  }
+  
+  const baseStorey = storeys[storeys.length - 1];
+  const loadPerFloor = deadPerFloor + livePerFloor;
+  const result = {
     height: height,
-    load: load,
+    load: loadPerFloor * floors,
+    tributaryArea: tributaryArea,
+    loadPerFloor: loadPerFloor,
+    floors: floors,
+    stepDown: stepDown,
     grade: timberGrade,
-    fireRating: fireRating,
-    fireAllowance: fireAllowance
+    fireRating: baseStorey.fireRating,
+    fireExposure: fireExposure,
+    fireLinings: fireLinings,
+    fireAllowance: baseStorey.fireAllowance,
+    fireAllowances: baseStorey.fireAllowances
+  };
+  
+  if (!design) {
+    return { ...result, width: maxMinWidth, depth: 0, storeys: [], checks: {}, utilisation: null, governingCheck: null, passes: false };
+  }
+  
+  const { loadBelow, ...size } = design;
+  return {
+    ...result,
+    ...size,
+    // Unfactored load at the base including the column self-weight of every storey
+    load: loadBelow.dead + loadBelow.live
+  };
+}
+
+/**
+ * Sum the volume and weight of a list of designed members
+ * Each member uses the density and embodied carbon of its own grade.
+ * 
+ * @param {Array<Object>} members - Members with kind, width, depth, length, count, grade and (for joists) floor area
+ * @param {string} timberGrade - Timber grade key in TIMBER_PROPERTIES of members without their own grade
+ * @returns {Object} Weight (kg), total volume (m³), embodied carbon (tonnes CO2e) and count, volume and volume by grade per element kind
+ */
+function calculateScheduledTimberWeight(members, timberGrade) {
+  const elements = {
+    joists: { count: 0, volume: 0, grades: {}, areas: [] },
+    beams: { count: 0, volume: 0, grades: {} },
+    columns: { count: 0, volume: 0, grades: {} }
+  };
+  let weight = 0;
+  let embodiedCarbon = 0;
+  
+  members.forEach(member => {
+    const element = elements[`${member.kind}s`];
+    if (!element) return;
+    const grade = member.grade || timberGrade;
+    const properties = TIMBER_PROPERTIES[grade];
+    const volume = (member.width / 1000) * (member.depth / 1000) * member.length * member.count;
+    element.count += member.count;
+    element.volume += volume;
+    element.grades[grade] = (element.grades[grade] || 0) + volume;
+    weight += volume * (properties?.density || 600); // kg
+    embodiedCarbon += volume * (properties?.embodiedCarbon ?? TIMBER_EMBODIED_CARBON);
+    
+    // Joists and CLT panels are costed by the volume of each size; the floor area is reported with it
+    if (member.kind === 'joist') {
+      element.areas.push({ width: member.width, depth: member.depth, grade, area: member.area || 0, volume, panel: Boolean(member.panel) });
+    }
+  });
+  
+  return {
+    weight,
+    totalVolume: elements.joists.volume + elements.beams.volume + elements.columns.volume,
+    embodiedCarbon,
+    elements
   };
 }
 
-export function calculateTimberWeight(joistSize, beamSize, columnSize, buildingLength, buildingWidth, numFloors, lengthwiseBays = 3, widthwiseBays = 2, joistsRunLengthwise = true, timberGrade = 'GL18') {
+export function calculateTimberWeight(joistSize, beamSize, columnSize, buildingLength, buildingWidth, numFloors, lengthwiseBays = 3, widthwiseBays = 2, joistsRunLengthwise = true, timberGrade = 'GL18', joistCentres = 800) {
   // If called with just volume and timberGrade (for testing or simple cases)
   if (typeof joistSize === 'number' && (typeof beamSize === 'string' || beamSize === undefined)) {
     const volume = joistSize;
@@ -347,8 +1444,13 @@ export function calculateTimberWeight(joistSize, beamSize, columnSize, buildingL
     return volume * density; // kg
   }
   
+  // If called with a designed structure, sum the actual size of every member
+  if (joistSize && Array.isArray(joistSize.members)) {
+    return calculateScheduledTimberWeight(joistSize.members, typeof beamSize === 'string' ? beamSize : timberGrade);
+  }
+  
   // Calculate the number of structural elements
-  const joistSpacing = 0.8; // 800mm spacing in meters
+  const joistSpacing = joistCentres / 1000; // m
   
   // Calculate bay dimensions
   const bayLengthWidth = buildingLength / lengthwiseBays; // Width of each bay in the length direction
@@ -446,25 +1548,75 @@ export function calculateTimberWeight(joistSize, beamSize, columnSize, buildingL
   };
 }
 
-export function calculateCarbonSavings(weightOrResult) {
-  let volume;
-  
-  // Check if we received the full result object from calculateTimberWeight
-  if (typeof weightOrResult === 'object' && weightOrResult !== null && weightOrResult.totalVolume) {
-    volume = weightOrResult.totalVolume;
-  } else {
-    // If we received just the weight (in kg), convert to volume (m³) using average density
-    const averageDensity = 600; // kg/m³
-    volume = weightOrResult / averageDensity;
-  }
-  
-  // Placeholder implementation - approx 0.9 tonnes CO2e per m³ of timber
-  return volume * 0.9; // tonnes CO2e
+/**
+ * Cradle-to-gate embodied carbon of glued laminated timber in tonnes CO2e per m³,
+ * excluding the biogenic carbon stored in the timber
+ */
+export const TIMBER_EMBODIED_CARBON = 0.15;
+
+/**
+ * Calculate the embodied carbon of the timber structure and its floor topping
+ * A designed structure carries the embodied carbon of each member's grade; otherwise
+ * the glulam value applies to the whole volume.
+ * 
+ * @param {Object} timberResult - Result of calculateTimberWeight
+ * @param {number} toppingCarbon - Embodied carbon of the floor topping in tonnes CO2e
+ * @returns {number} Embodied carbon in tonnes CO2e
+ */
+export function calculateEmbodiedCarbon(timberResult, toppingCarbon = 0) {
+  const timberCarbon = timberResult.embodiedCarbon ?? timberResult.totalVolume * TIMBER_EMBODIED_CARBON;
+  return timberCarbon + toppingCarbon;
 }
 
-export function validateStructure(joists, beams, columns) {
-  // Placeholder implementation
-  return { valid: true, messages: [] };
+/**
+ * Carbon fraction of oven-dry timber and the moisture content the mean densities are given at,
+ * for the biogenic carbon stored in the timber to EN 16449
+ */
+const TIMBER_CARBON_FRACTION = 0.5;
+const TIMBER_MOISTURE_CONTENT = 12; // %
+
+/**
+ * Calculate the biogenic carbon stored in the timber to EN 16449
+ * The stored carbon follows the weight of each member in its own grade, so denser grades
+ * store more per m³.
+ * 
+ * @param {Object} timberResult - Result of calculateTimberWeight
+ * @returns {number} Carbon stored in tonnes CO2e
+ */
+export function calculateCarbonStorage(timberResult) {
+  const dryWeight = timberResult.weight / (1 + TIMBER_MOISTURE_CONTENT / 100); // kg
+  return (44 / 12) * TIMBER_CARBON_FRACTION * dryWeight / 1000; // tonnes CO2e
+}
+
+/**
+ * Calculate the carbon saving of the timber structure
+ * The carbon stored in the timber less the embodied carbon of each member's grade and of
+ * any screed or concrete topping.
+ * 
+ * @param {Object} timberResult - Result of calculateTimberWeight
+ * @param {number} toppingCarbon - Embodied carbon of the floor topping in tonnes CO2e
+ * @returns {number} Carbon saving in tonnes CO2e
+ */
+export function calculateCarbonSavings(timberResult, toppingCarbon = 0) {
+  return calculateCarbonStorage(timberResult) - calculateEmbodiedCarbon(timberResult, toppingCarbon);
+}
+
+/**
+ * Validate the designed structure against the rules in structuralValidation.js
+ * Every bay, beam and column is checked, and findings carry the grid reference of their member.
+ * 
+ * @param {Object} structure - Designed structure from designStructure
+ * @param {Object} bearings - Support bearings from checkSupportBearings, or null to skip the bearing rule
+ * @returns {Object} Findings with severity, member, rule id and remediation, and whether the structure is valid
+ */
+export function validateStructure(structure, bearings = null) {
+  return runValidationRules({
+    bays: structure.bays,
+    beams: structure.beams,
+    columns: structure.columns,
+    bearings,
+    designFactors: structure.designFactors || getDesignFactors()
+  });
 }
 
 /**
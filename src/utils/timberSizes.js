@@ -13,7 +13,6 @@ let _isInitialized = false;
  * Initialize the module and clear any existing data
  */
 export function initializeMasslamSizes() {
-  console.log('Initializing MASSLAM sizes module');
   _masslamSizes = [];
   _isInitialized = true;
   return true;
@@ -40,7 +39,6 @@ function _setMasslamSizes(sizes) {
  * @returns {Promise} Promise that resolves when data is loaded
  */
 export async function loadMasslamSizes() {
-  console.log('Loading MASSLAM sizes from CSV...');
   
   // Initialize the module if not already initialized
   if (!_isInitialized) {
@@ -58,14 +56,11 @@ export async function loadMasslamSizes() {
     }
     
     const csvText = await response.text();
-    console.log('Raw CSV content length:', csvText.length);
-    console.log('CSV lines:', csvText.trim().split('\n').length);
     
     // Manual parsing to ensure we get exactly what's in the file
     const lines = csvText.trim().split('\n');
     const headers = lines[0].split(',');
     
-    console.log('CSV Headers:', headers);
     
     // Check if we have the expected headers
     if (!headers.includes('width') || !headers.includes('depth') || !headers.includes('type')) {
@@ -78,7 +73,6 @@ export async function loadMasslamSizes() {
     const depthIndex = headers.indexOf('depth');
     const typeIndex = headers.indexOf('type');
     
-    console.log(`Header indices: width=${widthIndex}, depth=${depthIndex}, type=${typeIndex}`);
     
     // Parse the data rows
     const parsedData = [];
@@ -87,7 +81,6 @@ export async function loadMasslamSizes() {
     for (let i = 1; i < lines.length; i++) {
       const line = lines[i].trim();
       if (!line) {
-        console.log(`Line ${i} is empty, skipping`);
         continue; // Skip empty lines
       }
       
@@ -117,32 +110,13 @@ export async function loadMasslamSizes() {
       parsedData.push(size);
     }
     
-    console.log(`Manually parsed ${parsedData.length} sizes from CSV`);
     if (skippedLines.length > 0) {
       console.warn(`Skipped ${skippedLines.length} lines during parsing:`, skippedLines);
     }
     
-    // Count by type before setting
-    const typeCountBefore = {};
-    parsedData.forEach(size => {
-      typeCountBefore[size.type] = (typeCountBefore[size.type] || 0) + 1;
-    });
-    console.log('Sizes by type before setting:', typeCountBefore);
-    
     // Set the parsed data
     _setMasslamSizes(parsedData);
     
-    // Count by type after setting
-    const sizes = getMasslamSizes();
-    const typeCountAfter = {};
-    sizes.forEach(size => {
-      typeCountAfter[size.type] = (typeCountAfter[size.type] || 0) + 1;
-    });
-    console.log('Sizes by type after setting:', typeCountAfter);
-    
-    // Log the current state
-    console.log(`MASSLAM sizes loaded: ${_masslamSizes.length} sizes`);
-    
     // Return a copy of the data
     return getMasslamSizes();
   } catch (error) {
@@ -166,13 +140,11 @@ export function findNearestWidth(targetWidth) {
   
   // Extract unique widths and sort them
   const availableWidths = [...new Set(sizes.map(size => size.width))].sort((a, b) => a - b);
-  console.log('Available widths from CSV:', availableWidths);
   
   if (availableWidths.length === 0) return targetWidth;
   
   // Find the smallest width that is >= targetWidth
   const roundedUpWidth = availableWidths.find(w => w >= targetWidth) || availableWidths[availableWidths.length - 1];
-  console.log(`Rounding width ${targetWidth}mm up to ${roundedUpWidth}mm`);
   
   return roundedUpWidth;
 }
@@ -197,7 +169,6 @@ export function findNearestDepth(width, targetDepth) {
     .map(size => size.depth)
     .sort((a, b) => a - b);
   
-  console.log(`Available depths for width ${width} from CSV:`, availableDepths);
   
   if (availableDepths.length === 0) {
     console.warn(`No depths available for width ${width} in the CSV file`);
@@ -206,7 +177,6 @@ export function findNearestDepth(width, targetDepth) {
   
   // Find the smallest depth that is >= targetDepth
   const roundedUpDepth = availableDepths.find(d => d >= targetDepth) || availableDepths[availableDepths.length - 1];
-  console.log(`Rounding depth ${targetDepth}mm up to ${roundedUpDepth}mm for width ${width}mm`);
   
   return roundedUpDepth;
 }
@@ -513,7 +483,6 @@ export function filterToStandardSizes() {
     return [];
   }
   
-  console.log('Filtering sizes to standard subset...');
   
   // Define the standard widths and depths we want to keep
   const standardWidths = [120, 165, 205, 250, 290, 335, 380, 420, 450];
@@ -542,7 +511,6 @@ export function filterToStandardSizes() {
     });
   });
   
-  console.log(`Filtered from ${sizes.length} sizes to ${standardSizes.length} standard sizes`);
   
   // Set the filtered sizes
   _setMasslamSizes(standardSizes);
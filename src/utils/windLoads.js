@@ -0,0 +1,170 @@
+// Utility functions for AS/NZS 1170.2 wind actions on the building
+
+/**
+ * Regional wind speeds VR in m/s (AS/NZS 1170.2 Table 3.1) for importance level 2 and a
+ * 50 year design life: ultimate at R = 500 years and serviceability at R = 25 years.
+ * The cyclonic regions include the climate change factors FC and FD.
+ */
+export const WIND_REGIONS = {
+  A: { label: "A (non-cyclonic)", ultimate: 45, serviceability: 37 },
+  W: { label: "W (Wellington)", ultimate: 51, serviceability: 39 },
+  B: { label: "B (intermediate)", ultimate: 57, serviceability: 39 },
+  C: { label: "C (cyclonic)", ultimate: 69, serviceability: 45 },
+  D: { label: "D (severe cyclonic)", ultimate: 88, serviceability: 48 }
+};
+
+/**
+ * Heights in meters of the terrain/height multipliers in TERRAIN_CATEGORIES
+ */
+const TERRAIN_HEIGHTS = [3, 5, 10, 15, 20, 30, 40, 50];
+
+/**
+ * Terrain categories with the terrain/height multiplier Mz,cat at each of TERRAIN_HEIGHTS
+ * (AS/NZS 1170.2 Table 4.1(B), regions A, W and B)
+ */
+export const TERRAIN_CATEGORIES = {
+  "1": { label: "TC1 - open water, flat treeless plains", multipliers: [0.99, 1.05, 1.12, 1.16, 1.19, 1.22, 1.24, 1.25] },
+  "2": { label: "TC2 - open terrain, airfields", multipliers: [0.91, 0.91, 1.00, 1.05, 1.08, 1.12, 1.16, 1.18] },
+  "2.5": { label: "TC2.5 - developing outer suburbs", multipliers: [0.87, 0.87, 0.92, 0.97, 1.01, 1.06, 1.10, 1.13] },
+  "3": { label: "TC3 - suburban housing", multipliers: [0.83, 0.83, 0.83, 0.89, 0.94, 1.00, 1.04, 1.07] },
+  "4": { label: "TC4 - city centres", multipliers: [0.75, 0.75, 0.75, 0.75, 0.75, 0.80, 0.85, 0.90] }
+};
+
+export const DEFAULT_WIND = { region: "A", terrainCategory: "3" };
+
+/**
+ * Windward wall external pressure coefficient Cp,e (AS/NZS 1170.2 Table 5.2(A))
+ */
+export const WINDWARD_PRESSURE_COEFFICIENT = 0.8;
+
+const AIR_DENSITY = 1.2; // kg/m³
+
+/**
+ * Directions of the wind force on the building
+ * A lengthwise force acts along the building length on the end (width) face.
+ */
+export const WIND_DIRECTIONS = {
+  lengthwise: { label: "Lengthwise (on the end faces)" },
+  widthwise: { label: "Widthwise (on the long faces)" }
+};
+
+/**
+ * Interpolate the terrain/height multiplier Mz,cat
+ * Heights below 3 m use the 3 m value; heights above 50 m use the 50 m value.
+ *
+ * @param {string} terrainCategory - Key in TERRAIN_CATEGORIES
+ * @param {number} height - Height above ground in meters
+ * @returns {number} Terrain/height multiplier
+ */
+export function calculateTerrainMultiplier(terrainCategory, height) {
+  const category = TERRAIN_CATEGORIES[terrainCategory];
+  if (!category) {
+    console.warn(`Unknown terrain category "${terrainCategory}", using TC${DEFAULT_WIND.terrainCategory}`);
+    return calculateTerrainMultiplier(DEFAULT_WIND.terrainCategory, height);
+  }
+  const { multipliers } = category;
+  if (height <= TERRAIN_HEIGHTS[0]) return multipliers[0];
+  if (height >= TERRAIN_HEIGHTS[TERRAIN_HEIGHTS.length - 1]) {
+    if (height > TERRAIN_HEIGHTS[TERRAIN_HEIGHTS.length - 1]) {
+      console.warn(`Building height ${height.toFixed(1)}m is above the ${TERRAIN_HEIGHTS[TERRAIN_HEIGHTS.length - 1]}m covered, using the top multiplier`);
+    }
+    return multipliers[multipliers.length - 1];
+  }
+  const index = TERRAIN_HEIGHTS.findIndex(tableHeight => tableHeight >= height);
+  const [h1, h2] = [TERRAIN_HEIGHTS[index - 1], TERRAIN_HEIGHTS[index]];
+  return multipliers[index - 1] + (multipliers[index] - multipliers[index - 1]) * (height - h1) / (h2 - h1);
+}
+
+/**
+ * Leeward wall external pressure coefficient Cp,e (AS/NZS 1170.2 Table 5.2(B)) for wind
+ * normal to the ridge of a flat roof
+ *
+ * @param {number} depthToBreadth - Ratio d/b of the building depth in the wind direction to its breadth
+ * @returns {number} Leeward pressure coefficient (negative, suction)
+ */
+export function calculateLeewardPressureCoefficient(depthToBreadth) {
+  if (depthToBreadth <= 1) return -0.5;
+  if (depthToBreadth <= 2) return -0.5 + 0.2 * (depthToBreadth - 1);
+  if (depthToBreadth <= 4) return -0.3 + 0.05 * (depthToBreadth - 2);
+  return -0.2;
+}
+
+/**
+ * Calculate the free stream wind pressure 0.5·ρair·V²
+ *
+ * @param {number} speed - Design wind speed in m/s
+ * @returns {number} Pressure in kPa
+ */
+export function calculateWindPressure(speed) {
+  return 0.5 * AIR_DENSITY * Math.pow(speed, 2) / 1000;
+}
+
+/**
+ * Calculate the wind force at each level and the shear in each storey in both directions
+ * Vsit = VR·Mz,cat with Md = Ms = Mt = 1, and Cdyn = 1 for buildings that are not
+ * dynamically sensitive. The windward wall pressure is taken at the height of each level and
+ * the leeward suction at roof height; internal pressures cancel across the building. Each
+ * level takes the wind on half of the storey above and below it.
+ *
+ * @param {Object} params - Wind inputs
+ * @param {string} params.region - Key in WIND_REGIONS
+ * @param {string} params.terrainCategory - Key in TERRAIN_CATEGORIES
+ * @param {number} params.buildingLength - Building length in meters
+ * @param {number} params.buildingWidth - Building width in meters
+ * @param {Array<number>} params.storeyHeights - Height in meters of the storey below each level from the bottom up
+ * @param {string} params.limitState - "ultimate" or "serviceability"
+ * @returns {Object} Site wind speed, building height and the level forces and storey shears (bottom up) in each direction
+ */
+export function calculateWindStoreyForces({ region = DEFAULT_WIND.region, terrainCategory = DEFAULT_WIND.terrainCategory, buildingLength, buildingWidth, storeyHeights, limitState = "ultimate" }) {
+  const regionSpeeds = WIND_REGIONS[region] || WIND_REGIONS[DEFAULT_WIND.region];
+  const regionalSpeed = regionSpeeds[limitState];
+
+  // Elevation of each level above the ground
+  const elevations = storeyHeights.map((_, index) => storeyHeights.slice(0, index + 1).reduce((sum, h) => sum + h, 0));
+  const height = elevations[elevations.length - 1] || 0;
+  const siteSpeed = (z) => regionalSpeed * calculateTerrainMultiplier(terrainCategory, z);
+  const roofPressure = calculateWindPressure(siteSpeed(height));
+
+  const directions = {};
+  Object.keys(WIND_DIRECTIONS).forEach(direction => {
+    // The face loaded is the breadth b; d is the building depth in the wind direction
+    const breadth = direction === "lengthwise" ? buildingWidth : buildingLength;
+    const depth = direction === "lengthwise" ? buildingLength : buildingWidth;
+    const leewardCoefficient = calculateLeewardPressureCoefficient(depth / breadth);
+
+    const levels = elevations.map((elevation, index) => {
+      const tributaryHeight = storeyHeights[index] / 2 + (index < storeyHeights.length - 1 ? storeyHeights[index + 1] / 2 : 0);
+      const windwardPressure = WINDWARD_PRESSURE_COEFFICIENT * calculateWindPressure(siteSpeed(elevation));
+      const leewardPressure = Math.abs(leewardCoefficient) * roofPressure;
+      return {
+        level: index + 1,
+        elevation,
+        tributaryHeight,
+        windwardPressure,
+        leewardPressure,
+        force: (windwardPressure + leewardPressure) * breadth * tributaryHeight // kN
+      };
+    });
+
+    directions[direction] = {
+      breadth,
+      depth,
+      leewardCoefficient,
+      levels,
+      // Shear in the storey below each level carries the forces of that level and all above
+      storeyShears: levels.map((_, index) => levels.slice(index).reduce((sum, level) => sum + level.force, 0)),
+      baseShear: levels.reduce((sum, level) => sum + level.force, 0)
+    };
+  });
+
+
+  return {
+    region,
+    terrainCategory,
+    limitState,
+    regionalSpeed,
+    siteSpeed: siteSpeed(height),
+    height,
+    directions
+  };
+}